@@ -0,0 +1,86 @@
+const Enrollment = require('../models/Enrollment');
+const Subscription = require('../models/Subscription');
+const { notify } = require('../services/notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many days before access ends students are reminded
+const getReminderDays = () => {
+    const days = parseInt(process.env.ACCESS_EXPIRY_REMINDER_DAYS, 10);
+    return Number.isNaN(days) ? 7 : days;
+};
+
+// Remind students whose time-limited course access ends soon
+const remindExpiringEnrollments = async until => {
+    const enrollments = await Enrollment.find({
+        status: { $in: ['active', 'completed'] },
+        isLifetime: false,
+        subscription: null,
+        accessExpiry: { $gt: new Date(), $lte: until },
+        expiryReminderSentAt: null
+    }).populate('course', 'title');
+
+    let sent = 0;
+    for (const enrollment of enrollments) {
+        // The course has been deleted; there is no access left to remind about
+        if (!enrollment.course) continue;
+
+        await notify('accessExpiring', enrollment.student, {
+            courseTitle: enrollment.course.title,
+            accessExpiry: enrollment.accessExpiry
+        });
+
+        enrollment.expiryReminderSentAt = new Date();
+        await enrollment.save();
+        sent += 1;
+    }
+
+    return sent;
+};
+
+// Remind subscribers whose current billing period ends soon
+const remindExpiringSubscriptions = async until => {
+    const subscriptions = await Subscription.find({
+        status: 'active',
+        currentPeriodEnd: { $gt: new Date(), $lte: until },
+        renewalReminderSentAt: null
+    });
+
+    let sent = 0;
+    for (const subscription of subscriptions) {
+        await notify('subscriptionExpiring', subscription.user, {
+            currentPeriodEnd: subscription.currentPeriodEnd
+        });
+
+        subscription.renewalReminderSentAt = new Date();
+        await subscription.save();
+        sent += 1;
+    }
+
+    return sent;
+};
+
+// Send reminders for access ending soon, then expire lapsed enrollments
+// and subscriptions
+const run = async () => {
+    const until = new Date(Date.now() + getReminderDays() * DAY_MS);
+
+    const enrollmentReminders = await remindExpiringEnrollments(until);
+    const subscriptionReminders = await remindExpiringSubscriptions(until);
+    const expiredEnrollments = await Enrollment.expireLapsed();
+    const expiredSubscriptions = await Subscription.expireLapsed();
+
+    return {
+        enrollmentReminders,
+        subscriptionReminders,
+        expiredEnrollments,
+        expiredSubscriptions
+    };
+};
+
+module.exports = {
+    name: 'access-expiry',
+    intervalMinutesVariable: 'ACCESS_EXPIRY_JOB_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 60,
+    run
+};
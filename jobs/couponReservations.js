@@ -0,0 +1,23 @@
+const Coupon = require('../models/Coupon');
+
+// How many hours a coupon use stays reserved for an unpaid checkout
+const getReservationHours = () => {
+    const hours = parseInt(process.env.COUPON_RESERVATION_HOURS, 10);
+    return Number.isNaN(hours) ? 24 : hours;
+};
+
+// Give back coupon uses held by checkouts that were abandoned, so they no
+// longer count toward the coupon's limits
+const run = async () => {
+    const before = new Date(Date.now() - getReservationHours() * 60 * 60 * 1000);
+    const releasedReservations = await Coupon.releaseStaleReservations(before);
+
+    return { releasedReservations };
+};
+
+module.exports = {
+    name: 'coupon-reservations',
+    intervalMinutesVariable: 'COUPON_RESERVATION_JOB_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 60,
+    run
+};
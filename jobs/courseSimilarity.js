@@ -0,0 +1,11 @@
+const { computeCourseSimilarities } = require('../services/recommendations');
+
+// Recompute which courses students take together, for recommendations
+const run = () => computeCourseSimilarities();
+
+module.exports = {
+    name: 'course-similarity',
+    intervalMinutesVariable: 'COURSE_SIMILARITY_JOB_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 6 * 60,
+    run
+};
@@ -0,0 +1,11 @@
+const { processQueue } = require('../services/notifications');
+
+// Retry emails whose first delivery attempt failed
+const run = () => processQueue();
+
+module.exports = {
+    name: 'email-queue',
+    intervalMinutesVariable: 'EMAIL_QUEUE_JOB_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 1,
+    run
+};
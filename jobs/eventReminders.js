@@ -0,0 +1,49 @@
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const { notify } = require('../services/notifications');
+
+// How many hours before an event registered members are reminded
+const getReminderHours = () => {
+    const hours = parseInt(process.env.EVENT_REMINDER_HOURS, 10);
+    return Number.isNaN(hours) ? 24 : hours;
+};
+
+// Remind registered members of the events starting soon
+const run = async () => {
+    const now = new Date();
+    const events = await Event.find({
+        status: 'published',
+        startsAt: { $gt: now, $lte: new Date(now.getTime() + getReminderHours() * 60 * 60 * 1000) }
+    }).select('+meetingUrl');
+
+    let sent = 0;
+    for (const event of events) {
+        const registrations = await EventRegistration.find({
+            event: event._id,
+            status: 'registered',
+            reminderSentAt: null
+        });
+
+        for (const registration of registrations) {
+            await notify('eventReminder', registration.user, {
+                eventId: event._id.toString(),
+                eventTitle: event.title,
+                startsAt: event.startsAt,
+                location: event.getLocation()
+            });
+
+            registration.reminderSentAt = new Date();
+            await registration.save();
+            sent += 1;
+        }
+    }
+
+    return { events: events.length, reminders: sent };
+};
+
+module.exports = {
+    name: 'event-reminders',
+    intervalMinutesVariable: 'EVENT_REMINDER_JOB_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 15,
+    run
+};
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const accessExpiry = require('./accessExpiry');
+const emailQueue = require('./emailQueue');
+const searchIndex = require('./searchIndex');
+const courseSimilarity = require('./courseSimilarity');
+const eventReminders = require('./eventReminders');
+const couponReservations = require('./couponReservations');
+const invoiceRetry = require('./invoiceRetry');
+
+// Background jobs run inside the API process. Each job exposes:
+//   name, run() -> summary, intervalMinutesVariable, defaultIntervalMinutes
+const jobs = [
+    accessExpiry,
+    emailQueue,
+    searchIndex,
+    courseSimilarity,
+    eventReminders,
+    couponReservations,
+    invoiceRetry
+];
+
+const getIntervalMs = job => {
+    const minutes = parseInt(process.env[job.intervalMinutesVariable], 10);
+    return (Number.isNaN(minutes) ? job.defaultIntervalMinutes : minutes) * 60 * 1000;
+};
+
+// Whether a run did anything, judged by the counts in its summary
+const didWork = summary => Object.values(summary || {}).some(value => typeof value === 'number' && value > 0);
+
+// Run a job, skipping the run if the previous one is still in progress.
+// Only runs that did something are logged.
+const schedule = job => {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const summary = await job.run();
+            if (didWork(summary)) {
+                console.log(`Job ${job.name} finished:`, summary);
+            }
+        } catch (error) {
+            console.error(`Job ${job.name} failed:`, error);
+        } finally {
+            running = false;
+        }
+    };
+
+    setInterval(tick, getIntervalMs(job)).unref();
+    tick();
+};
+
+// Start every job. Set DISABLE_JOBS=true on API instances that should not
+// run them, e.g. when several instances share one database.
+const startJobs = () => {
+    if (process.env.DISABLE_JOBS === 'true') return;
+    jobs.forEach(schedule);
+};
+
+module.exports = { jobs, startJobs };
+
+// Run a single job once from the command line, e.g. from cron:
+//   node jobs/index.js access-expiry
+if (require.main === module) {
+    require('dotenv').config();
+
+    const job = jobs.find(entry => entry.name === process.argv[2]);
+    if (!job) {
+        console.error(`Usage: node jobs/index.js <${jobs.map(entry => entry.name).join('|')}>`);
+        process.exit(1);
+    }
+
+    mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/eduglobe')
+        .then(() => job.run())
+        .then(summary => console.log(`Job ${job.name} finished:`, summary))
+        .catch(error => {
+            console.error(`Job ${job.name} failed:`, error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,125 @@
+const Enrollment = require('../models/Enrollment');
+const Order = require('../models/Order');
+const Subscription = require('../models/Subscription');
+const Invoice = require('../models/Invoice');
+const {
+    paymentReference,
+    issueEnrollmentInvoice,
+    issueOrderInvoice,
+    issueRenewalInvoice,
+    issueSubscriptionInvoice,
+    issueCreditNote
+} = require('../services/invoices');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many days back confirmed payments are checked for a missing invoice
+const getRetryDays = () => {
+    const days = parseInt(process.env.INVOICE_RETRY_DAYS, 10);
+    return Number.isNaN(days) ? 7 : days;
+};
+
+const isInvoiced = payment => Invoice.exists({ reference: paymentReference(payment) });
+
+// Issue an invoice whose first attempt failed, counting it if it is issued now
+const retry = async (payment, issueInvoice) => {
+    if (await isInvoiced(payment)) {
+        return 0;
+    }
+    return (await issueInvoice()) ? 1 : 0;
+};
+
+// Invoice single course purchases, including ones refunded since
+const retryEnrollments = async since => {
+    const enrollments = await Enrollment.find({
+        order: null,
+        'payment.status': { $in: ['completed', 'refunded'] },
+        'payment.provider': { $nin: ['free', 'subscription'] },
+        'payment.paidAt': { $gte: since }
+    });
+
+    let issued = 0;
+    for (const enrollment of enrollments) {
+        issued += await retry(enrollment.payment, () => issueEnrollmentInvoice(enrollment));
+    }
+    return issued;
+};
+
+const retryOrders = async since => {
+    const orders = await Order.find({ status: 'paid', 'payment.paidAt': { $gte: since } });
+
+    let issued = 0;
+    for (const order of orders) {
+        issued += await retry(order.payment, () => issueOrderInvoice(order));
+    }
+    return issued;
+};
+
+const retryRenewals = async since => {
+    const enrollments = await Enrollment.find({
+        renewals: { $elemMatch: { status: 'completed', paidAt: { $gte: since } } }
+    });
+
+    let issued = 0;
+    for (const enrollment of enrollments) {
+        for (const renewal of enrollment.renewals) {
+            if (renewal.status !== 'completed' || renewal.paidAt < since || renewal.provider === 'free') continue;
+            issued += await retry(renewal, () => issueRenewalInvoice(enrollment, renewal));
+        }
+    }
+    return issued;
+};
+
+// Only the latest period is retried, as the invoice names the current period
+const retrySubscriptions = async since => {
+    const subscriptions = await Subscription.find({
+        payments: { $elemMatch: { status: 'completed', paidAt: { $gte: since } } }
+    });
+
+    let issued = 0;
+    for (const subscription of subscriptions) {
+        const payment = subscription.payments
+            .filter(entry => entry.status === 'completed')
+            .sort((a, b) => b.paidAt - a.paidAt)[0];
+        if (payment.paidAt < since) continue;
+        issued += await retry(payment, () => issueSubscriptionInvoice(subscription, payment));
+    }
+    return issued;
+};
+
+const retryCreditNotes = async since => {
+    const enrollments = await Enrollment.find({
+        'payment.status': 'refunded',
+        'payment.refundedAt': { $gte: since }
+    });
+
+    let issued = 0;
+    for (const enrollment of enrollments) {
+        if (await Invoice.exists({ type: 'credit_note', 'items.enrollment': enrollment._id })) continue;
+        if (await issueCreditNote(enrollment)) {
+            issued += 1;
+        }
+    }
+    return issued;
+};
+
+// Issue the invoices and credit notes of recent payments and refunds whose
+// first attempt failed. Invoices go first, as a credit note corrects one.
+const run = async () => {
+    const since = new Date(Date.now() - getRetryDays() * DAY_MS);
+
+    const invoices = await retryEnrollments(since)
+        + await retryOrders(since)
+        + await retryRenewals(since)
+        + await retrySubscriptions(since);
+    const creditNotes = await retryCreditNotes(since);
+
+    return { invoices, creditNotes };
+};
+
+module.exports = {
+    name: 'invoice-retry',
+    intervalMinutesVariable: 'INVOICE_RETRY_JOB_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 60,
+    run
+};
@@ -0,0 +1,24 @@
+const Course = require('../models/Course');
+
+// Rebuild the search terms of every course, e.g. to index courses created
+// before search existed. Terms are otherwise kept up to date on save.
+const run = async () => {
+    const summary = { indexed: 0 };
+
+    const cursor = Course.find().populate('instructor', 'fullName').cursor();
+    for await (const course of cursor) {
+        const instructorName = course.instructor ? course.instructor.fullName : '';
+        course.setSearchTerms(instructorName);
+        await Course.updateOne({ _id: course._id }, { $set: { searchTerms: course.searchTerms } });
+        summary.indexed += 1;
+    }
+
+    return summary;
+};
+
+module.exports = {
+    name: 'search-index',
+    intervalMinutesVariable: 'SEARCH_INDEX_JOB_INTERVAL_MINUTES',
+    defaultIntervalMinutes: 24 * 60,
+    run
+};
@@ -0,0 +1,925 @@
+// EduGlobe API client
+// Wraps fetch with JSON handling, token storage and automatic access token
+// refresh. Exposed as window.EduGlobeApi for the static pages.
+(function() {
+    const API_URL = window.EDUGLOBE_API_URL || 'http://localhost:5000/api';
+
+    const STORAGE_KEYS = {
+        accessToken: 'eduglobe.accessToken',
+        refreshToken: 'eduglobe.refreshToken',
+        user: 'eduglobe.user'
+    };
+
+    // Courses added to the cart before logging in, merged into the account's
+    // cart on login
+    const GUEST_CART_KEY = 'eduglobe.guestCart';
+
+    // Currency picked by a visitor; logged-in users' preference wins
+    const CURRENCY_KEY = 'eduglobe.currency';
+
+    // Error carrying the server's message and validation errors
+    class ApiError extends Error {
+        constructor(message, status, errors) {
+            super(message);
+            this.status = status;
+            this.errors = errors || [];
+        }
+
+        // Single line suitable for showing inline in a form
+        get displayMessage() {
+            if (this.errors.length > 0) {
+                return this.errors.map(error => error.msg).join('. ');
+            }
+            return this.message;
+        }
+    }
+
+    // Escape a value for HTML text and quoted attribute values alike
+    const escapeHtml = value => String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+    const getAccessToken = () => localStorage.getItem(STORAGE_KEYS.accessToken);
+    const getRefreshToken = () => localStorage.getItem(STORAGE_KEYS.refreshToken);
+
+    const getUser = () => {
+        const user = localStorage.getItem(STORAGE_KEYS.user);
+        return user ? JSON.parse(user) : null;
+    };
+
+    const isLoggedIn = () => Boolean(getRefreshToken());
+
+    // Currency to show and charge prices in, or undefined for each course's own
+    const getCurrency = () => {
+        const user = getUser();
+        return (user && user.preferences && user.preferences.currency)
+            || localStorage.getItem(CURRENCY_KEY)
+            || undefined;
+    };
+
+    const storeSession = ({ accessToken, refreshToken, user }) => {
+        if (accessToken) localStorage.setItem(STORAGE_KEYS.accessToken, accessToken);
+        if (refreshToken) localStorage.setItem(STORAGE_KEYS.refreshToken, refreshToken);
+        if (user) localStorage.setItem(STORAGE_KEYS.user, JSON.stringify(user));
+        window.dispatchEvent(new CustomEvent('eduglobe:auth-changed'));
+    };
+
+    const clearSession = () => {
+        Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+        window.dispatchEvent(new CustomEvent('eduglobe:auth-changed'));
+    };
+
+    // Share one refresh request between concurrent callers
+    let refreshing = null;
+
+    const refreshTokens = () => {
+        if (!refreshing) {
+            refreshing = fetch(`${API_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: getRefreshToken() })
+            })
+                .then(async response => {
+                    if (!response.ok) {
+                        clearSession();
+                        throw new ApiError('Your session has expired. Please log in again.', 401);
+                    }
+                    const { data } = await response.json();
+                    storeSession(data);
+                })
+                .finally(() => {
+                    refreshing = null;
+                });
+        }
+        return refreshing;
+    };
+
+    const request = async (path, { method = 'GET', body, auth = false, retry = true } = {}) => {
+        const headers = {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (auth && getAccessToken()) headers.Authorization = `Bearer ${getAccessToken()}`;
+
+        let response;
+        try {
+            response = await fetch(`${API_URL}${path}`, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new ApiError('Unable to reach EduGlobe. Please check your connection and try again.', 0);
+        }
+
+        // Expired access token: refresh once and replay the request
+        if (response.status === 401 && auth && retry && getRefreshToken()) {
+            await refreshTokens();
+            return request(path, { method, body, auth, retry: false });
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new ApiError(data.message || 'Something went wrong', response.status, data.errors);
+        }
+        return data;
+    };
+
+    const toQuery = params => {
+        const query = new URLSearchParams();
+        Object.entries(params || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') query.append(key, value);
+        });
+        const string = query.toString();
+        return string ? `?${string}` : '';
+    };
+
+    // Guest cart
+    const getGuestCart = () => JSON.parse(localStorage.getItem(GUEST_CART_KEY) || '[]');
+
+    const setGuestCart = items => {
+        if (items.length > 0) {
+            localStorage.setItem(GUEST_CART_KEY, JSON.stringify(items));
+        } else {
+            localStorage.removeItem(GUEST_CART_KEY);
+        }
+    };
+
+    const mergeGuestCart = async () => {
+        const items = getGuestCart();
+        if (items.length === 0) return;
+
+        try {
+            await request('/cart/merge', { method: 'POST', auth: true, body: { items } });
+            setGuestCart([]);
+        } catch (error) {
+            // Kept locally and merged on the next login
+            console.warn('Could not merge guest cart:', error.message);
+        }
+    };
+
+    // Auth
+    const login = async (email, password) => {
+        const { data } = await request('/auth/login', { method: 'POST', body: { email, password } });
+        storeSession(data);
+        await mergeGuestCart();
+        return data.user;
+    };
+
+    const register = async (fullName, email, password) => {
+        const { data } = await request('/auth/register', { method: 'POST', body: { fullName, email, password } });
+        storeSession(data);
+        await mergeGuestCart();
+        return data.user;
+    };
+
+    const logout = async () => {
+        try {
+            await request('/auth/logout', { method: 'POST', auth: true, retry: false });
+        } finally {
+            clearSession();
+        }
+    };
+
+    const resetPassword = (token, password) => request('/auth/reset-password', {
+        method: 'POST',
+        body: { token, password }
+    });
+
+    // Users
+    const updateProfile = async updates => {
+        const { data } = await request('/users/profile', { method: 'PUT', auth: true, body: updates });
+        storeSession({ user: data.user });
+        return data.user;
+    };
+
+    // Currencies
+    const getCurrencies = async () => {
+        const { data } = await request('/currencies');
+        return data;
+    };
+
+    const setCurrency = async currency => {
+        localStorage.setItem(CURRENCY_KEY, currency);
+
+        const user = getUser();
+        if (isLoggedIn() && user) {
+            await updateProfile({ preferences: { ...user.preferences, currency } });
+        }
+    };
+
+    // Courses, priced in the chosen currency
+    const getCourses = async params => {
+        const { data } = await request(`/courses${toQuery({ currency: getCurrency(), ...params })}`);
+        return data;
+    };
+
+    // Relevance-ranked search with facet counts; facet filters are lists
+    const searchCourses = async params => {
+        const query = {};
+        Object.entries(params || {}).forEach(([key, value]) => {
+            query[key] = Array.isArray(value) ? value.join(',') : value;
+        });
+        const { data } = await request(`/courses/search${toQuery({ currency: getCurrency(), ...query })}`);
+        return data;
+    };
+
+    const getSearchSuggestions = async q => {
+        const { data } = await request(`/courses/search/autocomplete${toQuery({ q })}`);
+        return data.suggestions;
+    };
+
+    const getRecommendations = async params => {
+        const { data } = await request(`/recommendations${toQuery({ currency: getCurrency(), ...params })}`, { auth: isLoggedIn() });
+        return data;
+    };
+
+    const getFeaturedCourses = async () => {
+        const { data } = await request(`/courses/featured${toQuery({ currency: getCurrency() })}`);
+        return data.courses;
+    };
+
+    // Enrollments and payments
+    const enroll = async (courseId, paymentMethod, couponCode) => {
+        const { data } = await request('/enrollments', {
+            method: 'POST',
+            auth: true,
+            body: { courseId, paymentMethod, couponCode: couponCode || undefined, currency: getCurrency() }
+        });
+        return data;
+    };
+
+    // items: [{ courseId, accessOptionId? }]
+    const getQuote = async (items, couponCode) => {
+        const { data } = await request('/checkout/quote', {
+            method: 'POST',
+            auth: true,
+            body: { items, couponCode: couponCode || undefined, currency: getCurrency() }
+        });
+        return data.quote;
+    };
+
+    // Cart. Guests' carts are kept locally and only hold course IDs.
+    const getCart = async couponCode => {
+        const { data } = await request(`/cart${toQuery({ couponCode, currency: getCurrency() })}`, { auth: true });
+        return data;
+    };
+
+    const addToCart = async (courseId, accessOptionId) => {
+        if (!isLoggedIn()) {
+            const items = getGuestCart().filter(item => item.courseId !== courseId);
+            setGuestCart([...items, { courseId, accessOptionId }]);
+            return null;
+        }
+
+        const { data } = await request('/cart/items', {
+            method: 'POST',
+            auth: true,
+            body: { courseId, accessOptionId }
+        });
+        return data;
+    };
+
+    const removeFromCart = async courseId => {
+        if (!isLoggedIn()) {
+            setGuestCart(getGuestCart().filter(item => item.courseId !== courseId));
+            return null;
+        }
+
+        const { data } = await request(`/cart/items/${courseId}`, { method: 'DELETE', auth: true });
+        return data;
+    };
+
+    const checkoutCart = async (paymentMethod, couponCode) => {
+        const { data } = await request('/checkout', {
+            method: 'POST',
+            auth: true,
+            body: { paymentMethod, couponCode: couponCode || undefined, currency: getCurrency() }
+        });
+        return data;
+    };
+
+    // Learning paths
+    const getLearningPaths = async params => {
+        const { data } = await request(`/learning-paths${toQuery(params)}`);
+        return data;
+    };
+
+    const getLearningPath = async pathId => {
+        const { data } = await request(`/learning-paths/${pathId}`, { auth: isLoggedIn() });
+        return data;
+    };
+
+    const getMyLearningPaths = async () => {
+        const { data } = await request('/learning-paths/my', { auth: true });
+        return data.learningPaths;
+    };
+
+    const enrollInLearningPath = async (pathId, paymentMethod, couponCode) => {
+        const { data } = await request(`/learning-paths/${pathId}/enroll`, {
+            method: 'POST',
+            auth: true,
+            body: { paymentMethod, couponCode: couponCode || undefined, currency: getCurrency() }
+        });
+        return data;
+    };
+
+    const issueLearningPathCertificate = async pathId => {
+        const { data } = await request(`/learning-paths/${pathId}/certificate`, {
+            method: 'POST',
+            auth: true
+        });
+        return data.certificate;
+    };
+
+    // Quizzes and assignments
+    const getCourseAssessments = async courseId => {
+        const { data } = await request(`/assessments/courses/${courseId}`, { auth: true });
+        return data;
+    };
+
+    const startQuizAttempt = async quizId => {
+        const { data } = await request(`/assessments/quizzes/${quizId}/attempts`, { method: 'POST', auth: true });
+        return data;
+    };
+
+    // answers: [{ question, selected?, text? }]
+    const saveQuizAttempt = async (attemptId, answers, submit = false) => {
+        const { data } = await request(`/assessments/attempts/${attemptId}`, {
+            method: 'PUT',
+            auth: true,
+            body: { answers, submit }
+        });
+        return data.attempt;
+    };
+
+    const submitAssignment = async (assignmentId, text, links) => {
+        const { data } = await request(`/assessments/assignments/${assignmentId}/submissions`, {
+            method: 'POST',
+            auth: true,
+            body: { text, links }
+        });
+        return data.attempt;
+    };
+
+    // Discussions
+    const getRecentDiscussions = async limit => {
+        const { data } = await request(`/discussions/recent${toQuery({ limit })}`);
+        return data.threads;
+    };
+
+    // Threads of a course, filtered by lecture, type, sort and search
+    const getCourseThreads = async (courseId, params) => {
+        const { data } = await request(`/discussions/courses/${courseId}/threads${toQuery(params)}`, { auth: isLoggedIn() });
+        return data;
+    };
+
+    const createThread = async (courseId, thread) => {
+        const { data } = await request(`/discussions/courses/${courseId}/threads`, {
+            method: 'POST',
+            auth: true,
+            body: thread
+        });
+        return data.thread;
+    };
+
+    const getThread = async (threadId, params) => {
+        const { data } = await request(`/discussions/threads/${threadId}${toQuery(params)}`, { auth: isLoggedIn() });
+        return data;
+    };
+
+    const updateThread = async (threadId, changes) => {
+        const { data } = await request(`/discussions/threads/${threadId}`, {
+            method: 'PUT',
+            auth: true,
+            body: changes
+        });
+        return data.thread;
+    };
+
+    const deleteThread = async threadId => {
+        await request(`/discussions/threads/${threadId}`, { method: 'DELETE', auth: true });
+    };
+
+    const replyToThread = async (threadId, body) => {
+        const { data } = await request(`/discussions/threads/${threadId}/posts`, {
+            method: 'POST',
+            auth: true,
+            body: { body }
+        });
+        return data.post;
+    };
+
+    const deletePost = async postId => {
+        await request(`/discussions/posts/${postId}`, { method: 'DELETE', auth: true });
+    };
+
+    // Add or remove the user's upvote on a thread or reply
+    const setThreadUpvote = async (threadId, upvoted) => {
+        const { data } = await request(`/discussions/threads/${threadId}/upvote`, {
+            method: upvoted ? 'POST' : 'DELETE',
+            auth: true
+        });
+        return data;
+    };
+
+    const setPostUpvote = async (postId, upvoted) => {
+        const { data } = await request(`/discussions/posts/${postId}/upvote`, {
+            method: upvoted ? 'POST' : 'DELETE',
+            auth: true
+        });
+        return data;
+    };
+
+    // Mark a reply as the accepted answer, or clear it with null
+    const acceptAnswer = async (threadId, postId) => {
+        const { data } = await request(`/discussions/threads/${threadId}/accept`, {
+            method: 'PUT',
+            auth: true,
+            body: { postId }
+        });
+        return data.thread;
+    };
+
+    // Community
+    const getCommunityStats = async () => {
+        const { data } = await request('/community/stats');
+        return data;
+    };
+
+    const getForums = async () => {
+        const { data } = await request('/community/forums', { auth: isLoggedIn() });
+        return data.forums;
+    };
+
+    const getForum = async forumId => {
+        const { data } = await request(`/community/forums/${forumId}`, { auth: isLoggedIn() });
+        return data;
+    };
+
+    const joinForum = async forumId => {
+        const { data } = await request(`/community/forums/${forumId}/join`, { method: 'POST', auth: true });
+        return data;
+    };
+
+    const leaveForum = async forumId => {
+        const { data } = await request(`/community/forums/${forumId}/join`, { method: 'DELETE', auth: true });
+        return data;
+    };
+
+    const getForumThreads = async (forumId, params) => {
+        const { data } = await request(`/discussions/forums/${forumId}/threads${toQuery(params)}`, { auth: isLoggedIn() });
+        return data;
+    };
+
+    const createForumThread = async (forumId, thread) => {
+        const { data } = await request(`/discussions/forums/${forumId}/threads`, {
+            method: 'POST',
+            auth: true,
+            body: thread
+        });
+        return data.thread;
+    };
+
+    const getEvents = async params => {
+        const { data } = await request(`/community/events${toQuery(params)}`, { auth: isLoggedIn() });
+        return data;
+    };
+
+    const getMyEvents = async () => {
+        const { data } = await request('/community/events/my', { auth: true });
+        return data.events;
+    };
+
+    // Register for an event, or join its waitlist when it is full
+    const registerForEvent = async eventId => {
+        const response = await request(`/community/events/${eventId}/rsvp`, { method: 'POST', auth: true });
+        return { message: response.message, registration: response.data.registration };
+    };
+
+    const cancelEventRegistration = async eventId => {
+        await request(`/community/events/${eventId}/rsvp`, { method: 'DELETE', auth: true });
+    };
+
+    const downloadEventCalendar = eventId => downloadFile(
+        `/community/events/${eventId}/calendar.ics`,
+        'event.ics',
+        'Unable to download this event'
+    );
+
+    // Support
+    // Open a ticket. Requesters without an account get the token that lets
+    // them follow it.
+    const createSupportTicket = async ticket => {
+        const response = await request('/support/tickets', { method: 'POST', auth: isLoggedIn(), body: ticket });
+        return {
+            message: response.message,
+            ticket: response.data.ticket,
+            accessToken: response.data.accessToken
+        };
+    };
+
+    const getMySupportTickets = async params => {
+        const { data } = await request(`/support/tickets/my${toQuery(params)}`, { auth: true });
+        return data;
+    };
+
+    const getSupportTicket = async (ticketNumber, token) => {
+        const { data } = await request(`/support/tickets/${ticketNumber}${toQuery({ token })}`, { auth: isLoggedIn() });
+        return data;
+    };
+
+    // reply: { message, internal, status }; internal notes and status are for agents
+    const replyToSupportTicket = async (ticketNumber, reply, token) => {
+        const { data } = await request(`/support/tickets/${ticketNumber}/messages${toQuery({ token })}`, {
+            method: 'POST',
+            auth: isLoggedIn(),
+            body: reply
+        });
+        return data.ticket;
+    };
+
+    const closeSupportTicket = async (ticketNumber, token) => {
+        const { data } = await request(`/support/tickets/${ticketNumber}/close${toQuery({ token })}`, {
+            method: 'POST',
+            auth: isLoggedIn()
+        });
+        return data.ticket;
+    };
+
+    // changes: { status, priority, assigneeId } (agents)
+    const updateSupportTicket = async (ticketNumber, changes) => {
+        const { data } = await request(`/support/tickets/${ticketNumber}`, {
+            method: 'PUT',
+            auth: true,
+            body: changes
+        });
+        return data.ticket;
+    };
+
+    // Live chat
+    const getChatStatus = async () => {
+        const { data } = await request('/chat/status');
+        return data;
+    };
+
+    const getChatConversations = async params => {
+        const { data } = await request(`/chat/conversations${toQuery(params)}`, { auth: true });
+        return data;
+    };
+
+    const getChatConversation = async (conversationId, token) => {
+        const { data } = await request(`/chat/conversations/${conversationId}${toQuery({ token })}`, { auth: isLoggedIn() });
+        return data.conversation;
+    };
+
+    // Save a chat and its transcript as a support ticket
+    const convertChatToTicket = async (conversationId, { subject, priority } = {}, token) => {
+        const response = await request(`/chat/conversations/${conversationId}/ticket${toQuery({ token })}`, {
+            method: 'POST',
+            auth: isLoggedIn(),
+            body: { subject, priority }
+        });
+        return {
+            message: response.message,
+            ticket: response.data.ticket,
+            accessToken: response.data.accessToken
+        };
+    };
+
+    // Open the live chat socket, calling onEvent(type, data) for each event
+    // from the server. Pass the chat to reopen, if any. The socket says hello
+    // with the access token when logged in, reconnects when dropped, and
+    // rejoins the current chat. The server closes it with code 4001 when the
+    // access token expires; it then reconnects with a refreshed token.
+    // Returns { send(type, data), close() }.
+    const connectChat = (onEvent, { conversationId, chatToken } = {}) => {
+        let socket = null;
+        let closed = false;
+        let retryTimer = null;
+        let current = { conversationId, chatToken };
+
+        const connect = () => {
+            socket = new WebSocket(`${API_URL.replace(/^http/, 'ws')}/chat/ws`);
+
+            socket.addEventListener('open', () => {
+                socket.send(JSON.stringify({
+                    type: 'hello',
+                    accessToken: isLoggedIn() ? getAccessToken() : undefined,
+                    ...current
+                }));
+            });
+
+            socket.addEventListener('message', event => {
+                const { type, ...data } = JSON.parse(event.data);
+                if (type === 'conversation') {
+                    current = {
+                        conversationId: data.conversation._id,
+                        chatToken: data.chatToken || current.chatToken
+                    };
+                }
+                onEvent(type, data);
+            });
+
+            socket.addEventListener('close', async event => {
+                if (closed) return;
+                let delay = 5000;
+                if (event.code === 4001) {
+                    if (!getRefreshToken()) return;
+                    try {
+                        await refreshTokens();
+                        delay = 0;
+                    } catch (error) {
+                        return;
+                    }
+                }
+                onEvent('disconnected', {});
+                retryTimer = setTimeout(connect, delay);
+            });
+        };
+
+        connect();
+
+        return {
+            send: (type, data = {}) => {
+                if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+                socket.send(JSON.stringify({ type, ...data }));
+                return true;
+            },
+            close: () => {
+                closed = true;
+                clearTimeout(retryTimer);
+                if (socket) socket.close();
+            }
+        };
+    };
+
+    const getMyCourses = async (status = 'active') => {
+        const { data } = await request(`/enrollments/my-courses${toQuery({ status })}`, { auth: true });
+        return data.enrollments;
+    };
+
+    const issueCertificate = async enrollmentId => {
+        const { data } = await request(`/enrollments/${enrollmentId}/certificate`, {
+            method: 'POST',
+            auth: true
+        });
+        return data.certificate;
+    };
+
+    // Course player
+    const getPlayer = async enrollmentId => {
+        const { data } = await request(`/enrollments/${enrollmentId}/player`, { auth: true });
+        return data;
+    };
+
+    const getLecture = async (enrollmentId, lectureId) => {
+        const { data } = await request(`/enrollments/${enrollmentId}/lectures/${lectureId}`, { auth: true });
+        return data;
+    };
+
+    const sendHeartbeat = async (enrollmentId, lectureId, playback) => {
+        const { data } = await request(`/enrollments/${enrollmentId}/lectures/${lectureId}/heartbeat`, {
+            method: 'PUT',
+            auth: true,
+            body: playback
+        });
+        return data.playback;
+    };
+
+    const completeLecture = async (enrollmentId, lectureId) => {
+        const { data } = await request(`/enrollments/${enrollmentId}/progress`, {
+            method: 'PUT',
+            auth: true,
+            body: { lectureId }
+        });
+        return data.enrollment;
+    };
+
+    // Certificate download URLs are served by the API host outside /api
+    const getCertificateUrl = downloadUrl => `${API_URL.replace(/\/api$/, '')}${downloadUrl}`;
+
+    const confirmMockPayment = async intentId => {
+        const { data } = await request(`/payments/mock/${intentId}/confirm`, {
+            method: 'POST',
+            auth: true,
+            body: {}
+        });
+        return data.enrollment;
+    };
+
+    // Invoices
+    const getInvoices = async params => {
+        const { data } = await request(`/users/profile/invoices${toQuery(params)}`, { auth: true });
+        return data;
+    };
+
+    // Files behind the access token (invoices, calendar files) are fetched
+    // here and handed to the browser as a download
+    const downloadFile = async (path, filename, errorMessage) => {
+        const fetchFile = () => fetch(`${API_URL}${path}`, {
+            headers: { Authorization: `Bearer ${getAccessToken()}` }
+        });
+
+        let response = await fetchFile();
+        if (response.status === 401 && getRefreshToken()) {
+            await refreshTokens();
+            response = await fetchFile();
+        }
+        if (!response.ok) {
+            throw new ApiError(errorMessage, response.status);
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const downloadInvoice = number => downloadFile(
+        `/users/profile/invoices/${encodeURIComponent(number)}/pdf`,
+        `${number}.pdf`,
+        'Unable to download this invoice'
+    );
+
+    // Instructors
+    const getInstructorAnalytics = async params => {
+        const { data } = await request(`/instructors/me/analytics${toQuery(params)}`, { auth: true });
+        return data;
+    };
+
+    const getInstructorEarnings = async params => {
+        const { data } = await request(`/instructors/me/earnings${toQuery(params)}`, { auth: true });
+        return data;
+    };
+
+    // Notifications
+    const getNotifications = async params => {
+        const { data } = await request(`/notifications${toQuery(params)}`, { auth: true });
+        return data;
+    };
+
+    // Mark the given notifications as read, or all of them without IDs
+    const markNotificationsRead = async ids => {
+        const { data } = await request('/notifications/read', { method: 'PUT', body: { ids }, auth: true });
+        return data;
+    };
+
+    // Listen to the notification event stream, calling onEvent(event, data)
+    // for each event. EventSource cannot send the access token, so the stream
+    // is read with fetch. The server closes the stream when the access token
+    // expires; it is then reopened with a refreshed token. Returns a function
+    // that closes the stream.
+    const subscribeToNotifications = onEvent => {
+        let controller = null;
+        let closed = false;
+        let retryTimer = null;
+
+        const dispatch = chunk => {
+            let event = 'message';
+            const data = [];
+            chunk.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+            });
+            if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+        };
+
+        const connect = async () => {
+            controller = new AbortController();
+            let delay = 0;
+            try {
+                let response = await fetch(`${API_URL}/notifications/stream`, {
+                    headers: { Authorization: `Bearer ${getAccessToken()}` },
+                    signal: controller.signal
+                });
+                if (response.status === 401 && getRefreshToken()) {
+                    await refreshTokens();
+                    response = await fetch(`${API_URL}/notifications/stream`, {
+                        headers: { Authorization: `Bearer ${getAccessToken()}` },
+                        signal: controller.signal
+                    });
+                }
+                if (!response.ok) {
+                    if (response.status === 401) return;
+                    throw new ApiError('Unable to open notification stream', response.status);
+                }
+
+                const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+                let buffer = '';
+                for (;;) {
+                    const { value, done } = await reader.read();
+                    if (done) break;
+                    buffer += value;
+                    const chunks = buffer.split('\n\n');
+                    buffer = chunks.pop();
+                    chunks.forEach(dispatch);
+                }
+            } catch (error) {
+                if (closed || (error instanceof ApiError && error.status === 401)) return;
+                delay = 5000;
+            }
+            if (!closed && isLoggedIn()) {
+                retryTimer = setTimeout(connect, delay);
+            }
+        };
+
+        connect();
+
+        return () => {
+            closed = true;
+            clearTimeout(retryTimer);
+            if (controller) controller.abort();
+        };
+    };
+
+    window.EduGlobeApi = {
+        API_URL,
+        ApiError,
+        escapeHtml,
+        request,
+        getUser,
+        isLoggedIn,
+        login,
+        register,
+        logout,
+        resetPassword,
+        updateProfile,
+        getCurrency,
+        getCurrencies,
+        setCurrency,
+        getCourses,
+        getFeaturedCourses,
+        searchCourses,
+        getSearchSuggestions,
+        getRecommendations,
+        enroll,
+        getQuote,
+        getGuestCart,
+        getCart,
+        addToCart,
+        removeFromCart,
+        checkoutCart,
+        getLearningPaths,
+        getLearningPath,
+        getMyLearningPaths,
+        enrollInLearningPath,
+        issueLearningPathCertificate,
+        getCourseAssessments,
+        startQuizAttempt,
+        saveQuizAttempt,
+        submitAssignment,
+        getRecentDiscussions,
+        getCourseThreads,
+        createThread,
+        getThread,
+        updateThread,
+        deleteThread,
+        replyToThread,
+        deletePost,
+        setThreadUpvote,
+        setPostUpvote,
+        acceptAnswer,
+        getCommunityStats,
+        getForums,
+        getForum,
+        joinForum,
+        leaveForum,
+        getForumThreads,
+        createForumThread,
+        getEvents,
+        getMyEvents,
+        registerForEvent,
+        cancelEventRegistration,
+        downloadEventCalendar,
+        createSupportTicket,
+        getMySupportTickets,
+        getSupportTicket,
+        replyToSupportTicket,
+        closeSupportTicket,
+        updateSupportTicket,
+        getChatStatus,
+        getChatConversations,
+        getChatConversation,
+        convertChatToTicket,
+        connectChat,
+        getMyCourses,
+        issueCertificate,
+        getCertificateUrl,
+        getPlayer,
+        getLecture,
+        sendHeartbeat,
+        completeLecture,
+        confirmMockPayment,
+        getInvoices,
+        downloadInvoice,
+        getInstructorAnalytics,
+        getInstructorEarnings,
+        getNotifications,
+        markNotificationsRead,
+        subscribeToNotifications
+    };
+})();
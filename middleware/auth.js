@@ -0,0 +1,105 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+
+// Verify an access token and load its user. Returns { user, decoded }, or
+// { message } saying why the token was refused.
+const verifyAccessToken = async token => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return { message: error.name === 'TokenExpiredError' ? 'Token has expired' : 'Token is not valid' };
+    }
+
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+        return { message: 'Token has been revoked' };
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive || user.isDeleted || user.tokenVersion !== decoded.tokenVersion) {
+        return { message: 'Token is not valid' };
+    }
+
+    return { user, decoded };
+};
+
+// Verify the access token and load the current user on every request, so
+// deactivated, deleted or logged-out users lose access immediately.
+const auth = async (req, res, next) => {
+    try {
+        const header = req.header('Authorization');
+        if (!header || !header.startsWith('Bearer ')) {
+            return res.status(401).json({
+                success: false,
+                message: 'No token, authorization denied'
+            });
+        }
+
+        const { user, decoded, message } = await verifyAccessToken(header.slice(7));
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message
+            });
+        }
+
+        req.user = {
+            userId: user._id.toString(),
+            role: user.role,
+            jti: decoded.jti,
+            sessionId: decoded.sid,
+            tokenExpiresAt: new Date(decoded.exp * 1000)
+        };
+        req.currentUser = user;
+
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during authentication'
+        });
+    }
+};
+
+// Restrict a route to the given roles. The user's role and account status
+// are re-checked against the database rather than trusted from the token.
+const authorize = (...roles) => async (req, res, next) => {
+    try {
+        const user = req.currentUser || await User.findById(req.user && req.user.userId);
+
+        if (!user || !user.isActive || user.isDeleted) {
+            return res.status(401).json({
+                success: false,
+                message: 'Account is not active'
+            });
+        }
+
+        if (!roles.includes(user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this resource'
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Authorize middleware error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during authorization'
+        });
+    }
+};
+
+// Authenticate the request if it carries a token, and let anonymous requests
+// through. A token that is sent must still be valid.
+const optionalAuth = (req, res, next) => {
+    if (!req.header('Authorization')) {
+        return next();
+    }
+    return auth(req, res, next);
+};
+
+module.exports = { auth, authorize, optionalAuth, verifyAccessToken };
@@ -0,0 +1,56 @@
+const { query, validationResult } = require('express-validator');
+
+// Send the request's validation errors as a 400. Returns true if it did,
+// so handlers can stop: if (sendValidationErrors(req, res)) return;
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+    });
+    return true;
+};
+
+// Send the error of a failed save. Mongoose validation errors, errors whose
+// name is in clientErrors and, with a duplicateMessage, duplicate keys are
+// the caller's fault; anything else is ours. The label names the action,
+// e.g. 'Creating coupon'.
+const sendSaveError = (res, error, label, { duplicateMessage, clientErrors = [] } = {}) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors)[0].message
+        });
+    }
+    if (clientErrors.includes(error.name)) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+    if (duplicateMessage && error.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            message: duplicateMessage
+        });
+    }
+
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${label.toLowerCase()}`
+    });
+};
+
+// ?page= and ?limit= of paginated lists
+const paginationValidation = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+module.exports = { sendValidationErrors, sendSaveError, paginationValidation };
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+
+// Answers submitted this long after a quiz's time limit still count, to
+// allow for network delays
+const TIME_LIMIT_GRACE_MS = 30 * 1000;
+
+const answerSchema = new mongoose.Schema({
+    question: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    selected: [Number],
+    text: {
+        type: String,
+        maxlength: [5000, 'Answers cannot exceed 5000 characters']
+    },
+    // Set once graded; empty while the answer waits for the instructor
+    correct: Boolean,
+    points: Number,
+    needsGrading: {
+        type: Boolean,
+        default: false
+    },
+    feedback: {
+        type: String,
+        maxlength: [1000, 'Feedback cannot exceed 1000 characters']
+    }
+}, { _id: false });
+
+// A student's attempt at a quiz or submission of an assignment
+const assessmentAttemptSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Student is required']
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: [true, 'Course is required']
+    },
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Enrollment',
+        required: [true, 'Enrollment is required']
+    },
+    assessmentType: {
+        type: String,
+        enum: ['Quiz', 'Assignment'],
+        required: [true, 'Assessment type is required']
+    },
+    assessment: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'assessmentType',
+        required: [true, 'Assessment is required']
+    },
+    attemptNumber: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in_progress', 'needs_grading', 'graded'],
+        default: 'in_progress'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // When the quiz's time limit runs out
+    expiresAt: Date,
+    submittedAt: Date,
+    // Quiz answers
+    answers: [answerSchema],
+    // Assignment work
+    submission: {
+        text: {
+            type: String,
+            maxlength: [20000, 'Submissions cannot exceed 20000 characters']
+        },
+        links: [{
+            type: String,
+            maxlength: [500, 'Links cannot exceed 500 characters']
+        }]
+    },
+    score: Number,
+    maxScore: Number,
+    percent: Number,
+    // Passing score of the assessment when the attempt was started
+    passingScore: Number,
+    passed: {
+        type: Boolean,
+        default: false
+    },
+    feedback: {
+        type: String,
+        maxlength: [2000, 'Feedback cannot exceed 2000 characters']
+    },
+    gradedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    gradedAt: Date
+}, {
+    timestamps: true
+});
+
+assessmentAttemptSchema.index({ student: 1, assessment: 1, attemptNumber: 1 }, { unique: true });
+assessmentAttemptSchema.index({ student: 1, course: 1, passed: 1 });
+assessmentAttemptSchema.index({ course: 1, status: 1, submittedAt: 1 });
+
+// Virtual for whether the time to answer has run out
+assessmentAttemptSchema.virtual('isTimeUp').get(function() {
+    return Boolean(this.expiresAt) && Date.now() > this.expiresAt.getTime() + TIME_LIMIT_GRACE_MS;
+});
+
+// Method to set the percentage and outcome from the score
+assessmentAttemptSchema.methods.applyScore = function() {
+    this.percent = this.maxScore > 0
+        ? Math.round((this.score / this.maxScore) * 10000) / 100
+        : 100;
+    this.passed = this.status === 'graded' && this.percent >= this.passingScore;
+    return this;
+};
+
+// Method to keep answers of a quiz attempt in progress
+assessmentAttemptSchema.methods.saveAnswers = function(answers = []) {
+    if (this.status !== 'in_progress') {
+        throw new Error('This attempt has already been submitted');
+    }
+
+    this.answers = answers.map(({ question, selected, text }) => ({ question, selected, text }));
+    return this;
+};
+
+// Method to submit a quiz attempt with its saved answers and grade what can
+// be graded automatically
+assessmentAttemptSchema.methods.submitQuiz = function(quiz) {
+    if (this.status !== 'in_progress') {
+        throw new Error('This attempt has already been submitted');
+    }
+
+    const result = quiz.grade(this.answers);
+
+    this.answers = result.answers;
+    this.score = result.score;
+    this.maxScore = result.maxScore;
+    this.status = result.needsGrading ? 'needs_grading' : 'graded';
+    this.submittedAt = this.isTimeUp ? this.expiresAt : new Date();
+    if (this.status === 'graded') {
+        this.gradedAt = new Date();
+    }
+
+    return this.applyScore();
+};
+
+// Method to record the instructor's grade. Quiz attempts take points for
+// the answers that needed grading ([{ question, points, feedback }]);
+// assignments take a score.
+assessmentAttemptSchema.methods.grade = function({ answers = [], score, feedback }, graderId, assessment) {
+    if (this.status === 'in_progress') {
+        throw new Error('This attempt has not been submitted yet');
+    }
+
+    if (this.assessmentType === 'Quiz') {
+        for (const answer of this.answers) {
+            const grade = answers.find(entry => entry.question.toString() === answer.question.toString());
+            if (!grade) {
+                if (answer.needsGrading) {
+                    throw new Error('Every answer that needs grading must be given points');
+                }
+                continue;
+            }
+
+            const question = assessment.questions.id(answer.question);
+            if (!question) {
+                throw new Error('A graded question is no longer part of the quiz');
+            }
+            if (grade.points > question.points) {
+                throw new Error(`Points cannot exceed ${question.points} for this question`);
+            }
+            answer.points = grade.points;
+            answer.correct = grade.points === question.points;
+            answer.needsGrading = false;
+            if (grade.feedback !== undefined) {
+                answer.feedback = grade.feedback;
+            }
+        }
+        this.score = this.answers.reduce((sum, answer) => sum + (answer.points || 0), 0);
+    } else {
+        if (score === undefined || score > this.maxScore) {
+            throw new Error(`Score must be between 0 and ${this.maxScore}`);
+        }
+        this.score = score;
+    }
+
+    if (feedback !== undefined) {
+        this.feedback = feedback;
+    }
+    this.status = 'graded';
+    this.gradedBy = graderId;
+    this.gradedAt = new Date();
+
+    return this.applyScore();
+};
+
+// Static method to count the attempts a student has made at an assessment
+assessmentAttemptSchema.statics.countAttempts = function(studentId, assessmentId) {
+    return this.countDocuments({ student: studentId, assessment: assessmentId });
+};
+
+// Static method to submit a student's quiz attempts whose time is up, with
+// the answers saved so far
+assessmentAttemptSchema.statics.submitTimedOut = async function(filter) {
+    const attempts = await this.find({
+        ...filter,
+        assessmentType: 'Quiz',
+        status: 'in_progress',
+        expiresAt: { $lt: new Date(Date.now() - TIME_LIMIT_GRACE_MS) }
+    }).populate('assessment');
+
+    for (const attempt of attempts) {
+        const quiz = attempt.assessment;
+        if (!quiz) continue;
+
+        attempt.assessment = quiz._id;
+        attempt.submitQuiz(quiz);
+        await attempt.save();
+    }
+
+    return attempts.length;
+};
+
+// Static method to find the required assessments of a course a student has
+// not passed yet
+assessmentAttemptSchema.statics.findUnpassed = async function(studentId, courseId) {
+    const filter = { course: courseId, isPublished: true, isRequired: true };
+    const [quizzes, assignments, passed] = await Promise.all([
+        mongoose.model('Quiz').find(filter).select('title'),
+        mongoose.model('Assignment').find(filter).select('title'),
+        this.distinct('assessment', { student: studentId, course: courseId, passed: true })
+    ]);
+
+    return [...quizzes, ...assignments].filter(
+        assessment => !passed.some(id => id.equals(assessment._id))
+    );
+};
+
+module.exports = mongoose.model('AssessmentAttempt', assessmentAttemptSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A written assignment attached to a course section, graded by the instructor
+const assignmentSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: [true, 'Course is required']
+    },
+    section: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Section',
+        required: [true, 'Section is required']
+    },
+    title: {
+        type: String,
+        required: [true, 'Assignment title is required'],
+        trim: true,
+        maxlength: [100, 'Assignment title cannot exceed 100 characters']
+    },
+    instructions: {
+        type: String,
+        required: [true, 'Instructions are required'],
+        maxlength: [5000, 'Instructions cannot exceed 5000 characters']
+    },
+    maxScore: {
+        type: Number,
+        default: 100,
+        min: [1, 'Maximum score must be at least 1']
+    },
+    // 0 allows unlimited submissions
+    maxAttempts: {
+        type: Number,
+        default: 0,
+        min: [0, 'Attempts cannot be negative']
+    },
+    // Percentage of the maximum score needed to pass
+    passingScore: {
+        type: Number,
+        default: 70,
+        min: [0, 'Passing score cannot be negative'],
+        max: [100, 'Passing score cannot exceed 100%']
+    },
+    // Required assignments must be passed before a certificate is issued
+    isRequired: {
+        type: Boolean,
+        default: true
+    },
+    isPublished: {
+        type: Boolean,
+        default: false
+    },
+    order: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+assignmentSchema.index({ course: 1, order: 1 });
+assignmentSchema.index({ section: 1, order: 1 });
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
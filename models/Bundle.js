@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Several courses sold together for a single price
+const bundleSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Bundle title is required'],
+        trim: true,
+        maxlength: [100, 'Bundle title cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    courses: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Course'
+        }],
+        validate: [courses => courses.length >= 2, 'A bundle needs at least two courses']
+    },
+    price: {
+        type: Number,
+        required: [true, 'Bundle price is required'],
+        min: [0, 'Price cannot be negative']
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    thumbnail: String,
+    startsAt: Date,
+    endsAt: Date,
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+bundleSchema.index({ isActive: 1 });
+
+// Static method to find bundles that can be bought right now
+bundleSchema.statics.findAvailable = function(filter = {}) {
+    const now = new Date();
+    return this.find({
+        ...filter,
+        isActive: true,
+        $and: [
+            { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+            { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+        ]
+    });
+};
+
+module.exports = mongoose.model('Bundle', bundleSchema);
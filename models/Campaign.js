@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A time-boxed sale applied automatically at checkout
+const campaignSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Campaign name is required'],
+        trim: true,
+        maxlength: [100, 'Campaign name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        required: [true, 'Discount type is required']
+    },
+    value: {
+        type: Number,
+        required: [true, 'Discount value is required'],
+        min: [0, 'Discount value cannot be negative']
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    // Courses and categories on sale; both empty for a site-wide sale
+    courses: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    }],
+    categories: [String],
+    startsAt: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    endsAt: {
+        type: Date,
+        required: [true, 'End date is required']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+campaignSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+campaignSchema.path('value').validate(function(value) {
+    return this.discountType !== 'percentage' || value <= 100;
+}, 'Percentage discounts cannot exceed 100');
+
+campaignSchema.path('endsAt').validate(function(endsAt) {
+    return !this.startsAt || endsAt > this.startsAt;
+}, 'Campaign must end after it starts');
+
+// Method to check whether the campaign covers a course
+campaignSchema.methods.appliesTo = function(course) {
+    if (this.courses.length === 0 && this.categories.length === 0) {
+        return true;
+    }
+    return this.courses.some(courseId => courseId.toString() === course._id.toString())
+        || this.categories.includes(course.category);
+};
+
+// Static method to find campaigns running right now
+campaignSchema.statics.findRunning = function() {
+    const now = new Date();
+    return this.find({
+        isActive: true,
+        startsAt: { $lte: now },
+        endsAt: { $gt: now }
+    });
+};
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const MAX_CART_ITEMS = 50;
+
+// Courses a user has put aside to buy together in one checkout
+const cartSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required'],
+        unique: true
+    },
+    items: {
+        type: [{
+            _id: false,
+            course: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Course',
+                required: true
+            },
+            // Empty for lifetime access at the course price
+            accessOption: mongoose.Schema.Types.ObjectId,
+            addedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        validate: [items => items.length <= MAX_CART_ITEMS, `A cart can hold at most ${MAX_CART_ITEMS} courses`]
+    }
+}, {
+    timestamps: true
+});
+
+// Method to add a course, or change the access option of one already in the cart
+cartSchema.methods.addItem = function(courseId, accessOptionId) {
+    const existing = this.items.find(item => item.course.toString() === courseId.toString());
+    if (existing) {
+        existing.accessOption = accessOptionId || undefined;
+    } else {
+        this.items.push({ course: courseId, accessOption: accessOptionId || undefined });
+    }
+    return this;
+};
+
+// Method to remove a course from the cart
+cartSchema.methods.removeItem = function(courseId) {
+    this.items = this.items.filter(item => item.course.toString() !== courseId.toString());
+    return this;
+};
+
+// Static method to get a user's cart, creating an empty one the first time
+cartSchema.statics.findOrCreate = async function(userId) {
+    return await this.findOne({ user: userId }) || new this({ user: userId, items: [] });
+};
+
+// Static method to drop courses from a user's cart once they are bought
+cartSchema.statics.removeCourses = function(userId, courseIds, options = {}) {
+    return this.updateOne(
+        { user: userId },
+        { $pull: { items: { course: { $in: courseIds } } } },
+        options
+    );
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
+module.exports.MAX_CART_ITEMS = MAX_CART_ITEMS;
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+    // system messages record what happened, e.g. an agent joining
+    sender: {
+        type: String,
+        enum: ['visitor', 'agent', 'system'],
+        required: [true, 'Sender is required']
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    authorName: String,
+    body: {
+        type: String,
+        required: [true, 'Message is required'],
+        trim: true,
+        maxlength: [2000, 'Message cannot exceed 2000 characters']
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A live chat between a visitor and a support agent, kept as its transcript
+const chatConversationSchema = new mongoose.Schema({
+    // Empty for visitors without an account
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    visitor: {
+        name: {
+            type: String,
+            required: [true, 'Name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters']
+        },
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            lowercase: true,
+            trim: true,
+            match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+        }
+    },
+    // queued until an agent accepts the chat
+    status: {
+        type: String,
+        enum: ['queued', 'active', 'ended'],
+        default: 'queued'
+    },
+    agent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    messages: [messageSchema],
+    acceptedAt: Date,
+    endedAt: Date,
+    endedBy: {
+        type: String,
+        enum: ['visitor', 'agent']
+    },
+    lastMessageAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Support ticket the chat was turned into
+    ticket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SupportTicket'
+    }
+}, {
+    timestamps: true
+});
+
+chatConversationSchema.index({ status: 1, createdAt: 1 });
+chatConversationSchema.index({ user: 1, createdAt: -1 });
+chatConversationSchema.index({ agent: 1, createdAt: -1 });
+
+// Method to get the token visitors without an account resume the chat with.
+// It is derived from the conversation, so nothing needs to be stored.
+chatConversationSchema.methods.getAccessToken = function() {
+    return crypto
+        .createHmac('sha256', process.env.JWT_SECRET)
+        .update(`chat-conversation|${this._id}`)
+        .digest('hex');
+};
+
+chatConversationSchema.methods.hasAccessToken = function(token) {
+    if (typeof token !== 'string') return false;
+
+    const expected = Buffer.from(this.getAccessToken(), 'hex');
+    const actual = Buffer.from(token, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Method to check if a user (req.user shape) is the visitor of the chat
+chatConversationSchema.methods.isVisitor = function(user) {
+    return Boolean(user && this.user) && this.user.toString() === user.userId;
+};
+
+// Static method to add a message to a chat that has not ended. Returns the
+// saved message, or null if the chat ended.
+chatConversationSchema.statics.appendMessage = async function(conversationId, message) {
+    const conversation = await this.findOneAndUpdate(
+        { _id: conversationId, status: { $ne: 'ended' } },
+        { $push: { messages: message }, $set: { lastMessageAt: new Date() } },
+        { new: true, projection: { messages: { $slice: -1 } } }
+    );
+    return conversation ? conversation.messages[0] : null;
+};
+
+// Static method to give a queued chat to an agent. Returns the chat, or null
+// if another agent took it first or it ended.
+chatConversationSchema.statics.accept = function(conversationId, agent) {
+    return this.findOneAndUpdate(
+        { _id: conversationId, status: 'queued' },
+        {
+            $set: { status: 'active', agent: agent._id, acceptedAt: new Date() },
+            $push: { messages: { sender: 'system', body: `${agent.fullName} joined the chat` } }
+        },
+        { new: true }
+    );
+};
+
+// Static method to end a chat. Returns the chat, or null if it had ended.
+chatConversationSchema.statics.end = function(conversationId, endedBy, note) {
+    return this.findOneAndUpdate(
+        { _id: conversationId, status: { $ne: 'ended' } },
+        {
+            $set: { status: 'ended', endedAt: new Date(), endedBy },
+            $push: { messages: { sender: 'system', body: note || 'The chat has ended' } }
+        },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model('ChatConversation', chatConversationSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Named sequence, used where numbers must be consecutive (e.g. invoices)
+const counterSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Counter name is required'],
+        unique: true
+    },
+    value: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to atomically take the next number of a sequence
+counterSchema.statics.next = async function(name, session) {
+    const counter = await this.findOneAndUpdate(
+        { name },
+        { $inc: { value: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.value;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
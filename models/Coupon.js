@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, dashes or underscores']
+    },
+    description: {
+        type: String,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        required: [true, 'Discount type is required']
+    },
+    value: {
+        type: Number,
+        required: [true, 'Discount value is required'],
+        min: [0, 'Discount value cannot be negative']
+    },
+    // Currency of fixed discounts
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    // Courses the coupon applies to; empty for site-wide coupons
+    courses: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    }],
+    maxRedemptions: Number, // empty for unlimited
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: [1, 'Per-user limit must be at least 1']
+    },
+    // Counts reserved uses too, so checkouts cannot go past maxRedemptions
+    redemptionCount: {
+        type: Number,
+        default: 0
+    },
+    // One entry per checkout that used the coupon, reserved when the
+    // checkout is created and redeemed once it is paid
+    redemptions: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reference: String, // order:<id>, or enrollment:<id> for a single course
+        status: {
+            type: String,
+            enum: ['reserved', 'redeemed'],
+            default: 'redeemed'
+        },
+        transactionId: String,
+        // When the use was reserved, until it is redeemed
+        redeemedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    startsAt: Date,
+    expiresAt: Date,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+couponSchema.path('value').validate(function(value) {
+    return this.discountType !== 'percentage' || value <= 100;
+}, 'Percentage discounts cannot exceed 100');
+
+// Method to explain why the user cannot use the coupon, or null if they can
+couponSchema.methods.getUnavailableReason = function(userId) {
+    const now = new Date();
+
+    if (!this.isActive) {
+        return 'This coupon is no longer active';
+    }
+    if (this.startsAt && this.startsAt > now) {
+        return 'This coupon is not valid yet';
+    }
+    if (this.expiresAt && this.expiresAt <= now) {
+        return 'This coupon has expired';
+    }
+    if (this.maxRedemptions && this.redemptionCount >= this.maxRedemptions) {
+        return 'This coupon has reached its usage limit';
+    }
+
+    // A checkout the user has not paid yet is checked again when reserving
+    const userRedemptions = this.redemptions.filter(
+        redemption => redemption.status !== 'reserved' && redemption.user.toString() === userId.toString()
+    ).length;
+    if (userRedemptions >= this.perUserLimit) {
+        return 'You have already used this coupon';
+    }
+
+    return null;
+};
+
+// Method to check whether the coupon applies to a course
+couponSchema.methods.appliesTo = function(courseId) {
+    return this.courses.length === 0
+        || this.courses.some(course => course.toString() === courseId.toString());
+};
+
+// Static method to find a coupon by the code a user typed
+couponSchema.statics.findByCode = function(code) {
+    return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Static method to reserve a use of the coupon for a checkout. The limits are
+// checked in the same update that counts the use, so parallel checkouts
+// cannot go past them. Returns null once the use is held, or why the user
+// cannot use the coupon. Reserving again for the same checkout is a no-op.
+couponSchema.statics.reserveRedemption = async function(couponId, userId, reference, session) {
+    const user = new mongoose.Types.ObjectId(String(userId));
+    const userUses = { $filter: { input: '$redemptions', cond: { $eq: ['$$this.user', user] } } };
+
+    const result = await this.updateOne(
+        {
+            _id: couponId,
+            'redemptions.reference': { $ne: reference },
+            $expr: {
+                $and: [
+                    { $or: [{ $not: ['$maxRedemptions'] }, { $lt: ['$redemptionCount', '$maxRedemptions'] }] },
+                    { $lt: [{ $size: userUses }, { $ifNull: ['$perUserLimit', 1] }] }
+                ]
+            }
+        },
+        {
+            $push: { redemptions: { user, reference, status: 'reserved' } },
+            $inc: { redemptionCount: 1 }
+        },
+        { session }
+    );
+    if (result.modifiedCount > 0) {
+        return null;
+    }
+
+    const coupon = await this.findById(couponId).session(session);
+    if (!coupon) {
+        return 'Invalid coupon code';
+    }
+    if (coupon.redemptions.some(redemption => redemption.reference === reference)) {
+        return null;
+    }
+    if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+        return 'This coupon has reached its usage limit';
+    }
+    return 'You have already used this coupon';
+};
+
+// Static method to record a paid checkout that used the coupon, redeeming
+// the use reserved for it. Safe to call once per enrollment: a checkout is
+// only counted once.
+couponSchema.statics.recordRedemption = async function(couponId, userId, reference, transactionId, session) {
+    const result = await this.updateOne(
+        { _id: couponId, redemptions: { $elemMatch: { reference } } },
+        {
+            $set: {
+                'redemptions.$.status': 'redeemed',
+                'redemptions.$.transactionId': transactionId,
+                'redemptions.$.redeemedAt': new Date()
+            }
+        },
+        { session }
+    );
+    if (result.matchedCount > 0) {
+        return result;
+    }
+
+    // A late payment of a checkout whose use was already given back
+    return this.updateOne(
+        { _id: couponId, 'redemptions.reference': { $ne: reference } },
+        {
+            $push: { redemptions: { user: userId, reference, transactionId } },
+            $inc: { redemptionCount: 1 }
+        },
+        { session }
+    );
+};
+
+// Static method to give back the use of the coupon held by a checkout that
+// failed or was refunded
+couponSchema.statics.releaseRedemption = function(couponId, reference, session) {
+    return this.updateOne(
+        { _id: couponId, 'redemptions.reference': reference },
+        {
+            $pull: { redemptions: { reference } },
+            $inc: { redemptionCount: -1 }
+        },
+        { session }
+    );
+};
+
+// Static method to give back the uses held by checkouts left unpaid since
+// before the given date. Each use is released on its own, so a checkout paid
+// meanwhile keeps its use, and a checkout paid later still counts, as a late
+// payment records its use again. Returns how many uses were given back.
+couponSchema.statics.releaseStaleReservations = async function(before) {
+    const stale = { status: 'reserved', redeemedAt: { $lt: before } };
+    const coupons = await this.find({ redemptions: { $elemMatch: stale } }).select('redemptions');
+
+    let released = 0;
+    for (const coupon of coupons) {
+        const references = coupon.redemptions
+            .filter(redemption => redemption.status === 'reserved' && redemption.redeemedAt < before)
+            .map(redemption => redemption.reference);
+
+        for (const reference of references) {
+            const result = await this.updateOne(
+                { _id: coupon._id, redemptions: { $elemMatch: { ...stale, reference } } },
+                {
+                    $pull: { redemptions: { ...stale, reference } },
+                    $inc: { redemptionCount: -1 }
+                }
+            );
+            released += result.modifiedCount;
+        }
+    }
+
+    return released;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const { roundAmount } = require('../services/currency');
+const { uniqueTerms } = require('../services/searchText');
+
+const reviewSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Review user is required']
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Rating is required'],
+        min: [1, 'Rating must be at least 1'],
+        max: [5, 'Rating cannot exceed 5']
+    },
+    comment: {
+        type: String,
+        maxlength: [1000, 'Review comment cannot exceed 1000 characters']
+    },
+    // The instructor's public answer to the review
+    reply: {
+        comment: {
+            type: String,
+            maxlength: [1000, 'Reply cannot exceed 1000 characters']
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        repliedAt: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// A way to buy the course, e.g. lifetime access or 90 days of access
+const accessOptionSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        required: [true, 'Access option label is required'],
+        trim: true,
+        maxlength: [50, 'Access option label cannot exceed 50 characters']
+    },
+    durationDays: {
+        type: Number, // empty for lifetime access
+        min: [1, 'Access duration must be at least 1 day']
+    },
+    price: {
+        type: Number,
+        required: [true, 'Access option price is required'],
+        min: [0, 'Price cannot be negative']
+    }
+});
+
+// Price charged in a region's currency instead of the converted price
+const regionalPriceSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter currency code']
+    },
+    price: {
+        type: Number,
+        required: [true, 'Regional price is required'],
+        min: [0, 'Price cannot be negative']
+    }
+}, { _id: false });
+
+const courseSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Course title is required'],
+        trim: true,
+        minlength: [5, 'Title must be at least 5 characters'],
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        required: [true, 'Course description is required'],
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    shortDescription: {
+        type: String,
+        maxlength: [200, 'Short description cannot exceed 200 characters']
+    },
+    instructor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Instructor is required']
+    },
+    category: {
+        type: String,
+        required: [true, 'Category is required']
+    },
+    subcategory: String,
+    level: {
+        type: String,
+        enum: ['Beginner', 'Intermediate', 'Advanced', 'All Levels'],
+        default: 'All Levels'
+    },
+    language: {
+        type: String,
+        default: 'English'
+    },
+    price: {
+        type: Number,
+        required: [true, 'Price is required'],
+        min: [0, 'Price cannot be negative']
+    },
+    originalPrice: {
+        type: Number,
+        min: [0, 'Original price cannot be negative']
+    },
+    discountPercentage: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative'],
+        max: [100, 'Discount cannot exceed 100%']
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    // Prices in other currencies; currencies without one use exchange rates
+    regionalPrices: {
+        type: [regionalPriceSchema],
+        validate: [
+            prices => new Set(prices.map(entry => entry.currency)).size === prices.length,
+            'Each currency can only have one regional price'
+        ]
+    },
+    // Additional pricing options; without one, price buys lifetime access
+    accessOptions: [accessOptionSchema],
+    includedInSubscription: {
+        type: Boolean,
+        default: true
+    },
+    thumbnail: {
+        type: String,
+        required: [true, 'Thumbnail is required']
+    },
+    previewVideo: String,
+    duration: {
+        type: Number, // in hours
+        required: [true, 'Duration is required'],
+        min: [1, 'Duration must be at least 1 hour']
+    },
+    sections: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Section'
+    }],
+    lectures: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lecture'
+    }],
+    learningObjectives: [String],
+    requirements: [String],
+    targetAudience: [String],
+    tags: [String],
+    status: {
+        type: String,
+        enum: ['draft', 'published', 'archived'],
+        default: 'draft'
+    },
+    isFeatured: {
+        type: Boolean,
+        default: false
+    },
+    enrollmentCount: {
+        type: Number,
+        default: 0
+    },
+    rating: {
+        average: {
+            type: Number,
+            default: 0
+        },
+        count: {
+            type: Number,
+            default: 0
+        }
+    },
+    reviews: [reviewSchema],
+    analytics: {
+        views: {
+            type: Number,
+            default: 0
+        }
+    },
+    seo: {
+        metaTitle: String,
+        metaDescription: String,
+        slug: String
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    },
+    // Normalized words of the course for search, kept up to date on save.
+    // all holds the words of every field.
+    searchTerms: {
+        title: { type: [String], select: false },
+        tags: { type: [String], select: false },
+        instructor: { type: [String], select: false },
+        body: { type: [String], select: false },
+        all: { type: [String], select: false }
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for total number of lectures
+courseSchema.virtual('totalLectures').get(function() {
+    return this.lectures ? this.lectures.length : 0;
+});
+
+// Indexes for better query performance
+courseSchema.index({ title: 'text', description: 'text', tags: 'text' });
+courseSchema.index({ status: 1, category: 1 });
+courseSchema.index({ instructor: 1 });
+courseSchema.index({ 'rating.average': -1 });
+courseSchema.index({ enrollmentCount: -1 });
+courseSchema.index({ 'searchTerms.all': 1, status: 1 });
+
+const SEARCHED_PATHS = ['title', 'shortDescription', 'description', 'category', 'subcategory', 'tags', 'instructor'];
+
+// Keep the search terms up to date when searched text changes. The terms
+// are not loaded by default, so they are only known to be missing when
+// they were selected.
+courseSchema.pre('save', async function() {
+    const missingTerms = this.isSelected('searchTerms.all')
+        && !(this.searchTerms && this.searchTerms.all && this.searchTerms.all.length > 0);
+    if (!missingTerms && !SEARCHED_PATHS.some(path => this.isModified(path))) return;
+
+    const instructor = await mongoose.model('User').findById(this.instructor).select('fullName');
+    this.setSearchTerms(instructor ? instructor.fullName : '');
+});
+
+// Method to rebuild the search terms from the course text and the name of
+// its instructor
+courseSchema.methods.setSearchTerms = function(instructorName) {
+    const title = uniqueTerms(this.title);
+    const tags = uniqueTerms(this.tags || []);
+    const instructor = uniqueTerms(instructorName || '');
+    const body = uniqueTerms(this.shortDescription || '', this.description, this.category, this.subcategory || '');
+
+    this.searchTerms = {
+        title,
+        tags,
+        instructor,
+        body,
+        all: [...new Set([...title, ...tags, ...instructor, ...body])]
+    };
+};
+
+// Method to add a review and recalculate the rating
+courseSchema.methods.addReview = function(userId, rating, comment) {
+    this.reviews.push({
+        user: userId,
+        rating,
+        comment
+    });
+
+    const total = this.reviews.reduce((sum, review) => sum + review.rating, 0);
+    this.rating.count = this.reviews.length;
+    this.rating.average = Math.round((total / this.reviews.length) * 10) / 10;
+
+    return this.save();
+};
+
+// Method to check whether a lecture is part of this course's curriculum
+courseSchema.methods.hasLecture = function(lectureId) {
+    return this.lectures.some(lecture => lecture.toString() === lectureId.toString());
+};
+
+// Method to resolve what an enrollment buys: the chosen access option, or
+// lifetime access at the course price. Returns null for an unknown option.
+courseSchema.methods.getAccessOption = function(accessOptionId) {
+    if (!accessOptionId) {
+        return { label: 'Lifetime access', durationDays: null, price: this.price };
+    }
+
+    const option = this.accessOptions.id(accessOptionId);
+    if (!option) return null;
+
+    return {
+        _id: option._id,
+        label: option.label,
+        durationDays: option.durationDays || null,
+        price: option.price
+    };
+};
+
+// Method to get the price of lifetime access, or of an access option, in
+// another currency. A regional price replaces the converted course price, and
+// access options keep the same proportion to it. Returns null for an unknown
+// option or a currency without an exchange rate.
+courseSchema.methods.getPriceIn = function(currency, rates, accessOptionId) {
+    const option = this.getAccessOption(accessOptionId);
+    if (!option) return null;
+    if (currency === this.currency) return option.price;
+
+    const regional = this.regionalPrices.find(entry => entry.currency === currency);
+    if (regional && !accessOptionId) {
+        return regional.price;
+    }
+    if (regional && this.price > 0) {
+        return roundAmount((option.price * regional.price) / this.price, currency);
+    }
+
+    return rates.isSupported(currency) && rates.isSupported(this.currency)
+        ? rates.convert(option.price, this.currency, currency)
+        : null;
+};
+
+// Method to describe the course prices in the currency a visitor asked for,
+// falling back to the course currency when there is no exchange rate
+courseSchema.methods.getLocalPrice = function(currency, rates) {
+    const target = rates.isSupported(currency) && this.getPriceIn(currency, rates) !== null
+        ? currency
+        : this.currency;
+
+    return {
+        currency: target,
+        price: this.getPriceIn(target, rates),
+        isRegional: this.regionalPrices.some(entry => entry.currency === target),
+        accessOptions: this.accessOptions.map(option => ({
+            _id: option._id,
+            label: option.label,
+            durationDays: option.durationDays || null,
+            price: this.getPriceIn(target, rates, option._id)
+        }))
+    };
+};
+
+// Static method to rebuild the search terms of an instructor's courses, e.g.
+// after the instructor changed their name
+courseSchema.statics.refreshInstructorSearchTerms = async function(instructorId, instructorName) {
+    const courses = await this.find({ instructor: instructorId });
+    await Promise.all(courses.map(course => {
+        course.setSearchTerms(instructorName);
+        return course.save();
+    }));
+    return courses.length;
+};
+
+// Static method to find featured courses
+courseSchema.statics.findFeatured = function() {
+    return this.find({
+        status: 'published',
+        isFeatured: true
+    })
+    .populate('instructor', 'fullName avatar')
+    .sort({ 'rating.average': -1, enrollmentCount: -1 });
+};
+
+module.exports = mongoose.model('Course', courseSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Courses often taken by the students of a course, computed offline from
+// co-enrollments by the course-similarity job
+const courseSimilaritySchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: [true, 'Course is required'],
+        unique: true
+    },
+    // Most similar first
+    related: [{
+        _id: false,
+        course: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Course'
+        },
+        // Cosine similarity of the two courses' students, from 0 to 1
+        score: Number,
+        sharedStudents: Number
+    }],
+    computedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('CourseSimilarity', courseSimilaritySchema);
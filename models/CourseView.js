@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Daily view counts per course, so course views can be charted over time.
+// Course.analytics.views keeps the all-time total.
+const courseViewSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: [true, 'Course is required']
+    },
+    date: {
+        type: Date, // start of the UTC day
+        required: [true, 'Date is required']
+    },
+    views: {
+        type: Number,
+        default: 0
+    }
+});
+
+courseViewSchema.index({ course: 1, date: 1 }, { unique: true });
+
+// Static method to count one view of a course for today
+courseViewSchema.statics.record = function(courseId) {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    return this.updateOne(
+        { course: courseId, date: today },
+        { $inc: { views: 1 } },
+        { upsert: true }
+    );
+};
+
+module.exports = mongoose.model('CourseView', courseViewSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Messages stuck in sending this long are assumed lost (e.g. the process
+// stopped) and are sent again
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// An email waiting to be sent, or the record of one that was. Failed
+// deliveries are retried with exponential backoff.
+const emailMessageSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    to: {
+        type: String,
+        required: [true, 'Recipient is required']
+    },
+    template: {
+        type: String,
+        required: [true, 'Template is required']
+    },
+    subject: {
+        type: String,
+        required: [true, 'Subject is required']
+    },
+    // Bodies are cleared once the message is sent or given up on, so links
+    // with tokens are not kept in the database
+    text: String,
+    html: String,
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed', 'expired'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Messages that are useless after a while, e.g. password reset links
+    expiresAt: Date,
+    lockedAt: Date,
+    lastError: String,
+    sentAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ user: 1, createdAt: -1 });
+
+// Static method to claim the next message due for sending, so that
+// concurrent workers never send the same message
+emailMessageSchema.statics.claimNext = function() {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - SENDING_TIMEOUT_MS) } }
+            ]
+        },
+        { $set: { status: 'sending', lockedAt: now } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+};
+
+// Method to record a successful delivery
+emailMessageSchema.methods.markSent = function() {
+    this.status = 'sent';
+    this.sentAt = new Date();
+    this.attempts += 1;
+    this.text = undefined;
+    this.html = undefined;
+    return this.save();
+};
+
+// Method to record a failed delivery, scheduling a retry after 1, 2, 4, 8...
+// minutes until the attempts run out
+emailMessageSchema.methods.markFailed = function(error) {
+    this.attempts += 1;
+    this.lastError = error.message || String(error);
+
+    if (this.attempts >= this.maxAttempts) {
+        this.status = 'failed';
+        this.text = undefined;
+        this.html = undefined;
+    } else {
+        this.status = 'pending';
+        this.nextAttemptAt = new Date(Date.now() + 2 ** (this.attempts - 1) * 60 * 1000);
+    }
+    return this.save();
+};
+
+// Method to give up on a message that is no longer useful
+emailMessageSchema.methods.markExpired = function() {
+    this.status = 'expired';
+    this.text = undefined;
+    this.html = undefined;
+    return this.save();
+};
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
@@ -0,0 +1,1071 @@
+const mongoose = require('mongoose');
+const { getProvider } = require('../services/payments');
+const { generateCertificateId, signCertificate } = require('../services/certificates');
+const { issueEnrollmentInvoice, issueRenewalInvoice, issueCreditNote } = require('../services/invoices');
+const { notify } = require('../services/notifications');
+const { isSameAmount } = require('../services/currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A payment that renewed or extended time-limited access
+const renewalSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: [true, 'Payment amount is required']
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    exchangeRate: Number, // units of the base currency per unit of currency at renewal
+    method: {
+        type: String,
+        enum: ['credit_card', 'paypal', 'stripe', 'bank_transfer', 'crypto'],
+        required: [true, 'Payment method is required']
+    },
+    provider: {
+        type: String,
+        enum: ['stripe', 'paypal', 'bank_transfer', 'mock', 'free']
+    },
+    transactionId: {
+        type: String,
+        required: [true, 'Transaction ID is required']
+    },
+    chargeId: String,
+    // processing while a payment event is being applied
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'failed'],
+        default: 'pending'
+    },
+    durationDays: Number, // empty when upgrading to lifetime access
+    paidAt: Date
+}, {
+    timestamps: true
+});
+
+const discountSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['campaign', 'bundle', 'coupon']
+    },
+    reference: mongoose.Schema.Types.ObjectId,
+    name: String,
+    code: String,
+    amount: Number
+}, { _id: false });
+
+// An unpaid checkout replaced by a retry. The customer may still complete
+// it, so it is kept until its payment provider reports back.
+const supersededCheckoutSchema = new mongoose.Schema({
+    amount: Number,
+    listAmount: Number,
+    exchangeRate: Number,
+    currency: String,
+    method: String,
+    provider: String,
+    transactionId: String,
+    discounts: [discountSchema],
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'paid', 'failed', 'refunded'],
+        default: 'pending'
+    },
+    refundId: String
+}, {
+    timestamps: true
+});
+
+const enrollmentSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Student is required']
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: [true, 'Course is required']
+    },
+    instructor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Instructor is required']
+    },
+    enrollmentDate: {
+        type: Date,
+        default: Date.now
+    },
+    completionDate: {
+        type: Date
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'completed', 'cancelled', 'expired'],
+        default: 'active'
+    },
+    progress: {
+        type: Number,
+        default: 0,
+        min: [0, 'Progress cannot be negative'],
+        max: [100, 'Progress cannot exceed 100%']
+    },
+    completedLectures: [{
+        lecture: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Lecture'
+        },
+        completedAt: {
+            type: Date,
+            default: Date.now
+        },
+        timeSpent: {
+            type: Number, // in seconds
+            default: 0
+        }
+    }],
+    // Playback state of each lecture, so students can resume on any device
+    lectureProgress: [{
+        lecture: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Lecture'
+        },
+        position: {
+            type: Number, // in seconds
+            default: 0
+        },
+        watchedIntervals: [{
+            _id: false,
+            start: Number, // in seconds
+            end: Number
+        }],
+        watchedSeconds: {
+            type: Number,
+            default: 0
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    lastLecture: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lecture'
+    },
+    lastAccessed: {
+        type: Date,
+        default: Date.now
+    },
+    totalTimeSpent: {
+        type: Number, // in minutes
+        default: 0
+    },
+    certificate: {
+        issued: {
+            type: Boolean,
+            default: false
+        },
+        issuedAt: Date,
+        certificateId: String,
+        downloadUrl: String,
+        // Snapshot of the details printed on the certificate, covered by the hash
+        studentName: String,
+        courseTitle: String,
+        instructorName: String,
+        completionDate: Date,
+        hash: String,
+        revoked: {
+            type: Boolean,
+            default: false
+        },
+        revokedAt: Date,
+        revocationReason: String
+    },
+    payment: {
+        amount: {
+            type: Number,
+            required: [true, 'Payment amount is required']
+        },
+        listAmount: Number, // price before discounts
+        exchangeRate: Number, // units of the base currency per unit of currency at purchase
+        currency: {
+            type: String,
+            default: 'USD'
+        },
+        method: {
+            type: String,
+            enum: ['credit_card', 'paypal', 'stripe', 'bank_transfer', 'crypto', 'subscription'],
+            required: [true, 'Payment method is required']
+        },
+        provider: {
+            type: String,
+            enum: ['stripe', 'paypal', 'bank_transfer', 'mock', 'free', 'subscription']
+        },
+        transactionId: {
+            type: String,
+            required: [true, 'Transaction ID is required']
+        },
+        chargeId: String, // provider reference of the captured charge, when it differs from transactionId
+        refundId: String,
+        // processing while a payment event is being applied
+        status: {
+            type: String,
+            enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+            default: 'pending'
+        },
+        paidAt: {
+            type: Date,
+            default: Date.now
+        },
+        refundedAt: Date
+    },
+    notes: {
+        type: String,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    rating: {
+        given: {
+            type: Boolean,
+            default: false
+        },
+        rating: {
+            type: Number,
+            min: [1, 'Rating must be at least 1'],
+            max: [5, 'Rating cannot exceed 5']
+        },
+        review: {
+            type: String,
+            maxlength: [1000, 'Review cannot exceed 1000 characters']
+        },
+        reviewedAt: Date
+    },
+    accessExpiry: {
+        type: Date
+    },
+    isLifetime: {
+        type: Boolean,
+        default: true
+    },
+    // Days of access bought, for time-limited enrollments
+    accessDurationDays: Number,
+    // Set when access comes from a platform subscription
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subscription'
+    },
+    // Set when the course was bought in a multi-course checkout
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    expiryReminderSentAt: Date,
+    renewals: [renewalSchema],
+    // Discounts applied to the purchase price
+    discounts: [discountSchema],
+    supersededCheckouts: [supersededCheckoutSchema],
+    refundRequested: {
+        type: Boolean,
+        default: false
+    },
+    refundReason: {
+        type: String,
+        maxlength: [500, 'Refund reason cannot exceed 500 characters']
+    },
+    refundStatus: {
+        type: String,
+        // processing while an approved refund is issued by the provider
+        enum: ['none', 'pending', 'processing', 'approved', 'rejected'],
+        default: 'none'
+    },
+    refundProcessedAt: Date,
+    refundAmount: Number
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Refund policy, configurable through the environment
+const getRefundPolicy = () => {
+    const windowDays = parseInt(process.env.REFUND_WINDOW_DAYS, 10);
+    const maxProgress = parseInt(process.env.REFUND_MAX_PROGRESS, 10);
+
+    return {
+        windowDays: Number.isNaN(windowDays) ? 30 : windowDays,
+        maxProgress: Number.isNaN(maxProgress) ? 30 : maxProgress
+    };
+};
+
+// Instructor earnings from a payment can be paid out once it can no longer
+// be refunded
+const getPayoutDate = paidAt => new Date(new Date(paidAt).getTime() + getRefundPolicy().windowDays * DAY_MS);
+
+// Share of a lecture that must be watched before it is marked complete
+const getCompletionThreshold = () => {
+    const percent = parseInt(process.env.LECTURE_COMPLETE_PERCENT, 10);
+    return Number.isNaN(percent) ? 90 : Math.min(Math.max(percent, 1), 100);
+};
+
+// Merge overlapping or touching intervals into a sorted, disjoint list
+const mergeIntervals = intervals => [...intervals]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, interval) => {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push({ start: interval.start, end: interval.end });
+        }
+        return merged;
+    }, []);
+
+// Virtual for enrollment duration
+enrollmentSchema.virtual('enrollmentDuration').get(function() {
+    const endDate = this.completionDate || new Date();
+    return Math.ceil((endDate - this.enrollmentDate) / (1000 * 60 * 60 * 24));
+});
+
+// Virtual for isCompleted
+enrollmentSchema.virtual('isCompleted').get(function() {
+    return this.status === 'completed' || this.progress === 100;
+});
+
+// Virtual for isExpired
+enrollmentSchema.virtual('isExpired').get(function() {
+    if (this.isLifetime) return false;
+    return this.accessExpiry && new Date() > this.accessExpiry;
+});
+
+// Indexes for better query performance
+enrollmentSchema.index({ student: 1, course: 1 }, { unique: true });
+enrollmentSchema.index({ student: 1, status: 1 });
+enrollmentSchema.index({ course: 1, status: 1 });
+enrollmentSchema.index({ instructor: 1 });
+enrollmentSchema.index({ enrollmentDate: -1 });
+enrollmentSchema.index({ 'payment.status': 1 });
+enrollmentSchema.index({ 'payment.provider': 1, 'payment.transactionId': 1 });
+enrollmentSchema.index({ 'certificate.certificateId': 1 }, { sparse: true });
+enrollmentSchema.index({ status: 1, isLifetime: 1, accessExpiry: 1 });
+enrollmentSchema.index({ subscription: 1 }, { sparse: true });
+enrollmentSchema.index({ order: 1 }, { sparse: true });
+enrollmentSchema.index({ 'renewals.provider': 1, 'renewals.transactionId': 1 });
+enrollmentSchema.index({ 'supersededCheckouts.provider': 1, 'supersededCheckouts.transactionId': 1 }, { sparse: true });
+
+// Pre-save middleware to update completion status
+// A completed enrollment stays completed if new lectures are added later.
+enrollmentSchema.pre('save', function(next) {
+    if (this.progress === 100 && this.status === 'active') {
+        this.status = 'completed';
+        this.completionDate = new Date();
+    }
+    next();
+});
+
+// Method to activate the enrollment once its payment has been confirmed. The
+// enrollment, course count, coupon use and ledger entry are written in one
+// transaction, so a failure leaves the payment to be applied again: the
+// transaction of a multi-course order, or one of its own.
+enrollmentSchema.methods.activate = async function(chargeId) {
+    if (!this.$session()) {
+        try {
+            return await mongoose.connection.transaction(session => {
+                this.$session(session);
+                return this.activate(chargeId);
+            });
+        } finally {
+            this.$session(null);
+        }
+    }
+
+    this.status = 'active';
+    this.enrollmentDate = new Date();
+    this.payment.status = 'completed';
+    this.payment.paidAt = new Date();
+    if (chargeId) {
+        this.payment.chargeId = chargeId;
+    }
+
+    // Time-limited access starts counting once the payment is confirmed
+    if (!this.isLifetime && this.accessDurationDays) {
+        this.accessExpiry = new Date(Date.now() + this.accessDurationDays * DAY_MS);
+    }
+
+    await this.save();
+
+    const session = this.$session();
+
+    // Update course enrollment count
+    await mongoose.model('Course').updateOne(
+        { _id: this.course },
+        { $inc: { enrollmentCount: 1 } },
+        { session }
+    );
+
+    // Count the checkout against the limits of any coupon used
+    for (const discount of this.discounts.filter(entry => entry.kind === 'coupon')) {
+        await mongoose.model('Coupon').recordRedemption(
+            discount.reference, this.student, this.getCheckoutReference(), this.payment.transactionId, session
+        );
+    }
+
+    // Book the instructor's share, held until the refund window has passed
+    await mongoose.model('LedgerEntry').recordSale(this, {
+        reference: `sale:${this._id}:${this.payment.transactionId}`,
+        type: 'sale',
+        amount: this.payment.amount,
+        currency: this.payment.currency,
+        exchangeRate: this.payment.exchangeRate,
+        availableAt: getPayoutDate(this.payment.paidAt)
+    }, session);
+
+    return this;
+};
+
+// Method to name the checkout that holds the enrollment's coupon uses
+enrollmentSchema.methods.getCheckoutReference = function() {
+    return this.order ? `order:${this.order}` : `enrollment:${this._id}`;
+};
+
+// Method to give back the coupon uses held by the enrollment's checkout
+enrollmentSchema.methods.releaseCoupons = async function(session) {
+    for (const discount of this.discounts.filter(entry => entry.kind === 'coupon')) {
+        await mongoose.model('Coupon').releaseRedemption(discount.reference, this.getCheckoutReference(), session);
+    }
+};
+
+// Method to reserve a use of each coupon in the discounts of a single course
+// checkout, giving back the uses an earlier checkout of the enrollment held
+// for coupons it no longer uses. Returns why a coupon cannot be used, or null.
+enrollmentSchema.methods.reserveCoupons = async function(discounts) {
+    const Coupon = mongoose.model('Coupon');
+    const reference = `enrollment:${this._id}`;
+    const couponIds = discounts
+        .filter(discount => discount.kind === 'coupon')
+        .map(discount => discount.reference.toString());
+
+    for (const couponId of couponIds) {
+        const reason = await Coupon.reserveRedemption(couponId, this.student, reference);
+        if (reason) {
+            return reason;
+        }
+    }
+
+    if (!this.order) {
+        for (const discount of this.discounts.filter(entry => entry.kind === 'coupon')) {
+            if (!couponIds.includes(discount.reference.toString())) {
+                await Coupon.releaseRedemption(discount.reference, reference);
+            }
+        }
+    }
+
+    return null;
+};
+
+// Method to keep the unpaid checkout of a single course purchase before a
+// retry replaces it, so a late payment of it still reaches the enrollment
+enrollmentSchema.methods.supersedeCheckout = function() {
+    const { payment } = this;
+    if (this.order || !payment || payment.status !== 'pending' || !payment.transactionId) {
+        return;
+    }
+    if (['free', 'subscription'].includes(payment.provider)) {
+        return;
+    }
+
+    this.supersededCheckouts.push({
+        amount: payment.amount,
+        listAmount: payment.listAmount,
+        exchangeRate: payment.exchangeRate,
+        currency: payment.currency,
+        method: payment.method,
+        provider: payment.provider,
+        transactionId: payment.transactionId,
+        discounts: this.discounts
+    });
+};
+
+// Method to email the receipt of a course purchase
+enrollmentSchema.methods.sendReceipt = async function(invoice) {
+    const course = await mongoose.model('Course').findById(this.course).select('title');
+    return notify('enrollmentReceipt', this.student, {
+        items: [{ title: course ? course.title : 'Course enrollment', amount: this.payment.amount }],
+        total: this.payment.amount,
+        currency: this.payment.currency,
+        invoiceNumber: invoice ? invoice.number : undefined
+    });
+};
+
+// Method to mark lecture as completed
+enrollmentSchema.methods.completeLecture = async function(lectureId, timeSpent = 0) {
+    const course = await mongoose.model('Course').findById(this.course).select('lectures');
+    if (!course || !course.hasLecture(lectureId)) {
+        throw new Error('Lecture does not belong to this course');
+    }
+
+    const existingIndex = this.completedLectures.findIndex(
+        cl => cl.lecture.toString() === lectureId.toString()
+    );
+    
+    if (existingIndex === -1) {
+        this.completedLectures.push({
+            lecture: lectureId,
+            timeSpent
+        });
+    }
+
+    this.totalTimeSpent += Math.round(timeSpent / 60);
+    
+    // Update progress
+    const weights = await mongoose.model('Lecture').getWeights(course.lectures);
+    this.updateProgress(weights);
+    this.lastAccessed = new Date();
+    
+    return this.save();
+};
+
+// Method to find the first lecture of the course that has not been completed.
+// Expects the course to be populated with its lectures.
+enrollmentSchema.methods.getNextLectureId = function() {
+    const lectures = this.course && this.course.lectures ? this.course.lectures : [];
+    const completedIds = new Set(this.completedLectures.map(cl => cl.lecture.toString()));
+
+    const next = lectures.find(lecture => !completedIds.has(lecture.toString()));
+    return next || null;
+};
+
+// Method to give an expired enrollment access again
+enrollmentSchema.methods.reactivate = function() {
+    if (this.status === 'expired') {
+        this.status = this.progress === 100 ? 'completed' : 'active';
+    }
+    this.expiryReminderSentAt = undefined;
+};
+
+// Method to extend time-limited access by a number of days, counted from
+// the current expiry or from now if access has already lapsed. Without a
+// number of days the enrollment becomes lifetime access.
+enrollmentSchema.methods.extendAccess = function(days) {
+    if (days) {
+        const base = this.accessExpiry && this.accessExpiry > new Date() ? this.accessExpiry : new Date();
+        this.accessExpiry = new Date(base.getTime() + days * DAY_MS);
+        this.isLifetime = false;
+    } else {
+        this.accessExpiry = undefined;
+        this.isLifetime = true;
+    }
+    this.reactivate();
+};
+
+// Method to apply a confirmed renewal payment
+enrollmentSchema.methods.applyRenewal = async function(renewal, chargeId) {
+    renewal.status = 'completed';
+    renewal.paidAt = new Date();
+    if (chargeId) {
+        renewal.chargeId = chargeId;
+    }
+
+    this.extendAccess(renewal.durationDays);
+    await this.save();
+
+    await mongoose.model('LedgerEntry').recordSale(this, {
+        reference: `renewal:${renewal._id}`,
+        type: 'renewal',
+        amount: renewal.amount,
+        currency: renewal.currency,
+        exchangeRate: renewal.exchangeRate,
+        availableAt: getPayoutDate(renewal.paidAt)
+    });
+
+    return this;
+};
+
+// Method to explain why the student may not open course content, or null
+// if they may
+enrollmentSchema.methods.getAccessDeniedReason = function() {
+    if (this.payment.status === 'refunded') {
+        return 'This enrollment has been refunded';
+    }
+    if (this.status === 'cancelled') {
+        return 'This enrollment has been cancelled';
+    }
+    if (this.status === 'pending') {
+        return 'Payment for this enrollment has not been completed';
+    }
+    if (this.status === 'expired' || this.isExpired) {
+        return 'Access to this course has expired';
+    }
+    return null;
+};
+
+// Method to get the saved playback state of a lecture
+enrollmentSchema.methods.getLectureProgress = function(lectureId) {
+    return this.lectureProgress.find(lp => lp.lecture.toString() === lectureId.toString()) || null;
+};
+
+// Method to record a playback heartbeat for a lecture.
+// Watched intervals are merged so re-watching a part does not count twice;
+// the lecture is completed once enough of it has been watched.
+enrollmentSchema.methods.recordPlayback = async function(lecture, { position, intervals = [], duration }) {
+    const lectureDuration = lecture.duration || duration || 0;
+    const clamp = value => Math.max(0, lectureDuration > 0 ? Math.min(value, lectureDuration) : value);
+
+    let entry = this.getLectureProgress(lecture._id);
+    if (!entry) {
+        this.lectureProgress.push({ lecture: lecture._id });
+        entry = this.lectureProgress[this.lectureProgress.length - 1];
+    }
+
+    const watched = mergeIntervals([
+        ...entry.watchedIntervals.map(({ start, end }) => ({ start, end })),
+        ...intervals.map(({ start, end }) => ({ start: clamp(start), end: clamp(end) }))
+    ]).filter(interval => interval.end > interval.start);
+
+    entry.watchedIntervals = watched;
+    entry.watchedSeconds = watched.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+    entry.position = clamp(position);
+    entry.updatedAt = new Date();
+
+    this.lastLecture = lecture._id;
+    this.lastAccessed = new Date();
+
+    const watchedPercent = lectureDuration > 0
+        ? Math.min(100, Math.floor((entry.watchedSeconds / lectureDuration) * 100))
+        : 0;
+    const alreadyCompleted = this.completedLectures.some(
+        cl => cl.lecture.toString() === lecture._id.toString()
+    );
+
+    if (!alreadyCompleted && lectureDuration > 0 && watchedPercent >= getCompletionThreshold()) {
+        await this.completeLecture(lecture._id, Math.round(entry.watchedSeconds));
+    } else {
+        await this.save();
+    }
+
+    return {
+        lecture: lecture._id,
+        position: entry.position,
+        watchedSeconds: entry.watchedSeconds,
+        watchedPercent,
+        completed: this.completedLectures.some(cl => cl.lecture.toString() === lecture._id.toString()),
+        progress: this.progress
+    };
+};
+
+// Method to update progress
+// Progress is the duration-weighted share of the course's current lectures
+// that have been completed; lectures removed from the course no longer count.
+enrollmentSchema.methods.updateProgress = function(weights) {
+    let totalWeight = 0;
+    let completedWeight = 0;
+
+    const completedIds = new Set(this.completedLectures.map(cl => cl.lecture.toString()));
+    weights.forEach((weight, lectureId) => {
+        totalWeight += weight;
+        if (completedIds.has(lectureId)) {
+            completedWeight += weight;
+        }
+    });
+
+    if (totalWeight === 0) {
+        this.progress = 0;
+    } else if (completedWeight === totalWeight) {
+        this.progress = 100;
+    } else {
+        // Round down so progress only reaches 100% once every lecture is done
+        this.progress = Math.floor((completedWeight / totalWeight) * 100);
+    }
+
+    return this.progress;
+};
+
+// Method to issue certificate
+// Every required quiz and assignment of the course must have been passed.
+enrollmentSchema.methods.issueCertificate = async function() {
+    if (this.progress !== 100 || this.certificate.issued) {
+        throw new Error('Cannot issue certificate: course not completed or already issued');
+    }
+
+    const unpassed = await mongoose.model('AssessmentAttempt').findUnpassed(this.student, this.course);
+    if (unpassed.length > 0) {
+        throw new Error(`Cannot issue certificate: pass ${unpassed.map(assessment => assessment.title).join(', ')} first`);
+    }
+
+    const User = mongoose.model('User');
+    const [student, course, instructor] = await Promise.all([
+        User.findById(this.student).select('fullName'),
+        mongoose.model('Course').findById(this.course).select('title'),
+        User.findById(this.instructor).select('fullName')
+    ]);
+
+    const certificateId = generateCertificateId();
+
+    this.certificate.issued = true;
+    this.certificate.issuedAt = new Date();
+    this.certificate.certificateId = certificateId;
+    this.certificate.downloadUrl = `/certificates/${certificateId}`;
+    this.certificate.studentName = student.fullName;
+    this.certificate.courseTitle = course.title;
+    this.certificate.instructorName = instructor.fullName;
+    this.certificate.completionDate = this.completionDate || new Date();
+    this.certificate.hash = signCertificate(this.certificate);
+
+    return this.save();
+};
+
+// Method to revoke an issued certificate
+enrollmentSchema.methods.revokeCertificate = function(reason) {
+    if (!this.certificate.issued) {
+        throw new Error('No certificate has been issued for this enrollment');
+    }
+
+    if (!this.certificate.revoked) {
+        this.certificate.revoked = true;
+        this.certificate.revokedAt = new Date();
+        this.certificate.revocationReason = reason;
+    }
+
+    return this;
+};
+
+// Method to request refund
+enrollmentSchema.methods.requestRefund = function(reason) {
+    if (this.refundRequested) {
+        throw new Error('Refund already requested');
+    }
+
+    if (this.payment.status !== 'completed' || this.payment.amount === 0) {
+        throw new Error('Only paid enrollments can be refunded');
+    }
+
+    const policy = getRefundPolicy();
+    const daysSincePayment = (Date.now() - this.payment.paidAt) / (1000 * 60 * 60 * 24);
+
+    if (daysSincePayment > policy.windowDays) {
+        throw new Error(`Refunds must be requested within ${policy.windowDays} days of purchase`);
+    }
+
+    if (this.progress > policy.maxProgress) {
+        throw new Error(`Refunds are not available after completing more than ${policy.maxProgress}% of the course`);
+    }
+
+    if (this.certificate.issued) {
+        throw new Error('Refunds are not available once a certificate has been issued');
+    }
+    
+    this.refundRequested = true;
+    this.refundReason = reason;
+    this.refundStatus = 'pending';
+    
+    return this.save();
+};
+
+// Method to record an approved refund once the payment provider has issued it.
+// Refunding revokes access to the course and any certificate.
+enrollmentSchema.methods.completeRefund = async function(amount, refundId) {
+    const wasCounted = ['active', 'completed', 'expired'].includes(this.status);
+
+    this.refundStatus = 'approved';
+    this.refundAmount = amount;
+    this.refundProcessedAt = new Date();
+
+    this.payment.status = 'refunded';
+    this.payment.refundId = refundId;
+    this.payment.refundedAt = new Date();
+
+    this.status = 'cancelled';
+
+    if (this.certificate.issued) {
+        this.revokeCertificate('Enrollment refunded');
+    }
+
+    await this.save();
+
+    if (wasCounted) {
+        await mongoose.model('Course').updateOne(
+            { _id: this.course, enrollmentCount: { $gt: 0 } },
+            { $inc: { enrollmentCount: -1 } }
+        );
+    }
+
+    // The coupon use is given back once nothing bought with it is kept
+    if (!this.order || !(await this.constructor.exists({ order: this.order, 'payment.status': 'completed' }))) {
+        await this.releaseCoupons();
+    }
+
+    // Reverse the instructor's share and credit the purchase invoice
+    await mongoose.model('LedgerEntry').recordRefund(this);
+    await issueCreditNote(this);
+
+    return this;
+};
+
+// Static method to find active enrollments for a student
+enrollmentSchema.statics.findActiveByStudent = function(studentId) {
+    return this.find({ 
+        student: studentId, 
+        status: 'active' 
+    }).populate('course', 'title thumbnail duration instructor');
+};
+
+// Static method to find an enrollment by its certificate ID
+enrollmentSchema.statics.findByCertificateId = function(certificateId) {
+    return this.findOne({
+        'certificate.issued': true,
+        'certificate.certificateId': certificateId
+    });
+};
+
+// Static method to find enrollments by course
+enrollmentSchema.statics.findByCourse = function(courseId) {
+    return this.find({ course: courseId }).populate('student', 'fullName email avatar');
+};
+
+// Static method to apply a verified payment provider event to the
+// enrollment it was created for. The pending payment is claimed first, so
+// that when a provider delivers the same event twice at once only one
+// delivery applies it; events for payments that are no longer pending are
+// ignored, so webhook retries are safe.
+enrollmentSchema.statics.applyPaymentEvent = async function(providerName, event) {
+    const match = { 'payment.provider': providerName, 'payment.transactionId': event.intentId };
+    const enrollment = await this.findOneAndUpdate(
+        { ...match, 'payment.status': 'pending' },
+        { $set: { 'payment.status': 'processing' } },
+        { new: true }
+    );
+    if (!enrollment) {
+        return await this.findOne(match) || this.applySupersededPaymentEvent(providerName, event);
+    }
+
+    try {
+        if (event.type !== 'payment.succeeded') {
+            enrollment.status = 'cancelled';
+            enrollment.payment.status = 'failed';
+            await enrollment.save();
+            await enrollment.releaseCoupons();
+            return enrollment;
+        }
+
+        if (event.amount !== undefined && !isSameAmount(event.amount, enrollment.payment.amount, enrollment.payment.currency)) {
+            throw new Error('Paid amount does not match the enrollment price');
+        }
+        await enrollment.activate(event.chargeId);
+    } catch (error) {
+        // Hand the payment back, so the provider's retry is applied
+        await this.updateOne(
+            { _id: enrollment._id, 'payment.status': 'processing' },
+            { $set: { 'payment.status': 'pending' } }
+        );
+        throw error;
+    }
+
+    const invoice = await issueEnrollmentInvoice(enrollment);
+    await enrollment.sendReceipt(invoice);
+    return enrollment;
+};
+
+// Static method to apply a verified payment provider event to a checkout
+// that a retry replaced. A late payment activates the enrollment if it is
+// still unpaid, in place of the newer checkout; if the course was paid or
+// ordered some other way since, the late payment is refunded. Returns null if the intent
+// is not a replaced checkout's.
+enrollmentSchema.statics.applySupersededPaymentEvent = async function(providerName, event) {
+    const checkoutMatch = { provider: providerName, transactionId: event.intentId };
+    const enrollment = await this.findOneAndUpdate(
+        { supersededCheckouts: { $elemMatch: { ...checkoutMatch, status: 'pending' } } },
+        { $set: { 'supersededCheckouts.$.status': 'processing' } },
+        { new: true }
+    );
+    if (!enrollment) {
+        return this.findOne({ supersededCheckouts: { $elemMatch: checkoutMatch } });
+    }
+
+    const checkout = enrollment.supersededCheckouts.find(
+        entry => entry.provider === providerName && entry.transactionId === event.intentId
+    );
+
+    if (event.type !== 'payment.succeeded') {
+        checkout.status = 'failed';
+        return enrollment.save();
+    }
+
+    if (event.amount !== undefined && !isSameAmount(event.amount, checkout.amount, checkout.currency)) {
+        await this.updateOne(
+            { _id: enrollment._id, 'supersededCheckouts._id': checkout._id },
+            { $set: { 'supersededCheckouts.$.status': 'pending' } }
+        );
+        throw new Error('Paid amount does not match the enrollment price');
+    }
+
+    const claimed = await this.updateOne(
+        { _id: enrollment._id, order: null, 'payment.status': { $in: ['pending', 'failed'] } },
+        { $set: { 'payment.status': 'processing' } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+        checkout.status = 'paid';
+        try {
+            const refund = await getProvider(providerName).refund({
+                intentId: event.intentId,
+                chargeId: event.chargeId,
+                amount: checkout.amount,
+                currency: checkout.currency
+            });
+            checkout.status = 'refunded';
+            checkout.refundId = refund.refundId;
+        } catch (error) {
+            // Left as paid so the payment shows up for a manual refund
+            console.error('Superseded checkout refund error:', error);
+        }
+        return enrollment.save();
+    }
+
+    // The newer checkout is the one left waiting now
+    const previousStatus = enrollment.payment.status;
+    enrollment.supersedeCheckout();
+    checkout.status = 'paid';
+    enrollment.discounts = checkout.discounts;
+    enrollment.payment = {
+        amount: checkout.amount,
+        listAmount: checkout.listAmount,
+        exchangeRate: checkout.exchangeRate,
+        currency: checkout.currency,
+        method: checkout.method,
+        provider: checkout.provider,
+        transactionId: checkout.transactionId,
+        status: 'processing'
+    };
+    try {
+        await enrollment.activate(event.chargeId);
+    } catch (error) {
+        // Hand both payments back, so the provider's retry is applied
+        await this.updateOne(
+            { _id: enrollment._id, 'payment.status': 'processing' },
+            { $set: { 'payment.status': previousStatus } }
+        );
+        await this.updateOne(
+            { _id: enrollment._id, 'supersededCheckouts._id': checkout._id },
+            { $set: { 'supersededCheckouts.$.status': 'pending' } }
+        );
+        throw error;
+    }
+
+    const invoice = await issueEnrollmentInvoice(enrollment);
+    await enrollment.sendReceipt(invoice);
+    return enrollment;
+};
+
+// Static method to apply a verified payment provider event to a pending
+// access renewal. Returns null if the intent is not a renewal's. As with
+// purchases, the renewal is claimed before it is applied.
+enrollmentSchema.statics.applyRenewalEvent = async function(providerName, event) {
+    const renewalMatch = { provider: providerName, transactionId: event.intentId };
+    const enrollment = await this.findOneAndUpdate(
+        { renewals: { $elemMatch: { ...renewalMatch, status: 'pending' } } },
+        { $set: { 'renewals.$.status': 'processing' } },
+        { new: true }
+    );
+    if (!enrollment) {
+        return this.findOne({ renewals: { $elemMatch: renewalMatch } });
+    }
+
+    const renewal = enrollment.renewals.find(
+        entry => entry.provider === providerName && entry.transactionId === event.intentId
+    );
+
+    try {
+        if (event.type !== 'payment.succeeded') {
+            renewal.status = 'failed';
+            return await enrollment.save();
+        }
+
+        if (event.amount !== undefined && !isSameAmount(event.amount, renewal.amount, renewal.currency)) {
+            throw new Error('Paid amount does not match the renewal price');
+        }
+        await enrollment.applyRenewal(renewal, event.chargeId);
+    } catch (error) {
+        // Hand the renewal back, so the provider's retry is applied
+        await this.updateOne(
+            { _id: enrollment._id, renewals: { $elemMatch: { _id: renewal._id, status: 'processing' } } },
+            { $set: { 'renewals.$.status': 'pending' } }
+        );
+        throw error;
+    }
+
+    await issueRenewalInvoice(enrollment, renewal);
+    return enrollment;
+};
+
+// Static method to align the access of enrollments taken through a
+// subscription with its current billing period
+enrollmentSchema.statics.syncWithSubscription = async function(subscription) {
+    const enrollments = await this.find({
+        subscription: subscription._id,
+        status: { $in: ['active', 'completed', 'expired'] }
+    });
+
+    for (const enrollment of enrollments) {
+        enrollment.accessExpiry = subscription.currentPeriodEnd;
+        if (subscription.isCurrent) {
+            enrollment.reactivate();
+        }
+        await enrollment.save();
+    }
+
+    return enrollments.length;
+};
+
+// Static method to move enrollments whose access has lapsed to expired
+enrollmentSchema.statics.expireLapsed = async function() {
+    const result = await this.updateMany(
+        {
+            status: { $in: ['active', 'completed'] },
+            isLifetime: false,
+            accessExpiry: { $lte: new Date() }
+        },
+        { $set: { status: 'expired' } }
+    );
+    return result.modifiedCount;
+};
+
+// Static method to recalculate progress for every enrollment in a course,
+// used when the course curriculum changes
+enrollmentSchema.statics.recalculateProgressForCourse = async function(courseId) {
+    const course = await mongoose.model('Course').findById(courseId).select('lectures');
+    if (!course) return 0;
+
+    const weights = await mongoose.model('Lecture').getWeights(course.lectures);
+    const enrollments = await this.find({
+        course: courseId,
+        status: { $in: ['active', 'completed'] }
+    });
+
+    for (const enrollment of enrollments) {
+        enrollment.updateProgress(weights);
+        await enrollment.save();
+    }
+
+    return enrollments.length;
+};
+
+// Static method to get enrollment statistics
+enrollmentSchema.statics.getStats = function() {
+    return this.aggregate([
+        {
+            $group: {
+                _id: null,
+                totalEnrollments: { $sum: 1 },
+                activeEnrollments: {
+                    $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] }
+                },
+                completedEnrollments: {
+                    $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+                },
+                totalRevenue: {
+                    $sum: { $cond: [{ $eq: ['$payment.status', 'completed'] }, '$payment.amount', 0] }
+                }
+            }
+        }
+    ]);
+};
+
+module.exports = mongoose.model('Enrollment', enrollmentSchema); 
\ No newline at end of file
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// A community event (webinar, workshop or meetup) members can register for
+const eventSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Event title is required'],
+        trim: true,
+        maxlength: [150, 'Event title cannot exceed 150 characters']
+    },
+    description: {
+        type: String,
+        required: [true, 'Event description is required'],
+        maxlength: [5000, 'Description cannot exceed 5000 characters']
+    },
+    type: {
+        type: String,
+        enum: ['webinar', 'workshop', 'meetup', 'other'],
+        default: 'webinar'
+    },
+    image: {
+        type: String,
+        default: ''
+    },
+    startsAt: {
+        type: Date,
+        required: [true, 'Start time is required']
+    },
+    endsAt: {
+        type: Date,
+        required: [true, 'End time is required'],
+        validate: {
+            validator: function(endsAt) {
+                return !this.startsAt || endsAt > this.startsAt;
+            },
+            message: 'An event must end after it starts'
+        }
+    },
+    // Online events have a joining link, shared with registered members only
+    isOnline: {
+        type: Boolean,
+        default: true
+    },
+    meetingUrl: {
+        type: String,
+        select: false
+    },
+    venue: String,
+    address: String,
+    // 0 allows unlimited registrations
+    capacity: {
+        type: Number,
+        default: 0,
+        min: [0, 'Capacity cannot be negative']
+    },
+    registeredCount: {
+        type: Number,
+        default: 0
+    },
+    waitlistCount: {
+        type: Number,
+        default: 0
+    },
+    host: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Host is required']
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'published', 'cancelled'],
+        default: 'draft'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+eventSchema.index({ status: 1, startsAt: 1 });
+eventSchema.index({ host: 1, startsAt: -1 });
+
+// Virtual for the places left, or null when there is no limit
+eventSchema.virtual('spotsLeft').get(function() {
+    return this.capacity > 0 ? Math.max(0, this.capacity - this.registeredCount) : null;
+});
+
+eventSchema.virtual('isFull').get(function() {
+    return this.capacity > 0 && this.registeredCount >= this.capacity;
+});
+
+// Method to describe where the event takes place. Online events give their
+// joining link when it was selected.
+eventSchema.methods.getLocation = function() {
+    return this.isOnline
+        ? this.meetingUrl || 'Online'
+        : [this.venue, this.address].filter(Boolean).join(', ');
+};
+
+// Method to check if members can still register
+eventSchema.methods.isOpenForRegistration = function() {
+    return this.status === 'published' && this.endsAt > new Date();
+};
+
+// Method to check if a user can manage the event. The host may be populated.
+eventSchema.methods.canManage = function(user) {
+    const hostId = this.host._id || this.host;
+    return Boolean(user) && (user.role === 'admin' || hostId.toString() === user.userId);
+};
+
+// Static method to take a place at the event if one is free. `fromWaitlist`
+// moves the place from the waitlist. Returns false if the event is full.
+eventSchema.statics.claimSpot = async function(eventId, { fromWaitlist = false } = {}) {
+    const filter = {
+        _id: eventId,
+        $or: [{ capacity: 0 }, { $expr: { $lt: ['$registeredCount', '$capacity'] } }]
+    };
+    if (fromWaitlist) {
+        filter.waitlistCount = { $gt: 0 };
+    }
+
+    const result = await this.updateOne(
+        filter,
+        { $inc: fromWaitlist ? { registeredCount: 1, waitlistCount: -1 } : { registeredCount: 1 } }
+    );
+    return result.modifiedCount === 1;
+};
+
+module.exports = mongoose.model('Event', eventSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// A member's registration for an event. Members who register for a full
+// event join its waitlist and get a place, oldest first, when one frees up.
+const eventRegistrationSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: [true, 'Event is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    status: {
+        type: String,
+        enum: ['registered', 'waitlisted', 'cancelled'],
+        required: true
+    },
+    registeredAt: Date,
+    waitlistedAt: Date,
+    cancelledAt: Date,
+    reminderSentAt: Date
+}, {
+    timestamps: true
+});
+
+eventRegistrationSchema.index({ event: 1, user: 1 }, { unique: true });
+eventRegistrationSchema.index({ event: 1, status: 1, waitlistedAt: 1 });
+eventRegistrationSchema.index({ user: 1, status: 1 });
+
+// Static method to register a user for an event, or put them on its
+// waitlist when it is full. Registering again keeps the current place.
+eventRegistrationSchema.statics.register = async function(event, userId) {
+    const existing = await this.findOne({ event: event._id, user: userId });
+    if (existing && existing.status !== 'cancelled') {
+        return existing;
+    }
+
+    const Event = mongoose.model('Event');
+    const registration = existing || new this({ event: event._id, user: userId });
+    const now = new Date();
+
+    if (await Event.claimSpot(event._id)) {
+        registration.status = 'registered';
+        registration.registeredAt = now;
+    } else {
+        registration.status = 'waitlisted';
+        registration.waitlistedAt = now;
+        await Event.updateOne({ _id: event._id }, { $inc: { waitlistCount: 1 } });
+    }
+    registration.cancelledAt = undefined;
+    registration.reminderSentAt = undefined;
+
+    return registration.save();
+};
+
+// Method to cancel the registration. A freed place goes to the waitlist;
+// returns the registrations that got a place.
+eventRegistrationSchema.methods.cancel = async function() {
+    const previousStatus = this.status;
+    if (previousStatus === 'cancelled') {
+        return [];
+    }
+
+    this.status = 'cancelled';
+    this.cancelledAt = new Date();
+    await this.save();
+
+    const Event = mongoose.model('Event');
+    if (previousStatus === 'waitlisted') {
+        await Event.updateOne({ _id: this.event }, { $inc: { waitlistCount: -1 } });
+        return [];
+    }
+
+    await Event.updateOne({ _id: this.event }, { $inc: { registeredCount: -1 } });
+    return this.constructor.promoteWaitlist(this.event);
+};
+
+// Static method to give free places of an event to its waitlist, oldest
+// first. Returns the registrations that got a place.
+eventRegistrationSchema.statics.promoteWaitlist = async function(eventId) {
+    const Event = mongoose.model('Event');
+    const promoted = [];
+
+    while (await Event.claimSpot(eventId, { fromWaitlist: true })) {
+        const registration = await this.findOneAndUpdate(
+            { event: eventId, status: 'waitlisted' },
+            { $set: { status: 'registered', registeredAt: new Date() } },
+            { sort: { waitlistedAt: 1 }, new: true }
+        );
+        if (!registration) {
+            // The waitlist emptied in the meantime: give the place back
+            await Event.updateOne({ _id: eventId }, { $inc: { registeredCount: -1, waitlistCount: 1 } });
+            break;
+        }
+        promoted.push(registration);
+    }
+
+    return promoted;
+};
+
+module.exports = mongoose.model('EventRegistration', eventRegistrationSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Exchange rate set by an admin, taking precedence over the rates file.
+// Rates are units of the currency per one unit of the base currency.
+const exchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        unique: true,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter currency code']
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Exchange rate is required'],
+        min: [0.000001, 'Exchange rate must be positive']
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A community forum, open to every member who joins it. Its topics are
+// discussion threads.
+const forumSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Forum title is required'],
+        trim: true,
+        maxlength: [100, 'Forum title cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        required: [true, 'Forum description is required'],
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    // Font Awesome icon class, e.g. "fas fa-code"
+    icon: {
+        type: String,
+        default: 'fas fa-comments',
+        match: [/^fa[a-z]? fa-[a-z0-9-]+$/, 'Icon must be a Font Awesome class such as "fas fa-code"']
+    },
+    // Users who moderate the forum besides admins
+    moderators: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    order: {
+        type: Number,
+        default: 0
+    },
+    memberCount: {
+        type: Number,
+        default: 0
+    },
+    threadCount: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+forumSchema.index({ isActive: 1, order: 1 });
+
+// Method to check if a user moderates the forum
+forumSchema.methods.isModerator = function(user) {
+    return Boolean(user) && (user.role === 'admin' ||
+        this.moderators.some(moderator => moderator.toString() === user.userId));
+};
+
+module.exports = mongoose.model('Forum', forumSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A user who joined a community forum
+const forumMembershipSchema = new mongoose.Schema({
+    forum: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Forum',
+        required: [true, 'Forum is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    }
+}, {
+    timestamps: true
+});
+
+forumMembershipSchema.index({ forum: 1, user: 1 }, { unique: true });
+forumMembershipSchema.index({ user: 1 });
+
+// Static method to add a user to a forum. Returns false if they were
+// already a member.
+forumMembershipSchema.statics.join = async function(forumId, userId) {
+    const result = await this.updateOne(
+        { forum: forumId, user: userId },
+        { $setOnInsert: { forum: forumId, user: userId } },
+        { upsert: true }
+    );
+    if (result.upsertedCount === 0) {
+        return false;
+    }
+
+    await mongoose.model('Forum').updateOne({ _id: forumId }, { $inc: { memberCount: 1 } });
+    return true;
+};
+
+// Static method to remove a user from a forum. Returns false if they were
+// not a member.
+forumMembershipSchema.statics.leave = async function(forumId, userId) {
+    const result = await this.deleteOne({ forum: forumId, user: userId });
+    if (result.deletedCount === 0) {
+        return false;
+    }
+
+    await mongoose.model('Forum').updateOne({ _id: forumId }, { $inc: { memberCount: -1 } });
+    return true;
+};
+
+// Static method to find which of some forums a user joined
+forumMembershipSchema.statics.findJoinedBy = async function(forumIds, userId) {
+    const memberships = await this.find({ forum: { $in: forumIds }, user: userId }).select('forum');
+    return memberships.map(membership => membership.forum.toString());
+};
+
+module.exports = mongoose.model('ForumMembership', forumMembershipSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const addressSchema = new mongoose.Schema({
+    line1: String,
+    line2: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String // ISO 3166-1 alpha-2
+}, { _id: false });
+
+// Invoice issued for a successful payment, or credit note issued for a
+// refund. Both are immutable once issued and numbered without gaps per year.
+const invoiceSchema = new mongoose.Schema({
+    number: {
+        type: String,
+        required: [true, 'Invoice number is required'],
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: ['invoice', 'credit_note'],
+        default: 'invoice'
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    // Identifies the payment or refund the document was issued for, so
+    // replayed webhooks never issue it twice
+    reference: {
+        type: String,
+        required: [true, 'Reference is required'],
+        unique: true
+    },
+    // Snapshot of the billing details at the time of issue
+    customer: {
+        name: String,
+        email: String,
+        company: String,
+        taxId: String,
+        address: addressSchema
+    },
+    seller: {
+        name: String,
+        address: String,
+        taxId: String
+    },
+    items: [{
+        _id: false,
+        description: {
+            type: String,
+            required: true
+        },
+        course: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Course'
+        },
+        enrollment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Enrollment'
+        },
+        quantity: {
+            type: Number,
+            default: 1
+        },
+        netAmount: Number,
+        taxAmount: Number,
+        total: Number
+    }],
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    exchangeRate: Number, // units of the base currency per unit of currency
+    subtotal: Number, // excluding tax
+    taxName: String,
+    taxRate: {
+        type: Number,
+        default: 0
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        required: [true, 'Invoice total is required']
+    },
+    payment: {
+        method: String,
+        provider: String,
+        transactionId: String,
+        chargeId: String,
+        refundId: String,
+        paidAt: Date
+    },
+    // The invoice a credit note corrects
+    relatedInvoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice'
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subscription'
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+invoiceSchema.index({ 'items.enrollment': 1 });
+
+// Static method to find the invoice that billed an enrollment's purchase
+invoiceSchema.statics.findForEnrollment = function(enrollmentId) {
+    return this.findOne({ type: 'invoice', 'items.enrollment': enrollmentId }).sort({ issuedAt: 1 });
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// A step of a learning path: a course and the earlier courses of the path
+// that should be completed before starting it
+const stepSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: [true, 'Course is required']
+    },
+    prerequisites: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    }]
+}, { _id: false });
+
+// An ordered program of courses, such as a Data Science track. Enrolling in
+// the path enrolls the student in each of its courses.
+const learningPathSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Learning path title is required'],
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        required: [true, 'Description is required'],
+        maxlength: [2000, 'Description cannot exceed 2000 characters']
+    },
+    category: {
+        type: String,
+        required: [true, 'Category is required']
+    },
+    level: {
+        type: String,
+        enum: ['Beginner', 'Intermediate', 'Advanced', 'All Levels'],
+        default: 'All Levels'
+    },
+    thumbnail: String,
+    // In the order they should be taken
+    steps: {
+        type: [stepSchema],
+        validate: [
+            {
+                validator: steps => steps.length >= 2 && steps.length <= 20,
+                message: 'A learning path needs between 2 and 20 courses'
+            },
+            {
+                validator: steps => new Set(steps.map(step => step.course.toString())).size === steps.length,
+                message: 'Each course can only appear once in a learning path'
+            },
+            {
+                validator: steps => steps.every((step, index) => step.prerequisites.every(prerequisite => steps
+                    .slice(0, index)
+                    .some(earlier => earlier.course.equals(prerequisite)))),
+                message: 'Prerequisites must be earlier courses of the learning path'
+            }
+        ]
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Creator is required']
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'published', 'archived'],
+        default: 'draft'
+    },
+    enrollmentCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+learningPathSchema.index({ status: 1, category: 1 });
+learningPathSchema.index({ 'steps.course': 1 });
+learningPathSchema.index({ createdBy: 1 });
+
+// Method to get the IDs of the path's courses, in order. Works whether or
+// not the courses are populated; deleted courses are left out.
+learningPathSchema.methods.getCourseIds = function() {
+    return this.steps
+        .filter(step => step.course)
+        .map(step => step.course._id || step.course);
+};
+
+// Method to check that every course of the path can be bought
+learningPathSchema.methods.getUnavailableCourses = async function() {
+    const courseIds = this.getCourseIds();
+    const published = await mongoose.model('Course')
+        .find({ _id: { $in: courseIds }, status: 'published' })
+        .select('_id');
+
+    return courseIds.filter(id => !published.some(course => course._id.equals(id)));
+};
+
+module.exports = mongoose.model('LearningPath', learningPathSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const lectureSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: [true, 'Course is required']
+    },
+    section: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Section',
+        required: [true, 'Section is required']
+    },
+    title: {
+        type: String,
+        required: [true, 'Lecture title is required'],
+        trim: true,
+        maxlength: [100, 'Lecture title cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [1000, 'Lecture description cannot exceed 1000 characters']
+    },
+    type: {
+        type: String,
+        enum: ['video', 'article', 'resource'],
+        default: 'video'
+    },
+    videoUrl: String,
+    content: String,
+    duration: {
+        type: Number, // in seconds
+        default: 0,
+        min: [0, 'Duration cannot be negative']
+    },
+    order: {
+        type: Number,
+        default: 0
+    },
+    isPreview: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+lectureSchema.index({ course: 1, order: 1 });
+lectureSchema.index({ section: 1, order: 1 });
+
+// Static method to get the progress weight of each lecture in a course.
+// Lectures are weighted by duration; lectures without a duration (articles,
+// resources) fall back to one minute so they still count towards progress.
+lectureSchema.statics.getWeights = async function(lectureIds) {
+    const lectures = await this.find({ _id: { $in: lectureIds } }).select('duration');
+
+    const weights = new Map();
+    lectures.forEach(lecture => {
+        weights.set(lecture._id.toString(), lecture.duration > 0 ? lecture.duration : 60);
+    });
+
+    return weights;
+};
+
+module.exports = mongoose.model('Lecture', lectureSchema);
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const { getBaseCurrency, getExchangeRates, roundAmount } = require('../services/currency');
+const { getRevenueShare } = require('../services/payouts');
+
+// A booking of instructor earnings. Sales and renewals credit the instructor;
+// refunds reverse the share of the refunded amount. Amounts are in the base
+// currency, and entries can be paid out once they are available.
+const ledgerEntrySchema = new mongoose.Schema({
+    instructor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Instructor is required']
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    },
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Enrollment'
+    },
+    type: {
+        type: String,
+        enum: ['sale', 'renewal', 'refund'],
+        required: [true, 'Entry type is required']
+    },
+    // Identifies the payment or refund booked, so it is only booked once
+    reference: {
+        type: String,
+        required: [true, 'Reference is required'],
+        unique: true
+    },
+    currency: {
+        type: String,
+        required: [true, 'Currency is required']
+    },
+    grossAmount: {
+        type: Number,
+        required: [true, 'Gross amount is required']
+    },
+    platformFee: {
+        type: Number,
+        required: [true, 'Platform fee is required']
+    },
+    instructorAmount: {
+        type: Number,
+        required: [true, 'Instructor amount is required']
+    },
+    revenueShare: Number, // percentage credited to the instructor
+    // The payment as charged to the student
+    originalAmount: Number,
+    originalCurrency: String,
+    exchangeRate: Number,
+    // Funds are held until the refund window has passed
+    availableAt: {
+        type: Date,
+        required: [true, 'Available date is required']
+    },
+    payoutBatch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PayoutBatch'
+    },
+    paidOutAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+ledgerEntrySchema.index({ instructor: 1, createdAt: -1 });
+ledgerEntrySchema.index({ payoutBatch: 1, availableAt: 1 });
+ledgerEntrySchema.index({ enrollment: 1, type: 1 });
+
+// Static method to book a completed payment for an enrollment's course.
+// payment: { reference, type, amount, currency, exchangeRate?, availableAt }
+ledgerEntrySchema.statics.recordSale = async function(enrollment, payment, session) {
+    if (!(payment.amount > 0)) {
+        return null;
+    }
+
+    const baseCurrency = getBaseCurrency();
+    let { exchangeRate } = payment;
+    if (!exchangeRate) {
+        const rates = await getExchangeRates();
+        exchangeRate = payment.currency === baseCurrency ? 1 : rates.getBaseRate(payment.currency);
+    }
+    if (!exchangeRate) {
+        throw new Error(`No exchange rate for ${payment.currency}`);
+    }
+
+    const revenueShare = getRevenueShare();
+    const grossAmount = roundAmount(payment.amount * exchangeRate, baseCurrency);
+    const instructorAmount = roundAmount((grossAmount * revenueShare) / 100, baseCurrency);
+
+    await this.updateOne(
+        { reference: payment.reference },
+        {
+            $setOnInsert: {
+                instructor: enrollment.instructor,
+                course: enrollment.course,
+                enrollment: enrollment._id,
+                type: payment.type,
+                currency: baseCurrency,
+                grossAmount,
+                platformFee: roundAmount(grossAmount - instructorAmount, baseCurrency),
+                instructorAmount,
+                revenueShare,
+                originalAmount: payment.amount,
+                originalCurrency: payment.currency,
+                exchangeRate,
+                availableAt: payment.availableAt
+            }
+        },
+        { upsert: true, session }
+    );
+
+    return this.findOne({ reference: payment.reference }).session(session);
+};
+
+// Static method to reverse the instructor's share of a refunded enrollment
+// purchase, in proportion to the amount refunded. While the sale is still
+// held the reversal is held with it; otherwise it is deducted from the next
+// payout.
+ledgerEntrySchema.statics.recordRefund = async function(enrollment) {
+    const sale = await this.findOne({ enrollment: enrollment._id, type: 'sale' }).sort({ createdAt: -1 });
+    if (!sale) {
+        return null;
+    }
+
+    const reference = `refund:${enrollment._id}:${enrollment.payment.refundId || enrollment.payment.transactionId}`;
+    const share = Math.min(enrollment.refundAmount / sale.originalAmount, 1);
+    const now = new Date();
+
+    await this.updateOne(
+        { reference },
+        {
+            $setOnInsert: {
+                instructor: sale.instructor,
+                course: sale.course,
+                enrollment: enrollment._id,
+                type: 'refund',
+                currency: sale.currency,
+                grossAmount: -roundAmount(sale.grossAmount * share, sale.currency),
+                platformFee: -roundAmount(sale.platformFee * share, sale.currency),
+                instructorAmount: -roundAmount(sale.instructorAmount * share, sale.currency),
+                revenueShare: sale.revenueShare,
+                originalAmount: -enrollment.refundAmount,
+                originalCurrency: sale.originalCurrency,
+                exchangeRate: sale.exchangeRate,
+                availableAt: sale.payoutBatch || sale.availableAt < now ? now : sale.availableAt
+            }
+        },
+        { upsert: true }
+    );
+
+    return this.findOne({ reference });
+};
+
+// Static method to sum an instructor's earnings by payout state
+ledgerEntrySchema.statics.getBalance = async function(instructorId) {
+    const now = new Date();
+    const [result] = await this.aggregate([
+        { $match: { instructor: new mongoose.Types.ObjectId(instructorId) } },
+        {
+            $group: {
+                _id: null,
+                held: {
+                    $sum: {
+                        $cond: [
+                            { $and: [{ $not: ['$payoutBatch'] }, { $gt: ['$availableAt', now] }] },
+                            '$instructorAmount',
+                            0
+                        ]
+                    }
+                },
+                available: {
+                    $sum: {
+                        $cond: [
+                            { $and: [{ $not: ['$payoutBatch'] }, { $lte: ['$availableAt', now] }] },
+                            '$instructorAmount',
+                            0
+                        ]
+                    }
+                },
+                processing: {
+                    $sum: {
+                        $cond: [
+                            { $and: [{ $ifNull: ['$payoutBatch', false] }, { $not: ['$paidOutAt'] }] },
+                            '$instructorAmount',
+                            0
+                        ]
+                    }
+                },
+                paidOut: {
+                    $sum: { $cond: [{ $ifNull: ['$paidOutAt', false] }, '$instructorAmount', 0] }
+                },
+                lifetime: { $sum: '$instructorAmount' }
+            }
+        }
+    ]);
+
+    const currency = getBaseCurrency();
+    const round = amount => roundAmount(amount || 0, currency);
+
+    return {
+        currency,
+        held: round(result && result.held),
+        available: round(result && result.available),
+        processing: round(result && result.processing),
+        paidOut: round(result && result.paidOut),
+        lifetime: round(result && result.lifetime)
+    };
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
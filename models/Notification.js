@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Notifications are removed this long after they were created
+const RETENTION_DAYS = 180;
+
+// A message shown in the user's notification centre
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    type: {
+        type: String,
+        enum: [
+            'enrollmentReceipt',
+            'accessExpiring',
+            'subscriptionExpiring',
+            'courseContent',
+            'courseCompleted',
+            'certificateIssued',
+            'refundStatus',
+            'reviewReply',
+            'assessmentGraded',
+            'discussionReply',
+            'eventReminder',
+            'eventPromoted',
+            'eventCancelled',
+            'supportTicketCreated',
+            'supportTicketReply',
+            'supportTicketResolved',
+            'supportTicketCustomerReply',
+            'supportTicketAssigned'
+        ],
+        required: [true, 'Notification type is required']
+    },
+    title: {
+        type: String,
+        required: [true, 'Title is required'],
+        maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    message: {
+        type: String,
+        maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    // Page or file the notification leads to
+    link: String,
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    },
+    readAt: Date
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to count the user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+    return this.countDocuments({ user: userId, readAt: null });
+};
+
+// Static method to mark some or all of the user's notifications as read.
+// Returns the number of notifications marked.
+notificationSchema.statics.markRead = async function(userId, notificationIds) {
+    const filter = { user: userId, readAt: null };
+    if (notificationIds) filter._id = { $in: notificationIds };
+
+    const result = await this.updateMany(filter, { $set: { readAt: new Date() } });
+    return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,339 @@
+const mongoose = require('mongoose');
+const { getProvider } = require('../services/payments');
+const { issueOrderInvoice } = require('../services/invoices');
+const { notify } = require('../services/notifications');
+const { isSameAmount } = require('../services/currency');
+
+// Raised when a course in an order can no longer be bought when the
+// payment is confirmed, so the whole order is rolled back
+class OrderConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OrderConflictError';
+    }
+}
+
+const discountSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['campaign', 'bundle', 'coupon']
+    },
+    reference: mongoose.Schema.Types.ObjectId,
+    name: String,
+    code: String,
+    amount: Number
+}, { _id: false });
+
+// A checkout of one or more courses paid with a single charge. Each course
+// gets its own enrollment, activated together once the payment is confirmed.
+const orderSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    items: [{
+        _id: false,
+        course: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Course',
+            required: true
+        },
+        title: String,
+        enrollment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Enrollment'
+        },
+        accessOption: mongoose.Schema.Types.ObjectId,
+        listPrice: Number,
+        discounts: [discountSchema],
+        finalPrice: Number
+    }],
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    exchangeRate: Number, // units of the base currency per unit of currency at checkout
+    subtotal: Number,
+    discountTotal: Number,
+    total: {
+        type: Number,
+        required: [true, 'Order total is required'],
+        min: [0, 'Order total cannot be negative']
+    },
+    couponCode: String,
+    // Set when the order enrolls the user in a learning path
+    learningPath: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LearningPath'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'paid', 'failed', 'cancelled'],
+        default: 'pending'
+    },
+    // Why a paid order could not be fulfilled
+    failureReason: String,
+    payment: {
+        method: {
+            type: String,
+            enum: ['credit_card', 'paypal', 'stripe', 'bank_transfer', 'crypto'],
+            required: [true, 'Payment method is required']
+        },
+        provider: {
+            type: String,
+            enum: ['stripe', 'paypal', 'bank_transfer', 'mock', 'free']
+        },
+        transactionId: {
+            type: String,
+            required: [true, 'Transaction ID is required']
+        },
+        chargeId: String,
+        refundId: String,
+        // processing while a payment event is being applied
+        status: {
+            type: String,
+            enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+            default: 'pending'
+        },
+        paidAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ 'payment.provider': 1, 'payment.transactionId': 1 });
+
+// Method to add a pending enrollment and an order item for every line of a
+// checkout quote, then save the order. Courses with an unpaid or failed
+// checkout reuse their enrollment, keeping an unpaid single course checkout
+// in case it is paid late. A use of the coupon is reserved for the order,
+// throwing OrderConflictError if it is used up. Free orders are fulfilled
+// straight away.
+orderSchema.methods.createEnrollments = async function(quote, existing, session) {
+    const Enrollment = mongoose.model('Enrollment');
+
+    for (const couponId of this.getCouponIds(quote.lines)) {
+        const reason = await mongoose.model('Coupon').reserveRedemption(couponId, this.user, `order:${this._id}`, session);
+        if (reason) {
+            throw new OrderConflictError(reason);
+        }
+    }
+
+    // Built up before it is set, as the transaction may run this again
+    const items = [];
+    for (const line of quote.lines) {
+        let enrollment = existing.find(entry => entry.course.equals(line.course._id));
+        if (!enrollment) {
+            enrollment = new Enrollment({
+                student: this.user,
+                course: line.course._id,
+                instructor: line.course.instructor
+            });
+        }
+
+        // The order takes over an unpaid single course checkout, so the
+        // coupon use held for that checkout is given back
+        if (!enrollment.order) {
+            await enrollment.releaseCoupons(session);
+        }
+
+        enrollment.supersedeCheckout();
+        enrollment.status = 'pending';
+        enrollment.subscription = undefined;
+        enrollment.order = this._id;
+        enrollment.isLifetime = !line.accessOption.durationDays;
+        enrollment.accessDurationDays = line.accessOption.durationDays || undefined;
+        enrollment.discounts = line.discounts;
+        enrollment.payment = {
+            amount: line.finalPrice,
+            listAmount: line.listPrice,
+            currency: quote.currency,
+            exchangeRate: quote.exchangeRate,
+            method: this.payment.method,
+            provider: this.payment.provider,
+            transactionId: this.payment.transactionId,
+            status: 'pending'
+        };
+        await enrollment.save({ session });
+
+        items.push({
+            course: line.course._id,
+            title: line.course.title,
+            enrollment: enrollment._id,
+            accessOption: line.accessOption._id,
+            listPrice: line.listPrice,
+            discounts: line.discounts,
+            finalPrice: line.finalPrice
+        });
+    }
+
+    this.items = items;
+    await this.save({ session });
+
+    // Free orders have nothing to wait for
+    if (this.total === 0) {
+        await this.fulfil(null, session);
+    }
+
+    return this;
+};
+
+// Method to activate every enrollment of the order within a transaction.
+// Throws OrderConflictError if a course was unpublished or bought some
+// other way since checkout, so the transaction rolls back as a whole.
+orderSchema.methods.fulfil = async function(chargeId, session) {
+    const Enrollment = mongoose.model('Enrollment');
+    const courseIds = this.items.map(item => item.course);
+
+    const [courses, enrollments] = await Promise.all([
+        mongoose.model('Course').find({ _id: { $in: courseIds } }).select('status').session(session),
+        Enrollment.find({ _id: { $in: this.items.map(item => item.enrollment) } }).session(session)
+    ]);
+
+    for (const item of this.items) {
+        const course = courses.find(entry => entry._id.equals(item.course));
+        if (!course || course.status !== 'published') {
+            throw new OrderConflictError(`${item.title} is no longer available`);
+        }
+
+        const enrollment = enrollments.find(entry => entry._id.equals(item.enrollment));
+        if (!enrollment || !this._id.equals(enrollment.order) || enrollment.payment.status !== 'pending') {
+            throw new OrderConflictError(`You already own ${item.title}`);
+        }
+    }
+
+    for (const enrollment of enrollments) {
+        await enrollment.activate(chargeId);
+    }
+
+    this.status = 'paid';
+    this.payment.status = 'completed';
+    this.payment.paidAt = new Date();
+    if (chargeId) {
+        this.payment.chargeId = chargeId;
+    }
+    await this.save({ session });
+
+    await mongoose.model('Cart').removeCourses(this.user, courseIds, { session });
+
+    if (this.learningPath) {
+        await mongoose.model('PathEnrollment').activateForOrder(this._id, session);
+    }
+
+    return this;
+};
+
+// Method to email the receipt of a fulfilled order
+orderSchema.methods.sendReceipt = function(invoice) {
+    return notify('enrollmentReceipt', this.user, {
+        items: this.items.map(item => ({ title: item.title, amount: item.finalPrice })),
+        total: this.total,
+        currency: this.currency,
+        invoiceNumber: invoice ? invoice.number : undefined
+    });
+};
+
+// Method to list the coupons used by the order's items, or by the lines of
+// the quote it is created from
+orderSchema.methods.getCouponIds = function(lines = this.items) {
+    const ids = lines.flatMap(line => line.discounts
+        .filter(discount => discount.kind === 'coupon')
+        .map(discount => discount.reference.toString()));
+    return [...new Set(ids)];
+};
+
+// Method to cancel the order and its pending enrollments, giving back the
+// coupon use it held
+orderSchema.methods.cancel = async function(status, reason) {
+    this.status = status;
+    this.failureReason = reason;
+
+    for (const couponId of this.getCouponIds()) {
+        await mongoose.model('Coupon').releaseRedemption(couponId, `order:${this._id}`);
+    }
+
+    await mongoose.model('Enrollment').updateMany(
+        { order: this._id, 'payment.status': 'pending' },
+        { $set: { status: 'cancelled', 'payment.status': 'failed' } }
+    );
+
+    if (this.learningPath) {
+        await mongoose.model('PathEnrollment').updateMany(
+            { order: this._id, status: 'pending' },
+            { $set: { status: 'cancelled' } }
+        );
+    }
+
+    return this.save();
+};
+
+// Method to give back a payment that was taken for an order that could
+// not be fulfilled
+orderSchema.methods.refundPayment = async function(chargeId, reason) {
+    this.payment.status = 'completed';
+    this.payment.chargeId = chargeId;
+
+    try {
+        const refund = await getProvider(this.payment.provider).refund({
+            intentId: this.payment.transactionId,
+            chargeId,
+            amount: this.total,
+            currency: this.currency
+        });
+        this.payment.status = 'refunded';
+        this.payment.refundId = refund.refundId;
+    } catch (error) {
+        // Left as completed so the payment shows up for a manual refund
+        console.error('Order refund error:', error);
+    }
+
+    return this.cancel('cancelled', reason);
+};
+
+// Static method to apply a verified payment provider event to the order it
+// was created for. Returns null if the intent is not an order's. The pending
+// payment is claimed first, so that when a provider delivers the same event
+// twice at once only one delivery applies it; events for orders that are no
+// longer pending are ignored, so webhook retries are safe.
+orderSchema.statics.applyPaymentEvent = async function(providerName, event) {
+    const match = { 'payment.provider': providerName, 'payment.transactionId': event.intentId };
+    const order = await this.findOneAndUpdate(
+        { ...match, status: 'pending', 'payment.status': 'pending' },
+        { $set: { 'payment.status': 'processing' } },
+        { new: true }
+    );
+    if (!order) {
+        return this.findOne(match);
+    }
+
+    if (event.type !== 'payment.succeeded') {
+        order.payment.status = 'failed';
+        return order.cancel('failed', 'Payment failed');
+    }
+
+    try {
+        if (event.amount !== undefined && !isSameAmount(event.amount, order.total, order.currency)) {
+            throw new Error('Paid amount does not match the order total');
+        }
+        await mongoose.connection.transaction(session => order.fulfil(event.chargeId, session));
+    } catch (error) {
+        if (error.name === 'OrderConflictError') {
+            return order.refundPayment(event.chargeId, error.message);
+        }
+
+        // Hand the payment back, so the provider's retry is applied
+        await this.updateOne(
+            { _id: order._id, 'payment.status': 'processing' },
+            { $set: { 'payment.status': 'pending' } }
+        );
+        throw error;
+    }
+
+    const invoice = await issueOrderInvoice(order);
+    await order.sendReceipt(invoice);
+    return order;
+};
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const { generateCertificateId, signCertificate } = require('../services/certificates');
+
+// Course enrollments that give the student access to a course
+const ACCESS_STATUSES = ['active', 'completed', 'expired'];
+
+// A student's enrollment in a learning path. The courses themselves are
+// ordinary enrollments; the path enrollment tracks progress across them.
+const pathEnrollmentSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Student is required']
+    },
+    path: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LearningPath',
+        required: [true, 'Learning path is required']
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'completed', 'cancelled'],
+        default: 'pending'
+    },
+    // Order buying the path's courses, while it awaits payment
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    enrollmentDate: Date,
+    completionDate: Date,
+    // Average progress of the path's courses, refreshed from their enrollments
+    progress: {
+        type: Number,
+        default: 0,
+        min: [0, 'Progress cannot be negative'],
+        max: [100, 'Progress cannot exceed 100%']
+    },
+    certificate: {
+        issued: {
+            type: Boolean,
+            default: false
+        },
+        issuedAt: Date,
+        certificateId: String,
+        downloadUrl: String,
+        // Snapshot of the details printed on the certificate, covered by the
+        // hash. courseTitle holds the path title and instructorName the
+        // instructors of its courses.
+        studentName: String,
+        courseTitle: String,
+        instructorName: String,
+        completionDate: Date,
+        hash: String,
+        revoked: {
+            type: Boolean,
+            default: false
+        },
+        revokedAt: Date,
+        revocationReason: String
+    }
+}, {
+    timestamps: true
+});
+
+pathEnrollmentSchema.index({ student: 1, path: 1 }, { unique: true });
+pathEnrollmentSchema.index({ path: 1, status: 1 });
+pathEnrollmentSchema.index({ order: 1 }, { sparse: true });
+pathEnrollmentSchema.index({ 'certificate.certificateId': 1 }, { sparse: true });
+
+// Method to start the path once the student has access to its courses
+pathEnrollmentSchema.methods.activate = async function(session) {
+    this.status = 'active';
+    this.enrollmentDate = new Date();
+    this.order = undefined;
+    await this.save({ session });
+
+    await mongoose.model('LearningPath').updateOne(
+        { _id: this.path },
+        { $inc: { enrollmentCount: 1 } },
+        { session }
+    );
+
+    return this;
+};
+
+// Method to recalculate progress from the student's course enrollments.
+// Returns the state of each step: completed, in_progress, available, or
+// locked while its prerequisites are not completed. Prerequisites guide the
+// student through the path; they do not block access to a course.
+pathEnrollmentSchema.methods.refreshProgress = async function(path) {
+    const learningPath = path || await mongoose.model('LearningPath').findById(this.path);
+    const enrollments = await mongoose.model('Enrollment').find({
+        student: this.student,
+        course: { $in: learningPath.getCourseIds() },
+        status: { $in: ACCESS_STATUSES }
+    }).select('course status progress');
+
+    const progressOf = courseId => {
+        const enrollment = enrollments.find(entry => entry.course.equals(courseId));
+        return enrollment ? enrollment.progress : 0;
+    };
+
+    const steps = learningPath.steps.filter(step => step.course).map(step => {
+        const courseId = step.course._id || step.course;
+        const progress = progressOf(courseId);
+
+        let status = 'available';
+        if (progress === 100) {
+            status = 'completed';
+        } else if (step.prerequisites.some(prerequisite => progressOf(prerequisite) !== 100)) {
+            status = 'locked';
+        } else if (progress > 0) {
+            status = 'in_progress';
+        }
+
+        return { course: step.course, prerequisites: step.prerequisites, progress, status };
+    });
+
+    const total = steps.reduce((sum, step) => sum + step.progress, 0);
+    // Round down so the path only reaches 100% once every course is done
+    this.progress = steps.every(step => step.progress === 100)
+        ? 100
+        : Math.floor(total / Math.max(steps.length, 1));
+
+    if (this.progress === 100 && this.status === 'active') {
+        this.status = 'completed';
+        this.completionDate = new Date();
+    }
+
+    if (this.isModified()) {
+        await this.save();
+    }
+
+    return steps;
+};
+
+// Method to issue the path completion certificate
+pathEnrollmentSchema.methods.issueCertificate = async function() {
+    if (this.status !== 'completed' || this.certificate.issued) {
+        throw new Error('Cannot issue certificate: learning path not completed or already issued');
+    }
+
+    const learningPath = await mongoose.model('LearningPath').findById(this.path).select('title steps');
+
+    // Required assessments count as they do for each course's own certificate
+    const unpassed = [];
+    for (const courseId of learningPath.getCourseIds()) {
+        unpassed.push(...await mongoose.model('AssessmentAttempt').findUnpassed(this.student, courseId));
+    }
+    if (unpassed.length > 0) {
+        throw new Error(`Cannot issue certificate: pass ${unpassed.map(assessment => assessment.title).join(', ')} first`);
+    }
+
+    const [student, courses] = await Promise.all([
+        mongoose.model('User').findById(this.student).select('fullName'),
+        mongoose.model('Course').find({ _id: { $in: learningPath.getCourseIds() } })
+            .populate('instructor', 'fullName')
+            .select('instructor')
+    ]);
+    const instructorNames = [...new Set(courses
+        .filter(course => course.instructor)
+        .map(course => course.instructor.fullName))];
+
+    const certificateId = generateCertificateId();
+
+    this.certificate.issued = true;
+    this.certificate.issuedAt = new Date();
+    this.certificate.certificateId = certificateId;
+    this.certificate.downloadUrl = `/certificates/${certificateId}`;
+    this.certificate.studentName = student.fullName;
+    this.certificate.courseTitle = learningPath.title;
+    this.certificate.instructorName = instructorNames.join(', ');
+    this.certificate.completionDate = this.completionDate || new Date();
+    this.certificate.hash = signCertificate(this.certificate);
+
+    return this.save();
+};
+
+// Method to revoke an issued certificate
+pathEnrollmentSchema.methods.revokeCertificate = function(reason) {
+    if (!this.certificate.issued) {
+        throw new Error('No certificate has been issued for this learning path');
+    }
+
+    if (!this.certificate.revoked) {
+        this.certificate.revoked = true;
+        this.certificate.revokedAt = new Date();
+        this.certificate.revocationReason = reason;
+    }
+
+    return this;
+};
+
+// Static method to find a path enrollment by its certificate ID
+pathEnrollmentSchema.statics.findByCertificateId = function(certificateId) {
+    return this.findOne({
+        'certificate.issued': true,
+        'certificate.certificateId': certificateId
+    });
+};
+
+// Static method to start the path enrollments of an order once it is paid
+pathEnrollmentSchema.statics.activateForOrder = async function(orderId, session) {
+    const enrollments = await this.find({ order: orderId, status: 'pending' }).session(session);
+    for (const enrollment of enrollments) {
+        await enrollment.activate(session);
+    }
+    return enrollments.length;
+};
+
+// Static method to refresh the progress of a student's learning paths that
+// include a course, used when their progress in the course changes
+pathEnrollmentSchema.statics.refreshForCourse = async function(studentId, courseId) {
+    const paths = await mongoose.model('LearningPath').find({ 'steps.course': courseId });
+    if (paths.length === 0) return 0;
+
+    const enrollments = await this.find({
+        student: studentId,
+        path: { $in: paths.map(path => path._id) },
+        status: 'active'
+    });
+
+    for (const enrollment of enrollments) {
+        await enrollment.refreshProgress(paths.find(path => path._id.equals(enrollment.path)));
+    }
+
+    return enrollments.length;
+};
+
+module.exports = mongoose.model('PathEnrollment', pathEnrollmentSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { getBaseCurrency, roundAmount } = require('../services/currency');
+
+// A run paying out the available earnings of every instructor whose balance
+// reaches the minimum payout
+const payoutBatchSchema = new mongoose.Schema({
+    number: {
+        type: String,
+        required: [true, 'Batch number is required'],
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'paid', 'cancelled'],
+        default: 'pending'
+    },
+    currency: {
+        type: String,
+        required: [true, 'Currency is required']
+    },
+    // Entries available by this date are included
+    cutoff: {
+        type: Date,
+        required: [true, 'Cutoff date is required']
+    },
+    items: [{
+        _id: false,
+        instructor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        name: String,
+        email: String,
+        amount: Number,
+        entryCount: Number
+    }],
+    total: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    paidAt: Date,
+    cancelledAt: Date
+}, {
+    timestamps: true
+});
+
+payoutBatchSchema.index({ 'items.instructor': 1, createdAt: -1 });
+
+// Static method to create a batch of every instructor balance available now
+// and of at least minimumAmount, assigning the entries paid to the batch.
+// Returns null when there is nothing to pay.
+payoutBatchSchema.statics.createBatch = async function(createdBy, minimumAmount) {
+    const LedgerEntry = mongoose.model('LedgerEntry');
+    const currency = getBaseCurrency();
+    const cutoff = new Date();
+    const payable = { payoutBatch: null, availableAt: { $lte: cutoff } };
+
+    let batch = null;
+    await mongoose.connection.transaction(async session => {
+        batch = null; // the callback is retried on transient errors
+
+        const balances = await LedgerEntry.aggregate([
+            { $match: payable },
+            { $group: { _id: '$instructor', amount: { $sum: '$instructorAmount' }, entryCount: { $sum: 1 } } },
+            { $match: { amount: { $gte: Math.max(minimumAmount, 0.01) } } }
+        ]).session(session);
+
+        if (balances.length === 0) {
+            return;
+        }
+
+        const instructors = await mongoose.model('User')
+            .find({ _id: { $in: balances.map(balance => balance._id) } })
+            .select('fullName email')
+            .session(session);
+
+        const items = balances.map(balance => {
+            const instructor = instructors.find(user => user._id.equals(balance._id));
+            return {
+                instructor: balance._id,
+                name: instructor ? instructor.fullName : '',
+                email: instructor ? instructor.email : '',
+                amount: roundAmount(balance.amount, currency),
+                entryCount: balance.entryCount
+            };
+        });
+
+        const year = cutoff.getUTCFullYear();
+        const sequence = await Counter.next(`payout-${year}`, session);
+
+        [batch] = await this.create([{
+            number: `PO-${year}-${String(sequence).padStart(4, '0')}`,
+            currency,
+            cutoff,
+            items,
+            total: roundAmount(items.reduce((sum, item) => sum + item.amount, 0), currency),
+            createdBy
+        }], { session });
+
+        await LedgerEntry.updateMany(
+            { ...payable, instructor: { $in: items.map(item => item.instructor) } },
+            { $set: { payoutBatch: batch._id } },
+            { session }
+        );
+    });
+
+    return batch;
+};
+
+// Method to record that the payouts were sent
+payoutBatchSchema.methods.markPaid = async function() {
+    this.status = 'paid';
+    this.paidAt = new Date();
+    await this.save();
+
+    await mongoose.model('LedgerEntry').updateMany(
+        { payoutBatch: this._id },
+        { $set: { paidOutAt: this.paidAt } }
+    );
+    return this;
+};
+
+// Method to cancel a batch that was not paid, releasing its entries for the
+// next batch
+payoutBatchSchema.methods.cancel = async function() {
+    this.status = 'cancelled';
+    this.cancelledAt = new Date();
+    await this.save();
+
+    await mongoose.model('LedgerEntry').updateMany(
+        { payoutBatch: this._id },
+        { $unset: { payoutBatch: '' } }
+    );
+    return this;
+};
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
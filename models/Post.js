@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A reply in a discussion thread
+const postSchema = new mongoose.Schema({
+    thread: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Thread',
+        required: [true, 'Thread is required']
+    },
+    // Copied from the thread
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    },
+    forum: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Forum'
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Author is required']
+    },
+    body: {
+        type: String,
+        required: [true, 'Reply body is required'],
+        maxlength: [10000, 'Reply cannot exceed 10000 characters']
+    },
+    // Written by the course instructor
+    isInstructorAnswer: {
+        type: Boolean,
+        default: false
+    },
+    isAccepted: {
+        type: Boolean,
+        default: false
+    },
+    upvotes: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }],
+        select: false
+    },
+    upvoteCount: {
+        type: Number,
+        default: 0
+    },
+    editedAt: Date
+}, {
+    timestamps: true
+});
+
+postSchema.index({ thread: 1, createdAt: 1 });
+postSchema.index({ thread: 1, isAccepted: -1, upvoteCount: -1 });
+
+// Static method to add or remove a user's upvote. Returns the new count, or
+// null if the reply does not exist.
+postSchema.statics.setUpvote = async function(postId, userId, upvoted) {
+    await this.updateOne(
+        upvoted ? { _id: postId, upvotes: { $ne: userId } } : { _id: postId, upvotes: userId },
+        upvoted
+            ? { $addToSet: { upvotes: userId }, $inc: { upvoteCount: 1 } }
+            : { $pull: { upvotes: userId }, $inc: { upvoteCount: -1 } }
+    );
+
+    const post = await this.findById(postId).select('upvoteCount');
+    return post ? post.upvoteCount : null;
+};
+
+// Static method to find which of some replies a user upvoted
+postSchema.statics.findUpvotedBy = async function(ids, userId) {
+    const upvoted = await this.find({ _id: { $in: ids }, upvotes: userId }).select('_id');
+    return upvoted.map(post => post._id.toString());
+};
+
+module.exports = mongoose.model('Post', postSchema);
@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+
+// Whitespace and, unless the question is case sensitive, case do not matter
+// in short answers
+const normalizeAnswer = (text, caseSensitive) => {
+    const normalized = String(text || '').trim().replace(/\s+/g, ' ');
+    return caseSensitive ? normalized : normalized.toLowerCase();
+};
+
+// Program output is compared line by line, ignoring line endings, trailing
+// spaces and trailing blank lines
+const normalizeOutput = text => String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n+$/, '');
+
+const questionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['multiple_choice', 'multi_select', 'short_answer', 'code_output'],
+        required: [true, 'Question type is required']
+    },
+    prompt: {
+        type: String,
+        required: [true, 'Question prompt is required'],
+        maxlength: [2000, 'Question prompt cannot exceed 2000 characters']
+    },
+    // Program shown with code output questions
+    code: {
+        type: String,
+        maxlength: [5000, 'Code cannot exceed 5000 characters']
+    },
+    options: [{
+        type: String,
+        maxlength: [500, 'Options cannot exceed 500 characters']
+    }],
+    // Indexes of the correct options of choice questions
+    correctOptions: [Number],
+    // Short answers that are accepted. Without any, answers are graded by
+    // the instructor.
+    acceptedAnswers: [{
+        type: String,
+        maxlength: [500, 'Accepted answers cannot exceed 500 characters']
+    }],
+    caseSensitive: {
+        type: Boolean,
+        default: false
+    },
+    expectedOutput: {
+        type: String,
+        maxlength: [5000, 'Expected output cannot exceed 5000 characters']
+    },
+    points: {
+        type: Number,
+        default: 1,
+        min: [0, 'Points cannot be negative']
+    },
+    // Shown to students once their attempt is graded
+    explanation: {
+        type: String,
+        maxlength: [2000, 'Explanation cannot exceed 2000 characters']
+    }
+});
+
+questionSchema.path('correctOptions').validate(function(correctOptions) {
+    if (!['multiple_choice', 'multi_select'].includes(this.type)) return true;
+    if (this.type === 'multiple_choice' && correctOptions.length !== 1) return false;
+    return correctOptions.length > 0
+        && correctOptions.every(index => Number.isInteger(index) && index >= 0 && index < this.options.length);
+}, 'Choice questions need valid correct options, and multiple choice questions exactly one');
+
+questionSchema.path('options').validate(function(options) {
+    return !['multiple_choice', 'multi_select'].includes(this.type) || options.length >= 2;
+}, 'Choice questions need at least two options');
+
+questionSchema.path('expectedOutput').validate(function(expectedOutput) {
+    return this.type !== 'code_output' || Boolean(expectedOutput);
+}, 'Code output questions need an expected output');
+
+// Whether the question is graded automatically
+questionSchema.virtual('isAutoGraded').get(function() {
+    return this.type !== 'short_answer' || this.acceptedAnswers.length > 0;
+});
+
+// Method to grade an answer: { selected: [option indexes] } for choice
+// questions, { text } otherwise. Returns null when an instructor must grade it.
+questionSchema.methods.gradeAnswer = function(answer = {}) {
+    const selected = [...new Set(answer.selected || [])].sort((a, b) => a - b);
+
+    switch (this.type) {
+        case 'multiple_choice':
+        case 'multi_select': {
+            const correct = [...this.correctOptions].sort((a, b) => a - b);
+            return selected.length === correct.length && selected.every((index, i) => index === correct[i]);
+        }
+        case 'short_answer':
+            if (!this.isAutoGraded) return null;
+            return this.acceptedAnswers.some(
+                accepted => normalizeAnswer(accepted, this.caseSensitive) === normalizeAnswer(answer.text, this.caseSensitive)
+            );
+        case 'code_output':
+            return normalizeOutput(this.expectedOutput) === normalizeOutput(answer.text);
+        default:
+            return false;
+    }
+};
+
+// A quiz attached to a course section
+const quizSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: [true, 'Course is required']
+    },
+    section: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Section',
+        required: [true, 'Section is required']
+    },
+    title: {
+        type: String,
+        required: [true, 'Quiz title is required'],
+        trim: true,
+        maxlength: [100, 'Quiz title cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [1000, 'Quiz description cannot exceed 1000 characters']
+    },
+    questions: {
+        type: [questionSchema],
+        validate: [questions => questions.length > 0 && questions.length <= 100, 'A quiz needs between 1 and 100 questions']
+    },
+    // Empty for no time limit
+    timeLimitMinutes: {
+        type: Number,
+        min: [1, 'Time limit must be at least one minute']
+    },
+    // 0 allows unlimited attempts
+    maxAttempts: {
+        type: Number,
+        default: 0,
+        min: [0, 'Attempts cannot be negative']
+    },
+    // Percentage of the points needed to pass
+    passingScore: {
+        type: Number,
+        default: 70,
+        min: [0, 'Passing score cannot be negative'],
+        max: [100, 'Passing score cannot exceed 100%']
+    },
+    // Required quizzes must be passed before a certificate is issued
+    isRequired: {
+        type: Boolean,
+        default: true
+    },
+    isPublished: {
+        type: Boolean,
+        default: false
+    },
+    order: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+quizSchema.index({ course: 1, order: 1 });
+quizSchema.index({ section: 1, order: 1 });
+
+// Total points of the quiz
+quizSchema.virtual('maxScore').get(function() {
+    return this.questions.reduce((sum, question) => sum + question.points, 0);
+});
+
+// Method to grade submitted answers ([{ question, selected?, text? }]).
+// Answers to questions graded by the instructor are left ungraded.
+quizSchema.methods.grade = function(answers = []) {
+    const graded = this.questions.map(question => {
+        const answer = answers.find(entry => entry.question && entry.question.toString() === question._id.toString()) || {};
+        const correct = question.gradeAnswer(answer);
+
+        return {
+            question: question._id,
+            selected: answer.selected || [],
+            text: answer.text,
+            correct,
+            points: correct === null ? undefined : (correct ? question.points : 0),
+            needsGrading: correct === null
+        };
+    });
+
+    return {
+        answers: graded,
+        score: graded.reduce((sum, answer) => sum + (answer.points || 0), 0),
+        maxScore: this.maxScore,
+        needsGrading: graded.some(answer => answer.needsGrading)
+    };
+};
+
+// Method to get the quiz as students see it, without the answers
+quizSchema.methods.toStudentView = function() {
+    return {
+        _id: this._id,
+        course: this.course,
+        section: this.section,
+        title: this.title,
+        description: this.description,
+        timeLimitMinutes: this.timeLimitMinutes,
+        maxAttempts: this.maxAttempts,
+        passingScore: this.passingScore,
+        isRequired: this.isRequired,
+        maxScore: this.maxScore,
+        questions: this.questions.map(question => ({
+            _id: question._id,
+            type: question.type,
+            prompt: question.prompt,
+            code: question.code,
+            options: question.type === 'multiple_choice' || question.type === 'multi_select' ? question.options : undefined,
+            points: question.points
+        }))
+    };
+};
+
+module.exports = mongoose.model('Quiz', quizSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Refresh tokens are opaque random strings, stored hashed. Every login starts
+// a new token family; each refresh rotates the token within its family, and
+// presenting an already-rotated token revokes the whole family.
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    tokenHash: {
+        type: String,
+        required: [true, 'Token hash is required'],
+        unique: true
+    },
+    family: {
+        type: String,
+        required: [true, 'Token family is required']
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    },
+    revokedAt: Date,
+    replacedBy: String,
+    createdByIp: String
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const getLifetimeMs = () => (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Static method to issue a new refresh token, returning the raw token
+refreshTokenSchema.statics.issue = async function(userId, family, ip) {
+    const token = crypto.randomBytes(40).toString('hex');
+
+    const refreshToken = await this.create({
+        user: userId,
+        tokenHash: hashToken(token),
+        family: family || crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + getLifetimeMs()),
+        createdByIp: ip
+    });
+
+    return { token, family: refreshToken.family };
+};
+
+// Static method to exchange a refresh token for a new one in the same family
+refreshTokenSchema.statics.rotate = async function(token, ip) {
+    const existing = await this.findOne({ tokenHash: hashToken(token) });
+
+    if (!existing || existing.expiresAt < new Date()) {
+        throw new Error('Invalid refresh token');
+    }
+
+    if (existing.revokedAt) {
+        // A rotated token was reused, so it may have been stolen
+        await this.revokeFamily(existing.family);
+        throw new Error('Invalid refresh token');
+    }
+
+    const next = await this.issue(existing.user, existing.family, ip);
+
+    existing.revokedAt = new Date();
+    existing.replacedBy = hashToken(next.token);
+    await existing.save();
+
+    return { ...next, user: existing.user };
+};
+
+// Static method to revoke every token in a family (one login session)
+refreshTokenSchema.statics.revokeFamily = function(family) {
+    return this.updateMany(
+        { family, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+// Static method to revoke every refresh token of a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+    return this.updateMany(
+        { user: userId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Access tokens revoked before their natural expiry (e.g. on logout).
+// Entries are removed automatically once the token would have expired.
+const revokedTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: [true, 'Token ID is required'],
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    }
+}, {
+    timestamps: true
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to check whether an access token has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+    const revoked = await this.exists({ jti });
+    return Boolean(revoked);
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
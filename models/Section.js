@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const sectionSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: [true, 'Course is required']
+    },
+    title: {
+        type: String,
+        required: [true, 'Section title is required'],
+        trim: true,
+        maxlength: [100, 'Section title cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Section description cannot exceed 500 characters']
+    },
+    order: {
+        type: Number,
+        default: 0
+    },
+    lectures: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lecture'
+    }],
+    quizzes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz'
+    }],
+    assignments: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Assignment'
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+sectionSchema.index({ course: 1, order: 1 });
+
+module.exports = mongoose.model('Section', sectionSchema);
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const { PLAN_IDS, addPlanPeriod } = require('../services/subscriptions');
+const { issueSubscriptionInvoice } = require('../services/invoices');
+const { isSameAmount } = require('../services/currency');
+
+// One payment for a billing period of the subscription
+const subscriptionPaymentSchema = new mongoose.Schema({
+    plan: {
+        type: String,
+        enum: PLAN_IDS,
+        required: [true, 'Plan is required']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Payment amount is required']
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    method: {
+        type: String,
+        enum: ['credit_card', 'paypal', 'stripe', 'bank_transfer', 'crypto'],
+        required: [true, 'Payment method is required']
+    },
+    provider: {
+        type: String,
+        enum: ['stripe', 'paypal', 'bank_transfer', 'mock']
+    },
+    transactionId: {
+        type: String,
+        required: [true, 'Transaction ID is required']
+    },
+    chargeId: String,
+    // processing while a payment event is being applied
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'failed'],
+        default: 'pending'
+    },
+    paidAt: Date
+}, {
+    timestamps: true
+});
+
+const subscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required'],
+        unique: true
+    },
+    plan: {
+        type: String,
+        enum: PLAN_IDS,
+        required: [true, 'Plan is required']
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'expired'],
+        default: 'pending'
+    },
+    currentPeriodStart: Date,
+    currentPeriodEnd: Date,
+    renewalReminderSentAt: Date,
+    payments: [subscriptionPaymentSchema]
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+subscriptionSchema.index({ 'payments.provider': 1, 'payments.transactionId': 1 });
+
+// Virtual for isCurrent
+subscriptionSchema.virtual('isCurrent').get(function() {
+    return this.status === 'active' && this.currentPeriodEnd > new Date();
+});
+
+// Method to apply a confirmed payment. A renewal paid before the current
+// period ends extends it; otherwise a new period starts now.
+subscriptionSchema.methods.applyPayment = async function(payment, chargeId) {
+    const now = new Date();
+    const start = this.isCurrent ? this.currentPeriodEnd : now;
+    if (!this.isCurrent) {
+        this.currentPeriodStart = now;
+    }
+
+    this.plan = payment.plan;
+    this.currentPeriodEnd = addPlanPeriod(start, payment.plan);
+    this.status = 'active';
+    this.renewalReminderSentAt = undefined;
+
+    payment.status = 'completed';
+    payment.paidAt = now;
+    if (chargeId) {
+        payment.chargeId = chargeId;
+    }
+
+    await this.save();
+
+    // Courses taken through the subscription follow its billing period
+    await mongoose.model('Enrollment').syncWithSubscription(this);
+
+    return this;
+};
+
+// Static method to find a user's subscription if it currently gives access
+subscriptionSchema.statics.findCurrentForUser = function(userId) {
+    return this.findOne({
+        user: userId,
+        status: 'active',
+        currentPeriodEnd: { $gt: new Date() }
+    });
+};
+
+// Static method to apply a verified payment provider event to the matching
+// subscription payment. Returns null if the intent is not a subscription's.
+// As with course purchases, the payment is claimed before it is applied.
+subscriptionSchema.statics.applyPaymentEvent = async function(providerName, event) {
+    const paymentMatch = { provider: providerName, transactionId: event.intentId };
+    const subscription = await this.findOneAndUpdate(
+        { payments: { $elemMatch: { ...paymentMatch, status: 'pending' } } },
+        { $set: { 'payments.$.status': 'processing' } },
+        { new: true }
+    );
+    if (!subscription) {
+        return this.findOne({ payments: { $elemMatch: paymentMatch } });
+    }
+
+    const payment = subscription.payments.find(
+        entry => entry.provider === providerName && entry.transactionId === event.intentId
+    );
+
+    try {
+        if (event.type !== 'payment.succeeded') {
+            payment.status = 'failed';
+            return await subscription.save();
+        }
+
+        if (event.amount !== undefined && !isSameAmount(event.amount, payment.amount, payment.currency)) {
+            throw new Error('Paid amount does not match the subscription price');
+        }
+        await subscription.applyPayment(payment, event.chargeId);
+    } catch (error) {
+        // Hand the payment back, so the provider's retry is applied
+        await this.updateOne(
+            { _id: subscription._id, payments: { $elemMatch: { _id: payment._id, status: 'processing' } } },
+            { $set: { 'payments.$.status': 'pending' } }
+        );
+        throw error;
+    }
+
+    await issueSubscriptionInvoice(subscription, payment);
+    return subscription;
+};
+
+// Static method to move subscriptions whose period has ended to expired
+subscriptionSchema.statics.expireLapsed = async function() {
+    const result = await this.updateMany(
+        { status: 'active', currentPeriodEnd: { $lte: new Date() } },
+        { $set: { status: 'expired' } }
+    );
+    return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
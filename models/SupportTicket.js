@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Hours within which support should first reply to, and resolve, a ticket
+const SLA_HOURS = {
+    urgent: { firstResponse: 1, resolution: 8 },
+    high: { firstResponse: 4, resolution: 24 },
+    medium: { firstResponse: 24, resolution: 72 },
+    low: { firstResponse: 48, resolution: 168 }
+};
+
+// Statuses a ticket can move to from each status. Closed tickets are final.
+const STATUS_TRANSITIONS = {
+    open: ['in_progress', 'waiting_on_customer', 'resolved', 'closed'],
+    in_progress: ['open', 'waiting_on_customer', 'resolved', 'closed'],
+    waiting_on_customer: ['open', 'in_progress', 'resolved', 'closed'],
+    resolved: ['open', 'closed'],
+    closed: []
+};
+
+// Subjects a ticket can name one of the requester's enrollments for
+const ENROLLMENT_SUBJECTS = ['refund', 'certificate'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Raised when a change is not allowed in the ticket's current status
+class TicketStatusError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TicketStatusError';
+    }
+}
+
+const messageSchema = new mongoose.Schema({
+    // Empty for requesters without an account
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    authorName: {
+        type: String,
+        required: [true, 'Author name is required']
+    },
+    fromAgent: {
+        type: Boolean,
+        default: false
+    },
+    // Notes between agents, never shown to the requester
+    internal: {
+        type: Boolean,
+        default: false
+    },
+    body: {
+        type: String,
+        required: [true, 'Message is required'],
+        trim: true,
+        maxlength: [5000, 'Message cannot exceed 5000 characters']
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A support request and the conversation between the requester and agents
+const supportTicketSchema = new mongoose.Schema({
+    // e.g. SUP-2026-000042, assigned when the ticket is created
+    number: {
+        type: String,
+        unique: true
+    },
+    // Empty when the request was sent without logging in
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    requester: {
+        name: {
+            type: String,
+            required: [true, 'Name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters']
+        },
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            lowercase: true,
+            trim: true,
+            match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+        },
+        phone: {
+            type: String,
+            trim: true,
+            maxlength: [30, 'Phone number cannot exceed 30 characters']
+        }
+    },
+    subject: {
+        type: String,
+        enum: ['technical', 'billing', 'course', 'certificate', 'refund', 'general', 'feedback'],
+        required: [true, 'Subject is required']
+    },
+    priority: {
+        type: String,
+        enum: Object.keys(SLA_HOURS),
+        default: 'medium'
+    },
+    status: {
+        type: String,
+        enum: Object.keys(STATUS_TRANSITIONS),
+        default: 'open'
+    },
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Enrollment',
+        validate: {
+            validator: function(enrollment) {
+                return !enrollment || ENROLLMENT_SUBJECTS.includes(this.subject);
+            },
+            message: 'Only refund and certificate requests can name an enrollment'
+        }
+    },
+    assignee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    messages: [messageSchema],
+    firstResponseDueAt: Date,
+    resolutionDueAt: Date,
+    firstRespondedAt: Date,
+    resolvedAt: Date,
+    closedAt: Date,
+    lastActivityAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+supportTicketSchema.index({ user: 1, lastActivityAt: -1 });
+supportTicketSchema.index({ status: 1, resolutionDueAt: 1 });
+supportTicketSchema.index({ assignee: 1, status: 1 });
+supportTicketSchema.index({ 'requester.email': 1 });
+
+// Number new tickets without gaps, restarting each year, and start their
+// SLA timers
+supportTicketSchema.pre('validate', async function(next) {
+    try {
+        if (this.isNew && !this.number) {
+            const year = new Date().getUTCFullYear();
+            const sequence = await Counter.next(`support-${year}`);
+            this.number = `SUP-${year}-${String(sequence).padStart(6, '0')}`;
+        }
+        if (this.isNew || this.isModified('priority')) {
+            this.setSlaTimers();
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Method to (re)compute the SLA due dates from the ticket's priority, counted
+// from when the ticket was created
+supportTicketSchema.methods.setSlaTimers = function() {
+    const hours = SLA_HOURS[this.priority];
+    const createdAt = (this.createdAt || new Date()).getTime();
+    this.firstResponseDueAt = new Date(createdAt + hours.firstResponse * HOUR_MS);
+    this.resolutionDueAt = new Date(createdAt + hours.resolution * HOUR_MS);
+};
+
+// Method to report the SLA timers: when each is due, when it was met and
+// whether it was (or already is) missed
+supportTicketSchema.methods.getSla = function(now = new Date()) {
+    const timer = (dueAt, metAt) => ({
+        dueAt,
+        metAt: metAt || null,
+        breached: Boolean(dueAt) && (metAt || now) > dueAt
+    });
+
+    return {
+        firstResponse: timer(this.firstResponseDueAt, this.firstRespondedAt),
+        resolution: timer(this.resolutionDueAt, this.resolvedAt || this.closedAt)
+    };
+};
+
+// Method to get the token that lets requesters without an account follow
+// the ticket from its emails. It is signed rather than stored, so every email
+// can link to the ticket.
+supportTicketSchema.methods.getAccessToken = function() {
+    return crypto
+        .createHmac('sha256', process.env.JWT_SECRET)
+        .update(`support-ticket|${this._id}`)
+        .digest('hex');
+};
+
+supportTicketSchema.methods.hasAccessToken = function(token) {
+    if (typeof token !== 'string') return false;
+
+    const expected = Buffer.from(this.getAccessToken(), 'hex');
+    const actual = Buffer.from(token, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+supportTicketSchema.methods.canTransitionTo = function(status) {
+    return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Method to change the status, keeping the resolution and closing times.
+// Throws TicketStatusError if the lifecycle does not allow the change.
+supportTicketSchema.methods.setStatus = function(status) {
+    if (status === this.status) return;
+    if (!this.canTransitionTo(status)) {
+        throw new TicketStatusError(`A ${this.status.replace(/_/g, ' ')} ticket cannot be set to ${status.replace(/_/g, ' ')}`);
+    }
+
+    if (status === 'resolved') {
+        this.resolvedAt = new Date();
+    } else if (status === 'closed') {
+        this.closedAt = new Date();
+    } else {
+        this.resolvedAt = undefined;
+    }
+    this.status = status;
+};
+
+// Method to add a message. Replies from agents count as the first response
+// and wait for the requester, and replies from the requester reopen tickets
+// that were waiting for them or resolved. Internal notes change nothing.
+// Throws TicketStatusError on closed tickets.
+supportTicketSchema.methods.addMessage = function({ author, authorName, body, fromAgent = false, internal = false }) {
+    if (this.status === 'closed') {
+        throw new TicketStatusError('This ticket is closed. Please open a new ticket.');
+    }
+
+    const internalNote = fromAgent && internal;
+    this.messages.push({ author, authorName, body, fromAgent, internal: internalNote });
+    const message = this.messages[this.messages.length - 1];
+    if (internalNote) {
+        return message;
+    }
+
+    if (fromAgent) {
+        this.firstRespondedAt = this.firstRespondedAt || new Date();
+        if (['open', 'in_progress'].includes(this.status)) {
+            this.setStatus('waiting_on_customer');
+        }
+    } else if (['waiting_on_customer', 'resolved'].includes(this.status)) {
+        this.setStatus('open');
+    }
+    this.lastActivityAt = new Date();
+    return message;
+};
+
+// Method to shape the ticket for a response. Requesters do not see internal
+// notes.
+supportTicketSchema.methods.toView = function({ agent = false } = {}) {
+    const ticket = this.toObject();
+    if (!agent && ticket.messages) {
+        ticket.messages = ticket.messages.filter(message => !message.internal);
+    }
+    ticket.sla = this.getSla();
+    return ticket;
+};
+
+module.exports = mongoose.model('SupportTicket', supportTicketSchema);
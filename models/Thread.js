@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// A question or discussion about a course, or one of its lectures, or a
+// topic in a community forum
+const threadSchema = new mongoose.Schema({
+    // Threads belong to either a course or a forum
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    },
+    forum: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Forum'
+    },
+    // Set when the thread is about a single lecture
+    lecture: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lecture'
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Author is required']
+    },
+    type: {
+        type: String,
+        enum: ['question', 'discussion'],
+        default: 'question'
+    },
+    title: {
+        type: String,
+        required: [true, 'Thread title is required'],
+        trim: true,
+        maxlength: [150, 'Title cannot exceed 150 characters']
+    },
+    body: {
+        type: String,
+        required: [true, 'Thread body is required'],
+        maxlength: [10000, 'Body cannot exceed 10000 characters']
+    },
+    upvotes: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }],
+        select: false
+    },
+    upvoteCount: {
+        type: Number,
+        default: 0
+    },
+    replyCount: {
+        type: Number,
+        default: 0
+    },
+    views: {
+        type: Number,
+        default: 0
+    },
+    // Reply the author (or the instructor) marked as the answer
+    acceptedPost: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post'
+    },
+    // Whether the course instructor has replied
+    instructorAnswered: {
+        type: Boolean,
+        default: false
+    },
+    isPinned: {
+        type: Boolean,
+        default: false
+    },
+    // Locked threads take no new replies
+    isLocked: {
+        type: Boolean,
+        default: false
+    },
+    editedAt: Date,
+    lastActivityAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+threadSchema.index({ course: 1, isPinned: -1, lastActivityAt: -1 });
+threadSchema.index({ course: 1, lecture: 1, lastActivityAt: -1 });
+threadSchema.index({ forum: 1, isPinned: -1, lastActivityAt: -1 });
+threadSchema.index({ lastActivityAt: -1 });
+threadSchema.index({ title: 'text', body: 'text' });
+
+threadSchema.pre('validate', function(next) {
+    if (Boolean(this.course) === Boolean(this.forum)) {
+        this.invalidate('course', 'A thread must belong to either a course or a forum');
+    }
+    if (this.lecture && !this.course) {
+        this.invalidate('lecture', 'Only course threads can be about a lecture');
+    }
+    next();
+});
+
+// Static method to add or remove a user's upvote. Returns the new count, or
+// null if the thread does not exist.
+threadSchema.statics.setUpvote = async function(threadId, userId, upvoted) {
+    await this.updateOne(
+        upvoted ? { _id: threadId, upvotes: { $ne: userId } } : { _id: threadId, upvotes: userId },
+        upvoted
+            ? { $addToSet: { upvotes: userId }, $inc: { upvoteCount: 1 } }
+            : { $pull: { upvotes: userId }, $inc: { upvoteCount: -1 } }
+    );
+
+    const thread = await this.findById(threadId).select('upvoteCount');
+    return thread ? thread.upvoteCount : null;
+};
+
+// Static method to count a reply and bump the thread's activity
+threadSchema.statics.recordReply = function(threadId, { byInstructor }) {
+    const update = { $inc: { replyCount: 1 }, $set: { lastActivityAt: new Date() } };
+    if (byInstructor) {
+        update.$set.instructorAnswered = true;
+    }
+    return this.updateOne({ _id: threadId }, update);
+};
+
+module.exports = mongoose.model('Thread', threadSchema);
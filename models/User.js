@@ -0,0 +1,288 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { OPTIONAL_TEMPLATES } = require('../services/emailTemplates');
+
+const userSchema = new mongoose.Schema({
+    fullName: {
+        type: String,
+        required: [true, 'Full name is required'],
+        trim: true,
+        minlength: [2, 'Full name must be at least 2 characters'],
+        maxlength: [50, 'Full name cannot exceed 50 characters']
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+    },
+    password: {
+        type: String,
+        required: [true, 'Password is required'],
+        minlength: [8, 'Password must be at least 8 characters'],
+        select: false
+    },
+    role: {
+        type: String,
+        // Support agents answer support tickets
+        enum: ['student', 'instructor', 'support', 'admin'],
+        default: 'student'
+    },
+    avatar: {
+        type: String,
+        default: ''
+    },
+    bio: {
+        type: String,
+        maxlength: [500, 'Bio cannot exceed 500 characters']
+    },
+    phone: String,
+    location: {
+        type: String,
+        maxlength: [100, 'Location cannot exceed 100 characters']
+    },
+    website: String,
+    socialLinks: {
+        linkedin: String,
+        twitter: String,
+        github: String,
+        youtube: String
+    },
+    preferences: {
+        emailNotifications: {
+            type: Boolean,
+            default: true
+        },
+        marketingEmails: {
+            type: Boolean,
+            default: false
+        },
+        // Notification emails the user does not want, by template name
+        emailOptOuts: [{
+            type: String,
+            enum: OPTIONAL_TEMPLATES
+        }],
+        language: {
+            type: String,
+            default: 'English'
+        },
+        // Currency to show prices in
+        currency: {
+            type: String,
+            uppercase: true,
+            match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter currency code']
+        },
+        categories: [String]
+    },
+    // Details printed on invoices
+    billing: {
+        name: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Billing name cannot exceed 100 characters']
+        },
+        company: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Company name cannot exceed 100 characters']
+        },
+        // VAT/GST registration number of business customers
+        taxId: {
+            type: String,
+            trim: true,
+            uppercase: true,
+            maxlength: [30, 'Tax ID cannot exceed 30 characters']
+        },
+        address: {
+            line1: String,
+            line2: String,
+            city: String,
+            state: String,
+            postalCode: String,
+            country: {
+                type: String,
+                uppercase: true,
+                match: [/^[A-Z]{2}$/, 'Country must be a 2-letter country code']
+            }
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
+    passwordChangedAt: Date,
+    // Incremented to invalidate every token issued to the user
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    // Courses the user looked at lately, most recent last, for recommendations
+    recentlyViewed: [{
+        _id: false,
+        course: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Course'
+        },
+        viewedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    lastLogin: Date,
+    loginHistory: [{
+        ip: String,
+        userAgent: String,
+        loggedInAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+userSchema.index({ role: 1, isActive: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+
+// Tokens are stored hashed so a database leak cannot be used to reset passwords
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Pre-save middleware to hash password
+userSchema.pre('save', async function(next) {
+    if (!this.isModified('password')) return next();
+
+    try {
+        const rounds = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+        this.password = await bcrypt.hash(this.password, rounds);
+
+        if (!this.isNew) {
+            this.passwordChangedAt = new Date();
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Method to compare password
+userSchema.methods.comparePassword = function(candidatePassword) {
+    return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to create an email verification token, valid for 24 hours
+userSchema.methods.createEmailVerificationToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.emailVerificationToken = hashToken(token);
+    this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    return token;
+};
+
+// Method to create a password reset token, valid for 1 hour
+userSchema.methods.createPasswordResetToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.passwordResetToken = hashToken(token);
+    this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+    return token;
+};
+
+// Method to record a successful login
+userSchema.methods.recordLogin = function(ip, userAgent) {
+    this.lastLogin = new Date();
+    this.loginHistory.push({ ip, userAgent });
+
+    // Keep only the most recent logins
+    if (this.loginHistory.length > 20) {
+        this.loginHistory = this.loginHistory.slice(-20);
+    }
+};
+
+// Method to get the profile shown to the user themselves
+userSchema.methods.getPrivateProfile = function() {
+    return {
+        ...this.getPublicProfile(),
+        billing: this.billing
+    };
+};
+
+// Method to get public profile
+userSchema.methods.getPublicProfile = function() {
+    return {
+        id: this._id,
+        fullName: this.fullName,
+        email: this.email,
+        role: this.role,
+        avatar: this.avatar,
+        bio: this.bio,
+        phone: this.phone,
+        location: this.location,
+        website: this.website,
+        socialLinks: this.socialLinks,
+        preferences: this.preferences,
+        isEmailVerified: this.isEmailVerified,
+        lastLogin: this.lastLogin,
+        createdAt: this.createdAt
+    };
+};
+
+// Static method to find a user by a valid email verification token
+userSchema.statics.findByVerificationToken = function(token) {
+    return this.findOne({
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() }
+    });
+};
+
+// Static method to find a user by a valid password reset token
+userSchema.statics.findByResetToken = function(token) {
+    return this.findOne({
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+    });
+};
+
+// Static method to remember that a user viewed a course, keeping only the
+// most recent views
+userSchema.statics.recordCourseView = async function(userId, courseId) {
+    await this.updateOne({ _id: userId }, { $pull: { recentlyViewed: { course: courseId } } });
+    return this.updateOne({ _id: userId }, {
+        $push: {
+            recentlyViewed: {
+                $each: [{ course: courseId, viewedAt: new Date() }],
+                $slice: -20
+            }
+        }
+    });
+};
+
+module.exports = mongoose.model('User', userSchema);
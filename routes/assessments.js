@@ -0,0 +1,824 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Quiz = require('../models/Quiz');
+const Assignment = require('../models/Assignment');
+const AssessmentAttempt = require('../models/AssessmentAttempt');
+const Course = require('../models/Course');
+const Section = require('../models/Section');
+const Enrollment = require('../models/Enrollment');
+const { auth, authorize } = require('../middleware/auth');
+const { sendValidationErrors, sendSaveError } = require('../middleware/validation');
+const { notify } = require('../services/notifications');
+
+const router = express.Router();
+
+const canManageCourse = (course, user) => user.role === 'admin' || course.instructor.toString() === user.userId;
+
+// Find a course the user may manage assessments of, or respond with why not
+const getManagedCourse = async (req, res, courseId) => {
+    const course = await Course.findById(courseId).select('title instructor');
+    if (!course) {
+        res.status(404).json({
+            success: false,
+            message: 'Course not found'
+        });
+        return null;
+    }
+
+    if (!canManageCourse(course, req.user)) {
+        res.status(403).json({
+            success: false,
+            message: 'Not authorized to manage assessments of this course'
+        });
+        return null;
+    }
+
+    return course;
+};
+
+// Find the user's enrollment giving access to a course, or respond with why
+// there is none
+const getAccessibleEnrollment = async (req, res, courseId) => {
+    const enrollment = await Enrollment.findOne({ student: req.user.userId, course: courseId });
+    if (!enrollment) {
+        res.status(403).json({
+            success: false,
+            message: 'You must be enrolled in this course'
+        });
+        return null;
+    }
+
+    const accessDeniedReason = enrollment.getAccessDeniedReason();
+    if (accessDeniedReason) {
+        res.status(403).json({
+            success: false,
+            message: accessDeniedReason
+        });
+        return null;
+    }
+
+    return enrollment;
+};
+
+const getAssessmentModel = type => (type === 'Quiz' ? Quiz : Assignment);
+
+// An attempt as its student sees it. Explanations are shown once graded.
+const toAttemptView = (attempt, quiz) => {
+    const view = attempt.toObject();
+    if (quiz && attempt.status === 'graded') {
+        view.answers = view.answers.map(answer => {
+            const question = quiz.questions.id(answer.question);
+            return { ...answer, explanation: question ? question.explanation : undefined };
+        });
+    }
+    return view;
+};
+
+const settingsValidation = [
+    body('maxAttempts')
+        .optional()
+        .isInt({ min: 0, max: 100 })
+        .withMessage('Attempts must be between 0 (unlimited) and 100'),
+    body('passingScore')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Passing score must be between 0 and 100'),
+    body('isRequired')
+        .optional()
+        .isBoolean()
+        .withMessage('isRequired must be a boolean'),
+    body('isPublished')
+        .optional()
+        .isBoolean()
+        .withMessage('isPublished must be a boolean')
+];
+
+const quizValidation = [
+    body('title')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Quiz title must be between 1 and 100 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Quiz description cannot exceed 1000 characters'),
+    body('questions')
+        .isArray({ min: 1, max: 100 })
+        .withMessage('A quiz needs between 1 and 100 questions'),
+    body('questions.*._id')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid question ID'),
+    body('questions.*.type')
+        .isIn(['multiple_choice', 'multi_select', 'short_answer', 'code_output'])
+        .withMessage('Question type must be multiple_choice, multi_select, short_answer or code_output'),
+    body('questions.*.prompt')
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Question prompt must be between 1 and 2000 characters'),
+    body('questions.*.options')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('A question can have up to 20 options'),
+    body('questions.*.correctOptions')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Correct options must be a list of option indexes'),
+    body('questions.*.correctOptions.*')
+        .isInt({ min: 0 })
+        .toInt()
+        .withMessage('Correct options must be option indexes'),
+    body('questions.*.acceptedAnswers')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('A question can have up to 20 accepted answers'),
+    body('questions.*.points')
+        .optional()
+        .isFloat({ min: 0 })
+        .toFloat()
+        .withMessage('Points must be a positive number'),
+    body('timeLimitMinutes')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 600 })
+        .withMessage('Time limit must be between 1 and 600 minutes'),
+    ...settingsValidation
+];
+
+const quizFields = ['title', 'description', 'questions', 'timeLimitMinutes', 'maxAttempts', 'passingScore', 'isRequired', 'isPublished'];
+
+const assignmentValidation = [
+    body('title')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Assignment title must be between 1 and 100 characters'),
+    body('instructions')
+        .trim()
+        .isLength({ min: 1, max: 5000 })
+        .withMessage('Instructions must be between 1 and 5000 characters'),
+    body('maxScore')
+        .optional()
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('Maximum score must be between 1 and 1000'),
+    ...settingsValidation
+];
+
+const assignmentFields = ['title', 'instructions', 'maxScore', 'maxAttempts', 'passingScore', 'isRequired', 'isPublished'];
+
+const assignFields = (document, fields, source) => {
+    fields.forEach(field => {
+        if (source[field] !== undefined) {
+            document[field] = source[field];
+        }
+    });
+};
+
+const sectionValidation = [
+    body('courseId')
+        .isMongoId()
+        .withMessage('Valid course ID is required'),
+    body('sectionId')
+        .isMongoId()
+        .withMessage('Valid section ID is required')
+];
+
+// Create a quiz or assignment in a section of a course the user manages
+const createAssessment = async (req, res, Model, fields, listName) => {
+    const course = await getManagedCourse(req, res, req.body.courseId);
+    if (!course) return;
+
+    const section = await Section.findOne({ _id: req.body.sectionId, course: course._id });
+    if (!section) {
+        return res.status(404).json({
+            success: false,
+            message: 'Section not found'
+        });
+    }
+
+    const assessment = new Model({
+        course: course._id,
+        section: section._id,
+        order: section[listName].length
+    });
+    assignFields(assessment, fields, req.body);
+    await assessment.save();
+
+    section[listName].push(assessment._id);
+    await section.save();
+
+    const label = Model === Quiz ? 'Quiz' : 'Assignment';
+    res.status(201).json({
+        success: true,
+        message: `${label} created successfully`,
+        data: { [label.toLowerCase()]: assessment }
+    });
+};
+
+// Replace the settings and content of a quiz or assignment
+const updateAssessment = async (req, res, Model, fields) => {
+    const label = Model === Quiz ? 'Quiz' : 'Assignment';
+    const assessment = await Model.findById(req.params.id);
+    if (!assessment) {
+        return res.status(404).json({
+            success: false,
+            message: `${label} not found`
+        });
+    }
+
+    if (!await getManagedCourse(req, res, assessment.course)) return;
+
+    // Questions sent with their _id keep it, so answers in earlier attempts
+    // still match them
+    assignFields(assessment, fields, req.body);
+    await assessment.save();
+
+    res.json({
+        success: true,
+        message: `${label} updated successfully`,
+        data: { [label.toLowerCase()]: assessment }
+    });
+};
+
+// @route   POST /api/assessments/quizzes
+// @desc    Add a quiz to a course section
+// @access  Private (Course instructor or admin)
+router.post('/quizzes', auth, authorize('instructor', 'admin'), [...sectionValidation, ...quizValidation], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+        await createAssessment(req, res, Quiz, quizFields, 'quizzes');
+    } catch (error) {
+        sendSaveError(res, error, 'Creating quiz');
+    }
+});
+
+// @route   PUT /api/assessments/quizzes/:id
+// @desc    Replace a quiz
+// @access  Private (Course instructor or admin)
+router.put('/quizzes/:id', auth, authorize('instructor', 'admin'), [
+    param('id').isMongoId().withMessage('Valid quiz ID is required'),
+    ...quizValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+        await updateAssessment(req, res, Quiz, quizFields);
+    } catch (error) {
+        sendSaveError(res, error, 'Updating quiz');
+    }
+});
+
+// @route   POST /api/assessments/assignments
+// @desc    Add an assignment to a course section
+// @access  Private (Course instructor or admin)
+router.post('/assignments', auth, authorize('instructor', 'admin'), [...sectionValidation, ...assignmentValidation], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+        await createAssessment(req, res, Assignment, assignmentFields, 'assignments');
+    } catch (error) {
+        sendSaveError(res, error, 'Creating assignment');
+    }
+});
+
+// @route   PUT /api/assessments/assignments/:id
+// @desc    Replace an assignment
+// @access  Private (Course instructor or admin)
+router.put('/assignments/:id', auth, authorize('instructor', 'admin'), [
+    param('id').isMongoId().withMessage('Valid assignment ID is required'),
+    ...assignmentValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+        await updateAssessment(req, res, Assignment, assignmentFields);
+    } catch (error) {
+        sendSaveError(res, error, 'Updating assignment');
+    }
+});
+
+// @route   GET /api/assessments/courses/:courseId
+// @desc    Get the quizzes and assignments of a course; students get their
+//          attempts and no answers
+// @access  Private
+router.get('/courses/:courseId', auth, [
+    param('courseId').isMongoId().withMessage('Valid course ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const course = await Course.findById(req.params.courseId).select('title instructor');
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        if (canManageCourse(course, req.user)) {
+            const [quizzes, assignments] = await Promise.all([
+                Quiz.find({ course: course._id }).sort({ order: 1 }),
+                Assignment.find({ course: course._id }).sort({ order: 1 })
+            ]);
+
+            return res.json({
+                success: true,
+                data: { quizzes, assignments }
+            });
+        }
+
+        if (!await getAccessibleEnrollment(req, res, course._id)) return;
+
+        await AssessmentAttempt.submitTimedOut({ student: req.user.userId, course: course._id });
+
+        const [quizzes, assignments, attempts] = await Promise.all([
+            Quiz.find({ course: course._id, isPublished: true }).sort({ order: 1 }),
+            Assignment.find({ course: course._id, isPublished: true }).sort({ order: 1 }),
+            AssessmentAttempt.find({ student: req.user.userId, course: course._id })
+                .select('assessment attemptNumber status percent passed submittedAt expiresAt')
+                .sort({ attemptNumber: 1 })
+        ]);
+
+        // The student's standing on an assessment
+        const summarize = assessment => {
+            const own = attempts.filter(attempt => attempt.assessment.equals(assessment._id));
+            const graded = own.filter(attempt => attempt.status === 'graded');
+            const inProgress = own.find(attempt => attempt.status === 'in_progress');
+
+            return {
+                attemptsUsed: own.length,
+                attemptsLeft: assessment.maxAttempts ? Math.max(0, assessment.maxAttempts - own.length) : null,
+                bestPercent: graded.length > 0 ? Math.max(...graded.map(attempt => attempt.percent)) : null,
+                passed: own.some(attempt => attempt.passed),
+                awaitingGrading: own.some(attempt => attempt.status === 'needs_grading'),
+                inProgressAttempt: inProgress ? inProgress._id : null
+            };
+        };
+
+        res.json({
+            success: true,
+            data: {
+                quizzes: quizzes.map(quiz => {
+                    const { questions: quizQuestions, ...summary } = quiz.toStudentView();
+                    return { ...summary, questionCount: quizQuestions.length, standing: summarize(quiz) };
+                }),
+                assignments: assignments.map(assignment => ({
+                    ...assignment.toObject(),
+                    standing: summarize(assignment)
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get course assessments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching assessments'
+        });
+    }
+});
+
+// @route   POST /api/assessments/quizzes/:id/attempts
+// @desc    Start an attempt at a quiz, or resume the one in progress
+// @access  Private
+router.post('/quizzes/:id/attempts', auth, [
+    param('id').isMongoId().withMessage('Valid quiz ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const quiz = await Quiz.findOne({ _id: req.params.id, isPublished: true });
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        const enrollment = await getAccessibleEnrollment(req, res, quiz.course);
+        if (!enrollment) return;
+
+        await AssessmentAttempt.submitTimedOut({ student: req.user.userId, assessment: quiz._id });
+
+        const inProgress = await AssessmentAttempt.findOne({
+            student: req.user.userId,
+            assessment: quiz._id,
+            status: 'in_progress'
+        });
+        if (inProgress) {
+            return res.json({
+                success: true,
+                message: 'Attempt resumed',
+                data: { attempt: toAttemptView(inProgress), quiz: quiz.toStudentView() }
+            });
+        }
+
+        const attemptsUsed = await AssessmentAttempt.countAttempts(req.user.userId, quiz._id);
+        if (quiz.maxAttempts && attemptsUsed >= quiz.maxAttempts) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have no attempts left for this quiz'
+            });
+        }
+
+        const attempt = new AssessmentAttempt({
+            student: req.user.userId,
+            course: quiz.course,
+            enrollment: enrollment._id,
+            assessmentType: 'Quiz',
+            assessment: quiz._id,
+            attemptNumber: attemptsUsed + 1,
+            maxScore: quiz.maxScore,
+            passingScore: quiz.passingScore,
+            expiresAt: quiz.timeLimitMinutes
+                ? new Date(Date.now() + quiz.timeLimitMinutes * 60 * 1000)
+                : undefined
+        });
+        await attempt.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Attempt started',
+            data: { attempt: toAttemptView(attempt), quiz: quiz.toStudentView() }
+        });
+
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'An attempt at this quiz was just started'
+            });
+        }
+
+        console.error('Start quiz attempt error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while starting quiz attempt'
+        });
+    }
+});
+
+// @route   PUT /api/assessments/attempts/:id
+// @desc    Save the answers of a quiz attempt, and submit it with submit: true
+// @access  Private
+router.put('/attempts/:id', auth, [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid attempt ID is required'),
+    body('answers')
+        .isArray({ max: 100 })
+        .withMessage('Answers must be a list'),
+    body('answers.*.question')
+        .isMongoId()
+        .withMessage('Valid question ID is required'),
+    body('answers.*.selected')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Selected options must be a list of option indexes'),
+    body('answers.*.selected.*')
+        .isInt({ min: 0 })
+        .toInt()
+        .withMessage('Selected options must be option indexes'),
+    body('answers.*.text')
+        .optional()
+        .isString()
+        .isLength({ max: 5000 })
+        .withMessage('Answers cannot exceed 5000 characters'),
+    body('submit')
+        .optional()
+        .isBoolean()
+        .withMessage('Submit must be a boolean')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const attempt = await AssessmentAttempt.findOne({
+            _id: req.params.id,
+            student: req.user.userId,
+            assessmentType: 'Quiz'
+        });
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attempt not found'
+            });
+        }
+
+        if (attempt.status !== 'in_progress') {
+            return res.status(400).json({
+                success: false,
+                message: 'This attempt has already been submitted'
+            });
+        }
+
+        const quiz = await Quiz.findById(attempt.assessment);
+
+        // Once time is up only the answers saved in time count
+        const timeUp = attempt.isTimeUp;
+        if (!timeUp) {
+            attempt.saveAnswers(req.body.answers);
+        }
+        if (timeUp || req.body.submit) {
+            attempt.submitQuiz(quiz);
+        }
+        await attempt.save();
+
+        let message = 'Answers saved';
+        if (timeUp) {
+            message = 'Time is up; your saved answers were submitted';
+        } else if (attempt.status === 'needs_grading') {
+            message = 'Quiz submitted; some answers will be graded by the instructor';
+        } else if (attempt.status === 'graded') {
+            message = attempt.passed ? 'Quiz submitted and passed' : 'Quiz submitted';
+        }
+
+        res.json({
+            success: true,
+            message,
+            data: { attempt: toAttemptView(attempt, quiz) }
+        });
+
+    } catch (error) {
+        console.error('Save quiz attempt error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while saving quiz attempt'
+        });
+    }
+});
+
+// @route   POST /api/assessments/assignments/:id/submissions
+// @desc    Submit work for an assignment
+// @access  Private
+router.post('/assignments/:id/submissions', auth, [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid assignment ID is required'),
+    body('text')
+        .trim()
+        .isLength({ min: 1, max: 20000 })
+        .withMessage('Submission must be between 1 and 20000 characters'),
+    body('links')
+        .optional()
+        .isArray({ max: 10 })
+        .withMessage('Up to 10 links can be submitted'),
+    body('links.*')
+        .isURL()
+        .withMessage('Links must be valid URLs')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const assignment = await Assignment.findOne({ _id: req.params.id, isPublished: true });
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        const enrollment = await getAccessibleEnrollment(req, res, assignment.course);
+        if (!enrollment) return;
+
+        const attemptsUsed = await AssessmentAttempt.countAttempts(req.user.userId, assignment._id);
+        if (assignment.maxAttempts && attemptsUsed >= assignment.maxAttempts) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have no submissions left for this assignment'
+            });
+        }
+
+        const attempt = new AssessmentAttempt({
+            student: req.user.userId,
+            course: assignment.course,
+            enrollment: enrollment._id,
+            assessmentType: 'Assignment',
+            assessment: assignment._id,
+            attemptNumber: attemptsUsed + 1,
+            status: 'needs_grading',
+            submittedAt: new Date(),
+            submission: {
+                text: req.body.text,
+                links: req.body.links || []
+            },
+            maxScore: assignment.maxScore,
+            passingScore: assignment.passingScore
+        });
+        await attempt.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Assignment submitted for grading',
+            data: { attempt }
+        });
+
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'This assignment was just submitted'
+            });
+        }
+
+        console.error('Submit assignment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while submitting assignment'
+        });
+    }
+});
+
+// @route   GET /api/assessments/grading-queue
+// @desc    Get submissions waiting to be graded, oldest first
+// @access  Private (Instructor/Admin)
+router.get('/grading-queue', auth, authorize('instructor', 'admin'), [
+    query('course').optional().isMongoId().withMessage('Invalid course ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        // Instructors only see the submissions of their own courses
+        const filter = { status: 'needs_grading' };
+        if (req.user.role === 'admin') {
+            if (req.query.course) filter.course = req.query.course;
+        } else {
+            const courseIds = await Course.find({ instructor: req.user.userId }).distinct('_id');
+            filter.course = req.query.course
+                ? courseIds.find(id => id.equals(req.query.course)) || null
+                : { $in: courseIds };
+        }
+
+        const [attempts, total] = await Promise.all([
+            AssessmentAttempt.find(filter)
+                .populate('student', 'fullName email avatar')
+                .populate('course', 'title')
+                .populate('assessment', 'title questions maxScore')
+                .sort({ submittedAt: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AssessmentAttempt.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                attempts,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(total / limit),
+                    totalAttempts: total,
+                    limit
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get grading queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching grading queue'
+        });
+    }
+});
+
+// @route   GET /api/assessments/attempts/:id
+// @desc    Get an attempt (its student, or the course instructor or admin)
+// @access  Private
+router.get('/attempts/:id', auth, [
+    param('id').isMongoId().withMessage('Valid attempt ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const attempt = await AssessmentAttempt.findById(req.params.id);
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attempt not found'
+            });
+        }
+
+        const isStudent = attempt.student.equals(req.user.userId);
+        const course = await Course.findById(attempt.course).select('instructor');
+        if (!isStudent && !(course && canManageCourse(course, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this attempt'
+            });
+        }
+
+        const assessment = await getAssessmentModel(attempt.assessmentType).findById(attempt.assessment);
+
+        res.json({
+            success: true,
+            data: {
+                attempt: attempt.assessmentType === 'Quiz' ? toAttemptView(attempt, assessment) : attempt,
+                // Students never see the answer key
+                assessment: assessment && attempt.assessmentType === 'Quiz' && isStudent
+                    ? assessment.toStudentView()
+                    : assessment
+            }
+        });
+
+    } catch (error) {
+        console.error('Get attempt error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching attempt'
+        });
+    }
+});
+
+// @route   PUT /api/assessments/attempts/:id/grade
+// @desc    Grade a submission: points for the quiz answers that need grading,
+//          or a score for an assignment
+// @access  Private (Course instructor or admin)
+router.put('/attempts/:id/grade', auth, authorize('instructor', 'admin'), [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid attempt ID is required'),
+    body('answers')
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage('Answers must be a list'),
+    body('answers.*.question')
+        .isMongoId()
+        .withMessage('Valid question ID is required'),
+    body('answers.*.points')
+        .isFloat({ min: 0 })
+        .toFloat()
+        .withMessage('Points must be a positive number'),
+    body('answers.*.feedback')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Feedback cannot exceed 1000 characters'),
+    body('score')
+        .optional()
+        .isFloat({ min: 0 })
+        .toFloat()
+        .withMessage('Score must be a positive number'),
+    body('feedback')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Feedback cannot exceed 2000 characters')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const attempt = await AssessmentAttempt.findById(req.params.id);
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attempt not found'
+            });
+        }
+
+        const course = await getManagedCourse(req, res, attempt.course);
+        if (!course) return;
+
+        const assessment = await getAssessmentModel(attempt.assessmentType).findById(attempt.assessment);
+        if (!assessment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assessment not found'
+            });
+        }
+
+        try {
+            attempt.grade(req.body, req.user.userId, assessment);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        await attempt.save();
+
+        await notify('assessmentGraded', attempt.student, {
+            assessmentTitle: assessment.title,
+            courseTitle: course.title,
+            percent: attempt.percent,
+            passed: attempt.passed,
+            passingScore: attempt.passingScore,
+            feedback: attempt.feedback
+        });
+
+        res.json({
+            success: true,
+            message: 'Submission graded successfully',
+            data: { attempt }
+        });
+
+    } catch (error) {
+        console.error('Grade attempt error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while grading submission'
+        });
+    }
+});
+
+module.exports = router;
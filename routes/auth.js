@@ -0,0 +1,484 @@
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const { auth } = require('../middleware/auth');
+const { notify } = require('../services/notifications');
+
+const router = express.Router();
+
+// Issue a short-lived access token and a refresh token for a login session.
+// Passing the family of an existing session keeps the same session ID.
+const issueTokens = async (user, req, refreshToken) => {
+    const session = refreshToken || await RefreshToken.issue(user._id, null, req.ip);
+
+    const accessToken = jwt.sign(
+        {
+            userId: user._id.toString(),
+            role: user.role,
+            tokenVersion: user.tokenVersion,
+            sid: session.family
+        },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+            jwtid: crypto.randomUUID()
+        }
+    );
+
+    return { accessToken, refreshToken: session.token };
+};
+
+const sendVerificationEmail = (user, token) => {
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return notify('emailVerification', user, { link: `${apiUrl}/api/auth/verify-email/${token}` });
+};
+
+// Password rules shared by register, change-password and reset-password
+const passwordRules = field => body(field)
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .matches(/\d/)
+    .withMessage('Password must contain a number')
+    .matches(/[A-Za-z]/)
+    .withMessage('Password must contain a letter');
+
+// @route   POST /api/auth/register
+// @desc    Register a new user
+// @access  Public
+router.post('/register', [
+    body('fullName')
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Full name must be between 2 and 50 characters'),
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please enter a valid email'),
+    passwordRules('password')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { fullName, email, password } = req.body;
+
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                message: 'An account with this email already exists'
+            });
+        }
+
+        const user = new User({ fullName, email, password });
+        const verificationToken = user.createEmailVerificationToken();
+        user.recordLogin(req.ip, req.get('User-Agent'));
+        await user.save();
+
+        await sendVerificationEmail(user, verificationToken);
+        await notify('welcome', user);
+
+        const tokens = await issueTokens(user, req);
+
+        res.status(201).json({
+            success: true,
+            message: 'Registration successful. Please verify your email address.',
+            data: {
+                user: user.getPrivateProfile(),
+                ...tokens
+            }
+        });
+
+    } catch (error) {
+        console.error('Register error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during registration'
+        });
+    }
+});
+
+// @route   POST /api/auth/login
+// @desc    Authenticate user and get tokens
+// @access  Public
+router.post('/login', [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please enter a valid email'),
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { email, password } = req.body;
+
+        const user = await User.findOne({ email }).select('+password');
+        if (!user || user.isDeleted || !(await user.comparePassword(password))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password'
+            });
+        }
+
+        if (!user.isActive) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your account has been deactivated'
+            });
+        }
+
+        user.recordLogin(req.ip, req.get('User-Agent'));
+        await user.save();
+
+        const tokens = await issueTokens(user, req);
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                user: user.getPrivateProfile(),
+                ...tokens
+            }
+        });
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public
+router.post('/refresh', [
+    body('refreshToken')
+        .notEmpty()
+        .withMessage('Refresh token is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        let rotated;
+        try {
+            rotated = await RefreshToken.rotate(req.body.refreshToken, req.ip);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const user = await User.findById(rotated.user);
+        if (!user || !user.isActive || user.isDeleted) {
+            await RefreshToken.revokeFamily(rotated.family);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid refresh token'
+            });
+        }
+
+        const tokens = await issueTokens(user, req, rotated);
+
+        res.json({
+            success: true,
+            data: tokens
+        });
+
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while refreshing token'
+        });
+    }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user profile
+// @access  Private
+router.get('/me', auth, async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            user: req.currentUser.getPrivateProfile()
+        }
+    });
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change password and sign out all other sessions
+// @access  Private
+router.post('/change-password', auth, [
+    body('currentPassword')
+        .notEmpty()
+        .withMessage('Current password is required'),
+    passwordRules('newPassword')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user.userId).select('+password');
+        if (!(await user.comparePassword(currentPassword))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        user.password = newPassword;
+        user.tokenVersion += 1;
+        await user.save();
+
+        await RefreshToken.revokeAllForUser(user._id);
+        const tokens = await issueTokens(user, req);
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully',
+            data: tokens
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while changing password'
+        });
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please enter a valid email')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email, isDeleted: false });
+
+        // Respond the same way whether or not the account exists
+        if (user && user.isActive) {
+            const resetToken = user.createPasswordResetToken();
+            await user.save();
+
+            const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+            await notify('passwordReset', user, { link: `${frontendUrl}/?resetToken=${resetToken}` });
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a reset link has been sent'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while requesting password reset'
+        });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using an emailed token
+// @access  Public
+router.post('/reset-password', [
+    body('token')
+        .notEmpty()
+        .withMessage('Reset token is required'),
+    passwordRules('password')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { token, password } = req.body;
+
+        const user = await User.findByResetToken(token);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset token is invalid or has expired'
+            });
+        }
+
+        user.password = password;
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        user.tokenVersion += 1;
+        await user.save();
+
+        // Sign out every existing session
+        await RefreshToken.revokeAllForUser(user._id);
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please log in with your new password.'
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while resetting password'
+        });
+    }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address using an emailed token
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+    try {
+        const user = await User.findByVerificationToken(req.params.token);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification token is invalid or has expired'
+            });
+        }
+
+        user.isEmailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while verifying email'
+        });
+    }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+    try {
+        const user = req.currentUser;
+        if (user.isEmailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is already verified'
+            });
+        }
+
+        const verificationToken = user.createEmailVerificationToken();
+        await user.save();
+
+        await sendVerificationEmail(user, verificationToken);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while sending verification email'
+        });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current access token and its refresh token session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+    try {
+        await RevokedToken.create({
+            jti: req.user.jti,
+            user: req.user.userId,
+            expiresAt: req.user.tokenExpiresAt
+        });
+
+        if (req.user.sessionId) {
+            await RefreshToken.revokeFamily(req.user.sessionId);
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,320 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const { MAX_CART_ITEMS } = Cart;
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { auth } = require('../middleware/auth');
+const pricing = require('../services/pricing');
+const { resolveCurrency } = require('../services/currency');
+
+const router = express.Router();
+
+// Courses the user already has (or had) access to cannot be bought again
+const findOwnedCourseIds = async (userId, courseIds) => {
+    const enrollments = await Enrollment.find({
+        student: userId,
+        course: { $in: courseIds },
+        'payment.status': { $nin: ['pending', 'failed'] }
+    }).select('course');
+    return enrollments.map(enrollment => enrollment.course.toString());
+};
+
+// Check whether a course can go in the user's cart, returning why not
+const getUnavailableReason = (course, accessOptionId, ownedCourseIds) => {
+    if (!course || course.status !== 'published') {
+        return 'This course is no longer available';
+    }
+    if (ownedCourseIds.includes(course._id.toString())) {
+        return 'You already own this course';
+    }
+    if (!course.getAccessOption(accessOptionId)) {
+        return 'This access option is no longer offered';
+    }
+    return null;
+};
+
+// Cart contents with the current price of the courses that can be bought
+const buildCartSummary = async (cart, userId, { couponCode, currency } = {}) => {
+    const courseIds = cart.items.map(item => item.course);
+    const [courses, ownedCourseIds] = await Promise.all([
+        Course.find({ _id: { $in: courseIds } })
+            .select('title thumbnail price currency status accessOptions instructor')
+            .populate('instructor', 'fullName'),
+        findOwnedCourseIds(userId, courseIds)
+    ]);
+
+    const items = cart.items.map(item => {
+        const course = courses.find(entry => entry._id.equals(item.course));
+        const unavailableReason = getUnavailableReason(course, item.accessOption, ownedCourseIds);
+        return {
+            course: course && {
+                _id: course._id,
+                title: course.title,
+                thumbnail: course.thumbnail,
+                instructor: course.instructor,
+                price: course.price,
+                currency: course.currency
+            },
+            accessOption: unavailableReason ? null : course.getAccessOption(item.accessOption),
+            addedAt: item.addedAt,
+            available: !unavailableReason,
+            unavailableReason
+        };
+    });
+
+    const available = cart.items.filter((item, index) => items[index].available);
+    let quote = null;
+    let quoteError = null;
+
+    if (available.length > 0) {
+        try {
+            quote = await pricing.quote({
+                userId,
+                items: available.map(item => ({ courseId: item.course, accessOptionId: item.accessOption })),
+                couponCode,
+                currency
+            });
+        } catch (error) {
+            if (!(error instanceof pricing.PricingError)) {
+                throw error;
+            }
+            quoteError = error.message;
+        }
+    }
+
+    return { items, quote, quoteError };
+};
+
+// @route   GET /api/cart
+// @desc    Get the current user's cart with prices
+// @access  Private
+router.get('/', auth, [
+    query('couponCode')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 30 })
+        .withMessage('Coupon code cannot exceed 30 characters'),
+    query('currency')
+        .optional()
+        .isISO4217()
+        .withMessage('Currency must be a valid currency code')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const cart = await Cart.findOrCreate(req.user.userId);
+
+        res.json({
+            success: true,
+            data: await buildCartSummary(cart, req.user.userId, {
+                couponCode: req.query.couponCode,
+                currency: resolveCurrency(req.query.currency, req.currentUser)
+            })
+        });
+
+    } catch (error) {
+        console.error('Get cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching cart'
+        });
+    }
+});
+
+// @route   POST /api/cart/items
+// @desc    Add a course to the cart, or change its access option
+// @access  Private
+router.post('/items', auth, [
+    body('courseId')
+        .isMongoId()
+        .withMessage('Valid course ID is required'),
+    body('accessOptionId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Valid access option ID is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { courseId, accessOptionId } = req.body;
+
+        const course = await Course.findById(courseId).select('status accessOptions price');
+        const ownedCourseIds = await findOwnedCourseIds(req.user.userId, [courseId]);
+        const unavailableReason = getUnavailableReason(course, accessOptionId, ownedCourseIds);
+        if (unavailableReason) {
+            return res.status(course ? 400 : 404).json({
+                success: false,
+                message: course ? unavailableReason : 'Course not found'
+            });
+        }
+
+        const cart = await Cart.findOrCreate(req.user.userId);
+        cart.addItem(courseId, accessOptionId);
+        await cart.save();
+
+        res.json({
+            success: true,
+            message: 'Course added to cart',
+            data: await buildCartSummary(cart, req.user.userId, {
+                currency: resolveCurrency(null, req.currentUser)
+            })
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors)[0].message
+            });
+        }
+
+        console.error('Add to cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while adding to cart'
+        });
+    }
+});
+
+// @route   DELETE /api/cart/items/:courseId
+// @desc    Remove a course from the cart
+// @access  Private
+router.delete('/items/:courseId', auth, [
+    param('courseId')
+        .isMongoId()
+        .withMessage('Valid course ID is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const cart = await Cart.findOrCreate(req.user.userId);
+        cart.removeItem(req.params.courseId);
+        await cart.save();
+
+        res.json({
+            success: true,
+            message: 'Course removed from cart',
+            data: await buildCartSummary(cart, req.user.userId, {
+                currency: resolveCurrency(null, req.currentUser)
+            })
+        });
+
+    } catch (error) {
+        console.error('Remove from cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while removing from cart'
+        });
+    }
+});
+
+// @route   DELETE /api/cart
+// @desc    Empty the cart
+// @access  Private
+router.delete('/', auth, async (req, res) => {
+    try {
+        await Cart.updateOne({ user: req.user.userId }, { $set: { items: [] } });
+
+        res.json({
+            success: true,
+            message: 'Cart emptied',
+            data: { items: [], quote: null, quoteError: null }
+        });
+
+    } catch (error) {
+        console.error('Empty cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while emptying cart'
+        });
+    }
+});
+
+// @route   POST /api/cart/merge
+// @desc    Add the courses of a cart kept before logging in. Courses that
+//          cannot be bought are skipped.
+// @access  Private
+router.post('/merge', auth, [
+    body('items')
+        .isArray({ max: MAX_CART_ITEMS })
+        .withMessage(`Items must be a list of at most ${MAX_CART_ITEMS} courses`),
+    body('items.*.courseId')
+        .isMongoId()
+        .withMessage('Valid course ID is required'),
+    body('items.*.accessOptionId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Valid access option ID is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { items } = req.body;
+        const courseIds = items.map(item => item.courseId);
+        const [courses, ownedCourseIds] = await Promise.all([
+            Course.find({ _id: { $in: courseIds } }).select('status accessOptions price'),
+            findOwnedCourseIds(req.user.userId, courseIds)
+        ]);
+
+        const cart = await Cart.findOrCreate(req.user.userId);
+        items.forEach(({ courseId, accessOptionId }) => {
+            const course = courses.find(entry => entry._id.equals(courseId));
+            if (!getUnavailableReason(course, accessOptionId, ownedCourseIds)) {
+                cart.addItem(courseId, accessOptionId);
+            }
+        });
+        cart.items = cart.items.slice(-MAX_CART_ITEMS);
+        await cart.save();
+
+        res.json({
+            success: true,
+            message: 'Cart updated',
+            data: await buildCartSummary(cart, req.user.userId, {
+                currency: resolveCurrency(null, req.currentUser)
+            })
+        });
+
+    } catch (error) {
+        console.error('Merge cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating cart'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Enrollment = require('../models/Enrollment');
+const PathEnrollment = require('../models/PathEnrollment');
+const { auth, authorize } = require('../middleware/auth');
+const { verifySignature, renderCertificatePdf } = require('../services/certificates');
+
+const router = express.Router();
+
+// Find the course or learning path enrollment a certificate was issued for
+const findCertificateHolder = async certificateId => (
+    await Enrollment.findByCertificateId(certificateId)
+    || PathEnrollment.findByCertificateId(certificateId)
+);
+
+const getCertificateType = enrollment => (enrollment instanceof PathEnrollment ? 'learningPath' : 'course');
+
+// @route   GET /certificates/:certificateId
+// @desc    Download certificate as PDF
+// @access  Public
+router.get('/:certificateId', async (req, res) => {
+    try {
+        const enrollment = await findCertificateHolder(req.params.certificateId);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificate not found'
+            });
+        }
+
+        if (enrollment.certificate.revoked) {
+            return res.status(410).json({
+                success: false,
+                message: 'This certificate has been revoked'
+            });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename="${enrollment.certificate.certificateId}.pdf"`
+        );
+
+        await renderCertificatePdf(enrollment.certificate, res, {
+            subject: getCertificateType(enrollment) === 'learningPath' ? 'learning path' : 'course'
+        });
+
+    } catch (error) {
+        console.error('Download certificate error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Server error while generating certificate'
+            });
+        }
+    }
+});
+
+// @route   GET /api/certificates/:certificateId/verify
+// @desc    Verify the authenticity of a certificate
+// @access  Public
+router.get('/:certificateId/verify', async (req, res) => {
+    try {
+        const enrollment = await findCertificateHolder(req.params.certificateId);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificate not found'
+            });
+        }
+
+        const { certificate } = enrollment;
+
+        // The hash printed on the certificate can be supplied to confirm
+        // that the document being checked is the one that was issued
+        let status = 'valid';
+        if (!verifySignature(certificate) || (req.query.hash && req.query.hash !== certificate.hash)) {
+            status = 'invalid';
+        } else if (certificate.revoked) {
+            status = 'revoked';
+        }
+
+        res.json({
+            success: true,
+            data: {
+                valid: status === 'valid',
+                status,
+                certificate: {
+                    type: getCertificateType(enrollment),
+                    certificateId: certificate.certificateId,
+                    studentName: certificate.studentName,
+                    courseTitle: certificate.courseTitle,
+                    instructorName: certificate.instructorName,
+                    completionDate: certificate.completionDate,
+                    issuedAt: certificate.issuedAt,
+                    revokedAt: certificate.revokedAt,
+                    hash: certificate.hash
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Verify certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while verifying certificate'
+        });
+    }
+});
+
+// @route   PUT /api/certificates/:certificateId/revoke
+// @desc    Revoke a certificate (admin only)
+// @access  Private (Admin only)
+router.put('/:certificateId/revoke', auth, authorize('admin'), [
+    body('reason')
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage('Revocation reason must be between 5 and 500 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const enrollment = await findCertificateHolder(req.params.certificateId);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificate not found'
+            });
+        }
+
+        if (enrollment.certificate.revoked) {
+            return res.status(400).json({
+                success: false,
+                message: 'Certificate has already been revoked'
+            });
+        }
+
+        enrollment.revokeCertificate(req.body.reason);
+        await enrollment.save();
+
+        res.json({
+            success: true,
+            message: 'Certificate revoked successfully',
+            data: { certificate: enrollment.certificate }
+        });
+
+    } catch (error) {
+        console.error('Revoke certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking certificate'
+        });
+    }
+});
+
+module.exports = router;
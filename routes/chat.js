@@ -0,0 +1,274 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const ChatConversation = require('../models/ChatConversation');
+const SupportTicket = require('../models/SupportTicket');
+const { auth, authorize, optionalAuth } = require('../middleware/auth');
+const { sendValidationErrors, paginationValidation } = require('../middleware/validation');
+const { notify } = require('../services/notifications');
+const chat = require('../services/chat');
+
+const router = express.Router();
+
+const AGENT_ROLES = ['support', 'admin'];
+
+const isAgent = user => Boolean(user) && AGENT_ROLES.includes(user.role);
+
+// Load the chat named in the URL if the request may see it: agents see every
+// chat, visitors their own, by account or with the chat's ?token=
+const findConversationForRequest = async (req, res) => {
+    const conversation = await ChatConversation.findById(req.params.id)
+        .populate('agent', 'fullName avatar')
+        .populate('ticket', 'number status');
+    const allowed = Boolean(conversation) && (
+        isAgent(req.user) ||
+        conversation.isVisitor(req.user) ||
+        (!conversation.user && conversation.hasAccessToken(req.query.token))
+    );
+
+    if (!allowed) {
+        res.status(404).json({
+            success: false,
+            message: 'Chat not found'
+        });
+        return null;
+    }
+    return conversation;
+};
+
+// @route   GET /api/chat/status
+// @desc    Get whether support agents are online and how many chats wait
+// @access  Public
+router.get('/status', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await chat.getChatStatus()
+        });
+
+    } catch (error) {
+        console.error('Get chat status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching chat status'
+        });
+    }
+});
+
+// @route   GET /api/chat/conversations
+// @desc    Get chat transcripts, newest first
+// @access  Private (Support/Admin)
+router.get('/conversations', auth, authorize(...AGENT_ROLES), [
+    query('status').optional().isIn(['queued', 'active', 'ended']).withMessage('Invalid status'),
+    query('agent').optional().custom(value => value === 'me' || /^[0-9a-f]{24}$/i.test(value))
+        .withMessage('Agent must be me or a user ID'),
+    query('email').optional().isEmail().withMessage('Invalid email'),
+    ...paginationValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const { status, agent, email } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (agent) filter.agent = agent === 'me' ? req.user.userId : agent;
+        if (email) filter['visitor.email'] = email.toLowerCase();
+
+        const [conversations, total] = await Promise.all([
+            ChatConversation.find(filter)
+                .select({ messages: { $slice: -1 } })
+                .populate('agent', 'fullName avatar')
+                .populate('ticket', 'number status')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            ChatConversation.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                conversations: conversations.map(conversation => {
+                    const { messages, ...summary } = conversation.toObject();
+                    return { ...summary, lastMessage: messages[0] || null };
+                }),
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(total / limit),
+                    totalConversations: total,
+                    limit
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get chats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching chats'
+        });
+    }
+});
+
+// @route   GET /api/chat/conversations/my
+// @desc    Get the user's chats, newest first
+// @access  Private
+router.get('/conversations/my', auth, paginationValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const filter = { user: req.user.userId };
+
+        const [conversations, total] = await Promise.all([
+            ChatConversation.find(filter)
+                .select('-messages')
+                .populate('agent', 'fullName avatar')
+                .populate('ticket', 'number status')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            ChatConversation.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                conversations,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(total / limit),
+                    totalConversations: total,
+                    limit
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get my chats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching your chats'
+        });
+    }
+});
+
+// @route   GET /api/chat/conversations/:id
+// @desc    Get a chat transcript (?token= for visitors without an account)
+// @access  Public (Visitor or agent)
+router.get('/conversations/:id', optionalAuth, [
+    param('id').isMongoId().withMessage('Invalid chat ID')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const conversation = await findConversationForRequest(req, res);
+        if (!conversation) return;
+
+        res.json({
+            success: true,
+            data: { conversation }
+        });
+
+    } catch (error) {
+        console.error('Get chat error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching chat'
+        });
+    }
+});
+
+// @route   POST /api/chat/conversations/:id/ticket
+// @desc    Turn a chat into a support ticket with its transcript, e.g. when
+//          no agent is available or the issue needs follow-up. Ends the chat.
+// @access  Public (Visitor or agent)
+router.post('/conversations/:id/ticket', optionalAuth, [
+    param('id').isMongoId().withMessage('Invalid chat ID'),
+    body('subject')
+        .optional()
+        .isIn(['technical', 'billing', 'course', 'certificate', 'refund', 'general', 'feedback'])
+        .withMessage('Invalid subject'),
+    body('priority')
+        .optional()
+        .isIn(['low', 'medium', 'high', 'urgent'])
+        .withMessage('Invalid priority')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const conversation = await findConversationForRequest(req, res);
+        if (!conversation) return;
+
+        if (conversation.ticket) {
+            return res.status(400).json({
+                success: false,
+                message: `This chat is already ticket ${conversation.ticket.number}`
+            });
+        }
+
+        const ticket = new SupportTicket({
+            user: conversation.user,
+            requester: { name: conversation.visitor.name, email: conversation.visitor.email },
+            subject: req.body.subject || 'general',
+            priority: req.body.priority
+        });
+        conversation.messages
+            .filter(message => message.sender !== 'system')
+            .forEach(message => ticket.addMessage({
+                author: message.author,
+                authorName: message.authorName,
+                body: message.body,
+                fromAgent: message.sender === 'agent'
+            }));
+        await ticket.save();
+
+        await ChatConversation.updateOne({ _id: conversation._id }, { ticket: ticket._id });
+        const ended = await ChatConversation.end(
+            conversation._id,
+            isAgent(req.user) ? 'agent' : 'visitor',
+            `The chat was turned into ticket ${ticket.number}`
+        );
+
+        const accessToken = ticket.user ? undefined : ticket.getAccessToken();
+        await notify('supportTicketCreated', ticket.user || { fullName: ticket.requester.name, email: ticket.requester.email }, {
+            ticketNumber: ticket.number,
+            accessToken,
+            firstResponseDueAt: ticket.firstResponseDueAt
+        });
+
+        chat.publish(conversation._id, 'ticket', { ticketNumber: ticket.number, accessToken });
+        if (ended) {
+            chat.publish(conversation._id, 'ended', { message: ended.messages[ended.messages.length - 1] });
+        }
+        chat.refreshQueue();
+
+        res.status(201).json({
+            success: true,
+            message: `The chat was saved as ticket ${ticket.number}`,
+            data: {
+                ticket: ticket.toView({ agent: isAgent(req.user) }),
+                accessToken
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors)[0].message
+            });
+        }
+
+        console.error('Convert chat error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating ticket from chat'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const Enrollment = require('../models/Enrollment');
+const Order = require('../models/Order');
+const { auth } = require('../middleware/auth');
+const { getProviderForMethod } = require('../services/payments');
+const pricing = require('../services/pricing');
+const { resolveCurrency } = require('../services/currency');
+
+const router = express.Router();
+
+// @route   POST /api/checkout/quote
+// @desc    Price one or more courses with bundles, running sales and a coupon
+// @access  Private
+router.post('/quote', auth, [
+    body('items')
+        .isArray({ min: 1, max: 50 })
+        .withMessage('Items must be a list of 1 to 50 courses'),
+    body('items.*.courseId')
+        .isMongoId()
+        .withMessage('Valid course ID is required'),
+    body('items.*.accessOptionId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid access option ID is required'),
+    body('currency')
+        .optional()
+        .isISO4217()
+        .withMessage('Currency must be a valid currency code'),
+    body('couponCode')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 30 })
+        .withMessage('Coupon code cannot exceed 30 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { items, couponCode } = req.body;
+
+        const courseIds = items.map(item => item.courseId);
+        if (new Set(courseIds).size !== courseIds.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Each course can only be added once'
+            });
+        }
+
+        const quote = await pricing.quote({
+            userId: req.user.userId,
+            items: items.map(({ courseId, accessOptionId }) => ({ courseId, accessOptionId })),
+            couponCode,
+            currency: resolveCurrency(req.body.currency, req.currentUser)
+        });
+
+        res.json({
+            success: true,
+            data: { quote }
+        });
+
+    } catch (error) {
+        if (error instanceof pricing.PricingError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Checkout quote error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while pricing checkout'
+        });
+    }
+});
+
+// @route   POST /api/checkout
+// @desc    Buy every course in the cart with a single payment
+// @access  Private
+router.post('/', auth, [
+    body('paymentMethod')
+        .isIn(['credit_card', 'paypal', 'stripe', 'bank_transfer', 'crypto'])
+        .withMessage('Valid payment method is required'),
+    body('currency')
+        .optional()
+        .isISO4217()
+        .withMessage('Currency must be a valid currency code'),
+    body('couponCode')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 30 })
+        .withMessage('Coupon code cannot exceed 30 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { paymentMethod, couponCode } = req.body;
+
+        const cart = await Cart.findOne({ user: req.user.userId });
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your cart is empty'
+            });
+        }
+
+        const quote = await pricing.quote({
+            userId: req.user.userId,
+            items: cart.items.map(item => ({ courseId: item.course, accessOptionId: item.accessOption })),
+            couponCode,
+            currency: resolveCurrency(req.body.currency, req.currentUser)
+        });
+
+        if (quote.coupon && !quote.coupon.applied) {
+            return res.status(400).json({
+                success: false,
+                message: quote.coupon.message
+            });
+        }
+
+        // Courses with an unpaid or failed checkout can be bought again
+        const existing = await Enrollment.find({
+            student: req.user.userId,
+            course: { $in: quote.lines.map(line => line.course._id) }
+        });
+        const owned = existing.filter(enrollment => !['pending', 'failed'].includes(enrollment.payment.status));
+        if (owned.length > 0) {
+            const line = quote.lines.find(entry => entry.course._id.equals(owned[0].course));
+            return res.status(400).json({
+                success: false,
+                message: `You already own ${line.course.title}. Remove it from your cart to continue`
+            });
+        }
+
+        const order = new Order({
+            user: req.user.userId,
+            currency: quote.currency,
+            exchangeRate: quote.exchangeRate,
+            subtotal: quote.subtotal,
+            discountTotal: quote.discountTotal,
+            total: quote.total,
+            couponCode: quote.coupon ? quote.coupon.code : undefined,
+            payment: { method: paymentMethod }
+        });
+
+        let checkout = null;
+        if (quote.total === 0) {
+            order.payment.provider = 'free';
+            order.payment.transactionId = `FREE-${order._id}`;
+        } else {
+            const provider = getProviderForMethod(paymentMethod);
+            if (!provider) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Payment method is not supported'
+                });
+            }
+
+            // The enrollments are only activated once the provider confirms
+            // payment via webhook
+            checkout = await provider.createIntent({
+                amount: quote.total,
+                currency: quote.currency,
+                metadata: {
+                    orderId: order._id.toString(),
+                    studentId: req.user.userId
+                }
+            });
+            order.payment.provider = provider.name;
+            order.payment.transactionId = checkout.intentId;
+            checkout = { provider: provider.name, ...checkout };
+        }
+
+        // Create all enrollments or none of them
+        await mongoose.connection.transaction(session => order.createEnrollments(quote, existing, session));
+        if (order.status === 'paid') {
+            await order.sendReceipt();
+        }
+
+        res.status(201).json({
+            success: true,
+            message: checkout
+                ? 'Checkout created, awaiting payment confirmation'
+                : 'Successfully enrolled in courses',
+            data: { order, checkout }
+        });
+
+    } catch (error) {
+        if (error instanceof pricing.PricingError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        if (error.name === 'OrderConflictError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Another checkout for these courses is in progress'
+            });
+        }
+
+        console.error('Checkout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while checking out'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,779 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Forum = require('../models/Forum');
+const ForumMembership = require('../models/ForumMembership');
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const Thread = require('../models/Thread');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { auth, authorize, optionalAuth } = require('../middleware/auth');
+const { sendValidationErrors, sendSaveError, paginationValidation } = require('../middleware/validation');
+const { notify } = require('../services/notifications');
+const { buildCalendar } = require('../services/calendar');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sendNotFound = (res, label) => res.status(404).json({
+    success: false,
+    message: `${label} not found`
+});
+
+// @route   GET /api/community/stats
+// @desc    Get community figures for the community page
+// @access  Public
+router.get('/stats', async (req, res) => {
+    try {
+        const dayAgo = new Date(Date.now() - DAY_MS);
+        const yearStart = new Date(Date.UTC(new Date().getUTCFullYear(), 0, 1));
+
+        const [members, threadsToday, postsToday, forums, eventsThisYear] = await Promise.all([
+            User.countDocuments({ isActive: true, isDeleted: { $ne: true } }),
+            Thread.countDocuments({ createdAt: { $gte: dayAgo } }),
+            Post.countDocuments({ createdAt: { $gte: dayAgo } }),
+            Forum.countDocuments({ isActive: true }),
+            Event.countDocuments({ status: 'published', startsAt: { $gte: yearStart } })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                members,
+                discussionsToday: threadsToday + postsToday,
+                forums,
+                eventsThisYear
+            }
+        });
+
+    } catch (error) {
+        console.error('Get community stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching community stats'
+        });
+    }
+});
+
+// Forums
+
+const forumValidation = [
+    body('title')
+        .trim()
+        .isLength({ min: 3, max: 100 })
+        .withMessage('Title must be between 3 and 100 characters'),
+    body('description')
+        .trim()
+        .isLength({ min: 10, max: 500 })
+        .withMessage('Description must be between 10 and 500 characters'),
+    body('icon')
+        .optional()
+        .matches(/^fa[a-z]? fa-[a-z0-9-]+$/)
+        .withMessage('Icon must be a Font Awesome class such as "fas fa-code"'),
+    body('order')
+        .optional()
+        .isInt()
+        .withMessage('Order must be an integer'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean'),
+    body('moderators')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Moderators must be a list of at most 20 users'),
+    body('moderators.*')
+        .isMongoId()
+        .withMessage('Invalid moderator ID')
+];
+
+const FORUM_FIELDS = ['title', 'description', 'icon', 'order', 'isActive', 'moderators'];
+
+// @route   GET /api/community/forums
+// @desc    Get the active forums, with whether the user joined them
+// @access  Public
+router.get('/forums', optionalAuth, async (req, res) => {
+    try {
+        const forums = await Forum.find({ isActive: true }).sort({ order: 1, title: 1 });
+        const joined = req.user
+            ? await ForumMembership.findJoinedBy(forums.map(forum => forum._id), req.user.userId)
+            : [];
+
+        res.json({
+            success: true,
+            data: {
+                forums: forums.map(forum => ({
+                    ...forum.toJSON(),
+                    joined: joined.includes(forum._id.toString())
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get forums error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching forums'
+        });
+    }
+});
+
+// @route   GET /api/community/forums/:id
+// @desc    Get a forum
+// @access  Public
+router.get('/forums/:id', optionalAuth, [
+    param('id').isMongoId().withMessage('Valid forum ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const forum = await Forum.findById(req.params.id);
+        const canModerate = Boolean(forum) && forum.isModerator(req.user);
+        if (!forum || (!forum.isActive && !canModerate)) {
+            return sendNotFound(res, 'Forum');
+        }
+        await forum.populate('moderators', 'fullName avatar');
+
+        const joined = req.user
+            ? Boolean(await ForumMembership.exists({ forum: forum._id, user: req.user.userId }))
+            : false;
+
+        res.json({
+            success: true,
+            data: {
+                forum,
+                viewer: req.user ? { joined, canModerate } : null
+            }
+        });
+
+    } catch (error) {
+        console.error('Get forum error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching forum'
+        });
+    }
+});
+
+// @route   POST /api/community/forums
+// @desc    Create a forum
+// @access  Private (Admin)
+router.post('/forums', auth, authorize('admin'), forumValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const forum = new Forum({ createdBy: req.user.userId });
+        FORUM_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) forum[field] = req.body[field];
+        });
+        await forum.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Forum created successfully',
+            data: { forum }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Creating forum');
+    }
+});
+
+// @route   PUT /api/community/forums/:id
+// @desc    Update a forum
+// @access  Private (Admin)
+router.put('/forums/:id', auth, authorize('admin'), [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid forum ID is required'),
+    ...forumValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const forum = await Forum.findById(req.params.id);
+        if (!forum) {
+            return sendNotFound(res, 'Forum');
+        }
+
+        FORUM_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) forum[field] = req.body[field];
+        });
+        await forum.save();
+
+        res.json({
+            success: true,
+            message: 'Forum updated successfully',
+            data: { forum }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Updating forum');
+    }
+});
+
+// @route   POST /api/community/forums/:id/join
+// @desc    Join a forum
+// @access  Private
+router.post('/forums/:id/join', auth, [
+    param('id').isMongoId().withMessage('Valid forum ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const forum = await Forum.findOne({ _id: req.params.id, isActive: true });
+        if (!forum) {
+            return sendNotFound(res, 'Forum');
+        }
+
+        const joined = await ForumMembership.join(forum._id, req.user.userId);
+
+        res.json({
+            success: true,
+            message: joined ? `Welcome to ${forum.title}` : 'You are already a member of this forum',
+            data: { memberCount: forum.memberCount + (joined ? 1 : 0) }
+        });
+
+    } catch (error) {
+        console.error('Join forum error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while joining forum'
+        });
+    }
+});
+
+// @route   DELETE /api/community/forums/:id/join
+// @desc    Leave a forum
+// @access  Private
+router.delete('/forums/:id/join', auth, [
+    param('id').isMongoId().withMessage('Valid forum ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const forum = await Forum.findById(req.params.id);
+        if (!forum) {
+            return sendNotFound(res, 'Forum');
+        }
+
+        const left = await ForumMembership.leave(forum._id, req.user.userId);
+
+        res.json({
+            success: true,
+            message: left ? `You left ${forum.title}` : 'You are not a member of this forum',
+            data: { memberCount: forum.memberCount - (left ? 1 : 0) }
+        });
+
+    } catch (error) {
+        console.error('Leave forum error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while leaving forum'
+        });
+    }
+});
+
+// Events
+
+const EVENT_FIELDS = ['title', 'description', 'type', 'image', 'startsAt', 'endsAt', 'isOnline', 'meetingUrl', 'venue', 'address', 'capacity', 'status'];
+
+const eventValidation = [
+    body('title')
+        .trim()
+        .isLength({ min: 3, max: 150 })
+        .withMessage('Title must be between 3 and 150 characters'),
+    body('description')
+        .trim()
+        .isLength({ min: 10, max: 5000 })
+        .withMessage('Description must be between 10 and 5000 characters'),
+    body('type')
+        .optional()
+        .isIn(['webinar', 'workshop', 'meetup', 'other'])
+        .withMessage('Type must be webinar, workshop, meetup or other'),
+    body('image')
+        .optional({ values: 'falsy' })
+        .isURL()
+        .withMessage('Image must be a URL'),
+    body(['startsAt', 'endsAt'])
+        .isISO8601()
+        .withMessage('Start and end times must be ISO 8601 dates'),
+    body('isOnline')
+        .optional()
+        .isBoolean()
+        .withMessage('isOnline must be a boolean'),
+    body('meetingUrl')
+        .optional({ values: 'falsy' })
+        .isURL()
+        .withMessage('Meeting URL must be a URL'),
+    body(['venue', 'address'])
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Venue and address cannot exceed 200 characters'),
+    body('capacity')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Capacity must be 0 (unlimited) or more'),
+    body('status')
+        .optional()
+        .isIn(['draft', 'published', 'cancelled'])
+        .withMessage('Status must be draft, published or cancelled')
+];
+
+// The user's registrations for some events, by event ID
+const findRegistrations = async (eventIds, userId) => {
+    const registrations = await EventRegistration.find({
+        event: { $in: eventIds },
+        user: userId,
+        status: { $ne: 'cancelled' }
+    });
+    return new Map(registrations.map(registration => [registration.event.toString(), registration]));
+};
+
+// Position of a waitlisted registration, 1 for the next in line
+const getWaitlistPosition = registration => EventRegistration.countDocuments({
+    event: registration.event,
+    status: 'waitlisted',
+    waitlistedAt: { $lte: registration.waitlistedAt }
+});
+
+const describeRegistration = async registration => (registration
+    ? {
+        status: registration.status,
+        registeredAt: registration.registeredAt,
+        waitlistPosition: registration.status === 'waitlisted' ? await getWaitlistPosition(registration) : null
+    }
+    : null);
+
+const notifyPromoted = (event, registrations) => Promise.all(registrations.map(registration =>
+    notify('eventPromoted', registration.user, {
+        eventId: event._id.toString(),
+        eventTitle: event.title,
+        startsAt: event.startsAt
+    })));
+
+// Load an event the user may see for a request acting on it, or respond.
+// Drafts are only shown to the host and admins.
+const findEventForRequest = async (req, res, { withMeetingUrl = false } = {}) => {
+    const eventQuery = Event.findById(req.params.id).populate('host', 'fullName avatar');
+    const event = await (withMeetingUrl ? eventQuery.select('+meetingUrl') : eventQuery);
+    if (!event || (event.status === 'draft' && !(req.user && event.canManage(req.user)))) {
+        sendNotFound(res, 'Event');
+        return null;
+    }
+    return event;
+};
+
+// @route   GET /api/community/events
+// @desc    Get published events, upcoming by default
+// @access  Public
+router.get('/events', optionalAuth, [
+    query('when').optional().isIn(['upcoming', 'past']).withMessage('When must be upcoming or past'),
+    query('type').optional().isIn(['webinar', 'workshop', 'meetup', 'other']).withMessage('Invalid event type'),
+    ...paginationValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 12;
+        const past = req.query.when === 'past';
+
+        const filter = {
+            status: 'published',
+            endsAt: past ? { $lte: new Date() } : { $gt: new Date() }
+        };
+        if (req.query.type) filter.type = req.query.type;
+
+        const [events, total] = await Promise.all([
+            Event.find(filter)
+                .populate('host', 'fullName avatar')
+                .sort({ startsAt: past ? -1 : 1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Event.countDocuments(filter)
+        ]);
+
+        const registrations = req.user
+            ? await findRegistrations(events.map(event => event._id), req.user.userId)
+            : new Map();
+
+        res.json({
+            success: true,
+            data: {
+                events: events.map(event => {
+                    const registration = registrations.get(event._id.toString());
+                    return { ...event.toJSON(), registrationStatus: registration ? registration.status : null };
+                }),
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(total / limit),
+                    totalEvents: total,
+                    limit
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching events'
+        });
+    }
+});
+
+// @route   GET /api/community/events/my
+// @desc    Get the upcoming events the user registered or is waitlisted for
+// @access  Private
+router.get('/events/my', auth, async (req, res) => {
+    try {
+        const registrations = await EventRegistration.find({
+            user: req.user.userId,
+            status: { $in: ['registered', 'waitlisted'] }
+        }).populate({
+            path: 'event',
+            select: '+meetingUrl',
+            match: { endsAt: { $gt: new Date() }, status: { $ne: 'draft' } }
+        });
+
+        const events = await Promise.all(registrations
+            .filter(registration => registration.event)
+            .sort((a, b) => a.event.startsAt - b.event.startsAt)
+            .map(async registration => {
+                const event = registration.event.toJSON();
+                // The joining link is for members with a place
+                if (registration.status !== 'registered') delete event.meetingUrl;
+                return { ...event, registration: await describeRegistration(registration) };
+            }));
+
+        res.json({
+            success: true,
+            data: { events }
+        });
+
+    } catch (error) {
+        console.error('Get my events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching your events'
+        });
+    }
+});
+
+// @route   GET /api/community/events/hosting
+// @desc    Get the events the user hosts, drafts included
+// @access  Private (Instructor/Admin)
+router.get('/events/hosting', auth, authorize('instructor', 'admin'), async (req, res) => {
+    try {
+        const events = await Event.find({ host: req.user.userId })
+            .select('+meetingUrl')
+            .sort({ startsAt: -1 });
+
+        res.json({
+            success: true,
+            data: { events }
+        });
+
+    } catch (error) {
+        console.error('Get hosted events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching hosted events'
+        });
+    }
+});
+
+// @route   GET /api/community/events/:id
+// @desc    Get an event, with the user's registration
+// @access  Public
+router.get('/events/:id', optionalAuth, [
+    param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const event = await findEventForRequest(req, res, { withMeetingUrl: true });
+        if (!event) return;
+
+        const registration = req.user
+            ? await EventRegistration.findOne({ event: event._id, user: req.user.userId, status: { $ne: 'cancelled' } })
+            : null;
+
+        // The joining link is for members with a place and the host
+        const data = event.toJSON();
+        const canManage = Boolean(req.user) && event.canManage(req.user);
+        if (!canManage && !(registration && registration.status === 'registered')) {
+            delete data.meetingUrl;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                event: data,
+                registration: await describeRegistration(registration),
+                canManage
+            }
+        });
+
+    } catch (error) {
+        console.error('Get event error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching event'
+        });
+    }
+});
+
+// @route   POST /api/community/events
+// @desc    Create an event hosted by the user
+// @access  Private (Instructor/Admin)
+router.post('/events', auth, authorize('instructor', 'admin'), eventValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const event = new Event({ host: req.user.userId });
+        EVENT_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) event[field] = req.body[field];
+        });
+        await event.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Event created successfully',
+            data: { event }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Creating event');
+    }
+});
+
+// @route   PUT /api/community/events/:id
+// @desc    Update an event. Cancelling it tells its members; more places
+//          go to the waitlist.
+// @access  Private (Host/Admin)
+router.put('/events/:id', auth, authorize('instructor', 'admin'), [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid event ID is required'),
+    ...eventValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const event = await Event.findById(req.params.id).select('+meetingUrl');
+        if (!event) {
+            return sendNotFound(res, 'Event');
+        }
+
+        if (!event.canManage(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this event'
+            });
+        }
+
+        const capacity = req.body.capacity !== undefined ? parseInt(req.body.capacity) : event.capacity;
+        if (capacity > 0 && capacity < event.registeredCount) {
+            return res.status(400).json({
+                success: false,
+                message: `Capacity cannot be lower than the ${event.registeredCount} members already registered`
+            });
+        }
+
+        const previousStartsAt = event.startsAt.getTime();
+        const wasCancelled = event.status === 'cancelled';
+        EVENT_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) event[field] = req.body[field];
+        });
+        await event.save();
+
+        // Members are reminded again of a rescheduled event
+        if (event.startsAt.getTime() !== previousStartsAt) {
+            await EventRegistration.updateMany({ event: event._id }, { $unset: { reminderSentAt: 1 } });
+        }
+
+        if (event.status === 'cancelled' && !wasCancelled) {
+            const registrations = await EventRegistration.find({
+                event: event._id,
+                status: { $in: ['registered', 'waitlisted'] }
+            });
+            await Promise.all(registrations.map(registration => notify('eventCancelled', registration.user, {
+                eventId: event._id.toString(),
+                eventTitle: event.title,
+                startsAt: event.startsAt
+            })));
+        } else if (event.status === 'published') {
+            await notifyPromoted(event, await EventRegistration.promoteWaitlist(event._id));
+        }
+
+        res.json({
+            success: true,
+            message: 'Event updated successfully',
+            data: { event: await Event.findById(event._id).select('+meetingUrl') }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Updating event');
+    }
+});
+
+// @route   POST /api/community/events/:id/rsvp
+// @desc    Register for an event, or join its waitlist when it is full
+// @access  Private
+router.post('/events/:id/rsvp', auth, [
+    param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const event = await findEventForRequest(req, res);
+        if (!event) return;
+
+        if (!event.isOpenForRegistration()) {
+            return res.status(400).json({
+                success: false,
+                message: event.status === 'cancelled'
+                    ? 'This event has been cancelled'
+                    : 'Registration for this event is closed'
+            });
+        }
+
+        const registration = await EventRegistration.register(event, req.user.userId);
+
+        res.json({
+            success: true,
+            message: registration.status === 'registered'
+                ? `You are registered for ${event.title}`
+                : 'This event is full. You have been added to the waitlist',
+            data: { registration: await describeRegistration(registration) }
+        });
+
+    } catch (error) {
+        console.error('Event RSVP error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while registering for event'
+        });
+    }
+});
+
+// @route   DELETE /api/community/events/:id/rsvp
+// @desc    Cancel the user's registration; a freed place goes to the waitlist
+// @access  Private
+router.delete('/events/:id/rsvp', auth, [
+    param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const event = await findEventForRequest(req, res);
+        if (!event) return;
+
+        const registration = await EventRegistration.findOne({
+            event: event._id,
+            user: req.user.userId,
+            status: { $ne: 'cancelled' }
+        });
+        if (!registration) {
+            return sendNotFound(res, 'Registration');
+        }
+
+        const promoted = await registration.cancel();
+        if (event.isOpenForRegistration()) {
+            await notifyPromoted(event, promoted);
+        }
+
+        res.json({
+            success: true,
+            message: 'Your registration has been cancelled'
+        });
+
+    } catch (error) {
+        console.error('Cancel event RSVP error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while cancelling registration'
+        });
+    }
+});
+
+// @route   GET /api/community/events/:id/registrations
+// @desc    Get the members registered and waitlisted for an event
+// @access  Private (Host/Admin)
+router.get('/events/:id/registrations', auth, [
+    param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const event = await Event.findById(req.params.id);
+        if (!event) {
+            return sendNotFound(res, 'Event');
+        }
+
+        if (!event.canManage(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view the registrations of this event'
+            });
+        }
+
+        const registrations = await EventRegistration.find({
+            event: event._id,
+            status: { $in: ['registered', 'waitlisted'] }
+        })
+            .populate('user', 'fullName email avatar')
+            .sort({ status: 1, registeredAt: 1, waitlistedAt: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                registered: registrations.filter(registration => registration.status === 'registered'),
+                waitlisted: registrations.filter(registration => registration.status === 'waitlisted')
+            }
+        });
+
+    } catch (error) {
+        console.error('Get event registrations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching registrations'
+        });
+    }
+});
+
+// @route   GET /api/community/events/:id/calendar.ics
+// @desc    Download an event the user registered for as an iCalendar file
+// @access  Private
+router.get('/events/:id/calendar.ics', auth, [
+    param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const [event, registration] = await Promise.all([
+            Event.findById(req.params.id).select('+meetingUrl'),
+            EventRegistration.findOne({ event: req.params.id, user: req.user.userId, status: 'registered' })
+        ]);
+        if (!event || !registration) {
+            return sendNotFound(res, 'Registration');
+        }
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="event-${event._id}.ics"`);
+        res.send(buildCalendar([event]));
+
+    } catch (error) {
+        console.error('Export event calendar error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while exporting event'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,1051 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Course = require('../models/Course');
+const Section = require('../models/Section');
+const Lecture = require('../models/Lecture');
+const Enrollment = require('../models/Enrollment');
+const CourseView = require('../models/CourseView');
+const User = require('../models/User');
+const { auth, authorize, optionalAuth } = require('../middleware/auth');
+const { localizeCoursePrices, resolveCurrency } = require('../services/currency');
+const { notify, notifyCourseContent } = require('../services/notifications');
+const { PRICE_RANGE_IDS, searchCourses, autocomplete } = require('../services/search');
+
+const router = express.Router();
+
+const currencyValidation = query('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid currency code');
+
+// Add prices in the visitor's currency (the one asked for, or their
+// preferred one) to the courses as localPrice
+const localizeCourses = (req, courses) => localizeCoursePrices(
+    courses,
+    resolveCurrency(req.query.currency, req.currentUser)
+);
+
+// @route   GET /api/courses
+// @desc    Get all courses with filtering and pagination, optionally priced in ?currency=
+// @access  Public
+router.get('/', optionalAuth, [
+    currencyValidation,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('category').optional().isString().withMessage('Category must be a string'),
+    query('level').optional().isIn(['Beginner', 'Intermediate', 'Advanced', 'All Levels']).withMessage('Invalid level'),
+    query('priceMin').optional().isFloat({ min: 0 }).withMessage('Minimum price must be a positive number'),
+    query('priceMax').optional().isFloat({ min: 0 }).withMessage('Maximum price must be a positive number'),
+    query('rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5'),
+    query('search').optional().isString().withMessage('Search must be a string'),
+    query('sort').optional().isIn(['title', 'price', 'rating', 'enrollmentCount', 'createdAt']).withMessage('Invalid sort field'),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array() 
+            });
+        }
+
+        const {
+            page = 1,
+            limit = 12,
+            category,
+            level,
+            priceMin,
+            priceMax,
+            rating,
+            search,
+            sort = 'createdAt',
+            order = 'desc'
+        } = req.query;
+
+        // Build filter object
+        const filter = { status: 'published' };
+
+        if (category) filter.category = category;
+        if (level && level !== 'All Levels') filter.level = level;
+        if (priceMin || priceMax) {
+            filter.price = {};
+            if (priceMin) filter.price.$gte = parseFloat(priceMin);
+            if (priceMax) filter.price.$lte = parseFloat(priceMax);
+        }
+        if (rating) filter['rating.average'] = { $gte: parseFloat(rating) };
+
+        // Build search query
+        if (search) {
+            filter.$text = { $search: search };
+        }
+
+        // Build sort object; text searches are ranked by relevance unless
+        // another order is asked for
+        const sortObj = {};
+        if (search && !req.query.sort) {
+            sortObj.score = { $meta: 'textScore' };
+        } else {
+            sortObj[sort] = order === 'asc' ? 1 : -1;
+        }
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        // Execute query
+        const courses = await Course.find(filter)
+            .populate('instructor', 'fullName avatar bio')
+            .sort(sortObj)
+            .skip(skip)
+            .limit(parseInt(limit))
+            .select('-reviews -seo -analytics');
+
+        // Get total count for pagination
+        const total = await Course.countDocuments(filter);
+
+        // Calculate pagination info
+        const totalPages = Math.ceil(total / parseInt(limit));
+        const hasNextPage = parseInt(page) < totalPages;
+        const hasPrevPage = parseInt(page) > 1;
+
+        res.json({
+            success: true,
+            data: {
+                courses: await localizeCourses(req, courses),
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages,
+                    totalCourses: total,
+                    hasNextPage,
+                    hasPrevPage,
+                    limit: parseInt(limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get courses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching courses'
+        });
+    }
+});
+
+// Comma-separated list of facet values, e.g. ?level=Beginner,Intermediate
+const listQuery = (field, values) => query(field)
+    .optional()
+    .customSanitizer(value => String(value).split(',').map(entry => entry.trim()).filter(Boolean))
+    .custom(list => list.length <= 20 && (!values || list.every(entry => values.includes(entry))))
+    .withMessage(`Invalid ${field} filter`);
+
+// @route   GET /api/courses/search
+// @desc    Search courses by relevance with facet counts and highlighted matches
+// @access  Public
+router.get('/search', optionalAuth, [
+    currencyValidation,
+    query('q').optional().isString().isLength({ max: 200 }).withMessage('Search query cannot exceed 200 characters'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    listQuery('category'),
+    listQuery('level', ['Beginner', 'Intermediate', 'Advanced', 'All Levels']),
+    listQuery('language'),
+    listQuery('price', PRICE_RANGE_IDS),
+    query('rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { q = '', page = 1, limit = 12, category, level, language, price, rating } = req.query;
+
+        const { results, total, facets, unmatchedWords } = await searchCourses({
+            query: q,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            categories: category,
+            levels: level,
+            languages: language,
+            prices: price,
+            rating: rating ? parseFloat(rating) : undefined
+        });
+
+        const courses = await localizeCourses(req, results.map(result => result.course));
+        const totalPages = Math.ceil(total / parseInt(limit));
+
+        res.json({
+            success: true,
+            data: {
+                courses: courses.map((course, index) => ({
+                    ...(course.toJSON ? course.toJSON() : course),
+                    relevance: results[index].relevance,
+                    highlights: results[index].highlights
+                })),
+                facets,
+                unmatchedWords,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages,
+                    totalCourses: total,
+                    hasNextPage: parseInt(page) < totalPages,
+                    hasPrevPage: parseInt(page) > 1,
+                    limit: parseInt(limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Search courses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while searching courses'
+        });
+    }
+});
+
+// @route   GET /api/courses/search/autocomplete
+// @desc    Suggest course titles, tags and instructors for a query being typed
+// @access  Public
+router.get('/search/autocomplete', [
+    query('q').isString().isLength({ min: 1, max: 100 }).withMessage('Query must be between 1 and 100 characters'),
+    query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const suggestions = await autocomplete(req.query.q, parseInt(req.query.limit) || 8);
+
+        res.json({
+            success: true,
+            data: { suggestions }
+        });
+
+    } catch (error) {
+        console.error('Autocomplete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while suggesting courses'
+        });
+    }
+});
+
+// @route   GET /api/courses/featured
+// @desc    Get featured courses, optionally priced in ?currency=
+// @access  Public
+router.get('/featured', optionalAuth, [currencyValidation], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const courses = await Course.findFeatured()
+            .limit(6)
+            .select('-reviews -seo -analytics');
+
+        res.json({
+            success: true,
+            data: { courses: await localizeCourses(req, courses) }
+        });
+
+    } catch (error) {
+        console.error('Get featured courses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching featured courses'
+        });
+    }
+});
+
+// @route   GET /api/courses/categories
+// @desc    Get all course categories with counts
+// @access  Public
+router.get('/categories', async (req, res) => {
+    try {
+        const categories = await Course.aggregate([
+            { $match: { status: 'published' } },
+            {
+                $group: {
+                    _id: '$category',
+                    count: { $sum: 1 },
+                    averageRating: { $avg: '$rating.average' },
+                    averagePrice: { $avg: '$price' }
+                }
+            },
+            { $sort: { count: -1 } }
+        ]);
+
+        res.json({
+            success: true,
+            data: { categories }
+        });
+
+    } catch (error) {
+        console.error('Get categories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching categories'
+        });
+    }
+});
+
+// @route   GET /api/courses/:id
+// @desc    Get course by ID, optionally priced in ?currency=
+// @access  Public
+router.get('/:id', optionalAuth, [currencyValidation], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const course = await Course.findById(req.params.id)
+            .populate('instructor', 'fullName avatar bio socialLinks')
+            .populate({
+                path: 'sections',
+                populate: { path: 'lectures', select: 'title type duration order isPreview' }
+            })
+            .populate('reviews.user', 'fullName avatar');
+
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        if (course.status !== 'published') {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        // Increment view count
+        course.analytics.views += 1;
+        await course.save();
+        await CourseView.record(course._id);
+        if (req.user) {
+            await User.recordCourseView(req.user.userId, course._id);
+        }
+
+        const [localized] = await localizeCourses(req, [course]);
+
+        res.json({
+            success: true,
+            data: { course: localized }
+        });
+
+    } catch (error) {
+        console.error('Get course error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching course'
+        });
+    }
+});
+
+// @route   POST /api/courses
+// @desc    Create a new course
+// @access  Private (Instructors only)
+router.post('/', auth, authorize('instructor', 'admin'), [
+    body('title')
+        .trim()
+        .isLength({ min: 5, max: 100 })
+        .withMessage('Title must be between 5 and 100 characters'),
+    body('description')
+        .trim()
+        .isLength({ min: 20, max: 1000 })
+        .withMessage('Description must be between 20 and 1000 characters'),
+    body('category')
+        .isIn([
+            'Programming', 'Business', 'Design', 'Languages', 'Music',
+            'Cybersecurity', 'Cloud Computing', 'Blockchain', 'Game Development',
+            'Artificial Intelligence', 'Mobile Development', 'Data Science',
+            'DevOps', 'Professional Skills'
+        ])
+        .withMessage('Invalid category'),
+    body('price')
+        .isFloat({ min: 0 })
+        .withMessage('Price must be a positive number'),
+    body('duration')
+        .isInt({ min: 1 })
+        .withMessage('Duration must be a positive integer'),
+    body('thumbnail')
+        .notEmpty()
+        .withMessage('Thumbnail is required'),
+    body('currency')
+        .optional()
+        .isISO4217()
+        .withMessage('Currency must be a valid currency code'),
+    body('regionalPrices')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('Regional prices must be a list of at most 50 prices'),
+    body('regionalPrices.*.currency')
+        .isISO4217()
+        .withMessage('Regional price currency must be a valid currency code'),
+    body('regionalPrices.*.price')
+        .isFloat({ min: 0 })
+        .withMessage('Regional price must be a positive number'),
+    body('accessOptions')
+        .optional()
+        .isArray({ max: 10 })
+        .withMessage('Access options must be a list of at most 10 options'),
+    body('accessOptions.*.label')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Access option label must be between 1 and 50 characters'),
+    body('accessOptions.*.durationDays')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Access duration must be a positive number of days'),
+    body('accessOptions.*.price')
+        .isFloat({ min: 0 })
+        .withMessage('Access option price must be a positive number'),
+    body('includedInSubscription')
+        .optional()
+        .isBoolean()
+        .withMessage('Included in subscription must be true or false')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array() 
+            });
+        }
+
+        const {
+            title,
+            description,
+            shortDescription,
+            category,
+            subcategory,
+            level,
+            language,
+            price,
+            originalPrice,
+            discountPercentage,
+            thumbnail,
+            previewVideo,
+            duration,
+            learningObjectives,
+            requirements,
+            targetAudience,
+            tags,
+            currency,
+            regionalPrices,
+            accessOptions,
+            includedInSubscription
+        } = req.body;
+
+        // Create course
+        const course = new Course({
+            title,
+            description,
+            shortDescription,
+            instructor: req.user.userId,
+            category,
+            subcategory,
+            level: level || 'All Levels',
+            language: language || 'English',
+            price,
+            originalPrice,
+            discountPercentage: discountPercentage || 0,
+            thumbnail,
+            previewVideo,
+            duration,
+            learningObjectives: learningObjectives || [],
+            requirements: requirements || [],
+            targetAudience: targetAudience || [],
+            tags: tags || [],
+            currency,
+            regionalPrices: regionalPrices || [],
+            accessOptions: accessOptions || [],
+            includedInSubscription
+        });
+
+        await course.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Course created successfully',
+            data: { course }
+        });
+
+    } catch (error) {
+        console.error('Create course error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating course'
+        });
+    }
+});
+
+// @route   PUT /api/courses/:id
+// @desc    Update course
+// @access  Private (Course instructor or admin)
+router.put('/:id', auth, [
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ min: 5, max: 100 })
+        .withMessage('Title must be between 5 and 100 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ min: 20, max: 1000 })
+        .withMessage('Description must be between 20 and 1000 characters'),
+    body('price')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Price must be a positive number'),
+    body('currency')
+        .optional()
+        .isISO4217()
+        .withMessage('Currency must be a valid currency code'),
+    body('regionalPrices')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('Regional prices must be a list of at most 50 prices'),
+    body('regionalPrices.*.currency')
+        .isISO4217()
+        .withMessage('Regional price currency must be a valid currency code'),
+    body('regionalPrices.*.price')
+        .isFloat({ min: 0 })
+        .withMessage('Regional price must be a positive number'),
+    body('accessOptions')
+        .optional()
+        .isArray({ max: 10 })
+        .withMessage('Access options must be a list of at most 10 options'),
+    body('accessOptions.*.label')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Access option label must be between 1 and 50 characters'),
+    body('accessOptions.*.durationDays')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Access duration must be a positive number of days'),
+    body('accessOptions.*.price')
+        .isFloat({ min: 0 })
+        .withMessage('Access option price must be a positive number'),
+    body('includedInSubscription')
+        .optional()
+        .isBoolean()
+        .withMessage('Included in subscription must be true or false'),
+    body('lectures')
+        .optional()
+        .isArray()
+        .withMessage('Lectures must be an array of lecture IDs'),
+    body('lectures.*')
+        .isMongoId()
+        .withMessage('Invalid lecture ID'),
+    body('sections')
+        .optional()
+        .isArray()
+        .withMessage('Sections must be an array of section IDs'),
+    body('sections.*')
+        .isMongoId()
+        .withMessage('Invalid section ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array() 
+            });
+        }
+
+        const course = await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        // Check if user is the instructor or admin
+        const user = await User.findById(req.user.userId);
+        if (course.instructor.toString() !== req.user.userId && user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this course'
+            });
+        }
+
+        const { lectures, sections } = req.body;
+        const curriculumChanged = lectures !== undefined || sections !== undefined;
+
+        // Curriculum updates may only reorder or remove this course's own
+        // content, each item listed once
+        if (lectures !== undefined) {
+            if (new Set(lectures).size !== lectures.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Lectures cannot be listed more than once'
+                });
+            }
+
+            const ownLectures = await Lecture.countDocuments({ _id: { $in: lectures }, course: course._id });
+            if (ownLectures !== lectures.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Lectures must belong to this course'
+                });
+            }
+        }
+
+        if (sections !== undefined) {
+            if (new Set(sections).size !== sections.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Sections cannot be listed more than once'
+                });
+            }
+
+            const ownSections = await Section.countDocuments({ _id: { $in: sections }, course: course._id });
+            if (ownSections !== sections.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Sections must belong to this course'
+                });
+            }
+        }
+
+        // Update allowed fields
+        const allowedUpdates = [
+            'title', 'description', 'shortDescription', 'category', 'subcategory',
+            'level', 'language', 'price', 'originalPrice', 'discountPercentage',
+            'thumbnail', 'previewVideo', 'duration', 'lectures', 'sections',
+            'learningObjectives', 'requirements', 'targetAudience', 'tags',
+            'status', 'seo', 'currency', 'regionalPrices', 'accessOptions', 'includedInSubscription'
+        ];
+
+        allowedUpdates.forEach(field => {
+            if (req.body[field] !== undefined) {
+                course[field] = req.body[field];
+            }
+        });
+
+        course.lastUpdated = new Date();
+        await course.save();
+
+        if (curriculumChanged) {
+            // Keep sections in sync with lectures removed from the course
+            await Section.updateMany(
+                { course: course._id },
+                { $pull: { lectures: { $nin: course.lectures } } }
+            );
+            await Enrollment.recalculateProgressForCourse(course._id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Course updated successfully',
+            data: { course }
+        });
+
+    } catch (error) {
+        console.error('Update course error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating course'
+        });
+    }
+});
+
+// @route   DELETE /api/courses/:id
+// @desc    Delete course
+// @access  Private (Course instructor or admin)
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        // Check if user is the instructor or admin
+        const user = await User.findById(req.user.userId);
+        if (course.instructor.toString() !== req.user.userId && user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to delete this course'
+            });
+        }
+
+        // Soft delete - mark as archived
+        course.status = 'archived';
+        await course.save();
+
+        res.json({
+            success: true,
+            message: 'Course deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete course error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting course'
+        });
+    }
+});
+
+// @route   POST /api/courses/:id/sections
+// @desc    Add a section to the course curriculum
+// @access  Private (Course instructor or admin)
+router.post('/:id/sections', auth, [
+    body('title')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Section title must be between 1 and 100 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Section description cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array() 
+            });
+        }
+
+        const course = await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        // Check if user is the instructor or admin
+        const user = await User.findById(req.user.userId);
+        if (course.instructor.toString() !== req.user.userId && user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this course'
+            });
+        }
+
+        const { title, description } = req.body;
+
+        const section = new Section({
+            course: course._id,
+            title,
+            description,
+            order: course.sections.length
+        });
+
+        await section.save();
+
+        course.sections.push(section._id);
+        course.lastUpdated = new Date();
+        await course.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Section added successfully',
+            data: { section }
+        });
+
+    } catch (error) {
+        console.error('Add section error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while adding section'
+        });
+    }
+});
+
+// @route   POST /api/courses/:id/sections/:sectionId/lectures
+// @desc    Add a lecture to a course section
+// @access  Private (Course instructor or admin)
+router.post('/:id/sections/:sectionId/lectures', auth, [
+    body('title')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Lecture title must be between 1 and 100 characters'),
+    body('type')
+        .optional()
+        .isIn(['video', 'article', 'resource'])
+        .withMessage('Invalid lecture type'),
+    body('duration')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Duration must be a positive integer (seconds)'),
+    body('isPreview')
+        .optional()
+        .isBoolean()
+        .withMessage('isPreview must be a boolean')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array() 
+            });
+        }
+
+        const course = await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        // Check if user is the instructor or admin
+        const user = await User.findById(req.user.userId);
+        if (course.instructor.toString() !== req.user.userId && user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this course'
+            });
+        }
+
+        const section = await Section.findOne({ _id: req.params.sectionId, course: course._id });
+        if (!section) {
+            return res.status(404).json({
+                success: false,
+                message: 'Section not found'
+            });
+        }
+
+        const { title, description, type, videoUrl, content, duration, isPreview } = req.body;
+
+        const lecture = new Lecture({
+            course: course._id,
+            section: section._id,
+            title,
+            description,
+            type: type || 'video',
+            videoUrl,
+            content,
+            duration: duration || 0,
+            order: section.lectures.length,
+            isPreview: isPreview || false
+        });
+
+        await lecture.save();
+
+        section.lectures.push(lecture._id);
+        await section.save();
+
+        course.lectures.push(lecture._id);
+        course.lastUpdated = new Date();
+        await course.save();
+
+        // New content lowers the progress of existing students
+        await Enrollment.recalculateProgressForCourse(course._id);
+        await notifyCourseContent(course, lecture);
+
+        res.status(201).json({
+            success: true,
+            message: 'Lecture added successfully',
+            data: { lecture }
+        });
+
+    } catch (error) {
+        console.error('Add lecture error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while adding lecture'
+        });
+    }
+});
+
+// @route   POST /api/courses/:id/reviews
+// @desc    Add review to course
+// @access  Private
+router.post('/:id/reviews', auth, [
+    body('rating')
+        .isInt({ min: 1, max: 5 })
+        .withMessage('Rating must be between 1 and 5'),
+    body('comment')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Review comment cannot exceed 1000 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array() 
+            });
+        }
+
+        const { rating, comment } = req.body;
+
+        const course = await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        if (course.status !== 'published') {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        // Check if user has already reviewed this course
+        const existingReview = course.reviews.find(
+            review => review.user.toString() === req.user.userId
+        );
+
+        if (existingReview) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already reviewed this course'
+            });
+        }
+
+        // Add review
+        await course.addReview(req.user.userId, rating, comment);
+
+        res.json({
+            success: true,
+            message: 'Review added successfully',
+            data: { course }
+        });
+
+    } catch (error) {
+        console.error('Add review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while adding review'
+        });
+    }
+});
+
+// @route   POST /api/courses/:id/reviews/:reviewId/reply
+// @desc    Reply to a review of the course
+// @access  Private (Course instructor or admin)
+router.post('/:id/reviews/:reviewId/reply', auth, [
+    body('comment')
+        .trim()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('Reply must be between 1 and 1000 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const course = await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        // Check if user is the instructor or admin
+        const user = await User.findById(req.user.userId);
+        if (course.instructor.toString() !== req.user.userId && user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to reply to reviews of this course'
+            });
+        }
+
+        const review = course.reviews.id(req.params.reviewId);
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        const isFirstReply = !review.reply || !review.reply.comment;
+        review.reply = {
+            comment: req.body.comment,
+            user: user._id,
+            repliedAt: new Date()
+        };
+        await course.save();
+
+        // Edits to a reply do not notify the reviewer again
+        if (isFirstReply) {
+            await notify('reviewReply', review.user, {
+                courseTitle: course.title,
+                instructorName: user.fullName,
+                reply: req.body.comment
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Reply saved successfully',
+            data: { review }
+        });
+
+    } catch (error) {
+        console.error('Reply to review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while replying to review'
+        });
+    }
+});
+
+module.exports = router; 
\ No newline at end of file
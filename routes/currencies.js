@@ -0,0 +1,126 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const { auth, authorize } = require('../middleware/auth');
+const { getExchangeRates, clearExchangeRateCache, getBaseCurrency } = require('../services/currency');
+
+const router = express.Router();
+
+const currencyParam = param('currency')
+    .customSanitizer(value => String(value).toUpperCase())
+    .isISO4217()
+    .withMessage('Currency must be a valid currency code');
+
+// @route   GET /api/currencies
+// @desc    Get supported currencies and their exchange rates against the base currency
+// @access  Public
+router.get('/', async (req, res) => {
+    try {
+        const rates = await getExchangeRates();
+
+        res.json({
+            success: true,
+            data: {
+                baseCurrency: rates.baseCurrency,
+                currencies: rates.list()
+            }
+        });
+
+    } catch (error) {
+        console.error('Get currencies error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching currencies'
+        });
+    }
+});
+
+// @route   PUT /api/currencies/:currency
+// @desc    Override the exchange rate of a currency
+// @access  Private (Admin)
+router.put('/:currency', auth, authorize('admin'), [
+    currencyParam,
+    body('rate')
+        .isFloat({ gt: 0 })
+        .withMessage('Rate must be a positive number')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { currency } = req.params;
+        if (currency === getBaseCurrency()) {
+            return res.status(400).json({
+                success: false,
+                message: 'The base currency always has a rate of 1'
+            });
+        }
+
+        const exchangeRate = await ExchangeRate.findOneAndUpdate(
+            { currency },
+            { rate: req.body.rate, updatedBy: req.user.userId },
+            { new: true, upsert: true, runValidators: true }
+        );
+        clearExchangeRateCache();
+
+        res.json({
+            success: true,
+            message: 'Exchange rate updated successfully',
+            data: { exchangeRate }
+        });
+
+    } catch (error) {
+        console.error('Update exchange rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating exchange rate'
+        });
+    }
+});
+
+// @route   DELETE /api/currencies/:currency
+// @desc    Remove an exchange rate override, going back to the rates file
+// @access  Private (Admin)
+router.delete('/:currency', auth, authorize('admin'), [currencyParam], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await ExchangeRate.deleteOne({ currency: req.params.currency });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No override for this currency'
+            });
+        }
+        clearExchangeRateCache();
+
+        res.json({
+            success: true,
+            message: 'Exchange rate override removed'
+        });
+
+    } catch (error) {
+        console.error('Remove exchange rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while removing exchange rate'
+        });
+    }
+});
+
+module.exports = router;
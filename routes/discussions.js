@@ -0,0 +1,820 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Thread = require('../models/Thread');
+const Post = require('../models/Post');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Forum = require('../models/Forum');
+const ForumMembership = require('../models/ForumMembership');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { sendValidationErrors, paginationValidation } = require('../middleware/validation');
+const { notify } = require('../services/notifications');
+
+const router = express.Router();
+
+const AUTHOR_FIELDS = 'fullName avatar role';
+
+// Longest reply quoted in notification emails
+const MAX_QUOTE_LENGTH = 500;
+
+const isCourseInstructor = (course, user) => Boolean(user) && course.instructor.toString() === user.userId;
+
+// Instructors moderate the discussions of their courses, admins all of them
+const canModerateCourse = (course, user) => Boolean(user) && (user.role === 'admin' || isCourseInstructor(course, user));
+
+// Threads belong to a course or a community forum. A scope wraps either
+// with what the routes need to know about it. Course instructors moderate
+// their courses, forum moderators their forums, and admins everything.
+const courseScope = course => ({
+    course,
+    title: course.title,
+    ref: { course: course._id },
+    summary: () => ({ course: { _id: course._id, title: course.title, instructor: course.instructor } }),
+    isInstructor: user => isCourseInstructor(course, user),
+    canModerate: user => canModerateCourse(course, user),
+    // Students need access to the course to take part in its discussions
+    getPostingDeniedReason: async user => {
+        const enrollment = await Enrollment.findOne({ student: user.userId, course: course._id });
+        return enrollment
+            ? enrollment.getAccessDeniedReason()
+            : 'You must be enrolled in this course to take part in its discussions';
+    }
+});
+
+const forumScope = forum => ({
+    forum,
+    title: forum.title,
+    ref: { forum: forum._id },
+    summary: () => ({ forum: { _id: forum._id, title: forum.title, icon: forum.icon } }),
+    isInstructor: () => false,
+    canModerate: user => forum.isModerator(user),
+    getPostingDeniedReason: async user => (await ForumMembership.exists({ forum: forum._id, user: user.userId })
+        ? null
+        : 'Join this forum to take part in its discussions')
+});
+
+// Discussions of unpublished courses are only open to their moderators
+const findCourseScope = async (courseId, user) => {
+    const course = await Course.findById(courseId).select('title instructor status lectures category');
+    if (!course || (course.status !== 'published' && !canModerateCourse(course, user))) {
+        return null;
+    }
+    return courseScope(course);
+};
+
+const findForumScope = async forumId => {
+    const forum = await Forum.findOne({ _id: forumId, isActive: true });
+    return forum ? forumScope(forum) : null;
+};
+
+const findThreadScope = (thread, user) => (thread.forum
+    ? findForumScope(thread.forum)
+    : findCourseScope(thread.course, user));
+
+// Responds and returns false if the user may not post in the scope
+const checkPostingAccess = async (req, res, scope) => {
+    if (scope.canModerate(req.user)) {
+        return true;
+    }
+
+    const reason = await scope.getPostingDeniedReason(req.user);
+    if (reason) {
+        res.status(403).json({
+            success: false,
+            message: reason
+        });
+        return false;
+    }
+
+    return true;
+};
+
+const sendNotFound = (res, label) => res.status(404).json({
+    success: false,
+    message: `${label} not found`
+});
+
+// Load a thread and its scope for a request acting on it, or respond
+const findThreadForRequest = async (req, res) => {
+    const thread = await Thread.findById(req.params.id);
+    const scope = thread && await findThreadScope(thread, req.user);
+    if (!scope) {
+        sendNotFound(res, 'Thread');
+        return {};
+    }
+    return { thread, scope };
+};
+
+const getPagination = (req, defaultLimit) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || defaultLimit;
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// @route   GET /api/discussions/recent
+// @desc    Get the most recently active threads of published courses and forums
+// @access  Public
+router.get('/recent', [
+    query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const limit = parseInt(req.query.limit) || 4;
+
+        // Fetch extra threads in case some belong to unpublished courses
+        // or closed forums
+        const threads = await Thread.find()
+            .populate('author', AUTHOR_FIELDS)
+            .populate({ path: 'course', select: 'title category', match: { status: 'published' } })
+            .populate({ path: 'forum', select: 'title icon', match: { isActive: true } })
+            .sort({ lastActivityAt: -1 })
+            .limit(limit * 3);
+
+        res.json({
+            success: true,
+            data: {
+                threads: threads.filter(thread => thread.course || thread.forum).slice(0, limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get recent discussions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching recent discussions'
+        });
+    }
+});
+
+const listValidation = [
+    query('type').optional().isIn(['question', 'discussion']).withMessage('Type must be question or discussion'),
+    query('sort').optional().isIn(['recent', 'top', 'unanswered']).withMessage('Sort must be recent, top or unanswered'),
+    query('search').optional().isString().isLength({ max: 100 }).withMessage('Search cannot exceed 100 characters'),
+    ...paginationValidation
+];
+
+// Respond with a page of the threads of a course or forum
+const sendThreads = async (req, res, scope) => {
+    const { page, limit, skip } = getPagination(req, 20);
+    const sort = req.query.sort || 'recent';
+
+    const filter = { ...scope.ref };
+    if (req.query.lecture) filter.lecture = req.query.lecture;
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.search) filter.$text = { $search: req.query.search };
+    if (sort === 'unanswered') {
+        filter.type = 'question';
+        filter.acceptedPost = null;
+        filter.instructorAnswered = false;
+    }
+
+    const sortObj = sort === 'top'
+        ? { upvoteCount: -1, lastActivityAt: -1 }
+        : { isPinned: -1, lastActivityAt: -1 };
+
+    const [threads, total] = await Promise.all([
+        Thread.find(filter)
+            .populate('author', AUTHOR_FIELDS)
+            .populate('lecture', 'title')
+            .sort(sortObj)
+            .skip(skip)
+            .limit(limit),
+        Thread.countDocuments(filter)
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            ...scope.summary(),
+            threads,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalThreads: total,
+                limit
+            }
+        }
+    });
+};
+
+const threadValidation = [
+    body('title')
+        .trim()
+        .isLength({ min: 5, max: 150 })
+        .withMessage('Title must be between 5 and 150 characters'),
+    body('body')
+        .trim()
+        .isLength({ min: 10, max: 10000 })
+        .withMessage('Body must be between 10 and 10000 characters'),
+    body('type')
+        .optional()
+        .isIn(['question', 'discussion'])
+        .withMessage('Type must be question or discussion')
+];
+
+// Start a thread in a course or forum and respond with it
+const createThread = async (req, res, scope, fields = {}) => {
+    const thread = await Thread.create({
+        ...scope.ref,
+        ...fields,
+        author: req.user.userId,
+        type: req.body.type || 'question',
+        title: req.body.title,
+        body: req.body.body
+    });
+    if (scope.forum) {
+        await Forum.updateOne({ _id: scope.forum._id }, { $inc: { threadCount: 1 } });
+    }
+    await thread.populate('author', AUTHOR_FIELDS);
+
+    res.status(201).json({
+        success: true,
+        message: 'Thread created successfully',
+        data: { thread }
+    });
+};
+
+// @route   GET /api/discussions/courses/:courseId/threads
+// @desc    Get the threads of a course, optionally of one lecture
+// @access  Public
+router.get('/courses/:courseId/threads', optionalAuth, [
+    param('courseId').isMongoId().withMessage('Valid course ID is required'),
+    query('lecture').optional().isMongoId().withMessage('Invalid lecture ID'),
+    ...listValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const scope = await findCourseScope(req.params.courseId, req.user);
+        if (!scope) {
+            return sendNotFound(res, 'Course');
+        }
+
+        await sendThreads(req, res, scope);
+
+    } catch (error) {
+        console.error('Get threads error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching threads'
+        });
+    }
+});
+
+// @route   POST /api/discussions/courses/:courseId/threads
+// @desc    Start a thread about a course or one of its lectures
+// @access  Private (Enrolled students, course instructor or admin)
+router.post('/courses/:courseId/threads', auth, [
+    param('courseId')
+        .isMongoId()
+        .withMessage('Valid course ID is required'),
+    ...threadValidation,
+    body('lectureId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid lecture ID')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const scope = await findCourseScope(req.params.courseId, req.user);
+        if (!scope) {
+            return sendNotFound(res, 'Course');
+        }
+
+        if (!await checkPostingAccess(req, res, scope)) return;
+
+        if (req.body.lectureId && !scope.course.hasLecture(req.body.lectureId)) {
+            return sendNotFound(res, 'Lecture');
+        }
+
+        await createThread(req, res, scope, { lecture: req.body.lectureId || undefined });
+
+    } catch (error) {
+        console.error('Create thread error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating thread'
+        });
+    }
+});
+
+// @route   GET /api/discussions/forums/:forumId/threads
+// @desc    Get the threads of a community forum
+// @access  Public
+router.get('/forums/:forumId/threads', optionalAuth, [
+    param('forumId').isMongoId().withMessage('Valid forum ID is required'),
+    ...listValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const scope = await findForumScope(req.params.forumId);
+        if (!scope) {
+            return sendNotFound(res, 'Forum');
+        }
+
+        await sendThreads(req, res, scope);
+
+    } catch (error) {
+        console.error('Get forum threads error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching threads'
+        });
+    }
+});
+
+// @route   POST /api/discussions/forums/:forumId/threads
+// @desc    Start a thread in a community forum
+// @access  Private (Forum members, moderators)
+router.post('/forums/:forumId/threads', auth, [
+    param('forumId')
+        .isMongoId()
+        .withMessage('Valid forum ID is required'),
+    ...threadValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const scope = await findForumScope(req.params.forumId);
+        if (!scope) {
+            return sendNotFound(res, 'Forum');
+        }
+
+        if (!await checkPostingAccess(req, res, scope)) return;
+
+        await createThread(req, res, scope);
+
+    } catch (error) {
+        console.error('Create forum thread error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating thread'
+        });
+    }
+});
+
+// @route   GET /api/discussions/threads/:id
+// @desc    Get a thread and a page of its replies, the accepted answer first
+// @access  Public
+router.get('/threads/:id', optionalAuth, [
+    param('id').isMongoId().withMessage('Valid thread ID is required'),
+    query('sort').optional().isIn(['oldest', 'top']).withMessage('Sort must be oldest or top'),
+    ...paginationValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { thread, scope } = await findThreadForRequest(req, res);
+        if (!thread) return;
+
+        const { page, limit, skip } = getPagination(req, 20);
+        const sortObj = req.query.sort === 'top'
+            ? { isAccepted: -1, upvoteCount: -1, createdAt: 1 }
+            : { isAccepted: -1, createdAt: 1 };
+
+        await Thread.updateOne({ _id: thread._id }, { $inc: { views: 1 } });
+        await thread.populate([
+            { path: 'author', select: AUTHOR_FIELDS },
+            { path: 'lecture', select: 'title' }
+        ]);
+
+        const [posts, total] = await Promise.all([
+            Post.find({ thread: thread._id })
+                .populate('author', AUTHOR_FIELDS)
+                .sort(sortObj)
+                .skip(skip)
+                .limit(limit),
+            Post.countDocuments({ thread: thread._id })
+        ]);
+
+        // What the current user can do and has upvoted
+        let viewer = null;
+        if (req.user) {
+            const moderator = scope.canModerate(req.user);
+            const [threadUpvoted, upvotedPosts, postingDeniedReason] = await Promise.all([
+                Thread.exists({ _id: thread._id, upvotes: req.user.userId }),
+                Post.findUpvotedBy(posts.map(post => post._id), req.user.userId),
+                moderator ? null : scope.getPostingDeniedReason(req.user)
+            ]);
+
+            viewer = {
+                canPost: moderator || !postingDeniedReason,
+                canModerate: moderator,
+                canAccept: moderator || Boolean(thread.author && thread.author._id.equals(req.user.userId)),
+                upvotedThread: Boolean(threadUpvoted),
+                upvotedPosts
+            };
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...scope.summary(),
+                thread,
+                posts,
+                viewer,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(total / limit),
+                    totalPosts: total,
+                    limit
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get thread error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching thread'
+        });
+    }
+});
+
+// @route   PUT /api/discussions/threads/:id
+// @desc    Edit a thread; moderators can also pin and lock it
+// @access  Private (Author or moderator)
+router.put('/threads/:id', auth, [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid thread ID is required'),
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ min: 5, max: 150 })
+        .withMessage('Title must be between 5 and 150 characters'),
+    body('body')
+        .optional()
+        .trim()
+        .isLength({ min: 10, max: 10000 })
+        .withMessage('Body must be between 10 and 10000 characters'),
+    body(['isPinned', 'isLocked'])
+        .optional()
+        .isBoolean()
+        .withMessage('isPinned and isLocked must be booleans')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { thread, scope } = await findThreadForRequest(req, res);
+        if (!thread) return;
+
+        const isAuthor = thread.author.equals(req.user.userId);
+        const moderator = scope.canModerate(req.user);
+        const editsContent = req.body.title !== undefined || req.body.body !== undefined;
+        const moderates = req.body.isPinned !== undefined || req.body.isLocked !== undefined;
+
+        if ((editsContent && !isAuthor && !moderator) || (moderates && !moderator)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this thread'
+            });
+        }
+
+        if (editsContent) {
+            if (req.body.title !== undefined) thread.title = req.body.title;
+            if (req.body.body !== undefined) thread.body = req.body.body;
+            thread.editedAt = new Date();
+        }
+        if (req.body.isPinned !== undefined) thread.isPinned = req.body.isPinned;
+        if (req.body.isLocked !== undefined) thread.isLocked = req.body.isLocked;
+        await thread.save();
+
+        res.json({
+            success: true,
+            message: 'Thread updated successfully',
+            data: { thread }
+        });
+
+    } catch (error) {
+        console.error('Update thread error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating thread'
+        });
+    }
+});
+
+// @route   DELETE /api/discussions/threads/:id
+// @desc    Delete a thread and its replies
+// @access  Private (Author or moderator)
+router.delete('/threads/:id', auth, [
+    param('id').isMongoId().withMessage('Valid thread ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { thread, scope } = await findThreadForRequest(req, res);
+        if (!thread) return;
+
+        if (!thread.author.equals(req.user.userId) && !scope.canModerate(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to delete this thread'
+            });
+        }
+
+        await Post.deleteMany({ thread: thread._id });
+        await thread.deleteOne();
+        if (scope.forum) {
+            await Forum.updateOne({ _id: scope.forum._id }, { $inc: { threadCount: -1 } });
+        }
+
+        res.json({
+            success: true,
+            message: 'Thread deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete thread error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting thread'
+        });
+    }
+});
+
+// @route   POST /api/discussions/threads/:id/posts
+// @desc    Reply to a thread
+// @access  Private (Enrolled students or forum members, moderators)
+router.post('/threads/:id/posts', auth, [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid thread ID is required'),
+    body('body')
+        .trim()
+        .isLength({ min: 1, max: 10000 })
+        .withMessage('Reply must be between 1 and 10000 characters')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { thread, scope } = await findThreadForRequest(req, res);
+        if (!thread) return;
+
+        if (!await checkPostingAccess(req, res, scope)) return;
+
+        if (thread.isLocked && !scope.canModerate(req.user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This thread is locked'
+            });
+        }
+
+        const byInstructor = scope.isInstructor(req.user);
+        const post = await Post.create({
+            thread: thread._id,
+            ...scope.ref,
+            author: req.user.userId,
+            body: req.body.body,
+            isInstructorAnswer: byInstructor
+        });
+        await Thread.recordReply(thread._id, { byInstructor });
+        await post.populate('author', AUTHOR_FIELDS);
+
+        if (!thread.author.equals(req.user.userId)) {
+            await notify('discussionReply', thread.author, {
+                threadId: thread._id.toString(),
+                threadTitle: thread.title,
+                courseTitle: scope.course && scope.course.title,
+                forumTitle: scope.forum && scope.forum.title,
+                authorName: post.author.fullName,
+                byInstructor,
+                reply: post.body.length > MAX_QUOTE_LENGTH
+                    ? `${post.body.slice(0, MAX_QUOTE_LENGTH)}...`
+                    : post.body
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Reply posted successfully',
+            data: { post }
+        });
+
+    } catch (error) {
+        console.error('Create post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while posting reply'
+        });
+    }
+});
+
+// Load a reply, its thread and scope for a request acting on it, or respond
+const findPostForRequest = async (req, res) => {
+    const post = await Post.findById(req.params.id);
+    const thread = post && await Thread.findById(post.thread);
+    const scope = thread && await findThreadScope(thread, req.user);
+    if (!scope) {
+        sendNotFound(res, 'Reply');
+        return {};
+    }
+    return { post, thread, scope };
+};
+
+// @route   PUT /api/discussions/posts/:id
+// @desc    Edit a reply
+// @access  Private (Author)
+router.put('/posts/:id', auth, [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid reply ID is required'),
+    body('body')
+        .trim()
+        .isLength({ min: 1, max: 10000 })
+        .withMessage('Reply must be between 1 and 10000 characters')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { post } = await findPostForRequest(req, res);
+        if (!post) return;
+
+        if (!post.author.equals(req.user.userId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to edit this reply'
+            });
+        }
+
+        post.body = req.body.body;
+        post.editedAt = new Date();
+        await post.save();
+
+        res.json({
+            success: true,
+            message: 'Reply updated successfully',
+            data: { post }
+        });
+
+    } catch (error) {
+        console.error('Update post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating reply'
+        });
+    }
+});
+
+// @route   DELETE /api/discussions/posts/:id
+// @desc    Delete a reply
+// @access  Private (Author or moderator)
+router.delete('/posts/:id', auth, [
+    param('id').isMongoId().withMessage('Valid reply ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { post, thread, scope } = await findPostForRequest(req, res);
+        if (!post) return;
+
+        if (!post.author.equals(req.user.userId) && !scope.canModerate(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to delete this reply'
+            });
+        }
+
+        await post.deleteOne();
+
+        const update = { $inc: { replyCount: -1 } };
+        if (post.isAccepted) {
+            update.$unset = { acceptedPost: 1 };
+        }
+        await Thread.updateOne({ _id: thread._id }, update);
+
+        res.json({
+            success: true,
+            message: 'Reply deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting reply'
+        });
+    }
+});
+
+// Add or remove the user's upvote on a thread or reply. Students need
+// access to the course (or to join the forum), and nobody can upvote their
+// own posts.
+const handleUpvote = (Model, label, upvoted) => async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const found = Model === Thread
+            ? await findThreadForRequest(req, res)
+            : await findPostForRequest(req, res);
+        const target = Model === Thread ? found.thread : found.post;
+        if (!target) return;
+
+        if (!await checkPostingAccess(req, res, found.scope)) return;
+
+        if (target.author.equals(req.user.userId)) {
+            return res.status(400).json({
+                success: false,
+                message: `You cannot upvote your own ${label.toLowerCase()}`
+            });
+        }
+
+        const upvoteCount = await Model.setUpvote(target._id, req.user.userId, upvoted);
+
+        res.json({
+            success: true,
+            data: { upvoted, upvoteCount }
+        });
+
+    } catch (error) {
+        console.error(`${label} upvote error:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while saving upvote'
+        });
+    }
+};
+
+const threadIdValidation = [param('id').isMongoId().withMessage('Valid thread ID is required')];
+const postIdValidation = [param('id').isMongoId().withMessage('Valid reply ID is required')];
+
+// @route   POST /api/discussions/threads/:id/upvote
+// @desc    Upvote a thread
+// @access  Private
+router.post('/threads/:id/upvote', auth, threadIdValidation, handleUpvote(Thread, 'Thread', true));
+
+// @route   DELETE /api/discussions/threads/:id/upvote
+// @desc    Remove an upvote from a thread
+// @access  Private
+router.delete('/threads/:id/upvote', auth, threadIdValidation, handleUpvote(Thread, 'Thread', false));
+
+// @route   POST /api/discussions/posts/:id/upvote
+// @desc    Upvote a reply
+// @access  Private
+router.post('/posts/:id/upvote', auth, postIdValidation, handleUpvote(Post, 'Reply', true));
+
+// @route   DELETE /api/discussions/posts/:id/upvote
+// @desc    Remove an upvote from a reply
+// @access  Private
+router.delete('/posts/:id/upvote', auth, postIdValidation, handleUpvote(Post, 'Reply', false));
+
+// @route   PUT /api/discussions/threads/:id/accept
+// @desc    Mark a reply as the accepted answer, or clear it with postId null
+// @access  Private (Thread author or moderator)
+router.put('/threads/:id/accept', auth, [
+    ...threadIdValidation,
+    body('postId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid reply ID')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { thread, scope } = await findThreadForRequest(req, res);
+        if (!thread) return;
+
+        if (!thread.author.equals(req.user.userId) && !scope.canModerate(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the author of the thread can accept an answer'
+            });
+        }
+
+        let post = null;
+        if (req.body.postId) {
+            post = await Post.findOne({ _id: req.body.postId, thread: thread._id });
+            if (!post) {
+                return sendNotFound(res, 'Reply');
+            }
+        }
+
+        await Post.updateMany({ thread: thread._id, isAccepted: true }, { $set: { isAccepted: false } });
+        if (post) {
+            post.isAccepted = true;
+            await post.save();
+        }
+
+        thread.acceptedPost = post ? post._id : undefined;
+        await thread.save();
+
+        res.json({
+            success: true,
+            message: post ? 'Answer accepted' : 'Accepted answer cleared',
+            data: { thread, post }
+        });
+
+    } catch (error) {
+        console.error('Accept answer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while accepting answer'
+        });
+    }
+});
+
+module.exports = router;
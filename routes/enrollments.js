@@ -0,0 +1,1378 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const Lecture = require('../models/Lecture');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const PathEnrollment = require('../models/PathEnrollment');
+const { auth, authorize } = require('../middleware/auth');
+const { getProvider, getProviderForMethod } = require('../services/payments');
+const pricing = require('../services/pricing');
+const { getExchangeRates, resolveCurrency, roundAmount } = require('../services/currency');
+const { notify } = require('../services/notifications');
+
+const router = express.Router();
+
+// Most playback a single heartbeat may report, allowing for fast playback speeds
+const MAX_HEARTBEAT_SECONDS = 120;
+
+const getCourseTitle = async courseId => {
+    const course = await Course.findById(courseId).select('title');
+    return course ? course.title : 'your course';
+};
+
+// Find a lecture of the enrolled course. Lectures of other courses and
+// lectures since removed from the course are not found.
+const findCourseLecture = async (enrollment, lectureId, fields) => {
+    const [lecture, course] = await Promise.all([
+        Lecture.findById(lectureId).select(`course ${fields}`),
+        Course.findById(enrollment.course).select('lectures')
+    ]);
+    if (!lecture || !course || lecture.course.toString() !== enrollment.course.toString()
+        || !course.hasLecture(lecture._id)) {
+        return null;
+    }
+    return lecture;
+};
+
+// Congratulate the student when an update completes the course, and
+// complete any learning path it was the last course of
+const notifyIfCompleted = async (enrollment, wasCompleted) => {
+    if (wasCompleted || enrollment.status !== 'completed') return;
+
+    await notify('courseCompleted', enrollment.student, {
+        courseTitle: await getCourseTitle(enrollment.course)
+    });
+    await PathEnrollment.refreshForCourse(enrollment.student, enrollment.course);
+};
+
+// Tell the student where their refund request stands
+const notifyRefundStatus = async enrollment => notify('refundStatus', enrollment.student, {
+    courseTitle: await getCourseTitle(enrollment.course),
+    status: enrollment.refundStatus,
+    amount: enrollment.refundAmount,
+    currency: enrollment.payment.currency
+});
+
+// Enroll a subscriber in a course included in their subscription. Access
+// lasts as long as the subscription; an enrollment that lapsed with an
+// earlier subscription period is reactivated.
+const enrollWithSubscription = async (req, res, course, enrollment) => {
+    if (!course.includedInSubscription) {
+        return res.status(400).json({
+            success: false,
+            message: 'This course is not included in subscriptions'
+        });
+    }
+
+    const subscription = await Subscription.findCurrentForUser(req.user.userId);
+    if (!subscription) {
+        return res.status(402).json({
+            success: false,
+            message: 'An active subscription is required'
+        });
+    }
+
+    const lapsedSubscriptionEnrollment = enrollment && enrollment.subscription && enrollment.status === 'expired';
+    if (enrollment && !lapsedSubscriptionEnrollment && !['pending', 'failed'].includes(enrollment.payment.status)) {
+        return res.status(400).json({
+            success: false,
+            message: 'You are already enrolled in this course'
+        });
+    }
+
+    if (lapsedSubscriptionEnrollment) {
+        enrollment.subscription = subscription._id;
+        enrollment.accessExpiry = subscription.currentPeriodEnd;
+        enrollment.reactivate();
+        await enrollment.save();
+    } else {
+        if (!enrollment) {
+            enrollment = new Enrollment({
+                student: req.user.userId,
+                course: course._id,
+                instructor: course.instructor
+            });
+        }
+
+        // A late payment of an unpaid checkout is refunded
+        enrollment.supersedeCheckout();
+        enrollment.subscription = subscription._id;
+        enrollment.order = undefined;
+        enrollment.isLifetime = false;
+        enrollment.accessDurationDays = undefined;
+        enrollment.accessExpiry = subscription.currentPeriodEnd;
+        enrollment.payment = {
+            amount: 0,
+            currency: course.currency,
+            method: 'subscription',
+            provider: 'subscription',
+            transactionId: `SUBSCRIPTION-${enrollment._id}`,
+            status: 'pending'
+        };
+        await enrollment.activate();
+    }
+
+    await enrollment.populate([
+        { path: 'course', select: 'title thumbnail duration instructor' },
+        { path: 'instructor', select: 'fullName avatar' }
+    ]);
+
+    res.status(201).json({
+        success: true,
+        message: 'Successfully enrolled in course',
+        data: { enrollment }
+    });
+};
+
+// @route   POST /api/enrollments
+// @desc    Start enrollment in a course and create a payment checkout
+// @access  Private
+router.post('/', auth, [
+    body('courseId')
+        .isMongoId()
+        .withMessage('Valid course ID is required'),
+    body('paymentMethod')
+        .isIn(['credit_card', 'paypal', 'stripe', 'bank_transfer', 'crypto', 'subscription'])
+        .withMessage('Valid payment method is required'),
+    body('accessOptionId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid access option ID is required'),
+    body('currency')
+        .optional()
+        .isISO4217()
+        .withMessage('Currency must be a valid currency code'),
+    body('couponCode')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 30 })
+        .withMessage('Coupon code cannot exceed 30 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array() 
+            });
+        }
+
+        const { courseId, paymentMethod, accessOptionId, couponCode } = req.body;
+
+        // Check if course exists
+        const course = await Course.findById(courseId);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        if (course.status !== 'published') {
+            return res.status(400).json({
+                success: false,
+                message: 'Course is not available for enrollment'
+            });
+        }
+
+        // Check if user is already enrolled. An unpaid or failed checkout
+        // can be retried on the same enrollment.
+        let enrollment = await Enrollment.findOne({
+            student: req.user.userId,
+            course: courseId
+        });
+
+        if (paymentMethod === 'subscription') {
+            return enrollWithSubscription(req, res, course, enrollment);
+        }
+
+        if (enrollment && !['pending', 'failed'].includes(enrollment.payment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: enrollment.status === 'expired'
+                    ? 'Your access to this course has expired. Renew it instead'
+                    : 'You are already enrolled in this course'
+            });
+        }
+
+        // Price the course in the student's currency with any running
+        // campaign and the coupon
+        let quote;
+        try {
+            quote = await pricing.quote({
+                userId: req.user.userId,
+                items: [{ courseId, accessOptionId }],
+                couponCode,
+                currency: resolveCurrency(req.body.currency, req.currentUser)
+            });
+        } catch (error) {
+            if (error instanceof pricing.PricingError) {
+                return res.status(error.status).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            throw error;
+        }
+
+        if (quote.coupon && !quote.coupon.applied) {
+            return res.status(400).json({
+                success: false,
+                message: quote.coupon.message
+            });
+        }
+
+        const [{ accessOption, listPrice, discounts, finalPrice }] = quote.lines;
+
+        const provider = finalPrice > 0 ? getProviderForMethod(paymentMethod) : null;
+        if (finalPrice > 0 && !provider) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment method is not supported'
+            });
+        }
+
+        if (!enrollment) {
+            enrollment = new Enrollment({
+                student: req.user.userId,
+                course: courseId,
+                instructor: course.instructor
+            });
+        }
+
+        // Hold a use of the coupon, so parallel checkouts cannot go past its limits
+        const couponReason = await enrollment.reserveCoupons(discounts);
+        if (couponReason) {
+            return res.status(400).json({
+                success: false,
+                message: couponReason
+            });
+        }
+
+        // A retry replaces the unpaid checkout, which may still be paid
+        enrollment.supersedeCheckout();
+        enrollment.status = 'pending';
+        enrollment.subscription = undefined;
+        enrollment.order = undefined;
+        enrollment.isLifetime = !accessOption.durationDays;
+        enrollment.accessDurationDays = accessOption.durationDays || undefined;
+        enrollment.discounts = discounts;
+        enrollment.payment = {
+            amount: finalPrice,
+            listAmount: listPrice,
+            currency: quote.currency,
+            exchangeRate: quote.exchangeRate,
+            method: paymentMethod,
+            status: 'pending'
+        };
+
+        // Free courses do not go through a payment provider
+        if (finalPrice === 0) {
+            enrollment.payment.provider = 'free';
+            enrollment.payment.transactionId = `FREE-${enrollment._id}`;
+            await enrollment.activate();
+            await enrollment.sendReceipt();
+
+            await enrollment.populate([
+                { path: 'course', select: 'title thumbnail duration instructor' },
+                { path: 'instructor', select: 'fullName avatar' }
+            ]);
+
+            return res.status(201).json({
+                success: true,
+                message: 'Successfully enrolled in course',
+                data: { enrollment }
+            });
+        }
+
+        // Create the checkout with the payment provider. The enrollment is
+        // only activated once the provider confirms payment via webhook.
+        let checkout;
+        try {
+            checkout = await provider.createIntent({
+                amount: finalPrice,
+                currency: quote.currency,
+                metadata: {
+                    enrollmentId: enrollment._id.toString(),
+                    courseId: course._id.toString(),
+                    studentId: req.user.userId
+                }
+            });
+        } catch (error) {
+            // Nothing can be paid, so the coupon use is given back
+            await enrollment.releaseCoupons();
+            throw error;
+        }
+
+        enrollment.payment.provider = provider.name;
+        enrollment.payment.transactionId = checkout.intentId;
+
+        await enrollment.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Checkout created, awaiting payment confirmation',
+            data: {
+                enrollment,
+                checkout: {
+                    provider: provider.name,
+                    ...checkout
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Enrollment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while enrolling in course'
+        });
+    }
+});
+
+// @route   GET /api/enrollments/my-courses
+// @desc    Get user's enrolled courses
+// @access  Private
+router.get('/my-courses', auth, async (req, res) => {
+    try {
+        const { status = 'active' } = req.query;
+
+        const filter = { student: req.user.userId };
+        if (status !== 'all') {
+            filter.status = status;
+        }
+
+        const enrollments = await Enrollment.find(filter)
+            .populate('course', 'title thumbnail duration instructor rating lectures')
+            .populate('instructor', 'fullName avatar')
+            .sort({ enrollmentDate: -1 });
+
+        // Next lecture for each enrollment, so students can continue where they left off
+        const nextLectureIds = enrollments.map(enrollment => enrollment.getNextLectureId());
+        const nextLectures = await Lecture.find({ _id: { $in: nextLectureIds.filter(Boolean) } })
+            .select('title section');
+
+        res.json({
+            success: true,
+            data: {
+                enrollments: enrollments.map((enrollment, index) => {
+                    const nextLectureId = nextLectureIds[index];
+                    return {
+                        ...enrollment.toJSON(),
+                        nextLecture: nextLectureId
+                            ? nextLectures.find(lecture => lecture._id.equals(nextLectureId)) || null
+                            : null
+                    };
+                })
+            }
+        });
+
+    } catch (error) {
+        console.error('Get my courses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching enrolled courses'
+        });
+    }
+});
+
+// @route   GET /api/enrollments/:id
+// @desc    Get enrollment details
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const enrollment = await Enrollment.findById(req.params.id)
+            .populate('course')
+            .populate('instructor', 'fullName avatar bio')
+            .populate('student', 'fullName email avatar');
+
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+
+        // Check if user is authorized to view this enrollment
+        if (enrollment.student._id.toString() !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this enrollment'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { enrollment }
+        });
+
+    } catch (error) {
+        console.error('Get enrollment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching enrollment'
+        });
+    }
+});
+
+// @route   GET /api/enrollments/:id/player
+// @desc    Get the course curriculum with playback state and the lecture to resume
+// @access  Private
+router.get('/:id/player', auth, async (req, res) => {
+    try {
+        const enrollment = await Enrollment.findById(req.params.id);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+
+        // Check if user is authorized
+        if (enrollment.student.toString() !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this enrollment'
+            });
+        }
+
+        const accessDeniedReason = enrollment.getAccessDeniedReason();
+        if (accessDeniedReason) {
+            return res.status(403).json({
+                success: false,
+                message: accessDeniedReason
+            });
+        }
+
+        const course = await Course.findById(enrollment.course)
+            .select('title lectures sections')
+            .populate({
+                path: 'sections',
+                options: { sort: { order: 1 } },
+                populate: [
+                    { path: 'lectures', select: 'title type duration order' },
+                    { path: 'quizzes', select: 'title timeLimitMinutes isRequired order', match: { isPublished: true } },
+                    { path: 'assignments', select: 'title isRequired order', match: { isPublished: true } }
+                ]
+            });
+
+        const completedIds = new Set(enrollment.completedLectures.map(cl => cl.lecture.toString()));
+        const sections = course.sections.map(section => ({
+            _id: section._id,
+            title: section.title,
+            lectures: section.lectures
+                .filter(lecture => course.hasLecture(lecture._id))
+                .sort((a, b) => a.order - b.order)
+                .map(lecture => {
+                    const playback = enrollment.getLectureProgress(lecture._id);
+                    return {
+                        _id: lecture._id,
+                        title: lecture.title,
+                        type: lecture.type,
+                        duration: lecture.duration,
+                        completed: completedIds.has(lecture._id.toString()),
+                        position: playback ? playback.position : 0
+                    };
+                }),
+            // Attempts and results are fetched from /api/assessments
+            quizzes: section.quizzes.sort((a, b) => a.order - b.order),
+            assignments: section.assignments.sort((a, b) => a.order - b.order)
+        }));
+
+        // Resume the last lecture played, falling back to the next one not yet completed
+        await enrollment.populate('course', 'lectures');
+        const resumeLecture = enrollment.lastLecture && course.hasLecture(enrollment.lastLecture)
+            ? enrollment.lastLecture
+            : enrollment.getNextLectureId() || course.lectures[0] || null;
+
+        res.json({
+            success: true,
+            data: {
+                enrollment: {
+                    _id: enrollment._id,
+                    status: enrollment.status,
+                    progress: enrollment.progress
+                },
+                course: {
+                    _id: course._id,
+                    title: course.title,
+                    sections
+                },
+                resumeLecture
+            }
+        });
+
+    } catch (error) {
+        console.error('Get player error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching course content'
+        });
+    }
+});
+
+// @route   GET /api/enrollments/:id/lectures/:lectureId
+// @desc    Get lecture content with the saved playback position
+// @access  Private
+router.get('/:id/lectures/:lectureId', auth, [
+    param('lectureId')
+        .isMongoId()
+        .withMessage('Valid lecture ID is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const enrollment = await Enrollment.findById(req.params.id);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+
+        // Check if user is authorized
+        if (enrollment.student.toString() !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this enrollment'
+            });
+        }
+
+        const accessDeniedReason = enrollment.getAccessDeniedReason();
+        if (accessDeniedReason) {
+            return res.status(403).json({
+                success: false,
+                message: accessDeniedReason
+            });
+        }
+
+        const lecture = await Lecture.findById(req.params.lectureId);
+        const course = await Course.findById(enrollment.course).select('lectures');
+        if (!lecture || !course.hasLecture(lecture._id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lecture not found'
+            });
+        }
+
+        const playback = enrollment.getLectureProgress(lecture._id);
+
+        res.json({
+            success: true,
+            data: {
+                lecture,
+                playback: {
+                    position: playback ? playback.position : 0,
+                    watchedSeconds: playback ? playback.watchedSeconds : 0,
+                    completed: enrollment.completedLectures.some(
+                        cl => cl.lecture.toString() === lecture._id.toString()
+                    )
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get lecture error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching lecture'
+        });
+    }
+});
+
+// @route   PUT /api/enrollments/:id/lectures/:lectureId/heartbeat
+// @desc    Record playback position and watched intervals of a lecture
+// @access  Private
+router.put('/:id/lectures/:lectureId/heartbeat', auth, [
+    param('lectureId')
+        .isMongoId()
+        .withMessage('Valid lecture ID is required'),
+    body('position')
+        .isFloat({ min: 0 })
+        .withMessage('Position must be a non-negative number of seconds'),
+    body('duration')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Duration must be a non-negative number of seconds'),
+    body('intervals')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('Intervals must be a list of at most 50 watched ranges'),
+    body('intervals.*.start')
+        .isFloat({ min: 0 })
+        .withMessage('Interval start must be a non-negative number of seconds'),
+    body('intervals.*.end')
+        .isFloat({ min: 0 })
+        .withMessage('Interval end must be a non-negative number of seconds')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const intervals = (req.body.intervals || []).map(({ start, end }) => ({
+            start: Number(start),
+            end: Number(end)
+        }));
+
+        if (intervals.some(interval => interval.end < interval.start)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Interval end must not be before its start'
+            });
+        }
+
+        // A heartbeat covers a short stretch of playback; longer claims are
+        // rejected so a lecture cannot be completed without watching it
+        const claimed = intervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+        if (claimed > MAX_HEARTBEAT_SECONDS) {
+            return res.status(400).json({
+                success: false,
+                message: `A heartbeat can report at most ${MAX_HEARTBEAT_SECONDS} seconds of playback`
+            });
+        }
+
+        const enrollment = await Enrollment.findById(req.params.id);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+
+        // Check if user is authorized
+        if (enrollment.student.toString() !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this enrollment'
+            });
+        }
+
+        const accessDeniedReason = enrollment.getAccessDeniedReason();
+        if (accessDeniedReason) {
+            return res.status(403).json({
+                success: false,
+                message: accessDeniedReason
+            });
+        }
+
+        // Check that the lecture is part of the enrolled course
+        const lecture = await findCourseLecture(enrollment, req.params.lectureId, 'duration');
+        if (!lecture) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lecture not found in this course'
+            });
+        }
+
+        const wasCompleted = enrollment.status === 'completed';
+        const playback = await enrollment.recordPlayback(lecture, {
+            position: Number(req.body.position),
+            intervals,
+            duration: req.body.duration !== undefined ? Number(req.body.duration) : undefined
+        });
+        await notifyIfCompleted(enrollment, wasCompleted);
+
+        res.json({
+            success: true,
+            data: { playback }
+        });
+
+    } catch (error) {
+        console.error('Playback heartbeat error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while saving playback'
+        });
+    }
+});
+
+// @route   PUT /api/enrollments/:id/progress
+// @desc    Update course progress
+// @access  Private
+router.put('/:id/progress', auth, [
+    body('lectureId')
+        .isMongoId()
+        .withMessage('Valid lecture ID is required'),
+    body('timeSpent')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Time spent must be a positive integer')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array() 
+            });
+        }
+
+        const { lectureId, timeSpent = 0 } = req.body;
+
+        const enrollment = await Enrollment.findById(req.params.id);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+
+        // Check if user is authorized
+        if (enrollment.student.toString() !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this enrollment'
+            });
+        }
+
+        const accessDeniedReason = enrollment.getAccessDeniedReason();
+        if (accessDeniedReason) {
+            return res.status(403).json({
+                success: false,
+                message: accessDeniedReason
+            });
+        }
+
+        // Check that the lecture is part of the enrolled course
+        const lecture = await findCourseLecture(enrollment, lectureId, 'type duration');
+        if (!lecture) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lecture not found in this course'
+            });
+        }
+
+        // Mark lecture as completed. Videos follow the same watched-percentage
+        // rule as heartbeats, so only a sufficiently watched video completes.
+        const wasCompleted = enrollment.status === 'completed';
+        if (lecture.type === 'video') {
+            const entry = enrollment.getLectureProgress(lecture._id);
+            const playback = await enrollment.recordPlayback(lecture, {
+                position: entry ? entry.position : 0
+            });
+            if (!playback.completed) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Only ${playback.watchedPercent}% of this video has been watched; keep watching to complete it`
+                });
+            }
+        } else {
+            await enrollment.completeLecture(lecture._id, timeSpent);
+        }
+        await notifyIfCompleted(enrollment, wasCompleted);
+
+        res.json({
+            success: true,
+            message: 'Progress updated successfully',
+            data: { enrollment }
+        });
+
+    } catch (error) {
+        console.error('Update progress error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating progress'
+        });
+    }
+});
+
+// @route   POST /api/enrollments/:id/review
+// @desc    Add review to enrolled course
+// @access  Private
+router.post('/:id/review', auth, [
+    body('rating')
+        .isInt({ min: 1, max: 5 })
+        .withMessage('Rating must be between 1 and 5'),
+    body('review')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Review cannot exceed 1000 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array() 
+            });
+        }
+
+        const { rating, review } = req.body;
+
+        const enrollment = await Enrollment.findById(req.params.id);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+
+        // Check if user is authorized
+        if (enrollment.student.toString() !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to review this course'
+            });
+        }
+
+        // Check if already reviewed
+        if (enrollment.rating.given) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already reviewed this course'
+            });
+        }
+
+        // Add review to enrollment
+        enrollment.rating.given = true;
+        enrollment.rating.rating = rating;
+        enrollment.rating.review = review;
+        enrollment.rating.reviewedAt = new Date();
+
+        await enrollment.save();
+
+        // Add review to course
+        await enrollment.course.addReview(req.user.userId, rating, review);
+
+        res.json({
+            success: true,
+            message: 'Review added successfully',
+            data: { enrollment }
+        });
+
+    } catch (error) {
+        console.error('Add review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while adding review'
+        });
+    }
+});
+
+// @route   POST /api/enrollments/:id/certificate
+// @desc    Issue certificate for completed course
+// @access  Private
+router.post('/:id/certificate', auth, async (req, res) => {
+    try {
+        const enrollment = await Enrollment.findById(req.params.id);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+
+        // Check if user is authorized
+        if (enrollment.student.toString() !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this certificate'
+            });
+        }
+
+        // Issue certificate
+        await enrollment.issueCertificate();
+
+        await notify('certificateIssued', enrollment.student, {
+            courseTitle: enrollment.certificate.courseTitle,
+            certificateId: enrollment.certificate.certificateId,
+            downloadUrl: enrollment.certificate.downloadUrl
+        });
+
+        res.json({
+            success: true,
+            message: 'Certificate issued successfully',
+            data: { 
+                certificate: enrollment.certificate,
+                enrollment 
+            }
+        });
+
+    } catch (error) {
+        console.error('Issue certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error while issuing certificate'
+        });
+    }
+});
+
+// @route   POST /api/enrollments/:id/refund
+// @desc    Request refund for enrollment
+// @access  Private
+router.post('/:id/refund', auth, [
+    body('reason')
+        .trim()
+        .isLength({ min: 10, max: 500 })
+        .withMessage('Refund reason must be between 10 and 500 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array() 
+            });
+        }
+
+        const { reason } = req.body;
+
+        const enrollment = await Enrollment.findById(req.params.id);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+
+        // Check if user is authorized
+        if (enrollment.student.toString() !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to request refund for this enrollment'
+            });
+        }
+
+        // Request refund
+        await enrollment.requestRefund(reason);
+        await notifyRefundStatus(enrollment);
+
+        res.json({
+            success: true,
+            message: 'Refund request submitted successfully',
+            data: { enrollment }
+        });
+
+    } catch (error) {
+        console.error('Request refund error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error while requesting refund'
+        });
+    }
+});
+
+// @route   POST /api/enrollments/:id/renew
+// @desc    Renew or extend time-limited access, or upgrade it to lifetime access
+// @access  Private
+router.post('/:id/renew', auth, [
+    body('paymentMethod')
+        .isIn(['credit_card', 'paypal', 'stripe', 'bank_transfer', 'crypto'])
+        .withMessage('Valid payment method is required'),
+    body('accessOptionId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid access option ID is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const enrollment = await Enrollment.findById(req.params.id);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+
+        // Check if user is authorized
+        if (enrollment.student.toString() !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to renew this enrollment'
+            });
+        }
+
+        if (enrollment.isLifetime || enrollment.subscription) {
+            return res.status(400).json({
+                success: false,
+                message: enrollment.subscription
+                    ? 'Access to this course follows your subscription. Renew the subscription instead'
+                    : 'This enrollment already has lifetime access'
+            });
+        }
+
+        if (!['active', 'completed', 'expired'].includes(enrollment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only paid enrollments can be renewed'
+            });
+        }
+
+        const course = await Course.findById(enrollment.course);
+
+        // Without a chosen option, renew for the same number of days as before
+        const accessOption = req.body.accessOptionId
+            ? course.getAccessOption(req.body.accessOptionId)
+            : course.accessOptions.find(option => option.durationDays === enrollment.accessDurationDays);
+        if (!accessOption) {
+            return res.status(400).json({
+                success: false,
+                message: 'Access option not found for this course'
+            });
+        }
+
+        // Revenue is recorded in the base currency at the rate of the renewal,
+        // so a currency without a rate is refused before anything is charged
+        const rates = await getExchangeRates();
+        const exchangeRate = rates.getBaseRate(course.currency);
+        if (!exchangeRate) {
+            return res.status(400).json({
+                success: false,
+                message: `Payments in ${course.currency} are not available right now`
+            });
+        }
+
+        // Charged in whole minor units of the course currency, as providers do
+        const amount = roundAmount(accessOption.price, course.currency);
+        enrollment.renewals.push({
+            amount,
+            currency: course.currency,
+            exchangeRate,
+            method: req.body.paymentMethod,
+            durationDays: accessOption.durationDays || undefined
+        });
+        const renewal = enrollment.renewals[enrollment.renewals.length - 1];
+
+        if (amount === 0) {
+            renewal.provider = 'free';
+            renewal.transactionId = `FREE-${renewal._id}`;
+            await enrollment.applyRenewal(renewal);
+
+            return res.json({
+                success: true,
+                message: 'Access renewed successfully',
+                data: { enrollment }
+            });
+        }
+
+        const provider = getProviderForMethod(req.body.paymentMethod);
+        if (!provider) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment method is not supported'
+            });
+        }
+
+        // Access is only extended once the provider confirms payment via webhook
+        const checkout = await provider.createIntent({
+            amount,
+            currency: course.currency,
+            metadata: {
+                enrollmentId: enrollment._id.toString(),
+                renewalId: renewal._id.toString(),
+                studentId: req.user.userId
+            }
+        });
+
+        renewal.provider = provider.name;
+        renewal.transactionId = checkout.intentId;
+        await enrollment.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Checkout created, awaiting payment confirmation',
+            data: {
+                enrollment,
+                checkout: {
+                    provider: provider.name,
+                    ...checkout
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Renew enrollment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while renewing enrollment'
+        });
+    }
+});
+
+// Admin routes
+// @route   PUT /api/enrollments/:id/extend
+// @desc    Extend time-limited access without payment
+// @access  Private (Admin only)
+router.put('/:id/extend', auth, authorize('admin'), [
+    body('days')
+        .isInt({ min: 1, max: 3650 })
+        .withMessage('Days must be between 1 and 3650')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const enrollment = await Enrollment.findById(req.params.id);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+
+        if (enrollment.isLifetime || enrollment.subscription || !['active', 'completed', 'expired'].includes(enrollment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only time-limited course purchases can be extended'
+            });
+        }
+
+        enrollment.extendAccess(parseInt(req.body.days, 10));
+        await enrollment.save();
+
+        res.json({
+            success: true,
+            message: 'Access extended successfully',
+            data: { enrollment }
+        });
+
+    } catch (error) {
+        console.error('Extend enrollment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while extending enrollment'
+        });
+    }
+});
+
+// @route   GET /api/enrollments
+// @desc    Get all enrollments (admin only)
+// @access  Private (Admin only)
+router.get('/', auth, authorize('admin'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, courseId, studentId } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (courseId) filter.course = courseId;
+        if (studentId) filter.student = studentId;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const enrollments = await Enrollment.find(filter)
+            .populate('student', 'fullName email')
+            .populate('course', 'title')
+            .populate('instructor', 'fullName')
+            .sort({ enrollmentDate: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Enrollment.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                enrollments,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalEnrollments: total,
+                    limit: parseInt(limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get enrollments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching enrollments'
+        });
+    }
+});
+
+// @route   PUT /api/enrollments/:id/refund-status
+// @desc    Update refund status (admin only)
+// @access  Private (Admin only)
+router.put('/:id/refund-status', auth, authorize('admin'), [
+    body('refundStatus')
+        .isIn(['pending', 'approved', 'rejected'])
+        .withMessage('Invalid refund status'),
+    body('refundAmount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Refund amount must be a positive number')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array() 
+            });
+        }
+
+        const { refundStatus, refundAmount } = req.body;
+
+        let enrollment = await Enrollment.findById(req.params.id);
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Enrollment not found'
+            });
+        }
+
+        // Approved and rejected refunds are final
+        if (['approved', 'rejected'].includes(enrollment.refundStatus)) {
+            return res.status(400).json({
+                success: false,
+                message: `Refund has already been ${enrollment.refundStatus}`
+            });
+        }
+        if (enrollment.refundStatus === 'processing') {
+            return res.status(409).json({
+                success: false,
+                message: 'This refund is already being processed'
+            });
+        }
+        if (refundStatus !== 'pending' && enrollment.refundStatus !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: 'No refund has been requested for this enrollment'
+            });
+        }
+
+        if (refundStatus === 'approved') {
+            if (enrollment.payment.status !== 'completed') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Only completed payments can be refunded'
+                });
+            }
+
+            const amount = refundAmount !== undefined
+                ? roundAmount(parseFloat(refundAmount), enrollment.payment.currency)
+                : enrollment.payment.amount;
+            if (amount > enrollment.payment.amount) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Refund amount cannot exceed the amount paid'
+                });
+            }
+
+            const provider = getProvider(enrollment.payment.provider);
+            if (!provider) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This payment cannot be refunded automatically'
+                });
+            }
+
+            // Claim the request first, so that concurrent approvals cannot
+            // both refund the payment
+            enrollment = await Enrollment.findOneAndUpdate(
+                { _id: enrollment._id, refundStatus: 'pending' },
+                { $set: { refundStatus: 'processing' } },
+                { new: true }
+            );
+            if (!enrollment) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This refund is already being processed'
+                });
+            }
+
+            // Reverse the payment with the provider before revoking access
+            let refund;
+            try {
+                refund = await provider.refund({
+                    intentId: enrollment.payment.transactionId,
+                    chargeId: enrollment.payment.chargeId,
+                    amount,
+                    currency: enrollment.payment.currency
+                });
+            } catch (error) {
+                console.error('Payment provider refund error:', error);
+                await Enrollment.updateOne(
+                    { _id: enrollment._id, refundStatus: 'processing' },
+                    { $set: { refundStatus: 'pending' } }
+                );
+                return res.status(502).json({
+                    success: false,
+                    message: 'Payment provider could not process the refund'
+                });
+            }
+
+            await enrollment.completeRefund(amount, refund.refundId);
+        } else {
+            // Conditional, so a rejection cannot overtake an approval
+            const update = { refundStatus, refundProcessedAt: new Date() };
+            if (refundAmount) {
+                update.refundAmount = refundAmount;
+            }
+            enrollment = await Enrollment.findOneAndUpdate(
+                { _id: enrollment._id, refundStatus: enrollment.refundStatus },
+                { $set: update },
+                { new: true }
+            );
+            if (!enrollment) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'The refund was updated meanwhile'
+                });
+            }
+        }
+
+        await notifyRefundStatus(enrollment);
+
+        res.json({
+            success: true,
+            message: 'Refund status updated successfully',
+            data: { enrollment }
+        });
+
+    } catch (error) {
+        console.error('Update refund status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating refund status'
+        });
+    }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,352 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const LedgerEntry = require('../models/LedgerEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const { auth, authorize } = require('../middleware/auth');
+const { INTERVALS, getInstructorAnalytics, getDefaultRange } = require('../services/analytics');
+const { getRevenueShare, getMinimumPayout, toPayoutCsv } = require('../services/payouts');
+
+const router = express.Router();
+
+// Longest period a single analytics request may cover
+const MAX_RANGE_DAYS = 731;
+
+// @route   GET /api/instructors/me/analytics
+// @desc    Get performance analytics for the current instructor's courses
+// @access  Private (Instructor/Admin)
+router.get('/me/analytics', auth, authorize('instructor', 'admin'), [
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('From must be a valid date'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('To must be a valid date'),
+    query('interval')
+        .optional()
+        .isIn(INTERVALS)
+        .withMessage(`Interval must be one of: ${INTERVALS.join(', ')}`),
+    query('courseId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid course ID is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const defaults = getDefaultRange();
+        const to = req.query.to ? new Date(req.query.to) : defaults.to;
+        const from = req.query.from
+            ? new Date(req.query.from)
+            : new Date(to.getTime() - (defaults.to - defaults.from));
+
+        if (from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'From must be before to'
+            });
+        }
+
+        if ((to - from) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+            return res.status(400).json({
+                success: false,
+                message: `Analytics can cover at most ${MAX_RANGE_DAYS} days`
+            });
+        }
+
+        const { courseId } = req.query;
+        if (courseId) {
+            const course = await Course.findOne({ _id: courseId, instructor: req.user.userId }).select('_id');
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+        }
+
+        const analytics = await getInstructorAnalytics(req.user.userId, {
+            from,
+            to,
+            interval: req.query.interval || 'day',
+            courseId
+        });
+
+        res.json({
+            success: true,
+            data: analytics
+        });
+
+    } catch (error) {
+        console.error('Get instructor analytics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching analytics'
+        });
+    }
+});
+
+// @route   GET /api/instructors/me/earnings
+// @desc    Get the current instructor's balance, ledger entries and payouts
+// @access  Private (Instructor/Admin)
+router.get('/me/earnings', auth, authorize('instructor', 'admin'), [
+    query('type')
+        .optional()
+        .isIn(['sale', 'renewal', 'refund'])
+        .withMessage('Type must be one of: sale, renewal, refund'),
+    query(['page', 'limit'])
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Page and limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 20, type } = req.query;
+
+        const filter = { instructor: req.user.userId };
+        if (type) filter.type = type;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [balance, entries, total, batches] = await Promise.all([
+            LedgerEntry.getBalance(req.user.userId),
+            LedgerEntry.find(filter)
+                .populate('course', 'title')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            LedgerEntry.countDocuments(filter),
+            PayoutBatch.find({ 'items.instructor': req.user.userId, status: { $ne: 'cancelled' } })
+                .sort({ createdAt: -1 })
+                .limit(20)
+        ]);
+
+        // Only the instructor's own line of each batch
+        const payouts = batches.map(batch => {
+            const item = batch.items.find(entry => entry.instructor.toString() === req.user.userId);
+            return {
+                _id: batch._id,
+                number: batch.number,
+                status: batch.status,
+                currency: batch.currency,
+                amount: item.amount,
+                createdAt: batch.createdAt,
+                paidAt: batch.paidAt
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                revenueShare: getRevenueShare(),
+                balance,
+                entries,
+                payouts,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalEntries: total,
+                    limit: parseInt(limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get instructor earnings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching earnings'
+        });
+    }
+});
+
+// @route   GET /api/instructors/payouts
+// @desc    Get payout batches
+// @access  Private (Admin only)
+router.get('/payouts', auth, authorize('admin'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const batches = await PayoutBatch.find(filter)
+            .populate('createdBy', 'fullName')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await PayoutBatch.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                batches,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalBatches: total,
+                    limit: parseInt(limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get payout batches error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching payout batches'
+        });
+    }
+});
+
+// @route   POST /api/instructors/payouts
+// @desc    Create a payout batch of every available instructor balance
+// @access  Private (Admin only)
+router.post('/payouts', auth, authorize('admin'), [
+    body('minimumAmount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Minimum amount must be a positive number')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const minimumAmount = req.body.minimumAmount !== undefined
+            ? parseFloat(req.body.minimumAmount)
+            : getMinimumPayout();
+
+        const batch = await PayoutBatch.createBatch(req.user.userId, minimumAmount);
+        if (!batch) {
+            return res.status(400).json({
+                success: false,
+                message: 'No instructor has an available balance to pay out'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Payout batch created successfully',
+            data: { batch }
+        });
+
+    } catch (error) {
+        console.error('Create payout batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating payout batch'
+        });
+    }
+});
+
+// @route   GET /api/instructors/payouts/:id/csv
+// @desc    Download the payout file of a batch
+// @access  Private (Admin only)
+router.get('/payouts/:id/csv', auth, authorize('admin'), async (req, res) => {
+    try {
+        const batch = await PayoutBatch.findById(req.params.id);
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payout batch not found'
+            });
+        }
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${batch.number}.csv"`);
+        res.send(toPayoutCsv(batch));
+
+    } catch (error) {
+        console.error('Export payout batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while exporting payout batch'
+        });
+    }
+});
+
+// @route   PUT /api/instructors/payouts/:id/status
+// @desc    Mark a payout batch as paid, or cancel it to release its balances
+// @access  Private (Admin only)
+router.put('/payouts/:id/status', auth, authorize('admin'), [
+    body('status')
+        .isIn(['paid', 'cancelled'])
+        .withMessage('Status must be paid or cancelled')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const batch = await PayoutBatch.findById(req.params.id);
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payout batch not found'
+            });
+        }
+
+        if (batch.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: `Payout batch has already been ${batch.status}`
+            });
+        }
+
+        if (req.body.status === 'paid') {
+            await batch.markPaid();
+        } else {
+            await batch.cancel();
+        }
+
+        res.json({
+            success: true,
+            message: 'Payout batch updated successfully',
+            data: { batch }
+        });
+
+    } catch (error) {
+        console.error('Update payout batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating payout batch'
+        });
+    }
+});
+
+module.exports = router;
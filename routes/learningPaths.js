@@ -0,0 +1,585 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query } = require('express-validator');
+const LearningPath = require('../models/LearningPath');
+const PathEnrollment = require('../models/PathEnrollment');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Order = require('../models/Order');
+const { auth, authorize, optionalAuth } = require('../middleware/auth');
+const { sendValidationErrors, sendSaveError } = require('../middleware/validation');
+const { getProviderForMethod } = require('../services/payments');
+const pricing = require('../services/pricing');
+const { resolveCurrency } = require('../services/currency');
+const { notify } = require('../services/notifications');
+
+const router = express.Router();
+
+const STEP_COURSE_FIELDS = 'title thumbnail shortDescription level duration price currency rating enrollmentCount instructor status';
+
+const populateSteps = queryOrDocument => queryOrDocument.populate({
+    path: 'steps.course',
+    select: STEP_COURSE_FIELDS,
+    populate: { path: 'instructor', select: 'fullName avatar' }
+});
+
+const canManage = (path, user) => user.role === 'admin' || path.createdBy.equals(user.userId);
+
+// Price the courses of a path the student does not own yet. Courses with an
+// unpaid or failed checkout are bought again.
+const quotePath = async (path, userId, { couponCode, currency }) => {
+    const existing = await Enrollment.find({
+        student: userId,
+        course: { $in: path.getCourseIds() }
+    });
+    const owned = existing.filter(enrollment => !['pending', 'failed'].includes(enrollment.payment.status));
+    const toBuy = path.getCourseIds().filter(id => !owned.some(enrollment => enrollment.course.equals(id)));
+
+    const quote = toBuy.length > 0
+        ? await pricing.quote({
+            userId,
+            items: toBuy.map(courseId => ({ courseId })),
+            couponCode,
+            currency
+        })
+        : null;
+
+    return { quote, existing, ownedCourses: owned.map(enrollment => enrollment.course) };
+};
+
+// @route   GET /api/learning-paths
+// @desc    Get published learning paths
+// @access  Public
+router.get('/', [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('category').optional().isString().withMessage('Category must be a string'),
+    query('level').optional().isIn(['Beginner', 'Intermediate', 'Advanced', 'All Levels']).withMessage('Invalid level')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 12;
+
+        const filter = { status: 'published' };
+        if (req.query.category) filter.category = req.query.category;
+        if (req.query.level && req.query.level !== 'All Levels') filter.level = req.query.level;
+
+        const [paths, total] = await Promise.all([
+            populateSteps(LearningPath.find(filter))
+                .populate('createdBy', 'fullName')
+                .sort({ enrollmentCount: -1, createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            LearningPath.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                paths,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(total / limit),
+                    totalPaths: total,
+                    limit
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get learning paths error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching learning paths'
+        });
+    }
+});
+
+// @route   GET /api/learning-paths/my
+// @desc    Get the current user's learning paths with their progress
+// @access  Private
+router.get('/my', auth, async (req, res) => {
+    try {
+        const enrollments = await PathEnrollment.find({
+            student: req.user.userId,
+            status: { $in: ['active', 'completed'] }
+        }).sort({ enrollmentDate: -1 });
+
+        const paths = await populateSteps(LearningPath.find({ _id: { $in: enrollments.map(entry => entry.path) } }));
+
+        const data = [];
+        for (const enrollment of enrollments) {
+            const path = paths.find(entry => entry._id.equals(enrollment.path));
+            if (!path) continue;
+
+            const steps = await enrollment.refreshProgress(path);
+            data.push({ path, enrollment, steps });
+        }
+
+        res.json({
+            success: true,
+            data: { learningPaths: data }
+        });
+
+    } catch (error) {
+        console.error('Get my learning paths error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching your learning paths'
+        });
+    }
+});
+
+// @route   GET /api/learning-paths/:id
+// @desc    Get a learning path, with the current user's progress if enrolled
+// @access  Public
+router.get('/:id', optionalAuth, [
+    param('id').isMongoId().withMessage('Valid learning path ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const path = await populateSteps(LearningPath.findById(req.params.id))
+            .populate('createdBy', 'fullName avatar');
+
+        // Drafts are only visible to the people who can edit them
+        const canView = path && (path.status === 'published' || (req.user && (req.user.role === 'admin'
+            || (path.createdBy && path.createdBy._id.equals(req.user.userId)))));
+        if (!canView) {
+            return res.status(404).json({
+                success: false,
+                message: 'Learning path not found'
+            });
+        }
+
+        let enrollment = null;
+        let steps = null;
+        if (req.user) {
+            enrollment = await PathEnrollment.findOne({
+                student: req.user.userId,
+                path: path._id,
+                status: { $in: ['active', 'completed'] }
+            });
+            if (enrollment) {
+                steps = await enrollment.refreshProgress(path);
+            }
+        }
+
+        res.json({
+            success: true,
+            data: { path, enrollment, steps }
+        });
+
+    } catch (error) {
+        console.error('Get learning path error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching learning path'
+        });
+    }
+});
+
+const pathValidation = [
+    body('title')
+        .trim()
+        .isLength({ min: 5, max: 100 })
+        .withMessage('Title must be between 5 and 100 characters'),
+    body('description')
+        .trim()
+        .isLength({ min: 20, max: 2000 })
+        .withMessage('Description must be between 20 and 2000 characters'),
+    body('category')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Category is required'),
+    body('level')
+        .optional()
+        .isIn(['Beginner', 'Intermediate', 'Advanced', 'All Levels'])
+        .withMessage('Invalid level'),
+    body('thumbnail')
+        .optional()
+        .isURL()
+        .withMessage('Thumbnail must be a valid URL'),
+    body('steps')
+        .isArray({ min: 2, max: 20 })
+        .withMessage('A learning path needs between 2 and 20 courses'),
+    body('steps.*.course')
+        .isMongoId()
+        .withMessage('Invalid course ID'),
+    body('steps.*.prerequisites')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Prerequisites must be a list of course IDs'),
+    body('steps.*.prerequisites.*')
+        .isMongoId()
+        .withMessage('Invalid prerequisite course ID'),
+    body('status')
+        .optional()
+        .isIn(['draft', 'published', 'archived'])
+        .withMessage('Status must be draft, published or archived')
+];
+
+const pathFields = ['title', 'description', 'category', 'level', 'thumbnail', 'status'];
+
+// Instructors may only build paths from their own courses, and a path can
+// only be published once all of its courses are. Returns what is wrong, or
+// null once the path has been saved.
+const savePath = async (path, body, user) => {
+    pathFields.forEach(field => {
+        if (body[field] !== undefined) {
+            path[field] = body[field];
+        }
+    });
+    path.steps = body.steps.map(step => ({
+        course: step.course,
+        prerequisites: step.prerequisites || []
+    }));
+
+    const courses = await Course.find({ _id: { $in: path.getCourseIds() } }).select('instructor status');
+    if (courses.length !== new Set(path.getCourseIds().map(String)).size) {
+        return 'Learning path courses must exist and be unique';
+    }
+
+    if (user.role !== 'admin' && courses.some(course => !course.instructor.equals(user.userId))) {
+        return 'You can only add your own courses to a learning path';
+    }
+
+    if (path.status === 'published' && courses.some(course => course.status !== 'published')) {
+        return 'All courses must be published before the learning path can be published';
+    }
+
+    await path.save();
+    return null;
+};
+
+// @route   POST /api/learning-paths
+// @desc    Create a learning path
+// @access  Private (Instructor/Admin)
+router.post('/', auth, authorize('instructor', 'admin'), pathValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const path = new LearningPath({ createdBy: req.user.userId });
+        const problem = await savePath(path, req.body, req.user);
+        if (problem) {
+            return res.status(400).json({
+                success: false,
+                message: problem
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Learning path created successfully',
+            data: { path }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Creating learning path');
+    }
+});
+
+// @route   PUT /api/learning-paths/:id
+// @desc    Replace a learning path
+// @access  Private (Creator/Admin)
+router.put('/:id', auth, authorize('instructor', 'admin'), [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid learning path ID is required'),
+    ...pathValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const path = await LearningPath.findById(req.params.id);
+        if (!path) {
+            return res.status(404).json({
+                success: false,
+                message: 'Learning path not found'
+            });
+        }
+
+        if (!canManage(path, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this learning path'
+            });
+        }
+
+        const problem = await savePath(path, req.body, req.user);
+        if (problem) {
+            return res.status(400).json({
+                success: false,
+                message: problem
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Learning path updated successfully',
+            data: { path }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Updating learning path');
+    }
+});
+
+const checkoutValidation = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid learning path ID is required'),
+    body('currency')
+        .optional()
+        .isISO4217()
+        .withMessage('Currency must be a valid currency code'),
+    body('couponCode')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 30 })
+        .withMessage('Coupon code cannot exceed 30 characters')
+];
+
+const findPublishedPath = id => LearningPath.findOne({ _id: id, status: 'published' });
+
+// @route   POST /api/learning-paths/:id/quote
+// @desc    Price the courses of a learning path the user does not own yet
+// @access  Private
+router.post('/:id/quote', auth, checkoutValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const path = await findPublishedPath(req.params.id);
+        if (!path) {
+            return res.status(404).json({
+                success: false,
+                message: 'Learning path not found'
+            });
+        }
+
+        const { quote, ownedCourses } = await quotePath(path, req.user.userId, {
+            couponCode: req.body.couponCode,
+            currency: resolveCurrency(req.body.currency, req.currentUser)
+        });
+
+        res.json({
+            success: true,
+            data: { quote, ownedCourses }
+        });
+
+    } catch (error) {
+        if (error instanceof pricing.PricingError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Learning path quote error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while pricing learning path'
+        });
+    }
+});
+
+// @route   POST /api/learning-paths/:id/enroll
+// @desc    Enroll in a learning path, buying its courses the user does not
+//          own yet with a single payment
+// @access  Private
+router.post('/:id/enroll', auth, [
+    ...checkoutValidation,
+    body('paymentMethod')
+        .isIn(['credit_card', 'paypal', 'stripe', 'bank_transfer', 'crypto'])
+        .withMessage('Valid payment method is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const path = await findPublishedPath(req.params.id);
+        if (!path) {
+            return res.status(404).json({
+                success: false,
+                message: 'Learning path not found'
+            });
+        }
+
+        let pathEnrollment = await PathEnrollment.findOne({ student: req.user.userId, path: path._id });
+        if (pathEnrollment && ['active', 'completed'].includes(pathEnrollment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already enrolled in this learning path'
+            });
+        }
+
+        const { quote, existing } = await quotePath(path, req.user.userId, {
+            couponCode: req.body.couponCode,
+            currency: resolveCurrency(req.body.currency, req.currentUser)
+        });
+
+        if (quote && quote.coupon && !quote.coupon.applied) {
+            return res.status(400).json({
+                success: false,
+                message: quote.coupon.message
+            });
+        }
+
+        // Earlier checkouts of the path that were never paid are reused
+        if (!pathEnrollment) {
+            pathEnrollment = new PathEnrollment({ student: req.user.userId, path: path._id });
+        }
+        pathEnrollment.status = 'pending';
+
+        // Students who own every course already just start the path
+        if (!quote) {
+            await pathEnrollment.activate();
+            await pathEnrollment.refreshProgress(path);
+
+            return res.status(201).json({
+                success: true,
+                message: 'Successfully enrolled in learning path',
+                data: { enrollment: pathEnrollment, order: null, checkout: null }
+            });
+        }
+
+        const order = new Order({
+            user: req.user.userId,
+            learningPath: path._id,
+            currency: quote.currency,
+            exchangeRate: quote.exchangeRate,
+            subtotal: quote.subtotal,
+            discountTotal: quote.discountTotal,
+            total: quote.total,
+            couponCode: quote.coupon ? quote.coupon.code : undefined,
+            payment: { method: req.body.paymentMethod }
+        });
+
+        let checkout = null;
+        if (quote.total === 0) {
+            order.payment.provider = 'free';
+            order.payment.transactionId = `FREE-${order._id}`;
+        } else {
+            const provider = getProviderForMethod(req.body.paymentMethod);
+            if (!provider) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Payment method is not supported'
+                });
+            }
+
+            // The path starts once the provider confirms payment via webhook
+            checkout = await provider.createIntent({
+                amount: quote.total,
+                currency: quote.currency,
+                metadata: {
+                    orderId: order._id.toString(),
+                    studentId: req.user.userId,
+                    learningPathId: path._id.toString()
+                }
+            });
+            order.payment.provider = provider.name;
+            order.payment.transactionId = checkout.intentId;
+            checkout = { provider: provider.name, ...checkout };
+        }
+
+        // The path enrollment is saved first so a free order can start it
+        pathEnrollment.order = order._id;
+        await mongoose.connection.transaction(async session => {
+            await pathEnrollment.save({ session });
+            await order.createEnrollments(quote, existing, session);
+        });
+
+        if (order.status === 'paid') {
+            await order.sendReceipt();
+            pathEnrollment = await PathEnrollment.findById(pathEnrollment._id);
+            await pathEnrollment.refreshProgress(path);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: checkout
+                ? 'Checkout created, awaiting payment confirmation'
+                : 'Successfully enrolled in learning path',
+            data: { enrollment: pathEnrollment, order, checkout }
+        });
+
+    } catch (error) {
+        if (error instanceof pricing.PricingError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        if (error.name === 'OrderConflictError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Another checkout for this learning path is in progress'
+            });
+        }
+
+        console.error('Learning path enrollment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while enrolling in learning path'
+        });
+    }
+});
+
+// @route   POST /api/learning-paths/:id/certificate
+// @desc    Issue the certificate for a completed learning path
+// @access  Private
+router.post('/:id/certificate', auth, [
+    param('id').isMongoId().withMessage('Valid learning path ID is required')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const enrollment = await PathEnrollment.findOne({
+            student: req.user.userId,
+            path: req.params.id,
+            status: { $in: ['active', 'completed'] }
+        });
+        if (!enrollment) {
+            return res.status(404).json({
+                success: false,
+                message: 'You are not enrolled in this learning path'
+            });
+        }
+
+        await enrollment.refreshProgress();
+        await enrollment.issueCertificate();
+
+        await notify('certificateIssued', enrollment.student, {
+            courseTitle: enrollment.certificate.courseTitle,
+            certificateId: enrollment.certificate.certificateId,
+            downloadUrl: enrollment.certificate.downloadUrl
+        });
+
+        res.json({
+            success: true,
+            message: 'Certificate issued successfully',
+            data: {
+                certificate: enrollment.certificate,
+                enrollment
+            }
+        });
+
+    } catch (error) {
+        console.error('Issue learning path certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Server error while issuing certificate'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { auth } = require('../middleware/auth');
+const { subscribe, publish } = require('../services/realtime');
+
+const router = express.Router();
+
+// Let the user's other tabs update their unread count
+const publishUnreadCount = async userId => {
+    const unreadCount = await Notification.countUnread(userId);
+    publish(userId, 'unread', { unreadCount });
+    return unreadCount;
+};
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, unread } = req.query;
+
+        const filter = { user: req.user.userId };
+        if (unread === 'true') filter.readAt = null;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const notifications = await Notification.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const [total, unreadCount] = await Promise.all([
+            Notification.countDocuments(filter),
+            Notification.countUnread(req.user.userId)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                notifications,
+                unreadCount,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalNotifications: total,
+                    limit: parseInt(limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching notifications'
+        });
+    }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+    try {
+        const unreadCount = await Notification.countUnread(req.user.userId);
+
+        res.json({
+            success: true,
+            data: { unreadCount }
+        });
+
+    } catch (error) {
+        console.error('Get unread count error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching unread count'
+        });
+    }
+});
+
+// @route   GET /api/notifications/stream
+// @desc    Server-sent events with new notifications and unread counts
+// @access  Private
+router.get('/stream', auth, async (req, res) => {
+    try {
+        const unreadCount = await Notification.countUnread(req.user.userId);
+        const stream = subscribe(req, res);
+        stream.send('unread', { unreadCount });
+
+    } catch (error) {
+        console.error('Notification stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Server error while opening notification stream'
+            });
+        } else {
+            res.end();
+        }
+    }
+});
+
+// @route   PUT /api/notifications/read
+// @desc    Mark notifications as read, or all of them without IDs
+// @access  Private
+router.put('/read', auth, [
+    body('ids')
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage('ids must be an array of at most 100 notification IDs'),
+    body('ids.*')
+        .isMongoId()
+        .withMessage('Invalid notification ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const marked = await Notification.markRead(req.user.userId, req.body.ids);
+        const unreadCount = await publishUnreadCount(req.user.userId);
+
+        res.json({
+            success: true,
+            message: 'Notifications marked as read',
+            data: { marked, unreadCount }
+        });
+
+    } catch (error) {
+        console.error('Mark notifications read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while marking notifications as read'
+        });
+    }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid notification ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const notification = await Notification.findOne({ _id: req.params.id, user: req.user.userId });
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+        const unreadCount = await publishUnreadCount(req.user.userId);
+
+        res.json({
+            success: true,
+            message: 'Notification marked as read',
+            data: { notification, unreadCount }
+        });
+
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while marking notification as read'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const Enrollment = require('../models/Enrollment');
+const Order = require('../models/Order');
+const Subscription = require('../models/Subscription');
+const { auth } = require('../middleware/auth');
+const { getProvider } = require('../services/payments');
+const mockProvider = require('../services/payments/mock');
+
+const router = express.Router();
+
+// Verify a provider webhook and apply it to the multi-course order, course
+// purchase (or a checkout a retry replaced), access renewal or subscription
+// payment the intent was created for
+const handleWebhook = async (provider, rawBody, headers) => {
+    const event = await provider.parseWebhook(rawBody, headers);
+    if (!event) {
+        return null;
+    }
+    return await Order.applyPaymentEvent(provider.name, event)
+        || await Enrollment.applyPaymentEvent(provider.name, event)
+        || await Enrollment.applyRenewalEvent(provider.name, event)
+        || Subscription.applyPaymentEvent(provider.name, event);
+};
+
+// Find the owner and amount of a mock payment intent
+const findMockPayment = async intentId => {
+    const order = await Order.findOne({
+        'payment.provider': mockProvider.name,
+        'payment.transactionId': intentId
+    });
+    if (order) {
+        return { userId: order.user, amount: order.total };
+    }
+
+    const purchase = await Enrollment.findOne({
+        'payment.provider': mockProvider.name,
+        'payment.transactionId': intentId
+    });
+    if (purchase) {
+        return { userId: purchase.student, amount: purchase.payment.amount };
+    }
+
+    const superseded = await Enrollment.findOne({
+        'supersededCheckouts.provider': mockProvider.name,
+        'supersededCheckouts.transactionId': intentId
+    });
+    if (superseded) {
+        const checkout = superseded.supersededCheckouts.find(entry => entry.transactionId === intentId);
+        return { userId: superseded.student, amount: checkout.amount };
+    }
+
+    const renewed = await Enrollment.findOne({
+        'renewals.provider': mockProvider.name,
+        'renewals.transactionId': intentId
+    });
+    if (renewed) {
+        const renewal = renewed.renewals.find(entry => entry.transactionId === intentId);
+        return { userId: renewed.student, amount: renewal.amount };
+    }
+
+    const subscription = await Subscription.findOne({
+        'payments.provider': mockProvider.name,
+        'payments.transactionId': intentId
+    });
+    if (subscription) {
+        const payment = subscription.payments.find(entry => entry.transactionId === intentId);
+        return { userId: subscription.user, amount: payment.amount };
+    }
+
+    return null;
+};
+
+// @route   POST /api/payments/webhooks/:provider
+// @desc    Receive signed payment confirmations from a payment provider
+// @access  Public (signature verified)
+router.post('/webhooks/:provider', async (req, res) => {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({
+            success: false,
+            message: 'Unknown payment provider'
+        });
+    }
+
+    try {
+        await handleWebhook(provider, req.rawBody || Buffer.from(''), req.headers);
+
+        res.json({ success: true, received: true });
+
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Invalid webhook'
+        });
+    }
+});
+
+// @route   POST /api/payments/mock/:intentId/confirm
+// @desc    Simulate the mock gateway confirming (or failing) a payment
+// @access  Private (disabled in production)
+router.post('/mock/:intentId/confirm', auth, async (req, res) => {
+    if (process.env.NODE_ENV === 'production') {
+        return res.status(404).json({ message: 'Route not found' });
+    }
+
+    try {
+        const payment = await findMockPayment(req.params.intentId);
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        if (payment.userId.toString() !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to confirm this payment'
+            });
+        }
+
+        const type = req.body.fail ? 'payment.failed' : 'payment.succeeded';
+        const { rawBody, headers } = mockProvider.buildWebhook(
+            req.params.intentId,
+            type,
+            payment.amount
+        );
+
+        const updated = await handleWebhook(mockProvider, rawBody, headers);
+
+        res.json({
+            success: true,
+            message: type === 'payment.succeeded' ? 'Payment confirmed' : 'Payment failed',
+            data: updated instanceof Order ? { order: updated }
+                : updated instanceof Subscription ? { subscription: updated }
+                : { enrollment: updated }
+        });
+
+    } catch (error) {
+        console.error('Mock payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while confirming payment'
+        });
+    }
+});
+
+module.exports = router;
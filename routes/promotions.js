@@ -0,0 +1,478 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const Campaign = require('../models/Campaign');
+const Bundle = require('../models/Bundle');
+const Course = require('../models/Course');
+const { auth, authorize } = require('../middleware/auth');
+const { sendValidationErrors, sendSaveError } = require('../middleware/validation');
+const { roundAmount } = require('../services/currency');
+
+const router = express.Router();
+
+const discountValidation = [
+    body('discountType')
+        .isIn(['percentage', 'fixed'])
+        .withMessage('Discount type must be percentage or fixed'),
+    body('value')
+        .isFloat({ min: 0 })
+        .withMessage('Discount value must be a positive number'),
+    body('currency')
+        .optional()
+        .isISO4217()
+        .withMessage('Currency must be a valid currency code')
+];
+
+const courseListValidation = field => [
+    body(field)
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage('Courses must be a list of course IDs'),
+    body(`${field}.*`)
+        .isMongoId()
+        .withMessage('Invalid course ID')
+];
+
+// @route   GET /api/promotions/coupons
+// @desc    Get coupons (instructors only see their own)
+// @access  Private (Instructor/Admin)
+router.get('/coupons', auth, authorize('instructor', 'admin'), async (req, res) => {
+    try {
+        const filter = req.user.role === 'admin' ? {} : { createdBy: req.user.userId };
+        const coupons = await Coupon.find(filter)
+            .select('-redemptions')
+            .populate('courses', 'title')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: { coupons }
+        });
+
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching coupons'
+        });
+    }
+});
+
+// @route   POST /api/promotions/coupons
+// @desc    Create a coupon. Instructors can only create coupons for their own courses.
+// @access  Private (Instructor/Admin)
+router.post('/coupons', auth, authorize('instructor', 'admin'), [
+    body('code')
+        .trim()
+        .matches(/^[A-Za-z0-9_-]{3,30}$/)
+        .withMessage('Coupon code must be 3-30 letters, digits, dashes or underscores'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description cannot exceed 200 characters'),
+    ...discountValidation,
+    ...courseListValidation('courses'),
+    body('maxRedemptions')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Maximum redemptions must be a positive number'),
+    body('perUserLimit')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Per-user limit must be a positive number'),
+    body('startsAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Start date must be a valid date'),
+    body('expiresAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Expiry date must be a valid date')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const courses = req.body.courses || [];
+
+        if (req.user.role !== 'admin') {
+            const ownCourses = await Course.countDocuments({
+                _id: { $in: courses },
+                instructor: req.user.userId
+            });
+            if (courses.length === 0 || ownCourses !== new Set(courses).size) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Instructors can only create coupons for their own courses'
+                });
+            }
+        }
+
+        const coupon = await Coupon.create({
+            code: req.body.code,
+            description: req.body.description,
+            discountType: req.body.discountType,
+            value: req.body.value,
+            currency: req.body.currency,
+            courses,
+            maxRedemptions: req.body.maxRedemptions,
+            perUserLimit: req.body.perUserLimit,
+            startsAt: req.body.startsAt,
+            expiresAt: req.body.expiresAt,
+            createdBy: req.user.userId
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: { coupon }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Creating coupon', { duplicateMessage: 'A coupon with this code already exists' });
+    }
+});
+
+// @route   PUT /api/promotions/coupons/:id
+// @desc    Update a coupon's limits, dates or active flag
+// @access  Private (Coupon creator or admin)
+router.put('/coupons/:id', auth, authorize('instructor', 'admin'), [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid coupon ID is required'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description cannot exceed 200 characters'),
+    body('maxRedemptions')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Maximum redemptions must be a positive number'),
+    body('perUserLimit')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Per-user limit must be a positive number'),
+    body('startsAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Start date must be a valid date'),
+    body('expiresAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Expiry date must be a valid date'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('Active must be true or false')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        if (req.user.role !== 'admin' && String(coupon.createdBy) !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this coupon'
+            });
+        }
+
+        ['description', 'maxRedemptions', 'perUserLimit', 'startsAt', 'expiresAt', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                coupon[field] = req.body[field];
+            }
+        });
+        await coupon.save();
+
+        res.json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: { coupon }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Updating coupon', { duplicateMessage: 'A coupon with this code already exists' });
+    }
+});
+
+// @route   GET /api/promotions/campaigns
+// @desc    Get sale campaigns
+// @access  Private (Admin)
+router.get('/campaigns', auth, authorize('admin'), async (req, res) => {
+    try {
+        const campaigns = await Campaign.find()
+            .populate('courses', 'title')
+            .sort({ startsAt: -1 });
+
+        res.json({
+            success: true,
+            data: { campaigns }
+        });
+
+    } catch (error) {
+        console.error('Get campaigns error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching campaigns'
+        });
+    }
+});
+
+const campaignValidation = [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Campaign name must be between 1 and 100 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters'),
+    ...discountValidation,
+    ...courseListValidation('courses'),
+    body('categories')
+        .optional()
+        .isArray()
+        .withMessage('Categories must be a list'),
+    body('startsAt')
+        .isISO8601()
+        .withMessage('Start date must be a valid date'),
+    body('endsAt')
+        .isISO8601()
+        .withMessage('End date must be a valid date'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('Active must be true or false')
+];
+
+const campaignFields = ['name', 'description', 'discountType', 'value', 'currency', 'courses', 'categories', 'startsAt', 'endsAt', 'isActive'];
+
+// @route   POST /api/promotions/campaigns
+// @desc    Create a sale campaign
+// @access  Private (Admin)
+router.post('/campaigns', auth, authorize('admin'), campaignValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const campaign = new Campaign();
+        campaignFields.forEach(field => {
+            if (req.body[field] !== undefined) {
+                campaign[field] = req.body[field];
+            }
+        });
+        await campaign.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Campaign created successfully',
+            data: { campaign }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Creating campaign');
+    }
+});
+
+// @route   PUT /api/promotions/campaigns/:id
+// @desc    Replace a sale campaign
+// @access  Private (Admin)
+router.put('/campaigns/:id', auth, authorize('admin'), [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid campaign ID is required'),
+    ...campaignValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const campaign = await Campaign.findById(req.params.id);
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        campaignFields.forEach(field => {
+            if (req.body[field] !== undefined) {
+                campaign[field] = req.body[field];
+            }
+        });
+        await campaign.save();
+
+        res.json({
+            success: true,
+            message: 'Campaign updated successfully',
+            data: { campaign }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Updating campaign');
+    }
+});
+
+// @route   GET /api/promotions/bundles
+// @desc    Get bundles that can be bought right now
+// @access  Public
+router.get('/bundles', async (req, res) => {
+    try {
+        const bundles = await Bundle.findAvailable()
+            .populate('courses', 'title thumbnail price currency instructor')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                bundles: bundles.map(bundle => {
+                    const listPrice = bundle.courses.reduce((sum, course) => sum + course.price, 0);
+                    return {
+                        ...bundle.toObject(),
+                        listPrice,
+                        saving: Math.max(0, roundAmount(listPrice - bundle.price, bundle.currency))
+                    };
+                })
+            }
+        });
+
+    } catch (error) {
+        console.error('Get bundles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching bundles'
+        });
+    }
+});
+
+const bundleValidation = [
+    body('title')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Bundle title must be between 1 and 100 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Description cannot exceed 1000 characters'),
+    body('courses')
+        .isArray({ min: 2, max: 20 })
+        .withMessage('A bundle needs between 2 and 20 courses'),
+    body('courses.*')
+        .isMongoId()
+        .withMessage('Invalid course ID'),
+    body('price')
+        .isFloat({ min: 0 })
+        .withMessage('Price must be a positive number'),
+    body('startsAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Start date must be a valid date'),
+    body('endsAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('End date must be a valid date'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('Active must be true or false')
+];
+
+const bundleFields = ['title', 'description', 'courses', 'price', 'thumbnail', 'startsAt', 'endsAt', 'isActive'];
+
+// Bundles are priced in the currency of their courses, which must all match
+const saveBundle = async (bundle, body) => {
+    bundleFields.forEach(field => {
+        if (body[field] !== undefined) {
+            bundle[field] = body[field];
+        }
+    });
+
+    const courses = await Course.find({ _id: { $in: bundle.courses } }).select('currency');
+    if (courses.length !== new Set(bundle.courses.map(String)).size) {
+        return 'Bundle courses must exist and be unique';
+    }
+
+    const currencies = new Set(courses.map(course => course.currency));
+    if (currencies.size > 1) {
+        return 'Bundle courses must all be priced in the same currency';
+    }
+
+    bundle.currency = courses[0].currency;
+    await bundle.save();
+    return null;
+};
+
+// @route   POST /api/promotions/bundles
+// @desc    Create a course bundle
+// @access  Private (Admin)
+router.post('/bundles', auth, authorize('admin'), bundleValidation, async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const bundle = new Bundle();
+        const problem = await saveBundle(bundle, req.body);
+        if (problem) {
+            return res.status(400).json({
+                success: false,
+                message: problem
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Bundle created successfully',
+            data: { bundle }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Creating bundle');
+    }
+});
+
+// @route   PUT /api/promotions/bundles/:id
+// @desc    Replace a course bundle
+// @access  Private (Admin)
+router.put('/bundles/:id', auth, authorize('admin'), [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid bundle ID is required'),
+    ...bundleValidation
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const bundle = await Bundle.findById(req.params.id);
+        if (!bundle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bundle not found'
+            });
+        }
+
+        const problem = await saveBundle(bundle, req.body);
+        if (problem) {
+            return res.status(400).json({
+                success: false,
+                message: problem
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Bundle updated successfully',
+            data: { bundle }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Updating bundle');
+    }
+});
+
+module.exports = router;
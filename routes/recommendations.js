@@ -0,0 +1,56 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { optionalAuth } = require('../middleware/auth');
+const { getRecommendations } = require('../services/recommendations');
+const { localizeCoursePrices, resolveCurrency } = require('../services/currency');
+
+const router = express.Router();
+
+// @route   GET /api/recommendations
+// @desc    Get course recommendations for the current user, or popular courses for visitors
+// @access  Public
+router.get('/', optionalAuth, [
+    query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
+    query('currency').optional().isISO4217().withMessage('Currency must be a valid currency code')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { becauseYouTook, alsoEnrolled, popular } = await getRecommendations(
+            req.currentUser || null,
+            parseInt(req.query.limit) || 8
+        );
+
+        const currency = resolveCurrency(req.query.currency, req.currentUser);
+        const localize = courses => localizeCoursePrices(courses, currency);
+
+        res.json({
+            success: true,
+            data: {
+                becauseYouTook: await Promise.all(becauseYouTook.map(async group => ({
+                    basedOn: group.basedOn,
+                    courses: await localize(group.courses)
+                }))),
+                alsoEnrolled: await localize(alsoEnrolled),
+                popular: await localize(popular)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get recommendations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching recommendations'
+        });
+    }
+});
+
+module.exports = router;
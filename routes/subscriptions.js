@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Subscription = require('../models/Subscription');
+const { auth } = require('../middleware/auth');
+const { getProviderForMethod } = require('../services/payments');
+const { PLAN_IDS, getPlan, getPlans } = require('../services/subscriptions');
+
+const router = express.Router();
+
+const checkoutValidation = [
+    body('plan')
+        .optional()
+        .isIn(PLAN_IDS)
+        .withMessage(`Plan must be one of: ${PLAN_IDS.join(', ')}`),
+    body('paymentMethod')
+        .isIn(['credit_card', 'paypal', 'stripe', 'bank_transfer', 'crypto'])
+        .withMessage('Valid payment method is required')
+];
+
+// Create a provider checkout for one billing period of the plan. The
+// subscription is only extended once the provider confirms payment.
+const createCheckout = async (subscription, plan, paymentMethod, userId) => {
+    const provider = getProviderForMethod(paymentMethod);
+    if (!provider) {
+        return null;
+    }
+
+    const checkout = await provider.createIntent({
+        amount: plan.price,
+        currency: plan.currency,
+        metadata: {
+            subscriptionId: subscription._id.toString(),
+            plan: plan.id,
+            userId
+        }
+    });
+
+    subscription.payments.push({
+        plan: plan.id,
+        amount: plan.price,
+        currency: plan.currency,
+        method: paymentMethod,
+        provider: provider.name,
+        transactionId: checkout.intentId
+    });
+    await subscription.save();
+
+    return {
+        provider: provider.name,
+        ...checkout
+    };
+};
+
+// @route   GET /api/subscriptions/plans
+// @desc    Get available subscription plans
+// @access  Public
+router.get('/plans', (req, res) => {
+    res.json({
+        success: true,
+        data: { plans: getPlans() }
+    });
+});
+
+// @route   GET /api/subscriptions/me
+// @desc    Get the current user's subscription
+// @access  Private
+router.get('/me', auth, async (req, res) => {
+    try {
+        const subscription = await Subscription.findOne({ user: req.user.userId });
+
+        res.json({
+            success: true,
+            data: { subscription }
+        });
+
+    } catch (error) {
+        console.error('Get subscription error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching subscription'
+        });
+    }
+});
+
+// @route   POST /api/subscriptions
+// @desc    Subscribe to a plan and create a payment checkout
+// @access  Private
+router.post('/', auth, checkoutValidation, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const plan = getPlan(req.body.plan || 'monthly');
+
+        let subscription = await Subscription.findOne({ user: req.user.userId });
+        if (subscription && subscription.isCurrent) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already have an active subscription. Renew it instead'
+            });
+        }
+
+        if (!subscription) {
+            subscription = new Subscription({
+                user: req.user.userId,
+                plan: plan.id
+            });
+        }
+
+        const checkout = await createCheckout(subscription, plan, req.body.paymentMethod, req.user.userId);
+        if (!checkout) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment method is not supported'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Checkout created, awaiting payment confirmation',
+            data: { subscription, checkout }
+        });
+
+    } catch (error) {
+        console.error('Subscribe error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while subscribing'
+        });
+    }
+});
+
+// @route   POST /api/subscriptions/renew
+// @desc    Pay for the next billing period, optionally switching plan
+// @access  Private
+router.post('/renew', auth, checkoutValidation, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const subscription = await Subscription.findOne({ user: req.user.userId });
+        if (!subscription || subscription.status === 'pending') {
+            return res.status(404).json({
+                success: false,
+                message: 'Subscription not found'
+            });
+        }
+
+        const plan = getPlan(req.body.plan || subscription.plan);
+        const checkout = await createCheckout(subscription, plan, req.body.paymentMethod, req.user.userId);
+        if (!checkout) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment method is not supported'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Checkout created, awaiting payment confirmation',
+            data: { subscription, checkout }
+        });
+
+    } catch (error) {
+        console.error('Renew subscription error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while renewing subscription'
+        });
+    }
+});
+
+module.exports = router;
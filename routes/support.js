@@ -0,0 +1,527 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const SupportTicket = require('../models/SupportTicket');
+const Enrollment = require('../models/Enrollment');
+const User = require('../models/User');
+const { auth, authorize, optionalAuth } = require('../middleware/auth');
+const { sendValidationErrors, sendSaveError } = require('../middleware/validation');
+const { notify } = require('../services/notifications');
+
+const router = express.Router();
+
+const AGENT_ROLES = ['support', 'admin'];
+const SUBJECTS = ['technical', 'billing', 'course', 'certificate', 'refund', 'general', 'feedback'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const STATUSES = ['open', 'in_progress', 'waiting_on_customer', 'resolved', 'closed'];
+const ACTIVE_STATUSES = ['open', 'in_progress', 'waiting_on_customer'];
+
+// Longest message quoted in notification emails
+const MAX_QUOTE_LENGTH = 500;
+
+// Status changes a ticket does not allow are the caller's fault
+const TICKET_ERRORS = { clientErrors: ['TicketStatusError'] };
+
+const isAgent = user => Boolean(user) && AGENT_ROLES.includes(user.role);
+
+const quote = text => (text.length > MAX_QUOTE_LENGTH ? `${text.slice(0, MAX_QUOTE_LENGTH)}...` : text);
+
+const ticketNumberValidation = param('number')
+    .matches(/^SUP-\d{4}-\d{6}$/)
+    .withMessage('Invalid ticket number');
+
+// Who emails about a ticket go to: the requester's account, or the address
+// given with the request
+const getRequester = ticket => ticket.user || { fullName: ticket.requester.name, email: ticket.requester.email };
+
+// Requesters without an account follow their tickets with the token in
+// their emails
+const getEmailData = ticket => ({
+    ticketNumber: ticket.number,
+    accessToken: ticket.user ? undefined : ticket.getAccessToken()
+});
+
+// Load the ticket named in the URL if the request may see it: agents see
+// every ticket, requesters their own, by account or with the ticket's token.
+// Sends 404 otherwise, so ticket numbers cannot be probed.
+const findTicketForRequest = async (req, res) => {
+    const ticket = await SupportTicket.findOne({ number: req.params.number });
+    const agent = isAgent(req.user);
+    const owner = Boolean(ticket) && (
+        (ticket.user && req.user && ticket.user.toString() === req.user.userId) ||
+        (!ticket.user && ticket.hasAccessToken(req.query.token))
+    );
+
+    if (!ticket || (!agent && !owner)) {
+        res.status(404).json({
+            success: false,
+            message: 'Ticket not found'
+        });
+        return null;
+    }
+
+    return { ticket, agent };
+};
+
+const populateTicket = (ticket, agent) => ticket.populate([
+    { path: 'assignee', select: 'fullName avatar' },
+    { path: 'enrollment', select: 'course status enrollmentDate', populate: { path: 'course', select: 'title' } },
+    ...(agent ? [{ path: 'user', select: 'fullName email' }] : [])
+]);
+
+// @route   POST /api/support/tickets
+// @desc    Open a support ticket, with or without an account
+// @access  Public
+router.post('/tickets', optionalAuth, [
+    body('firstName')
+        .if((value, { req }) => !req.user)
+        .trim()
+        .notEmpty()
+        .withMessage('First name is required'),
+    body('lastName')
+        .if((value, { req }) => !req.user)
+        .trim()
+        .notEmpty()
+        .withMessage('Last name is required'),
+    body('email')
+        .if((value, { req }) => !req.user)
+        .isEmail()
+        .withMessage('Please enter a valid email'),
+    body('phone')
+        .optional({ checkFalsy: true })
+        .isLength({ max: 30 })
+        .withMessage('Phone number cannot exceed 30 characters'),
+    body('subject')
+        .isIn(SUBJECTS)
+        .withMessage('Please select a subject'),
+    body('priority')
+        .optional()
+        .isIn(PRIORITIES)
+        .withMessage('Invalid priority'),
+    body('message')
+        .trim()
+        .isLength({ min: 10, max: 5000 })
+        .withMessage('Message must be between 10 and 5000 characters'),
+    body('enrollmentId')
+        .optional({ checkFalsy: true })
+        .isMongoId()
+        .withMessage('Invalid enrollment ID')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { phone, subject, priority, message, enrollmentId } = req.body;
+        const user = req.currentUser;
+
+        let enrollment;
+        if (enrollmentId) {
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Please log in to name one of your enrollments'
+                });
+            }
+
+            enrollment = await Enrollment.findOne({ _id: enrollmentId, student: user._id });
+            if (!enrollment) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Enrollment not found'
+                });
+            }
+        }
+
+        const requesterName = user ? user.fullName : `${req.body.firstName.trim()} ${req.body.lastName.trim()}`;
+        const ticket = new SupportTicket({
+            user: user ? user._id : undefined,
+            requester: {
+                name: requesterName,
+                email: user ? user.email : req.body.email,
+                phone
+            },
+            subject,
+            priority,
+            enrollment: enrollment ? enrollment._id : undefined
+        });
+        ticket.addMessage({ author: ticket.user, authorName: requesterName, body: message });
+        await ticket.save();
+
+        await notify('supportTicketCreated', user || getRequester(ticket), {
+            ...getEmailData(ticket),
+            firstResponseDueAt: ticket.firstResponseDueAt
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Your request was received. Your ticket number is ${ticket.number}.`,
+            data: {
+                ticket: ticket.toView(),
+                // Lets the page show the ticket to requesters without an account
+                accessToken: user ? undefined : ticket.getAccessToken()
+            }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Creating ticket');
+    }
+});
+
+// @route   GET /api/support/tickets/my
+// @desc    Get the user's tickets, most recently active first
+// @access  Private
+router.get('/tickets/my', auth, [
+    query('status').optional().isIn(['active', ...STATUSES]).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+
+        const filter = { user: req.user.userId };
+        if (req.query.status === 'active') filter.status = { $in: ACTIVE_STATUSES };
+        else if (req.query.status) filter.status = req.query.status;
+
+        const [tickets, total] = await Promise.all([
+            SupportTicket.find(filter)
+                .select('-messages')
+                .populate('assignee', 'fullName avatar')
+                .sort({ lastActivityAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            SupportTicket.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                tickets: tickets.map(ticket => ticket.toView()),
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(total / limit),
+                    totalTickets: total,
+                    limit
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get my tickets error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching your tickets'
+        });
+    }
+});
+
+// @route   GET /api/support/tickets
+// @desc    Get the ticket queue, the most urgent SLA first by default
+// @access  Private (Support/Admin)
+router.get('/tickets', auth, authorize(...AGENT_ROLES), [
+    query('status').optional().isIn(['active', 'all', ...STATUSES]).withMessage('Invalid status'),
+    query('priority').optional().isIn(PRIORITIES).withMessage('Invalid priority'),
+    query('subject').optional().isIn(SUBJECTS).withMessage('Invalid subject'),
+    query('assignee').optional().custom(value => ['me', 'unassigned'].includes(value) || /^[0-9a-f]{24}$/i.test(value))
+        .withMessage('Assignee must be me, unassigned or a user ID'),
+    query('search').optional().isString().withMessage('Search must be text'),
+    query('breached').optional().isBoolean().withMessage('Breached must be true or false'),
+    query('sort').optional().isIn(['due', 'recent', 'newest']).withMessage('Sort must be due, recent or newest'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const { status = 'active', priority, subject, assignee, search } = req.query;
+        const now = new Date();
+
+        const filter = {};
+        if (status === 'active') filter.status = { $in: ACTIVE_STATUSES };
+        else if (status !== 'all') filter.status = status;
+        if (priority) filter.priority = priority;
+        if (subject) filter.subject = subject;
+        if (assignee === 'me') filter.assignee = req.user.userId;
+        else if (assignee === 'unassigned') filter.assignee = null;
+        else if (assignee) filter.assignee = assignee;
+        if (search) {
+            const term = search.trim();
+            filter.$or = [{ number: term.toUpperCase() }, { 'requester.email': term.toLowerCase() }];
+        }
+        // Tickets that missed a target, or are missing one right now
+        if (req.query.breached === 'true') {
+            filter.$and = [{
+                $or: [
+                    { firstRespondedAt: null, firstResponseDueAt: { $lt: now } },
+                    { $expr: { $gt: ['$firstRespondedAt', '$firstResponseDueAt'] } },
+                    { resolvedAt: null, closedAt: null, resolutionDueAt: { $lt: now } },
+                    { $expr: { $gt: ['$resolvedAt', '$resolutionDueAt'] } }
+                ]
+            }];
+        }
+
+        const sort = {
+            due: { resolutionDueAt: 1 },
+            recent: { lastActivityAt: -1 },
+            newest: { createdAt: -1 }
+        }[req.query.sort || 'due'];
+
+        const [tickets, total] = await Promise.all([
+            SupportTicket.find(filter)
+                .select('-messages')
+                .populate('assignee', 'fullName avatar')
+                .populate('user', 'fullName email')
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            SupportTicket.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                tickets: tickets.map(ticket => ticket.toView({ agent: true })),
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(total / limit),
+                    totalTickets: total,
+                    limit
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get ticket queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching tickets'
+        });
+    }
+});
+
+// @route   GET /api/support/agents
+// @desc    Get the users tickets can be assigned to
+// @access  Private (Support/Admin)
+router.get('/agents', auth, authorize(...AGENT_ROLES), async (req, res) => {
+    try {
+        const agents = await User.find({ role: { $in: AGENT_ROLES }, isActive: true, isDeleted: { $ne: true } })
+            .select('fullName email avatar role')
+            .sort({ fullName: 1 });
+
+        res.json({
+            success: true,
+            data: { agents }
+        });
+
+    } catch (error) {
+        console.error('Get support agents error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching support agents'
+        });
+    }
+});
+
+// @route   GET /api/support/tickets/:number
+// @desc    Get a ticket and its messages (?token= for requesters without an account)
+// @access  Public (Requester or agent)
+router.get('/tickets/:number', optionalAuth, [ticketNumberValidation], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const found = await findTicketForRequest(req, res);
+        if (!found) return;
+
+        const { ticket, agent } = found;
+        await populateTicket(ticket, agent);
+
+        res.json({
+            success: true,
+            data: {
+                ticket: ticket.toView({ agent }),
+                viewer: {
+                    agent,
+                    canReply: ticket.status !== 'closed'
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get ticket error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching ticket'
+        });
+    }
+});
+
+// @route   POST /api/support/tickets/:number/messages
+// @desc    Reply to a ticket. Agents may add internal notes, and set the
+//          ticket's status with their reply.
+// @access  Public (Requester or agent)
+router.post('/tickets/:number/messages', optionalAuth, [
+    ticketNumberValidation,
+    body('message')
+        .trim()
+        .isLength({ min: 1, max: 5000 })
+        .withMessage('Message must be between 1 and 5000 characters'),
+    body('internal').optional().isBoolean().withMessage('Internal must be true or false'),
+    body('status').optional().isIn(STATUSES).withMessage('Invalid status')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const found = await findTicketForRequest(req, res);
+        if (!found) return;
+
+        const { ticket, agent } = found;
+        const internal = agent && req.body.internal === true;
+        const authorName = req.currentUser ? req.currentUser.fullName : ticket.requester.name;
+
+        ticket.addMessage({
+            author: req.currentUser ? req.currentUser._id : undefined,
+            authorName,
+            body: req.body.message,
+            fromAgent: agent,
+            internal
+        });
+        if (agent && req.body.status) {
+            ticket.setStatus(req.body.status);
+        }
+        // The first agent to answer takes the ticket
+        if (agent && !internal && !ticket.assignee) {
+            ticket.assignee = req.user.userId;
+        }
+        await ticket.save();
+
+        if (agent && !internal) {
+            await notify('supportTicketReply', getRequester(ticket), {
+                ...getEmailData(ticket),
+                agentName: authorName,
+                reply: quote(req.body.message),
+                status: ticket.status
+            });
+        } else if (!agent && ticket.assignee) {
+            await notify('supportTicketCustomerReply', ticket.assignee, {
+                ticketNumber: ticket.number,
+                requesterName: authorName,
+                reply: quote(req.body.message)
+            });
+        }
+
+        await populateTicket(ticket, agent);
+
+        res.status(201).json({
+            success: true,
+            message: internal ? 'Note added' : 'Reply sent',
+            data: { ticket: ticket.toView({ agent }) }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Replying to ticket', TICKET_ERRORS);
+    }
+});
+
+// @route   PUT /api/support/tickets/:number
+// @desc    Change a ticket's status, priority or assignee. Changing the
+//          priority moves the SLA targets.
+// @access  Private (Support/Admin)
+router.put('/tickets/:number', auth, authorize(...AGENT_ROLES), [
+    ticketNumberValidation,
+    body('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+    body('priority').optional().isIn(PRIORITIES).withMessage('Invalid priority'),
+    body('assigneeId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid assignee ID')
+], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const found = await findTicketForRequest(req, res);
+        if (!found) return;
+
+        const { ticket } = found;
+        const { status, priority, assigneeId } = req.body;
+
+        // Set when the ticket goes to another agent
+        let newAssignee = null;
+        if (assigneeId) {
+            newAssignee = await User.findOne({
+                _id: assigneeId,
+                role: { $in: AGENT_ROLES },
+                isActive: true,
+                isDeleted: { $ne: true }
+            });
+            if (!newAssignee) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Tickets can only be assigned to active support agents'
+                });
+            }
+            if (ticket.assignee && ticket.assignee.toString() === assigneeId) {
+                newAssignee = null;
+            }
+            ticket.assignee = assigneeId;
+        } else if (assigneeId === null) {
+            ticket.assignee = undefined;
+        }
+        if (priority) ticket.priority = priority;
+        if (status) ticket.setStatus(status);
+        await ticket.save();
+
+        // Agents are told about tickets others give them
+        if (newAssignee && newAssignee._id.toString() !== req.user.userId) {
+            await notify('supportTicketAssigned', newAssignee, {
+                ticketNumber: ticket.number,
+                subject: ticket.subject,
+                priority: ticket.priority,
+                resolutionDueAt: ticket.resolutionDueAt
+            });
+        }
+        if (status === 'resolved') {
+            await notify('supportTicketResolved', getRequester(ticket), getEmailData(ticket));
+        }
+
+        await populateTicket(ticket, true);
+
+        res.json({
+            success: true,
+            message: 'Ticket updated',
+            data: { ticket: ticket.toView({ agent: true }) }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Updating ticket', TICKET_ERRORS);
+    }
+});
+
+// @route   POST /api/support/tickets/:number/close
+// @desc    Close a ticket the requester no longer needs help with
+// @access  Public (Requester or agent)
+router.post('/tickets/:number/close', optionalAuth, [ticketNumberValidation], async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const found = await findTicketForRequest(req, res);
+        if (!found) return;
+
+        const { ticket, agent } = found;
+        ticket.setStatus('closed');
+        await ticket.save();
+        await populateTicket(ticket, agent);
+
+        res.json({
+            success: true,
+            message: 'Ticket closed',
+            data: { ticket: ticket.toView({ agent }) }
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'Closing ticket', TICKET_ERRORS);
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Invoice = require('../models/Invoice');
+const Course = require('../models/Course');
 const { auth, authorize } = require('../middleware/auth');
+const { renderInvoicePdf } = require('../services/invoices');
+const { OPTIONAL_TEMPLATES } = require('../services/emailTemplates');
 
 const router = express.Router();
 
@@ -21,7 +25,7 @@ router.get('/profile', auth, async (req, res) => {
         res.json({
             success: true,
             data: {
-                user: user.getPublicProfile()
+                user: user.getPrivateProfile()
             }
         });
 
@@ -60,7 +64,37 @@ router.put('/profile', auth, [
     body('website')
         .optional()
         .matches(/^https?:\/\/.+/)
-        .withMessage('Please enter a valid URL')
+        .withMessage('Please enter a valid URL'),
+    body('preferences.currency')
+        .optional({ values: 'null' })
+        .isISO4217()
+        .withMessage('Preferred currency must be a valid currency code'),
+    body('preferences.emailOptOuts')
+        .optional()
+        .isArray()
+        .withMessage('Email opt-outs must be a list'),
+    body('preferences.emailOptOuts.*')
+        .isIn(OPTIONAL_TEMPLATES)
+        .withMessage(`Email opt-outs must be among: ${OPTIONAL_TEMPLATES.join(', ')}`),
+    body(['billing.name', 'billing.company'])
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Billing name and company cannot exceed 100 characters'),
+    body('billing.taxId')
+        .optional({ values: 'falsy' })
+        .trim()
+        .matches(/^[A-Za-z0-9 .-]{4,30}$/)
+        .withMessage('Please enter a valid tax ID'),
+    body(['billing.address.line1', 'billing.address.line2', 'billing.address.city', 'billing.address.state', 'billing.address.postalCode'])
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Address lines cannot exceed 100 characters'),
+    body('billing.address.country')
+        .optional({ values: 'falsy' })
+        .isISO31661Alpha2()
+        .withMessage('Country must be a valid 2-letter country code')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -82,20 +116,26 @@ router.put('/profile', auth, [
         }
 
         // Update allowed fields
-        const allowedUpdates = ['fullName', 'bio', 'phone', 'location', 'website', 'socialLinks', 'preferences'];
+        const allowedUpdates = ['fullName', 'bio', 'phone', 'location', 'website', 'socialLinks', 'preferences', 'billing'];
         allowedUpdates.forEach(field => {
             if (req.body[field] !== undefined) {
                 user[field] = req.body[field];
             }
         });
 
+        const nameChanged = user.isModified('fullName');
         await user.save();
 
+        // Courses are found by their instructor's name
+        if (nameChanged && user.role !== 'student') {
+            await Course.refreshInstructorSearchTerms(user._id, user.fullName);
+        }
+
         res.json({
             success: true,
             message: 'Profile updated successfully',
             data: {
-                user: user.getPublicProfile()
+                user: user.getPrivateProfile()
             }
         });
 
@@ -108,6 +148,107 @@ router.put('/profile', auth, [
     }
 });
 
+// @route   GET /api/users/profile/invoices
+// @desc    Get the user's invoices and credit notes
+// @access  Private
+router.get('/profile/invoices', auth, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, type } = req.query;
+
+        const filter = { user: req.user.userId };
+        if (type) filter.type = type;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const invoices = await Invoice.find(filter)
+            .select('number type currency subtotal taxName taxRate taxAmount total issuedAt relatedInvoice')
+            .populate('relatedInvoice', 'number')
+            .sort({ issuedAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Invoice.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                invoices,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalInvoices: total,
+                    limit: parseInt(limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get invoices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching invoices'
+        });
+    }
+});
+
+// @route   GET /api/users/profile/invoices/:number
+// @desc    Get an invoice or credit note as JSON
+// @access  Private
+router.get('/profile/invoices/:number', auth, async (req, res) => {
+    try {
+        const invoice = await Invoice.findOne({ number: req.params.number, user: req.user.userId })
+            .populate('relatedInvoice', 'number');
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { invoice }
+        });
+
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching invoice'
+        });
+    }
+});
+
+// @route   GET /api/users/profile/invoices/:number/pdf
+// @desc    Download an invoice or credit note as PDF
+// @access  Private
+router.get('/profile/invoices/:number/pdf', auth, async (req, res) => {
+    try {
+        const invoice = await Invoice.findOne({ number: req.params.number, user: req.user.userId })
+            .populate('relatedInvoice', 'number');
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+
+        renderInvoicePdf(invoice, res);
+
+    } catch (error) {
+        console.error('Download invoice error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Server error while generating invoice'
+            });
+        }
+    }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID (public profile)
 // @access  Public
@@ -223,7 +364,7 @@ router.get('/', auth, authorize('admin'), async (req, res) => {
 // @access  Private (Admin only)
 router.put('/:id/role', auth, authorize('admin'), [
     body('role')
-        .isIn(['student', 'instructor', 'admin'])
+        .isIn(['student', 'instructor', 'support', 'admin'])
         .withMessage('Invalid role')
 ], async (req, res) => {
     try {
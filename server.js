@@ -13,18 +13,47 @@ const authRoutes = require('./routes/auth');
 const courseRoutes = require('./routes/courses');
 const userRoutes = require('./routes/users');
 const enrollmentRoutes = require('./routes/enrollments');
+const paymentRoutes = require('./routes/payments');
+const certificateRoutes = require('./routes/certificates');
+const instructorRoutes = require('./routes/instructors');
+const subscriptionRoutes = require('./routes/subscriptions');
+const cartRoutes = require('./routes/cart');
+const checkoutRoutes = require('./routes/checkout');
+const promotionRoutes = require('./routes/promotions');
+const currencyRoutes = require('./routes/currencies');
+const notificationRoutes = require('./routes/notifications');
+const recommendationRoutes = require('./routes/recommendations');
+const learningPathRoutes = require('./routes/learningPaths');
+const assessmentRoutes = require('./routes/assessments');
+const discussionRoutes = require('./routes/discussions');
+const communityRoutes = require('./routes/community');
+const supportRoutes = require('./routes/support');
+const chatRoutes = require('./routes/chat');
+const { attachChatServer } = require('./services/chat');
+const { startJobs } = require('./jobs');
 
 // Security middleware
 app.use(helmet());
 app.use(compression());
 
 // Rate limiting
+const HEARTBEAT_PATH = /^\/api\/enrollments\/[^/]+\/lectures\/[^/]+\/heartbeat$/;
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100, // limit each IP to 100 requests per windowMs
+    skip: req => HEARTBEAT_PATH.test(req.path)
 });
 app.use(limiter);
 
+// The player sends a heartbeat every 15 seconds while a video plays, so
+// heartbeats are limited on their own instead of using up the limit above
+const heartbeatLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 300, // enough for a few videos playing at once from one IP
+    skip: req => !HEARTBEAT_PATH.test(req.path)
+});
+app.use(heartbeatLimiter);
+
 // CORS configuration
 app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:3000',
@@ -32,7 +61,13 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept so payment webhook signatures can be verified
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // MongoDB connection
@@ -40,7 +75,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/eduglobe'
     useNewUrlParser: true,
     useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+    console.log('Connected to MongoDB');
+    startJobs();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -48,6 +86,23 @@ app.use('/api/auth', authRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/certificates', certificateRoutes);
+app.use('/api/instructors', instructorRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/checkout', checkoutRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/recommendations', recommendationRoutes);
+app.use('/api/learning-paths', learningPathRoutes);
+app.use('/api/assessments', assessmentRoutes);
+app.use('/api/discussions', discussionRoutes);
+app.use('/api/community', communityRoutes);
+app.use('/api/support', supportRoutes);
+app.use('/api/chat', chatRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -74,7 +129,10 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`EduGlobe server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-}); 
\ No newline at end of file
+});
+
+// Live chat WebSockets share the HTTP server
+attachChatServer(server); 
\ No newline at end of file
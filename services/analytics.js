@@ -0,0 +1,323 @@
+const Course = require('../models/Course');
+const CourseView = require('../models/CourseView');
+const Enrollment = require('../models/Enrollment');
+const Section = require('../models/Section');
+const { getBaseCurrency } = require('./currency');
+
+const INTERVALS = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Paid (or free) enrollments count as conversions, even if refunded later
+const CONVERTED = { 'payment.status': { $in: ['completed', 'refunded'] } };
+
+// Revenue is reported in the base currency at the rate of the day of purchase.
+// Payments recorded before exchange rates were stored are in the base currency.
+const BASE_RATE = { $ifNull: ['$payment.exchangeRate', 1] };
+
+// Enrollments whose students count towards completion and progress
+const LEARNING_STATUSES = ['active', 'completed', 'expired'];
+
+const round = (value, decimals = 2) => {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+};
+
+const percentage = (part, whole) => (whole > 0 ? round((part / whole) * 100) : null);
+
+// Start of the day, week (Monday) or month containing the date, in UTC
+const startOfBucket = (date, interval) => {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (interval === 'week') {
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    } else if (interval === 'month') {
+        start.setUTCDate(1);
+    }
+    return start;
+};
+
+const nextBucket = (date, interval) => {
+    const next = new Date(date);
+    if (interval === 'week') {
+        next.setUTCDate(next.getUTCDate() + 7);
+    } else if (interval === 'month') {
+        next.setUTCMonth(next.getUTCMonth() + 1);
+    } else {
+        next.setUTCDate(next.getUTCDate() + 1);
+    }
+    return next;
+};
+
+// Every bucket between from and to, so charts have no gaps
+const listBuckets = (from, to, interval) => {
+    const buckets = [];
+    for (let bucket = startOfBucket(from, interval); bucket <= to; bucket = nextBucket(bucket, interval)) {
+        buckets.push(bucket.toISOString());
+    }
+    return buckets;
+};
+
+const emptyPoint = period => ({
+    period,
+    views: 0,
+    enrollments: 0,
+    revenue: 0,
+    refunds: 0,
+    netRevenue: 0,
+    completions: 0
+});
+
+// Daily totals of a metric per course. Days are rolled up into weeks and
+// months afterwards, which keeps the pipeline compatible with MongoDB 4.4.
+const dailyTotals = (Model, match, dateField, sumExpression) => Model.aggregate([
+    { $match: match },
+    {
+        $group: {
+            _id: {
+                course: '$course',
+                day: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}` } }
+            },
+            count: { $sum: 1 },
+            total: { $sum: sumExpression }
+        }
+    }
+]);
+
+// Add daily rows into the per-course timelines under the given metric
+const addToTimelines = (timelines, rows, interval, metric, field) => {
+    rows.forEach(row => {
+        const timeline = timelines.get(row._id.course.toString());
+        const period = startOfBucket(new Date(row._id.day), interval).toISOString();
+        const point = timeline && timeline.get(period);
+        if (point) {
+            point[metric] += row[field];
+        }
+    });
+};
+
+// Lectures of a course in the order students meet them: by section, then
+// by their position within the section
+const getLectureOrder = async course => {
+    const sections = await Section.find({ course: course._id })
+        .sort({ order: 1 })
+        .populate({ path: 'lectures', select: 'title order' });
+
+    const ordered = [];
+    const seen = new Set();
+    sections.forEach(section => {
+        [...section.lectures]
+            .sort((a, b) => a.order - b.order)
+            .forEach(lecture => {
+                const id = lecture._id.toString();
+                if (course.lectures.some(courseLecture => courseLecture.toString() === id) && !seen.has(id)) {
+                    seen.add(id);
+                    ordered.push({ id, title: lecture.title });
+                }
+            });
+    });
+
+    return ordered;
+};
+
+// How many learners completed each lecture, and how many were lost since the
+// previous one
+const buildLectureDropOff = (lectures, completions, learners) => {
+    let previous = learners;
+
+    return lectures.map(lecture => {
+        const completed = completions.get(lecture.id) || 0;
+        const dropOff = Math.max(previous - completed, 0);
+        const point = {
+            lecture: lecture.id,
+            title: lecture.title,
+            completed,
+            completionRate: percentage(completed, learners),
+            dropOff,
+            dropOffRate: percentage(dropOff, previous)
+        };
+        previous = completed;
+        return point;
+    });
+};
+
+const buildRatingDistribution = reviews => {
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    reviews.forEach(review => {
+        distribution[review.rating] += 1;
+    });
+    return distribution;
+};
+
+// Performance of an instructor's courses between from and to.
+// Views, enrollments, revenue and refunds are counted when they happened;
+// completion rate and average progress describe the students who enrolled
+// in the period; ratings and lecture drop-off cover the course's lifetime.
+const getInstructorAnalytics = async (instructorId, { from, to, interval = 'day', courseId } = {}) => {
+    const courseFilter = { instructor: instructorId };
+    if (courseId) {
+        courseFilter._id = courseId;
+    }
+
+    const courses = await Course.find(courseFilter)
+        .select('title status currency lectures analytics rating reviews.rating')
+        .sort({ createdAt: -1 });
+    const courseIds = courses.map(course => course._id);
+    const range = { $gte: from, $lte: to };
+
+    const [views, enrollments, refunds, completions, cohorts, lectureCompletions] = await Promise.all([
+        // View counters are stored per day, so include the whole first day
+        dailyTotals(CourseView, { course: { $in: courseIds }, date: { $gte: startOfBucket(from, 'day'), $lte: to } },
+            'date', '$views'),
+        dailyTotals(Enrollment, { course: { $in: courseIds }, ...CONVERTED, 'payment.paidAt': range },
+            'payment.paidAt', { $multiply: ['$payment.amount', BASE_RATE] }),
+        dailyTotals(Enrollment, { course: { $in: courseIds }, 'payment.status': 'refunded', 'payment.refundedAt': range },
+            'payment.refundedAt', { $multiply: [{ $ifNull: ['$refundAmount', '$payment.amount'] }, BASE_RATE] }),
+        dailyTotals(Enrollment, { course: { $in: courseIds }, ...CONVERTED, completionDate: range },
+            'completionDate', 0),
+        Enrollment.aggregate([
+            { $match: { course: { $in: courseIds }, status: { $in: LEARNING_STATUSES }, enrollmentDate: range } },
+            {
+                $group: {
+                    _id: '$course',
+                    learners: { $sum: 1 },
+                    completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+                    averageProgress: { $avg: '$progress' }
+                }
+            }
+        ]),
+        Enrollment.aggregate([
+            { $match: { course: { $in: courseIds }, status: { $in: LEARNING_STATUSES } } },
+            {
+                $facet: {
+                    learners: [{ $group: { _id: '$course', count: { $sum: 1 } } }],
+                    lectures: [
+                        { $unwind: '$completedLectures' },
+                        {
+                            $group: {
+                                _id: { course: '$course', lecture: '$completedLectures.lecture' },
+                                count: { $sum: 1 }
+                            }
+                        }
+                    ]
+                }
+            }
+        ])
+    ]);
+
+    const buckets = listBuckets(from, to, interval);
+    const timelines = new Map(courses.map(course => [
+        course._id.toString(),
+        new Map(buckets.map(period => [period, emptyPoint(period)]))
+    ]));
+
+    addToTimelines(timelines, views, interval, 'views', 'total');
+    addToTimelines(timelines, enrollments, interval, 'enrollments', 'count');
+    addToTimelines(timelines, enrollments, interval, 'revenue', 'total');
+    addToTimelines(timelines, refunds, interval, 'refunds', 'total');
+    addToTimelines(timelines, completions, interval, 'completions', 'count');
+
+    const cohortByCourse = new Map(cohorts.map(row => [row._id.toString(), row]));
+    const { learners: learnerRows, lectures: lectureRows } = lectureCompletions[0];
+    const learnersByCourse = new Map(learnerRows.map(row => [row._id.toString(), row.count]));
+
+    const report = await Promise.all(courses.map(async course => {
+        const id = course._id.toString();
+        const timeline = [...timelines.get(id).values()].map(point => ({
+            ...point,
+            revenue: round(point.revenue),
+            refunds: round(point.refunds),
+            netRevenue: round(point.revenue - point.refunds)
+        }));
+
+        const totals = timeline.reduce((sum, point) => ({
+            views: sum.views + point.views,
+            enrollments: sum.enrollments + point.enrollments,
+            revenue: sum.revenue + point.revenue,
+            refunds: sum.refunds + point.refunds
+        }), { views: 0, enrollments: 0, revenue: 0, refunds: 0 });
+
+        const cohort = cohortByCourse.get(id) || { learners: 0, completed: 0, averageProgress: 0 };
+        const completionsByLecture = new Map(lectureRows
+            .filter(row => row._id.course.toString() === id)
+            .map(row => [row._id.lecture.toString(), row.count]));
+
+        return {
+            course: {
+                id,
+                title: course.title,
+                status: course.status,
+                currency: course.currency
+            },
+            views: totals.views,
+            totalViews: course.analytics.views,
+            enrollments: totals.enrollments,
+            conversionRate: percentage(totals.enrollments, totals.views),
+            revenue: round(totals.revenue),
+            refunds: round(totals.refunds),
+            netRevenue: round(totals.revenue - totals.refunds),
+            learners: cohort.learners,
+            completionRate: percentage(cohort.completed, cohort.learners),
+            averageProgress: round(cohort.averageProgress || 0),
+            rating: course.rating,
+            ratingDistribution: buildRatingDistribution(course.reviews),
+            lectureDropOff: buildLectureDropOff(
+                await getLectureOrder(course),
+                completionsByLecture,
+                learnersByCourse.get(id) || 0
+            ),
+            timeline
+        };
+    }));
+
+    // Platform-style totals across all of the instructor's courses
+    const summary = report.reduce((sum, course) => ({
+        views: sum.views + course.views,
+        enrollments: sum.enrollments + course.enrollments,
+        revenue: sum.revenue + course.revenue,
+        refunds: sum.refunds + course.refunds,
+        learners: sum.learners + course.learners,
+        completed: sum.completed + (cohortByCourse.get(course.course.id) || { completed: 0 }).completed,
+        progress: sum.progress + course.averageProgress * course.learners
+    }), { views: 0, enrollments: 0, revenue: 0, refunds: 0, learners: 0, completed: 0, progress: 0 });
+
+    const timeline = buckets.map(period => {
+        const point = emptyPoint(period);
+        report.forEach(course => {
+            const coursePoint = course.timeline.find(entry => entry.period === period);
+            Object.keys(point).filter(key => key !== 'period').forEach(key => {
+                point[key] = round(point[key] + coursePoint[key]);
+            });
+        });
+        return point;
+    });
+
+    return {
+        period: { from, to, interval },
+        currency: getBaseCurrency(),
+        summary: {
+            courses: report.length,
+            views: summary.views,
+            enrollments: summary.enrollments,
+            conversionRate: percentage(summary.enrollments, summary.views),
+            revenue: round(summary.revenue),
+            refunds: round(summary.refunds),
+            netRevenue: round(summary.revenue - summary.refunds),
+            learners: summary.learners,
+            completionRate: percentage(summary.completed, summary.learners),
+            averageProgress: summary.learners > 0 ? round(summary.progress / summary.learners) : 0
+        },
+        timeline,
+        courses: report
+    };
+};
+
+// Default reporting period: the last 30 days
+const getDefaultRange = () => {
+    const to = new Date();
+    return { from: new Date(to.getTime() - 30 * DAY_MS), to };
+};
+
+module.exports = {
+    INTERVALS,
+    getInstructorAnalytics,
+    getDefaultRange
+};
@@ -0,0 +1,68 @@
+// iCalendar (RFC 5545) files for community events
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Lines longer than 75 octets are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = value => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// UTC date-time, e.g. 20250115T180000Z
+const formatDate = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const foldLine = line => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const buildEvent = (event, now) => [
+    'BEGIN:VEVENT',
+    `UID:event-${event._id}@eduglobe`,
+    `DTSTAMP:${formatDate(now)}`,
+    `DTSTART:${formatDate(event.startsAt)}`,
+    `DTEND:${formatDate(event.endsAt)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(event.description)}`,
+    `LOCATION:${escapeText(event.getLocation())}`,
+    `URL:${getFrontendUrl()}/community.html#event-${event._id}`,
+    `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    `LAST-MODIFIED:${formatDate(event.updatedAt || now)}`,
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(event.title)}`,
+    'TRIGGER:-PT1H',
+    'END:VALARM',
+    'END:VEVENT'
+];
+
+// Build a calendar holding the given events. Online events show their
+// joining link, so select `meetingUrl` for registered members only.
+const buildCalendar = events => {
+    const now = new Date();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//EduGlobe//Community Events//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...events.flatMap(event => buildEvent(event, now)),
+        'END:VCALENDAR'
+    ];
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = { buildCalendar };
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const getSecret = () => process.env.CERTIFICATE_SECRET || process.env.JWT_SECRET;
+
+// Generate a new, unguessable certificate ID
+const generateCertificateId = () => `CERT-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+
+// The signed fields of a certificate, in a fixed order
+const canonicalize = certificate => [
+    certificate.certificateId,
+    certificate.studentName,
+    certificate.courseTitle,
+    certificate.instructorName,
+    new Date(certificate.completionDate).toISOString(),
+    new Date(certificate.issuedAt).toISOString()
+].join('|');
+
+// Sign a certificate's contents so its authenticity can be verified later
+const signCertificate = certificate => crypto
+    .createHmac('sha256', getSecret())
+    .update(canonicalize(certificate))
+    .digest('hex');
+
+// Check that a certificate's stored hash matches its contents
+const verifySignature = certificate => {
+    if (!certificate.hash) return false;
+
+    const expected = Buffer.from(signCertificate(certificate), 'hex');
+    const actual = Buffer.from(certificate.hash, 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const getVerificationUrl = certificateId => {
+    const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${baseUrl}/api/certificates/${certificateId}/verify`;
+};
+
+// Render a certificate as a landscape A4 PDF and pipe it to the given stream.
+// subject names what was completed: a course or a learning path.
+const renderCertificatePdf = async (certificate, stream, { subject = 'course' } = {}) => {
+    const verificationUrl = getVerificationUrl(certificate.certificateId);
+    const qrCode = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 120 });
+
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+    doc.pipe(stream);
+
+    const { width, height } = doc.page;
+
+    // Border
+    doc.lineWidth(6)
+        .strokeColor('#1e3c72')
+        .rect(20, 20, width - 40, height - 40)
+        .stroke();
+    doc.lineWidth(1)
+        .strokeColor('#e74c3c')
+        .rect(32, 32, width - 64, height - 64)
+        .stroke();
+
+    doc.fillColor('#1e3c72')
+        .font('Times-Bold')
+        .fontSize(36)
+        .text('EduGlobe', 0, 70, { align: 'center' });
+
+    doc.fillColor('#2c3e50')
+        .font('Times-Roman')
+        .fontSize(22)
+        .text('Certificate of Completion', { align: 'center' })
+        .moveDown(1.5);
+
+    doc.fontSize(14)
+        .text('This is to certify that', { align: 'center' })
+        .moveDown(0.5);
+
+    doc.font('Times-Bold')
+        .fontSize(30)
+        .fillColor('#1e3c72')
+        .text(certificate.studentName, { align: 'center' })
+        .moveDown(0.5);
+
+    doc.font('Times-Roman')
+        .fontSize(14)
+        .fillColor('#2c3e50')
+        .text(`has successfully completed the ${subject}`, { align: 'center' })
+        .moveDown(0.5);
+
+    doc.font('Times-Bold')
+        .fontSize(22)
+        .text(certificate.courseTitle, { align: 'center' })
+        .moveDown(0.5);
+
+    doc.font('Times-Roman')
+        .fontSize(14)
+        .text(`taught by ${certificate.instructorName}`, { align: 'center' })
+        .text(`on ${new Date(certificate.completionDate).toDateString()}`, { align: 'center' });
+
+    // Verification details
+    doc.image(qrCode, width - 190, height - 190, { width: 120 });
+
+    doc.fontSize(9)
+        .fillColor('#555555')
+        .text(`Certificate ID: ${certificate.certificateId}`, 60, height - 110)
+        .text(`Verification hash: ${certificate.hash}`, 60, height - 96, { width: width - 280 })
+        .text(`Verify at: ${verificationUrl}`, 60, height - 70, { width: width - 280 });
+
+    doc.end();
+};
+
+module.exports = {
+    generateCertificateId,
+    signCertificate,
+    verifySignature,
+    getVerificationUrl,
+    renderCertificatePdf
+};
@@ -0,0 +1,377 @@
+const mongoose = require('mongoose');
+const { WebSocketServer, WebSocket } = require('ws');
+const ChatConversation = require('../models/ChatConversation');
+const { verifyAccessToken } = require('../middleware/auth');
+
+// Live chat between visitors and support agents over WebSockets. Clients
+// send and receive JSON messages of the form { type, ...data }. As with the
+// event streams in realtime.js, chats only reach the sockets connected to
+// this API process.
+
+const PATH = '/api/chat/ws';
+const AGENT_ROLES = ['support', 'admin'];
+const PING_INTERVAL_MS = 30 * 1000;
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+const MAX_MESSAGE_LENGTH = 2000;
+// Chats a visitor can start on one connection
+const MAX_CHATS_PER_CONNECTION = 5;
+// Close code asking the client to reconnect with a refreshed access token
+const UNAUTHORIZED_CLOSE_CODE = 4001;
+
+// Raised for requests the client got wrong. The message is sent back.
+class ChatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ChatError';
+    }
+}
+
+const sockets = new Set();
+const rooms = new Map(); // conversation ID -> Set of sockets
+
+const send = (socket, type, data = {}) => {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type, ...data }));
+    }
+};
+
+// Send an event to every socket that joined the chat, except one
+const publish = (conversationId, type, data = {}, except = null) => {
+    const id = conversationId.toString();
+    const room = rooms.get(id);
+    if (!room) return;
+
+    room.forEach(socket => {
+        if (socket !== except) send(socket, type, { conversationId: id, ...data });
+    });
+};
+
+const joinRoom = (socket, conversationId) => {
+    const id = conversationId.toString();
+    if (!rooms.has(id)) rooms.set(id, new Set());
+    rooms.get(id).add(socket);
+    socket.chat.conversations.add(id);
+};
+
+const leaveRoom = (socket, id) => {
+    const room = rooms.get(id);
+    socket.chat.conversations.delete(id);
+    if (!room) return;
+    room.delete(socket);
+    if (room.size === 0) rooms.delete(id);
+};
+
+const agentSockets = () => [...sockets].filter(socket => socket.chat.agent);
+
+const isVisitorOnline = conversationId => [...(rooms.get(conversationId.toString()) || [])]
+    .some(socket => !socket.chat.agent);
+
+// Chats waiting for an agent or in progress, with their latest message
+const getQueue = async () => {
+    const conversations = await ChatConversation.find({ status: { $in: ['queued', 'active'] } })
+        .select({ messages: { $slice: -1 } })
+        .populate('agent', 'fullName avatar')
+        .sort({ createdAt: 1 });
+
+    return conversations.map(conversation => {
+        const { messages, ...summary } = conversation.toObject();
+        return { ...summary, lastMessage: messages[0] || null, visitorOnline: isVisitorOnline(conversation._id) };
+    });
+};
+
+// Send the queue to every agent console. Never throws.
+const refreshQueue = async () => {
+    try {
+        const agents = agentSockets();
+        if (agents.length === 0) return;
+
+        const conversations = await getQueue();
+        agents.forEach(socket => send(socket, 'queue', { conversations }));
+    } catch (error) {
+        console.error('Chat queue error:', error);
+    }
+};
+
+// Whether support is online and how many visitors are waiting
+const getChatStatus = async () => {
+    const agentsOnline = new Set(agentSockets().map(socket => socket.chat.user.userId)).size;
+    const queued = await ChatConversation.countDocuments({ status: 'queued' });
+    return { available: agentsOnline > 0, agentsOnline, queued };
+};
+
+// Load a chat the socket may see: agents see every chat, visitors their own,
+// by account or with the chat's token
+const loadConversation = async (socket, { conversationId, chatToken }) => {
+    const conversation = mongoose.isValidObjectId(conversationId)
+        ? await ChatConversation.findById(conversationId)
+            .populate('agent', 'fullName avatar')
+            .populate('ticket', 'number status')
+        : null;
+    const { chat } = socket;
+    const allowed = Boolean(conversation) && (
+        chat.agent ||
+        conversation.isVisitor(chat.user) ||
+        (!conversation.user && conversation.hasAccessToken(chatToken))
+    );
+
+    if (!allowed) {
+        throw new ChatError('Chat not found');
+    }
+    return conversation;
+};
+
+// Check the socket joined the chat before acting in it
+const requireJoined = (socket, conversationId) => {
+    if (!socket.chat.conversations.has(String(conversationId))) {
+        throw new ChatError('Join the chat first');
+    }
+};
+
+const readText = value => {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) {
+        throw new ChatError('Please type a message');
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        throw new ChatError(`Messages cannot exceed ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    return text;
+};
+
+const handlers = {
+    // First message of every connection. Logged-in users send their access
+    // token, and visitors reopening a chat send its ID and token.
+    hello: async (socket, { accessToken, conversationId, chatToken }) => {
+        const { chat } = socket;
+
+        if (accessToken) {
+            const { user, decoded, message } = await verifyAccessToken(accessToken);
+            if (!user) {
+                send(socket, 'error', { action: 'hello', message });
+                return socket.close(UNAUTHORIZED_CLOSE_CODE, message);
+            }
+
+            chat.user = { userId: user._id.toString(), role: user.role, fullName: user.fullName, email: user.email };
+            chat.agent = AGENT_ROLES.includes(user.role);
+            // Like event streams, sockets close when the access token expires
+            chat.expiry = setTimeout(
+                () => socket.close(UNAUTHORIZED_CLOSE_CODE, 'Token has expired'),
+                Math.max(decoded.exp * 1000 - Date.now(), 0)
+            );
+        }
+
+        chat.ready = true;
+        send(socket, 'ready', { agent: chat.agent });
+        if (chat.agent) {
+            send(socket, 'queue', { conversations: await getQueue() });
+        }
+        // Reported as a failed join, so visitors can start a new chat instead
+        if (conversationId) {
+            await runHandler(socket, 'join', { conversationId, chatToken });
+        }
+    },
+
+    // Visitors start a chat with their first message; visitors without an
+    // account also give their name and email
+    start: async (socket, { name, email, message }) => {
+        const { chat } = socket;
+        if (chat.agent) {
+            throw new ChatError('Support agents cannot start chats');
+        }
+        if (chat.started >= MAX_CHATS_PER_CONNECTION) {
+            throw new ChatError('Too many chats. Please try again later.');
+        }
+
+        const visitor = chat.user
+            ? { name: chat.user.fullName, email: chat.user.email }
+            : { name: typeof name === 'string' ? name : '', email: typeof email === 'string' ? email : '' };
+        const conversation = await ChatConversation.create({
+            user: chat.user ? chat.user.userId : undefined,
+            visitor,
+            messages: [{
+                sender: 'visitor',
+                author: chat.user ? chat.user.userId : undefined,
+                authorName: visitor.name,
+                body: readText(message)
+            }]
+        });
+        chat.started += 1;
+
+        joinRoom(socket, conversation._id);
+        send(socket, 'conversation', {
+            conversation: conversation.toObject(),
+            chatToken: conversation.user ? undefined : conversation.getAccessToken()
+        });
+        refreshQueue();
+    },
+
+    join: async (socket, data) => {
+        const conversation = await loadConversation(socket, data);
+        joinRoom(socket, conversation._id);
+        send(socket, 'conversation', { conversation: conversation.toObject() });
+
+        // Agents see that the visitor is back
+        if (!socket.chat.agent && conversation.status !== 'ended') {
+            refreshQueue();
+        }
+    },
+
+    leave: async (socket, { conversationId }) => {
+        leaveRoom(socket, String(conversationId));
+    },
+
+    message: async (socket, { conversationId, body }) => {
+        requireJoined(socket, conversationId);
+        const { chat } = socket;
+        const text = readText(body);
+
+        const conversation = await ChatConversation.findById(conversationId).select('status agent visitor');
+        if (chat.agent && (!conversation.agent || conversation.agent.toString() !== chat.user.userId)) {
+            throw new ChatError('Accept the chat before replying');
+        }
+
+        const message = await ChatConversation.appendMessage(conversationId, {
+            sender: chat.agent ? 'agent' : 'visitor',
+            author: chat.user ? chat.user.userId : undefined,
+            authorName: chat.user ? chat.user.fullName : conversation.visitor.name,
+            body: text
+        });
+        if (!message) {
+            throw new ChatError('This chat has ended');
+        }
+
+        publish(conversationId, 'message', { message });
+    },
+
+    // Typing indicators are passed on and not stored
+    typing: async (socket, { conversationId, typing }) => {
+        requireJoined(socket, conversationId);
+        const { chat } = socket;
+
+        publish(conversationId, 'typing', {
+            fromAgent: chat.agent,
+            name: chat.agent ? chat.user.fullName : null,
+            typing: Boolean(typing)
+        }, socket);
+    },
+
+    accept: async (socket, { conversationId }) => {
+        const { chat } = socket;
+        if (!chat.agent) {
+            throw new ChatError('Only support agents can accept chats');
+        }
+
+        const conversation = mongoose.isValidObjectId(conversationId)
+            ? await ChatConversation.accept(conversationId, { _id: chat.user.userId, fullName: chat.user.fullName })
+            : null;
+        if (!conversation) {
+            throw new ChatError('This chat was taken by another agent or has ended');
+        }
+        await conversation.populate('agent', 'fullName avatar');
+
+        joinRoom(socket, conversation._id);
+        publish(conversation._id, 'accepted', {
+            agent: conversation.agent,
+            message: conversation.messages[conversation.messages.length - 1]
+        });
+        send(socket, 'conversation', { conversation: conversation.toObject() });
+        refreshQueue();
+    },
+
+    end: async (socket, { conversationId }) => {
+        requireJoined(socket, conversationId);
+        const { chat } = socket;
+
+        const conversation = await ChatConversation.end(
+            conversationId,
+            chat.agent ? 'agent' : 'visitor',
+            `${chat.agent ? chat.user.fullName : 'The visitor'} ended the chat`
+        );
+        if (!conversation) {
+            throw new ChatError('This chat has already ended');
+        }
+
+        publish(conversationId, 'ended', { message: conversation.messages[conversation.messages.length - 1] });
+        refreshQueue();
+    }
+};
+
+// Run a handler, sending its errors back to the client. Never throws.
+const runHandler = async (socket, type, data) => {
+    try {
+        await handlers[type](socket, data);
+    } catch (error) {
+        if (error.name === 'ChatError' || error.name === 'ValidationError') {
+            return send(socket, 'error', {
+                action: type,
+                message: error.name === 'ValidationError' ? Object.values(error.errors)[0].message : error.message
+            });
+        }
+
+        console.error(`Chat ${type} error:`, error);
+        send(socket, 'error', { action: type, message: 'Something went wrong. Please try again.' });
+    }
+};
+
+const handleMessage = async (socket, raw) => {
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        return send(socket, 'error', { message: 'Messages must be JSON' });
+    }
+
+    const type = data && data.type;
+    if (!Object.prototype.hasOwnProperty.call(handlers, type)) {
+        return send(socket, 'error', { message: 'Unknown message type' });
+    }
+    if ((type === 'hello') === socket.chat.ready) {
+        return send(socket, 'error', { action: type, message: socket.chat.ready ? 'Already connected' : 'Send hello first' });
+    }
+
+    await runHandler(socket, type, data);
+};
+
+// Accept chat connections on the HTTP server at /api/chat/ws
+const attachChatServer = server => {
+    const wss = new WebSocketServer({ server, path: PATH, maxPayload: MAX_PAYLOAD_BYTES });
+
+    wss.on('connection', socket => {
+        socket.chat = { user: null, agent: false, ready: false, started: 0, conversations: new Set() };
+        socket.isAlive = true;
+        sockets.add(socket);
+
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+        socket.on('message', raw => handleMessage(socket, raw));
+        socket.on('close', () => {
+            sockets.delete(socket);
+            clearTimeout(socket.chat.expiry);
+
+            const visitorLeft = !socket.chat.agent && socket.chat.conversations.size > 0;
+            [...socket.chat.conversations].forEach(id => leaveRoom(socket, id));
+            if (visitorLeft) refreshQueue();
+        });
+    });
+
+    // Drop connections that stopped answering pings
+    const heartbeat = setInterval(() => {
+        sockets.forEach(socket => {
+            if (!socket.isAlive) return socket.terminate();
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, PING_INTERVAL_MS);
+    heartbeat.unref();
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+};
+
+module.exports = {
+    attachChatServer,
+    getChatStatus,
+    publish,
+    refreshQueue
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'config', 'exchange-rates.json');
+
+// Rates are reloaded at most this often, so file edits and admin overrides
+// made by other processes are picked up
+const CACHE_MS = 60 * 1000;
+
+const getBaseCurrency = () => (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// Decimal places used for amounts in the currency, e.g. 0 for JPY
+const getFractionDigits = currency => {
+    try {
+        return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+        return 2;
+    }
+};
+
+const roundAmount = (amount, currency) => {
+    const factor = 10 ** getFractionDigits(currency);
+    return Math.round(amount * factor) / factor;
+};
+
+// Whether a payment provider charged the amount asked for, which it does in
+// whole minor units of the currency
+const isSameAmount = (paid, expected, currency) => roundAmount(paid, currency) === roundAmount(expected, currency);
+
+// Read the rates file and express its rates against the base currency
+const readRatesFile = () => {
+    const file = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE;
+    const { base = 'USD', rates = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const baseCurrency = getBaseCurrency();
+    const baseRate = base === baseCurrency ? 1 : rates[baseCurrency];
+    if (!baseRate) {
+        throw new Error(`Exchange rates file has no rate for the base currency ${baseCurrency}`);
+    }
+
+    return Object.entries(rates).reduce((result, [currency, rate]) => {
+        result[currency.toUpperCase()] = rate / baseRate;
+        return result;
+    }, {});
+};
+
+// Rate table with conversions between any two of its currencies
+const createRates = (fileRates, overrides) => {
+    const baseCurrency = getBaseCurrency();
+    const rates = { ...fileRates, ...overrides, [baseCurrency]: 1 };
+
+    const getRate = currency => rates[currency] || null;
+    const isSupported = currency => Boolean(getRate(currency));
+
+    const convert = (amount, from, to) => {
+        if (from === to) return amount;
+        if (!isSupported(from) || !isSupported(to)) {
+            throw new Error(`No exchange rate between ${from} and ${to}`);
+        }
+        return roundAmount((amount / getRate(from)) * getRate(to), to);
+    };
+
+    // Units of the base currency per unit of the given currency, stored on
+    // payments so revenue can be reported in the base currency
+    const getBaseRate = currency => (isSupported(currency) ? 1 / getRate(currency) : null);
+
+    const list = () => Object.keys(rates).sort().map(currency => ({
+        currency,
+        rate: rates[currency],
+        source: currency === baseCurrency ? 'base'
+            : overrides[currency] !== undefined ? 'override'
+                : 'file'
+    }));
+
+    return { baseCurrency, getRate, isSupported, convert, getBaseRate, list };
+};
+
+let cache = null;
+
+const getExchangeRates = async () => {
+    if (cache && Date.now() - cache.loadedAt < CACHE_MS) {
+        return cache.rates;
+    }
+
+    let fileRates = {};
+    try {
+        fileRates = readRatesFile();
+    } catch (error) {
+        console.error('Exchange rates file error:', error.message);
+    }
+
+    const overrides = (await ExchangeRate.find()).reduce((result, entry) => {
+        result[entry.currency] = entry.rate;
+        return result;
+    }, {});
+
+    cache = { rates: createRates(fileRates, overrides), loadedAt: Date.now() };
+    return cache.rates;
+};
+
+// Currency to show prices in: the one asked for, else the user's preference
+const resolveCurrency = (requested, user) => {
+    const currency = requested || (user && user.preferences && user.preferences.currency);
+    return currency ? currency.toUpperCase() : null;
+};
+
+// Add prices in a currency to courses as localPrice. Without a currency the
+// courses are returned as they are.
+const localizeCoursePrices = async (courses, currency) => {
+    if (!currency) {
+        return courses;
+    }
+
+    const rates = await getExchangeRates();
+    return courses.map(course => ({
+        ...course.toJSON(),
+        localPrice: course.getLocalPrice(currency, rates)
+    }));
+};
+
+// Forget cached rates after an admin changes an override
+const clearExchangeRateCache = () => {
+    cache = null;
+};
+
+module.exports = {
+    getBaseCurrency,
+    getFractionDigits,
+    roundAmount,
+    isSameAmount,
+    getExchangeRates,
+    clearExchangeRateCache,
+    resolveCurrency,
+    localizeCoursePrices
+};
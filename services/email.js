@@ -0,0 +1,29 @@
+const nodemailer = require('nodemailer');
+
+let transporter;
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.EMAIL_HOST,
+            port: parseInt(process.env.EMAIL_PORT, 10) || 587,
+            secure: parseInt(process.env.EMAIL_PORT, 10) === 465,
+            auth: process.env.EMAIL_USER ? {
+                user: process.env.EMAIL_USER,
+                pass: process.env.EMAIL_PASS
+            } : undefined
+        });
+    }
+    return transporter;
+};
+
+// Send a single email
+const sendEmail = ({ to, subject, text, html }) => getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'noreply@eduglobe.com',
+    to,
+    subject,
+    text,
+    html
+});
+
+module.exports = { sendEmail };
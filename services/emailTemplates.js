@@ -0,0 +1,347 @@
+// Transactional email templates. Each template builds a subject and a body
+// of paragraphs with an optional call to action, rendered as both plain
+// text and HTML by a shared layout.
+//   required: sent even to users who opted out of email notifications
+//   expiresInMinutes: not sent anymore after this long, e.g. expiring links
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+const getApiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const formatMoney = (amount, currency) => {
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+    } catch (error) {
+        return `${amount} ${currency}`;
+    }
+};
+
+// Event times are given in UTC, since the recipient's time zone is unknown
+const formatDateTime = date => new Date(date).toLocaleString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'UTC',
+    timeZoneName: 'short'
+});
+
+const formatDate = date => new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+});
+
+// Requesters without an account open their tickets with the ticket's token
+const getTicketUrl = (ticketNumber, accessToken) => `${getFrontendUrl()}/contact-support.html?ticket=${ticketNumber}${accessToken ? `&token=${accessToken}` : ''}`;
+
+const REFUND_MESSAGES = {
+    pending: 'We have received your refund request for "{course}" and will review it shortly.',
+    approved: 'Your refund for "{course}" has been approved. {amount} will be returned to your original payment method within a few days.',
+    rejected: 'Your refund request for "{course}" has been declined. Contact support if you have any questions.'
+};
+
+const templates = {
+    welcome: {
+        subject: () => 'Welcome to EduGlobe',
+        body: () => ({
+            paragraphs: [
+                'Thanks for joining EduGlobe. Thousands of courses taught by expert instructors are waiting for you.'
+            ],
+            action: { label: 'Browse Courses', url: `${getFrontendUrl()}/index.html#courses` }
+        })
+    },
+
+    emailVerification: {
+        required: true,
+        subject: () => 'Verify your EduGlobe email address',
+        body: ({ link }) => ({
+            paragraphs: [
+                'Please verify your email address by opening the link below.',
+                'The link expires in 24 hours.'
+            ],
+            action: { label: 'Verify Email', url: link }
+        })
+    },
+
+    passwordReset: {
+        required: true,
+        expiresInMinutes: 60,
+        subject: () => 'Reset your EduGlobe password',
+        body: ({ link }) => ({
+            paragraphs: [
+                'You can reset your password by opening the link below.',
+                'The link expires in 1 hour. If you did not request a reset, you can ignore this email.'
+            ],
+            action: { label: 'Reset Password', url: link }
+        })
+    },
+
+    enrollmentReceipt: {
+        required: true,
+        subject: ({ items }) => (items.length === 1
+            ? `Your receipt for ${items[0].title}`
+            : `Your receipt for ${items.length} courses`),
+        body: ({ items, total, currency, invoiceNumber }) => ({
+            paragraphs: [
+                'Thank you for your purchase. You are now enrolled in:',
+                items.map(item => `- ${item.title}: ${formatMoney(item.amount, currency)}`).join('\n'),
+                `Total: ${formatMoney(total, currency)}`,
+                invoiceNumber
+                    ? `Your invoice ${invoiceNumber} can be downloaded from your dashboard.`
+                    : null
+            ],
+            action: { label: 'Start Learning', url: `${getFrontendUrl()}/dashboard.html` }
+        })
+    },
+
+    accessExpiring: {
+        subject: ({ courseTitle }) => `Your access to ${courseTitle} ends soon`,
+        body: ({ courseTitle, accessExpiry }) => ({
+            paragraphs: [
+                `Your access to "${courseTitle}" ends on ${formatDate(accessExpiry)}.`,
+                'Renew it from your dashboard to keep learning.'
+            ],
+            action: { label: 'Renew Access', url: `${getFrontendUrl()}/dashboard.html` }
+        })
+    },
+
+    subscriptionExpiring: {
+        subject: () => 'Your EduGlobe subscription ends soon',
+        body: ({ currentPeriodEnd }) => ({
+            paragraphs: [
+                `Your subscription ends on ${formatDate(currentPeriodEnd)}, and with it access to the courses you take through it.`,
+                'Renew it to keep learning.'
+            ],
+            action: { label: 'Renew Subscription', url: `${getFrontendUrl()}/dashboard.html` }
+        })
+    },
+
+    courseCompleted: {
+        subject: ({ courseTitle }) => `Congratulations on completing ${courseTitle}`,
+        body: ({ courseTitle }) => ({
+            paragraphs: [
+                `You have completed every lecture of "${courseTitle}". Well done!`,
+                'Your certificate of completion is ready to be issued from your dashboard.'
+            ],
+            action: { label: 'Get Your Certificate', url: `${getFrontendUrl()}/dashboard.html` }
+        })
+    },
+
+    certificateIssued: {
+        subject: ({ courseTitle }) => `Your certificate for ${courseTitle}`,
+        body: ({ courseTitle, certificateId, downloadUrl }) => ({
+            paragraphs: [
+                `Your certificate of completion for "${courseTitle}" has been issued.`,
+                `Certificate ID: ${certificateId}. Anyone can verify it with this ID.`
+            ],
+            action: { label: 'Download Certificate', url: `${getApiUrl()}${downloadUrl}` }
+        })
+    },
+
+    refundStatus: {
+        subject: ({ courseTitle, status }) => (status === 'pending'
+            ? `We received your refund request for ${courseTitle}`
+            : `Your refund request for ${courseTitle} has been ${status}`),
+        body: ({ courseTitle, status, amount, currency }) => ({
+            paragraphs: [
+                REFUND_MESSAGES[status]
+                    .replace('{course}', courseTitle)
+                    .replace('{amount}', amount !== undefined ? formatMoney(amount, currency) : 'The refunded amount')
+            ],
+            action: { label: 'View My Courses', url: `${getFrontendUrl()}/dashboard.html` }
+        })
+    },
+
+    reviewReply: {
+        subject: ({ courseTitle }) => `The instructor replied to your review of ${courseTitle}`,
+        body: ({ courseTitle, instructorName, reply }) => ({
+            paragraphs: [
+                `${instructorName} replied to your review of "${courseTitle}":`,
+                `"${reply}"`
+            ],
+            action: { label: 'View Course', url: `${getFrontendUrl()}/index.html#courses` }
+        })
+    },
+
+    assessmentGraded: {
+        subject: ({ assessmentTitle }) => `${assessmentTitle} has been graded`,
+        body: ({ assessmentTitle, courseTitle, percent, passed, passingScore, feedback }) => ({
+            paragraphs: [
+                `Your submission for "${assessmentTitle}" in "${courseTitle}" has been graded: ${percent}%.`,
+                passed
+                    ? 'Congratulations, you passed!'
+                    : `You need ${passingScore}% to pass. You can try again if you have attempts left.`,
+                feedback ? `Feedback from your instructor: "${feedback}"` : null
+            ],
+            action: { label: 'View My Courses', url: `${getFrontendUrl()}/dashboard.html` }
+        })
+    },
+
+    discussionReply: {
+        subject: ({ threadTitle }) => `New reply to "${threadTitle}"`,
+        body: ({ threadId, threadTitle, courseTitle, forumTitle, authorName, byInstructor, reply }) => ({
+            paragraphs: [
+                byInstructor
+                    ? `${authorName}, the instructor of "${courseTitle}", replied to "${threadTitle}":`
+                    : `${authorName} replied to "${threadTitle}" in "${courseTitle || forumTitle}":`,
+                `"${reply}"`
+            ],
+            action: { label: 'View Discussion', url: `${getFrontendUrl()}/discussion.html?thread=${threadId}` }
+        })
+    },
+
+    eventReminder: {
+        subject: ({ eventTitle }) => `Reminder: ${eventTitle} starts soon`,
+        body: ({ eventId, eventTitle, startsAt, location }) => ({
+            paragraphs: [
+                `"${eventTitle}" starts on ${formatDateTime(startsAt)}.`,
+                `Where: ${location}`
+            ],
+            action: { label: 'View Event', url: `${getFrontendUrl()}/community.html#event-${eventId}` }
+        })
+    },
+
+    eventPromoted: {
+        subject: ({ eventTitle }) => `You are registered for ${eventTitle}`,
+        body: ({ eventId, eventTitle, startsAt }) => ({
+            paragraphs: [
+                `A place opened up for "${eventTitle}" on ${formatDateTime(startsAt)} and you have moved off the waitlist. You are now registered.`,
+                'If you can no longer attend, please cancel your registration so someone else can take your place.'
+            ],
+            action: { label: 'View Event', url: `${getFrontendUrl()}/community.html#event-${eventId}` }
+        })
+    },
+
+    eventCancelled: {
+        subject: ({ eventTitle }) => `${eventTitle} has been cancelled`,
+        body: ({ eventTitle, startsAt }) => ({
+            paragraphs: [
+                `Unfortunately "${eventTitle}", planned for ${formatDateTime(startsAt)}, has been cancelled.`
+            ],
+            action: { label: 'Browse Events', url: `${getFrontendUrl()}/community.html` }
+        })
+    },
+
+    supportTicketCreated: {
+        required: true,
+        subject: ({ ticketNumber }) => `[${ticketNumber}] We received your support request`,
+        body: ({ ticketNumber, accessToken, firstResponseDueAt }) => ({
+            paragraphs: [
+                `Thanks for contacting EduGlobe support. Your ticket number is ${ticketNumber}.`,
+                `We will reply by ${formatDateTime(firstResponseDueAt)} at the latest. You can follow your request and add details at any time.`
+            ],
+            action: { label: 'View Your Ticket', url: getTicketUrl(ticketNumber, accessToken) }
+        })
+    },
+
+    supportTicketReply: {
+        required: true,
+        subject: ({ ticketNumber }) => `[${ticketNumber}] New reply from EduGlobe support`,
+        body: ({ ticketNumber, accessToken, agentName, reply, status }) => ({
+            paragraphs: [
+                `${agentName} replied to your ticket ${ticketNumber}:`,
+                `"${reply}"`,
+                status === 'resolved'
+                    ? 'We marked your ticket as resolved. If you still need help, just reply to reopen it.'
+                    : null
+            ],
+            action: { label: 'View Your Ticket', url: getTicketUrl(ticketNumber, accessToken) }
+        })
+    },
+
+    supportTicketResolved: {
+        subject: ({ ticketNumber }) => `[${ticketNumber}] Your support request was resolved`,
+        body: ({ ticketNumber, accessToken }) => ({
+            paragraphs: [
+                `We marked your ticket ${ticketNumber} as resolved.`,
+                'If you still need help, reply on the ticket to reopen it.'
+            ],
+            action: { label: 'View Your Ticket', url: getTicketUrl(ticketNumber, accessToken) }
+        })
+    },
+
+    supportTicketCustomerReply: {
+        subject: ({ ticketNumber }) => `[${ticketNumber}] New reply from the customer`,
+        body: ({ ticketNumber, requesterName, reply }) => ({
+            paragraphs: [
+                `${requesterName} replied to ticket ${ticketNumber}:`,
+                `"${reply}"`
+            ],
+            action: { label: 'Open Ticket', url: getTicketUrl(ticketNumber) }
+        })
+    },
+
+    supportTicketAssigned: {
+        subject: ({ ticketNumber }) => `[${ticketNumber}] Ticket assigned to you`,
+        body: ({ ticketNumber, subject, priority, resolutionDueAt }) => ({
+            paragraphs: [
+                `Ticket ${ticketNumber} (${subject}, ${priority} priority) was assigned to you.`,
+                `It should be resolved by ${formatDateTime(resolutionDueAt)}.`
+            ],
+            action: { label: 'Open Ticket', url: getTicketUrl(ticketNumber) }
+        })
+    }
+};
+
+const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const renderText = (name, { paragraphs, action }) => [
+    `Hi ${name},`,
+    ...paragraphs,
+    action ? `${action.label}: ${action.url}` : null,
+    'The EduGlobe Team'
+].filter(Boolean).join('\n\n');
+
+const renderHtml = (name, { paragraphs, action }) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#f5f7fa;font-family:Arial,sans-serif;color:#2c3e50;">
+    <div style="max-width:600px;margin:0 auto;background:#ffffff;">
+        <div style="background:#1e3c72;color:#ffffff;padding:20px 30px;font-size:24px;font-weight:bold;">EduGlobe</div>
+        <div style="padding:30px;line-height:1.6;">
+            <p>Hi ${escapeHtml(name)},</p>
+            ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('\n            ')}
+            ${action ? `<p style="margin:30px 0;"><a href="${escapeHtml(action.url)}" style="background:#e74c3c;color:#ffffff;padding:12px 24px;border-radius:6px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a></p>` : ''}
+            <p>The EduGlobe Team</p>
+        </div>
+    </div>
+</body>
+</html>`;
+
+// Render a template for a user. Returns { subject, text, html }.
+const renderTemplate = (templateName, user, data = {}) => {
+    const template = getTemplate(templateName);
+    if (!template) {
+        throw new Error(`Unknown email template: ${templateName}`);
+    }
+
+    const body = template.body(data);
+    body.paragraphs = body.paragraphs.filter(Boolean);
+
+    return {
+        subject: template.subject(data),
+        text: renderText(user.fullName, body),
+        html: renderHtml(user.fullName, body)
+    };
+};
+
+const getTemplate = templateName => templates[templateName] || null;
+
+const TEMPLATE_NAMES = Object.keys(templates);
+
+// Templates users may opt out of individually
+const OPTIONAL_TEMPLATES = TEMPLATE_NAMES.filter(name => !templates[name].required);
+
+module.exports = {
+    TEMPLATE_NAMES,
+    OPTIONAL_TEMPLATES,
+    getTemplate,
+    renderTemplate
+};
@@ -0,0 +1,377 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Course = require('../models/Course');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const { roundAmount } = require('./currency');
+const { getPlan } = require('./subscriptions');
+const { getTaxRate, splitTax } = require('./tax');
+
+const PREFIXES = {
+    invoice: 'INV',
+    credit_note: 'CN'
+};
+
+const TITLES = {
+    invoice: 'Invoice',
+    credit_note: 'Credit Note'
+};
+
+const getSeller = () => ({
+    name: process.env.INVOICE_SELLER_NAME || 'EduGlobe Ltd',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    taxId: process.env.INVOICE_SELLER_TAX_ID || ''
+});
+
+// Invoices and credit notes are numbered separately, restarting each year,
+// e.g. INV-2026-000042. Taken in the transaction that inserts the document,
+// so a number is only used up once the document is saved.
+const nextNumber = async (type, date, session) => {
+    const year = date.getUTCFullYear();
+    const sequence = await Counter.next(`${type}-${year}`, session);
+    return `${PREFIXES[type]}-${year}-${String(sequence).padStart(6, '0')}`;
+};
+
+const getCustomer = user => {
+    const billing = user.billing || {};
+    return {
+        name: billing.name || user.fullName,
+        email: user.email,
+        company: billing.company,
+        taxId: billing.taxId,
+        address: billing.address
+    };
+};
+
+const paymentReference = payment => `payment:${payment.provider}:${payment.transactionId}`;
+
+// Issue an invoice or credit note for lines of { description, total, ... }
+// with tax-inclusive totals. Returns the existing document when one was
+// already issued for the reference, and null when there is nothing to bill.
+const issue = async ({ type = 'invoice', userId, reference, lines, currency, customer, tax, ...details }) => {
+    const existing = await Invoice.findOne({ reference });
+    if (existing) {
+        return existing;
+    }
+
+    const total = roundAmount(lines.reduce((sum, line) => sum + line.total, 0), currency);
+    if (total <= 0) {
+        return null;
+    }
+
+    if (!customer) {
+        const user = await User.findById(userId);
+        customer = getCustomer(user);
+    }
+    if (!tax) {
+        tax = getTaxRate(customer.address && customer.address.country);
+    }
+
+    const items = lines.map(line => {
+        const { net, tax: taxAmount } = splitTax(line.total, tax.rate, currency);
+        return { ...line, netAmount: net, taxAmount };
+    });
+    const sum = field => roundAmount(items.reduce((acc, item) => acc + item[field], 0), currency);
+
+    const issuedAt = new Date();
+    try {
+        return await mongoose.connection.transaction(async session => {
+            const [invoice] = await Invoice.create([{
+                ...details,
+                number: await nextNumber(type, issuedAt, session),
+                type,
+                user: userId,
+                reference,
+                customer,
+                seller: getSeller(),
+                items,
+                currency,
+                subtotal: sum('netAmount'),
+                taxName: tax.name,
+                taxRate: tax.rate,
+                taxAmount: sum('taxAmount'),
+                total,
+                issuedAt
+            }], { session });
+            return invoice;
+        });
+    } catch (error) {
+        // Issued meanwhile by a concurrent delivery of the same webhook. The
+        // number taken for it was rolled back with the insert.
+        if (error.code === 11000) {
+            return Invoice.findOne({ reference });
+        }
+        throw error;
+    }
+};
+
+// Billing must never make a confirmed payment fail, so errors are logged and
+// the invoice-retry job issues the document later
+const issueSafely = async options => {
+    try {
+        return await issue(options);
+    } catch (error) {
+        console.error('Issue invoice error:', error);
+        return null;
+    }
+};
+
+const paymentDetails = (payment, chargeId) => ({
+    method: payment.method,
+    provider: payment.provider,
+    transactionId: payment.transactionId,
+    chargeId: chargeId || payment.chargeId,
+    paidAt: payment.paidAt
+});
+
+// Invoice a single-course purchase. Free and subscription enrollments are
+// not billed separately.
+const issueEnrollmentInvoice = async enrollment => {
+    const { payment } = enrollment;
+    if (['free', 'subscription'].includes(payment.provider)) {
+        return null;
+    }
+
+    const course = await Course.findById(enrollment.course).select('title');
+    return issueSafely({
+        userId: enrollment.student,
+        reference: paymentReference(payment),
+        lines: [{
+            description: course ? course.title : 'Course enrollment',
+            course: enrollment.course,
+            enrollment: enrollment._id,
+            total: payment.amount
+        }],
+        currency: payment.currency,
+        exchangeRate: payment.exchangeRate,
+        payment: paymentDetails(payment)
+    });
+};
+
+// Invoice a multi-course order with one line per course
+const issueOrderInvoice = order => issueSafely({
+    userId: order.user,
+    reference: paymentReference(order.payment),
+    lines: order.items.map(item => ({
+        description: item.title,
+        course: item.course,
+        enrollment: item.enrollment,
+        total: item.finalPrice
+    })),
+    currency: order.currency,
+    exchangeRate: order.exchangeRate,
+    payment: paymentDetails(order.payment),
+    order: order._id
+});
+
+// Invoice a renewal or extension of time-limited access
+const issueRenewalInvoice = async (enrollment, renewal) => {
+    const course = await Course.findById(enrollment.course).select('title');
+    const title = course ? course.title : 'Course access';
+    const access = renewal.durationDays ? `${renewal.durationDays} days of access` : 'lifetime access';
+
+    return issueSafely({
+        userId: enrollment.student,
+        reference: paymentReference(renewal),
+        lines: [{
+            description: `${title} - ${access}`,
+            course: enrollment.course,
+            enrollment: enrollment._id,
+            total: renewal.amount
+        }],
+        currency: renewal.currency,
+        exchangeRate: renewal.exchangeRate,
+        payment: paymentDetails(renewal)
+    });
+};
+
+// Invoice a subscription billing period
+const issueSubscriptionInvoice = (subscription, payment) => {
+    const plan = getPlan(payment.plan);
+    const period = `${subscription.currentPeriodStart.toDateString()} - ${subscription.currentPeriodEnd.toDateString()}`;
+
+    return issueSafely({
+        userId: subscription.user,
+        reference: paymentReference(payment),
+        lines: [{
+            description: `${plan ? plan.name : payment.plan} subscription (${period})`,
+            total: payment.amount
+        }],
+        currency: payment.currency,
+        payment: paymentDetails(payment),
+        subscription: subscription._id
+    });
+};
+
+// Issue a credit note for a refunded enrollment, crediting the refunded
+// amount at the tax rate and for the customer of the original invoice
+const issueCreditNote = async enrollment => {
+    try {
+        const invoice = await Invoice.findForEnrollment(enrollment._id);
+        if (!invoice) {
+            return null;
+        }
+
+        const item = invoice.items.find(entry => entry.enrollment && entry.enrollment.equals(enrollment._id));
+        const { payment } = enrollment;
+
+        return await issue({
+            type: 'credit_note',
+            userId: invoice.user,
+            reference: `refund:${payment.provider}:${payment.refundId || enrollment._id}`,
+            lines: [{
+                description: `Refund: ${item.description}`,
+                course: item.course,
+                enrollment: enrollment._id,
+                total: Math.min(enrollment.refundAmount, item.total)
+            }],
+            currency: invoice.currency,
+            exchangeRate: invoice.exchangeRate,
+            customer: invoice.customer,
+            tax: { name: invoice.taxName, rate: invoice.taxRate },
+            payment: {
+                method: payment.method,
+                provider: payment.provider,
+                transactionId: payment.transactionId,
+                refundId: payment.refundId,
+                paidAt: payment.refundedAt
+            },
+            relatedInvoice: invoice._id
+        });
+    } catch (error) {
+        console.error('Issue credit note error:', error);
+        return null;
+    }
+};
+
+const formatMoney = (amount, currency) => {
+    try {
+        return new Intl.NumberFormat('en', { style: 'currency', currency }).format(amount);
+    } catch (error) {
+        return `${amount.toFixed(2)} ${currency}`;
+    }
+};
+
+const formatAddress = address => {
+    if (!address) return [];
+    return [
+        address.line1,
+        address.line2,
+        [address.postalCode, address.city].filter(Boolean).join(' '),
+        [address.state, address.country].filter(Boolean).join(', ')
+    ].filter(Boolean);
+};
+
+// Render an invoice or credit note as a portrait A4 PDF and pipe it to the
+// given stream. Credit notes should have relatedInvoice populated.
+const renderInvoicePdf = (invoice, stream) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    doc.pipe(stream);
+
+    const { width } = doc.page;
+    const money = amount => formatMoney(amount, invoice.currency);
+
+    // Header
+    doc.fillColor('#1e3c72')
+        .font('Helvetica-Bold')
+        .fontSize(24)
+        .text(invoice.seller.name || 'EduGlobe', 50, 50);
+
+    doc.fillColor('#2c3e50')
+        .font('Helvetica')
+        .fontSize(9)
+        .text(invoice.seller.address || '', 50, 80, { width: 250 });
+    if (invoice.seller.taxId) {
+        doc.text(`Tax ID: ${invoice.seller.taxId}`, { width: 250 });
+    }
+
+    doc.font('Helvetica-Bold')
+        .fontSize(18)
+        .text(TITLES[invoice.type], 300, 50, { width: width - 350, align: 'right' });
+    doc.font('Helvetica')
+        .fontSize(10)
+        .text(`Number: ${invoice.number}`, { width: width - 350, align: 'right' })
+        .text(`Date: ${new Date(invoice.issuedAt).toDateString()}`, { width: width - 350, align: 'right' });
+    if (invoice.relatedInvoice && invoice.relatedInvoice.number) {
+        doc.text(`Credits invoice: ${invoice.relatedInvoice.number}`, { width: width - 350, align: 'right' });
+    }
+
+    // Customer
+    doc.font('Helvetica-Bold')
+        .fontSize(10)
+        .text('Bill to', 50, 150);
+    doc.font('Helvetica')
+        .fontSize(10);
+    [
+        invoice.customer.company,
+        invoice.customer.name,
+        ...formatAddress(invoice.customer.address),
+        invoice.customer.email,
+        invoice.customer.taxId && `Tax ID: ${invoice.customer.taxId}`
+    ].filter(Boolean).forEach(line => doc.text(line));
+
+    // Line items
+    const columns = [
+        { label: 'Description', x: 50, width: 250, align: 'left' },
+        { label: 'Net', x: 300, width: 80, align: 'right' },
+        { label: invoice.taxName || 'Tax', x: 385, width: 70, align: 'right' },
+        { label: 'Total', x: 460, width: width - 510, align: 'right' }
+    ];
+
+    let y = Math.max(doc.y + 30, 270);
+    doc.font('Helvetica-Bold');
+    columns.forEach(column => doc.text(column.label, column.x, y, { width: column.width, align: column.align }));
+    y += 18;
+    doc.lineWidth(1).strokeColor('#1e3c72').moveTo(50, y).lineTo(width - 50, y).stroke();
+    y += 8;
+
+    doc.font('Helvetica');
+    invoice.items.forEach(item => {
+        const values = [item.description, money(item.netAmount), money(item.taxAmount), money(item.total)];
+        const rowHeight = doc.heightOfString(item.description, { width: columns[0].width });
+        columns.forEach((column, index) => doc.text(values[index], column.x, y, { width: column.width, align: column.align }));
+        y += rowHeight + 8;
+    });
+
+    doc.lineWidth(0.5).strokeColor('#cccccc').moveTo(50, y).lineTo(width - 50, y).stroke();
+    y += 12;
+
+    // Totals
+    const taxLabel = invoice.taxRate ? `${invoice.taxName} (${invoice.taxRate}%)` : 'Tax';
+    [
+        ['Subtotal', money(invoice.subtotal)],
+        [taxLabel, money(invoice.taxAmount)],
+        [invoice.type === 'credit_note' ? 'Total credited' : 'Total paid', money(invoice.total)]
+    ].forEach(([label, value], index, rows) => {
+        doc.font(index === rows.length - 1 ? 'Helvetica-Bold' : 'Helvetica')
+            .text(label, 300, y, { width: 155, align: 'right' })
+            .text(value, 460, y, { width: width - 510, align: 'right' });
+        y += 16;
+    });
+
+    // Footer
+    doc.font('Helvetica')
+        .fontSize(9)
+        .fillColor('#555555')
+        .text(
+            invoice.type === 'credit_note'
+                ? 'The amount above has been refunded to your original payment method.'
+                : `Paid${invoice.payment && invoice.payment.paidAt ? ` on ${new Date(invoice.payment.paidAt).toDateString()}` : ''}. Prices include ${invoice.taxName || 'tax'} where applicable.`,
+            50,
+            y + 30,
+            { width: width - 100 }
+        );
+
+    doc.end();
+};
+
+module.exports = {
+    paymentReference,
+    issueEnrollmentInvoice,
+    issueOrderInvoice,
+    issueRenewalInvoice,
+    issueSubscriptionInvoice,
+    issueCreditNote,
+    renderInvoicePdf
+};
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const EmailMessage = require('../models/EmailMessage');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendEmail } = require('./email');
+const { getTemplate, renderTemplate } = require('./emailTemplates');
+const { publish } = require('./realtime');
+
+// What the notification centre shows for the emails that also appear in
+// the app. Links are pages of the frontend.
+const IN_APP = {
+    enrollmentReceipt: ({ items }) => ({
+        title: 'Enrollment confirmed',
+        message: items.length === 1
+            ? `You are now enrolled in ${items[0].title}.`
+            : `You are now enrolled in ${items.length} courses.`,
+        link: 'dashboard.html'
+    }),
+    accessExpiring: ({ courseTitle, accessExpiry }) => ({
+        title: 'Access ends soon',
+        message: `Your access to ${courseTitle} ends on ${new Date(accessExpiry).toDateString()}.`,
+        link: 'dashboard.html'
+    }),
+    subscriptionExpiring: ({ currentPeriodEnd }) => ({
+        title: 'Subscription ends soon',
+        message: `Your subscription ends on ${new Date(currentPeriodEnd).toDateString()}.`,
+        link: 'dashboard.html'
+    }),
+    courseCompleted: ({ courseTitle }) => ({
+        title: 'Course completed',
+        message: `You completed ${courseTitle}. Your certificate is ready to be issued.`,
+        link: 'dashboard.html'
+    }),
+    certificateIssued: ({ courseTitle }) => ({
+        title: 'Certificate issued',
+        message: `Your certificate for ${courseTitle} is ready to download.`,
+        link: 'dashboard.html'
+    }),
+    refundStatus: ({ courseTitle, status }) => ({
+        title: status === 'pending' ? 'Refund requested' : `Refund ${status}`,
+        message: status === 'pending'
+            ? `We received your refund request for ${courseTitle}.`
+            : `Your refund request for ${courseTitle} has been ${status}.`,
+        link: 'dashboard.html'
+    }),
+    reviewReply: ({ courseTitle, instructorName }) => ({
+        title: 'Reply to your review',
+        message: `${instructorName} replied to your review of ${courseTitle}.`,
+        link: 'index.html#courses'
+    }),
+    assessmentGraded: ({ assessmentTitle, percent, passed }) => ({
+        title: passed ? 'Assessment passed' : 'Assessment graded',
+        message: `${assessmentTitle} was graded: ${percent}%${passed ? ', passed' : ''}.`,
+        link: 'dashboard.html'
+    }),
+    discussionReply: ({ threadId, threadTitle, authorName, byInstructor }) => ({
+        title: byInstructor ? 'The instructor answered your question' : 'New reply to your discussion',
+        message: `${authorName} replied to "${threadTitle}".`,
+        link: `discussion.html?thread=${threadId}`
+    }),
+    eventReminder: ({ eventId, eventTitle }) => ({
+        title: 'Event starting soon',
+        message: `${eventTitle} starts soon. See you there!`,
+        link: `community.html#event-${eventId}`
+    }),
+    eventPromoted: ({ eventId, eventTitle }) => ({
+        title: 'You got a place',
+        message: `A place opened up and you are now registered for ${eventTitle}.`,
+        link: `community.html#event-${eventId}`
+    }),
+    eventCancelled: ({ eventId, eventTitle }) => ({
+        title: 'Event cancelled',
+        message: `${eventTitle} has been cancelled.`,
+        link: `community.html#event-${eventId}`
+    }),
+    supportTicketCreated: ({ ticketNumber }) => ({
+        title: 'Support request received',
+        message: `Your ticket ${ticketNumber} was created. We will get back to you soon.`,
+        link: `contact-support.html?ticket=${ticketNumber}`
+    }),
+    supportTicketReply: ({ ticketNumber, agentName }) => ({
+        title: 'Support replied',
+        message: `${agentName} replied to your ticket ${ticketNumber}.`,
+        link: `contact-support.html?ticket=${ticketNumber}`
+    }),
+    supportTicketResolved: ({ ticketNumber }) => ({
+        title: 'Ticket resolved',
+        message: `Your ticket ${ticketNumber} was marked as resolved.`,
+        link: `contact-support.html?ticket=${ticketNumber}`
+    }),
+    supportTicketCustomerReply: ({ ticketNumber, requesterName }) => ({
+        title: 'Customer replied',
+        message: `${requesterName} replied to ticket ${ticketNumber}.`,
+        link: `contact-support.html?ticket=${ticketNumber}`
+    }),
+    supportTicketAssigned: ({ ticketNumber, priority }) => ({
+        title: 'Ticket assigned to you',
+        message: `Ticket ${ticketNumber} (${priority} priority) was assigned to you.`,
+        link: `contact-support.html?ticket=${ticketNumber}`
+    })
+};
+
+// Send new notifications to the recipients' open event streams
+const publishNotifications = notifications => Promise.all(notifications.map(async notification => {
+    const unreadCount = await Notification.countUnread(notification.user);
+    publish(notification.user, 'notification', { notification, unreadCount });
+}));
+
+// Add a notification to the user's notification centre and push it to the
+// user's open event streams. Never throws.
+const pushNotification = async (userId, type, content) => {
+    try {
+        const notification = await Notification.create({ user: userId, type, ...content });
+        await publishNotifications([notification]);
+        return notification;
+    } catch (error) {
+        console.error(`Create ${type} notification error:`, error);
+        return null;
+    }
+};
+
+// Tell the students of a published course that a lecture was added. Shown
+// in the app only.
+const notifyCourseContent = async (course, lecture) => {
+    try {
+        if (course.status !== 'published') return;
+
+        const students = await mongoose.model('Enrollment').distinct('student', {
+            course: course._id,
+            status: { $in: ['active', 'completed'] }
+        });
+        if (students.length === 0) return;
+
+        const notifications = await Notification.insertMany(students.map(student => ({
+            user: student,
+            type: 'courseContent',
+            title: 'New lecture',
+            message: `${lecture.title} was added to ${course.title}.`,
+            link: 'dashboard.html',
+            course: course._id
+        })));
+        await publishNotifications(notifications);
+    } catch (error) {
+        console.error('Notify course content error:', error);
+    }
+};
+
+// Whether the user wants this email. Required emails (verification, password
+// reset, receipts) are always sent; the rest follow the user's preferences.
+const wantsEmail = (user, templateName) => {
+    if (getTemplate(templateName).required) {
+        return true;
+    }
+
+    const preferences = user.preferences || {};
+    if (preferences.emailNotifications === false) {
+        return false;
+    }
+    return !(preferences.emailOptOuts || []).includes(templateName);
+};
+
+// Try to send a claimed message once, scheduling a retry if it fails
+const deliver = async message => {
+    if (message.expiresAt && message.expiresAt <= new Date()) {
+        return message.markExpired();
+    }
+
+    try {
+        await sendEmail({
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html
+        });
+        return await message.markSent();
+    } catch (error) {
+        console.error(`Email ${message._id} (${message.template}) failed:`, error.message);
+        return message.markFailed(error);
+    }
+};
+
+// Queue a templated email for a user (a user document or ID, or the
+// { fullName, email } of someone without an account) and start sending it
+// right away, and add it to the notification centre if it is shown in the
+// app. Failed deliveries are retried by the email queue job.
+// Never throws, so a notification cannot fail the request sending it.
+const notify = async (templateName, user, data = {}) => {
+    try {
+        const recipient = user.email
+            ? user
+            : await User.findById(user).select('fullName email preferences isActive');
+        if (!recipient || recipient.isActive === false) {
+            return null;
+        }
+
+        // Email preferences do not apply to the notification centre
+        if (IN_APP[templateName] && recipient._id) {
+            await pushNotification(recipient._id, templateName, IN_APP[templateName](data));
+        }
+
+        if (!wantsEmail(recipient, templateName)) {
+            return null;
+        }
+
+        const template = getTemplate(templateName);
+        const content = renderTemplate(templateName, recipient, data);
+
+        const message = await EmailMessage.create({
+            user: recipient._id,
+            to: recipient.email,
+            template: templateName,
+            ...content,
+            status: 'sending',
+            lockedAt: new Date(),
+            expiresAt: template.expiresInMinutes
+                ? new Date(Date.now() + template.expiresInMinutes * 60 * 1000)
+                : undefined
+        });
+
+        deliver(message).catch(error => console.error('Email delivery error:', error));
+        return message;
+    } catch (error) {
+        console.error(`Queue ${templateName} email error:`, error);
+        return null;
+    }
+};
+
+// Send the queued messages that are due, up to a limit per run
+const processQueue = async (limit = 100) => {
+    const summary = { sent: 0, failed: 0, expired: 0 };
+
+    for (let i = 0; i < limit; i += 1) {
+        const message = await EmailMessage.claimNext();
+        if (!message) break;
+
+        const result = await deliver(message);
+        if (result.status === 'sent') summary.sent += 1;
+        else if (result.status === 'expired') summary.expired += 1;
+        else summary.failed += 1;
+    }
+
+    return summary;
+};
+
+module.exports = {
+    notify,
+    notifyCourseContent,
+    processQueue
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const signature = require('./signature');
+
+// Bank transfers are confirmed by the reconciliation service, which posts a
+// signed notification once the referenced transfer has been received.
+const createIntent = async ({ amount, currency }) => {
+    const reference = `BT-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+    return {
+        intentId: reference,
+        instructions: {
+            accountName: process.env.BANK_ACCOUNT_NAME,
+            iban: process.env.BANK_IBAN,
+            bic: process.env.BANK_BIC,
+            reference,
+            amount,
+            currency
+        }
+    };
+};
+
+const parseWebhook = async (rawBody, headers) => {
+    signature.verify(
+        rawBody.toString(),
+        headers['x-eduglobe-signature'],
+        process.env.BANK_TRANSFER_WEBHOOK_SECRET
+    );
+
+    const event = JSON.parse(rawBody.toString());
+
+    switch (event.status) {
+        case 'received':
+            return { type: 'payment.succeeded', intentId: event.reference, amount: event.amount };
+        case 'rejected':
+            return { type: 'payment.failed', intentId: event.reference };
+        default:
+            return null;
+    }
+};
+
+// Bank transfer refunds are paid out manually by the finance team; the
+// returned reference identifies the payout they need to make.
+const refund = async ({ intentId }) => ({
+    refundId: `${intentId}-R${Date.now()}`
+});
+
+module.exports = {
+    name: 'bank_transfer',
+    createIntent,
+    parseWebhook,
+    refund
+};
@@ -0,0 +1,47 @@
+const stripe = require('./stripe');
+const paypal = require('./paypal');
+const bankTransfer = require('./bankTransfer');
+const mock = require('./mock');
+
+// Every provider exposes the same interface:
+//   createIntent({ amount, currency, metadata }) -> { intentId, ...client details }
+//   parseWebhook(rawBody, headers) -> { type, intentId, chargeId?, amount } | null
+//   refund({ intentId, chargeId, amount, currency }) -> { refundId }
+// parseWebhook must throw when the webhook signature cannot be verified.
+const providers = {
+    [stripe.name]: stripe,
+    [paypal.name]: paypal,
+    [bankTransfer.name]: bankTransfer,
+    [mock.name]: mock
+};
+
+// Enrollment payment methods and the provider that processes each of them
+const methodProviders = {
+    credit_card: 'stripe',
+    stripe: 'stripe',
+    paypal: 'paypal',
+    bank_transfer: 'bank_transfer'
+};
+
+// The mock provider would let anyone confirm payments, so production
+// neither accepts its webhooks nor creates its checkouts
+const isMockEnabled = () => process.env.NODE_ENV !== 'production';
+
+const getProvider = name => {
+    if (name === mock.name && !isMockEnabled()) return null;
+    return providers[name] || null;
+};
+
+// Resolve the provider for a payment method. Setting PAYMENT_PROVIDER=mock
+// routes every supported method through the local mock provider outside
+// production.
+const getProviderForMethod = method => {
+    if (!methodProviders[method]) return null;
+    if (process.env.PAYMENT_PROVIDER === 'mock' && isMockEnabled()) return mock;
+    return providers[methodProviders[method]];
+};
+
+module.exports = {
+    getProvider,
+    getProviderForMethod
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const signature = require('./signature');
+
+// Local provider used in development and tests, never in production. It
+// never contacts a real gateway; payments are confirmed by a webhook built
+// with buildWebhook(). Without a configured secret only this process can
+// sign its webhooks.
+const processSecret = crypto.randomBytes(32).toString('hex');
+const getSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET || processSecret;
+
+const createIntent = async () => {
+    const intentId = `mock_${crypto.randomBytes(12).toString('hex')}`;
+
+    return {
+        intentId,
+        clientSecret: `${intentId}_secret`
+    };
+};
+
+const parseWebhook = async (rawBody, headers) => {
+    signature.verify(rawBody.toString(), headers['x-mock-signature'], getSecret());
+
+    const event = JSON.parse(rawBody.toString());
+
+    switch (event.type) {
+        case 'payment.succeeded':
+            return { type: 'payment.succeeded', intentId: event.intentId, amount: event.amount };
+        case 'payment.failed':
+            return { type: 'payment.failed', intentId: event.intentId };
+        default:
+            return null;
+    }
+};
+
+const refund = async ({ intentId }) => ({
+    refundId: `${intentId}_refund_${crypto.randomBytes(4).toString('hex')}`
+});
+
+// Build a signed webhook request as the mock gateway would send it
+const buildWebhook = (intentId, type = 'payment.succeeded', amount) => {
+    const payload = JSON.stringify({ type, intentId, amount });
+
+    return {
+        rawBody: Buffer.from(payload),
+        headers: { 'x-mock-signature': signature.sign(payload, getSecret()) }
+    };
+};
+
+module.exports = {
+    name: 'mock',
+    createIntent,
+    parseWebhook,
+    refund,
+    buildWebhook
+};
@@ -0,0 +1,134 @@
+// PayPal Orders v2 integration using the REST API directly
+const { getFractionDigits } = require('../currency');
+
+const getBaseUrl = () => (
+    process.env.PAYPAL_MODE === 'live'
+        ? 'https://api-m.paypal.com'
+        : 'https://api-m.sandbox.paypal.com'
+);
+
+const getAccessToken = async () => {
+    if (!process.env.PAYPAL_CLIENT_ID || !process.env.PAYPAL_CLIENT_SECRET) {
+        throw new Error('PayPal is not configured');
+    }
+
+    const credentials = Buffer
+        .from(`${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_CLIENT_SECRET}`)
+        .toString('base64');
+
+    const response = await fetch(`${getBaseUrl()}/v1/oauth2/token`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Basic ${credentials}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: 'grant_type=client_credentials'
+    });
+
+    if (!response.ok) {
+        throw new Error('PayPal authentication failed');
+    }
+
+    const data = await response.json();
+    return data.access_token;
+};
+
+const request = async (path, body) => {
+    const token = await getAccessToken();
+    const response = await fetch(`${getBaseUrl()}${path}`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.message || 'PayPal request failed');
+    }
+    return data;
+};
+
+const createIntent = async ({ amount, currency, metadata }) => {
+    const order = await request('/v2/checkout/orders', {
+        intent: 'CAPTURE',
+        purchase_units: [{
+            reference_id: metadata.enrollmentId,
+            custom_id: metadata.enrollmentId,
+            amount: {
+                currency_code: currency,
+                value: amount.toFixed(getFractionDigits(currency))
+            }
+        }]
+    });
+
+    const approveLink = order.links.find(link => link.rel === 'approve');
+
+    return {
+        intentId: order.id,
+        redirectUrl: approveLink ? approveLink.href : undefined
+    };
+};
+
+const parseWebhook = async (rawBody, headers) => {
+    const event = JSON.parse(rawBody.toString());
+
+    const verification = await request('/v1/notifications/verify-webhook-signature', {
+        auth_algo: headers['paypal-auth-algo'],
+        cert_url: headers['paypal-cert-url'],
+        transmission_id: headers['paypal-transmission-id'],
+        transmission_sig: headers['paypal-transmission-sig'],
+        transmission_time: headers['paypal-transmission-time'],
+        webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+        webhook_event: event
+    });
+
+    if (verification.verification_status !== 'SUCCESS') {
+        throw new Error('Invalid webhook signature');
+    }
+
+    switch (event.event_type) {
+        case 'CHECKOUT.ORDER.APPROVED': {
+            // The buyer approved the order; capture the funds to complete it
+            const capture = await request(`/v2/checkout/orders/${event.resource.id}/capture`, {});
+            if (capture.status === 'COMPLETED') {
+                const captured = capture.purchase_units[0].payments.captures[0];
+                return {
+                    type: 'payment.succeeded',
+                    intentId: event.resource.id,
+                    chargeId: captured.id,
+                    amount: parseFloat(captured.amount.value)
+                };
+            }
+            return { type: 'payment.failed', intentId: event.resource.id };
+        }
+        case 'PAYMENT.CAPTURE.DENIED':
+            return {
+                type: 'payment.failed',
+                intentId: event.resource.supplementary_data.related_ids.order_id
+            };
+        default:
+            return null;
+    }
+};
+
+// Refunds are issued against the capture, not the order
+const refund = async ({ chargeId, amount, currency }) => {
+    const result = await request(`/v2/payments/captures/${chargeId}/refund`, {
+        amount: {
+            currency_code: currency,
+            value: amount.toFixed(getFractionDigits(currency))
+        }
+    });
+
+    return { refundId: result.id };
+};
+
+module.exports = {
+    name: 'paypal',
+    createIntent,
+    parseWebhook,
+    refund
+};
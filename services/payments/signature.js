@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Maximum age of a signed webhook before it is rejected (replay protection)
+const TOLERANCE_SECONDS = 5 * 60;
+
+// Sign a raw webhook payload. The header format mirrors Stripe's:
+// "t=<unix timestamp>,v1=<hex HMAC-SHA256 of `${t}.${payload}`>"
+const sign = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+    const digest = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${payload}`)
+        .digest('hex');
+
+    return `t=${timestamp},v1=${digest}`;
+};
+
+// Verify a signature header produced by sign(); throws if it is invalid
+const verify = (payload, header, secret) => {
+    if (!header) {
+        throw new Error('Missing webhook signature');
+    }
+
+    const parts = header.split(',').reduce((acc, part) => {
+        const [key, value] = part.split('=');
+        acc[key] = value;
+        return acc;
+    }, {});
+
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) {
+        throw new Error('Malformed webhook signature');
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > TOLERANCE_SECONDS) {
+        throw new Error('Webhook signature has expired');
+    }
+
+    const expected = sign(payload, secret, timestamp).split('v1=')[1];
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const actualBuffer = Buffer.from(parts.v1, 'hex');
+
+    if (expectedBuffer.length !== actualBuffer.length ||
+        !crypto.timingSafeEqual(expectedBuffer, actualBuffer)) {
+        throw new Error('Invalid webhook signature');
+    }
+};
+
+module.exports = { sign, verify };
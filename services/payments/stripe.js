@@ -0,0 +1,70 @@
+const Stripe = require('stripe');
+const { getFractionDigits } = require('../currency');
+
+let client;
+
+const getClient = () => {
+    if (!client) {
+        if (!process.env.STRIPE_SECRET_KEY) {
+            throw new Error('Stripe is not configured');
+        }
+        client = Stripe(process.env.STRIPE_SECRET_KEY);
+    }
+    return client;
+};
+
+// Stripe expects amounts in the smallest currency unit (e.g. cents, or
+// whole yen for zero-decimal currencies)
+const toMinorUnits = (amount, currency) => Math.round(amount * 10 ** getFractionDigits(currency.toUpperCase()));
+const fromMinorUnits = (amount, currency) => amount / 10 ** getFractionDigits(currency.toUpperCase());
+
+const createIntent = async ({ amount, currency, metadata }) => {
+    const intent = await getClient().paymentIntents.create({
+        amount: toMinorUnits(amount, currency),
+        currency: currency.toLowerCase(),
+        metadata,
+        automatic_payment_methods: { enabled: true }
+    });
+
+    return {
+        intentId: intent.id,
+        clientSecret: intent.client_secret,
+        publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+    };
+};
+
+const parseWebhook = async (rawBody, headers) => {
+    const event = getClient().webhooks.constructEvent(
+        rawBody,
+        headers['stripe-signature'],
+        process.env.STRIPE_WEBHOOK_SECRET
+    );
+
+    const intent = event.data.object;
+
+    switch (event.type) {
+        case 'payment_intent.succeeded':
+            return { type: 'payment.succeeded', intentId: intent.id, amount: fromMinorUnits(intent.amount_received, intent.currency) };
+        case 'payment_intent.payment_failed':
+        case 'payment_intent.canceled':
+            return { type: 'payment.failed', intentId: intent.id };
+        default:
+            return null;
+    }
+};
+
+const refund = async ({ intentId, amount, currency }) => {
+    const result = await getClient().refunds.create({
+        payment_intent: intentId,
+        amount: toMinorUnits(amount, currency)
+    });
+
+    return { refundId: result.id };
+};
+
+module.exports = {
+    name: 'stripe',
+    createIntent,
+    parseWebhook,
+    refund
+};
@@ -0,0 +1,51 @@
+// Instructor payout settings, configurable through the environment
+
+// Percentage of each payment credited to the course instructor; the rest is
+// the platform fee
+const getRevenueShare = () => {
+    const percent = parseFloat(process.env.INSTRUCTOR_REVENUE_SHARE);
+    return Number.isNaN(percent) ? 70 : Math.min(Math.max(percent, 0), 100);
+};
+
+// Smallest balance, in the base currency, paid out in a batch. Smaller
+// balances roll over to the next batch.
+const getMinimumPayout = () => {
+    const amount = parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT);
+    return Number.isNaN(amount) ? 50 : Math.max(amount, 0);
+};
+
+const CSV_COLUMNS = ['email', 'amount', 'currency', 'reference', 'name', 'instructor_id', 'entries'];
+
+// Quote a CSV field when it contains separators, quotes or line breaks, and
+// defuse values a spreadsheet would run as a formula
+const csvField = value => {
+    let text = value == null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Payout file of a batch with one row per instructor, in the column order
+// accepted by mass payout tools (recipient email, amount, currency, reference)
+const toPayoutCsv = batch => {
+    const rows = batch.items.map(item => [
+        item.email,
+        item.amount.toFixed(2),
+        batch.currency,
+        `${batch.number}-${item.instructor}`,
+        item.name,
+        item.instructor,
+        item.entryCount
+    ]);
+
+    return [CSV_COLUMNS, ...rows]
+        .map(row => row.map(csvField).join(','))
+        .join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    getRevenueShare,
+    getMinimumPayout,
+    toPayoutCsv
+};
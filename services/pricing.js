@@ -0,0 +1,238 @@
+const Course = require('../models/Course');
+const Campaign = require('../models/Campaign');
+const Bundle = require('../models/Bundle');
+const Coupon = require('../models/Coupon');
+const { getExchangeRates, getFractionDigits } = require('./currency');
+
+// Error for a checkout that cannot be priced, carrying the HTTP status
+class PricingError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Prices are calculated in the smallest unit of their currency (e.g. cents,
+// or yen for JPY) so discounts always add up exactly to what is charged
+const toMinorUnits = (amount, currency) => Math.round(amount * 10 ** getFractionDigits(currency));
+const fromMinorUnits = (units, currency) => units / 10 ** getFractionDigits(currency);
+
+// Split an amount in minor units across lines in proportion to their weights,
+// giving the rounding remainder to the last line
+const allocate = (total, weights) => {
+    const sum = weights.reduce((acc, weight) => acc + weight, 0);
+    if (sum === 0) return weights.map(() => 0);
+
+    let allocated = 0;
+    return weights.map((weight, index) => {
+        if (index === weights.length - 1) return total - allocated;
+        const share = Math.floor((total * weight) / sum);
+        allocated += share;
+        return share;
+    });
+};
+
+const percentOf = (units, percentage) => Math.round((units * percentage) / 100);
+
+// Fixed amounts set in another currency are converted at today's rate.
+// Returns null when there is no exchange rate for either currency.
+const convertToMinorUnits = (rates, amount, from, to) => {
+    if (from !== to && !(rates.isSupported(from) && rates.isSupported(to))) {
+        return null;
+    }
+    return toMinorUnits(rates.convert(amount, from, to), to);
+};
+
+const addDiscount = (line, discount, units) => {
+    const amount = Math.min(units, line.price);
+    if (amount <= 0) return;
+
+    line.price -= amount;
+    line.discounts.push({ ...discount, amount });
+};
+
+// Replace courses bought together in a bundle by the bundle price. When
+// bundles overlap, the ones saving the most are applied first.
+const applyBundles = async (lines, currency, rates) => {
+    const courseIds = lines.map(line => line.course._id);
+    const bundles = await Bundle.findAvailable({ courses: { $in: courseIds } });
+
+    const candidates = bundles
+        .map(bundle => {
+            const bundleLines = bundle.courses.map(courseId => lines.find(
+                line => line.course._id.equals(courseId) && !line.accessOption.durationDays
+            ));
+            const bundlePrice = convertToMinorUnits(rates, bundle.price, bundle.currency, currency);
+            if (bundleLines.some(line => !line) || bundlePrice === null) return null;
+
+            const saving = bundleLines.reduce((sum, line) => sum + line.price, 0) - bundlePrice;
+            return saving > 0 ? { bundle, bundleLines, saving } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.saving - a.saving);
+
+    const applied = [];
+    candidates.forEach(({ bundle, bundleLines, saving }) => {
+        if (bundleLines.some(line => line.bundled)) return;
+
+        const shares = allocate(saving, bundleLines.map(line => line.price));
+        bundleLines.forEach((line, index) => {
+            line.bundled = true;
+            addDiscount(line, { kind: 'bundle', reference: bundle._id, name: bundle.title }, shares[index]);
+        });
+        applied.push({ _id: bundle._id, title: bundle.title, saving: fromMinorUnits(saving, currency) });
+    });
+
+    return applied;
+};
+
+// Apply the best running sale to each course that is not part of a bundle
+const applyCampaigns = async (lines, currency, rates) => {
+    const campaigns = await Campaign.findRunning();
+
+    lines.filter(line => !line.bundled).forEach(line => {
+        let best = null;
+        campaigns
+            .filter(campaign => campaign.appliesTo(line.course))
+            .forEach(campaign => {
+                const amount = campaign.discountType === 'percentage'
+                    ? percentOf(line.price, campaign.value)
+                    : convertToMinorUnits(rates, campaign.value, campaign.currency, currency);
+
+                if (amount !== null && (!best || amount > best.amount)) {
+                    best = { campaign, amount };
+                }
+            });
+
+        if (best) {
+            addDiscount(line, { kind: 'campaign', reference: best.campaign._id, name: best.campaign.name }, best.amount);
+        }
+    });
+};
+
+// Apply a coupon on top of other discounts. Returns why it could not be
+// applied, or null once it has been.
+const applyCoupon = async (lines, currency, rates, code, userId) => {
+    const coupon = await Coupon.findByCode(code);
+    if (!coupon) {
+        return { code, reason: 'Invalid coupon code' };
+    }
+
+    const reason = coupon.getUnavailableReason(userId);
+    if (reason) {
+        return { code: coupon.code, reason };
+    }
+
+    const eligible = lines.filter(line => line.price > 0 && coupon.appliesTo(line.course._id));
+    if (eligible.length === 0) {
+        return { code: coupon.code, reason: 'This coupon does not apply to these courses' };
+    }
+
+    const discount = { kind: 'coupon', reference: coupon._id, name: coupon.description || coupon.code, code: coupon.code };
+
+    if (coupon.discountType === 'percentage') {
+        eligible.forEach(line => addDiscount(line, discount, percentOf(line.price, coupon.value)));
+    } else {
+        const value = convertToMinorUnits(rates, coupon.value, coupon.currency, currency);
+        if (value === null) {
+            return { code: coupon.code, reason: `This coupon can only be used for prices in ${coupon.currency}` };
+        }
+
+        const total = Math.min(value, eligible.reduce((sum, line) => sum + line.price, 0));
+        const shares = allocate(total, eligible.map(line => line.price));
+        eligible.forEach((line, index) => addDiscount(line, discount, shares[index]));
+    }
+
+    return { code: coupon.code, reason: null };
+};
+
+// Price a checkout of one or more courses for a user.
+// items: [{ courseId, accessOptionId? }]
+// Prices are in the requested currency, using regional prices or exchange
+// rates; without one, in the courses' own currency (or the base currency if
+// they differ). Bundles are applied first, then running campaigns on the
+// remaining courses, then the coupon on what is left to pay.
+const quote = async ({ userId, items, couponCode, currency: requestedCurrency }) => {
+    const [courses, rates] = await Promise.all([
+        Course.find({
+            _id: { $in: items.map(item => item.courseId) },
+            status: 'published'
+        }).select('title category price currency regionalPrices accessOptions instructor'),
+        getExchangeRates()
+    ]);
+
+    const courseCurrencies = new Set(courses.map(course => course.currency));
+    const currency = requestedCurrency
+        || (courseCurrencies.size === 1 ? [...courseCurrencies][0] : rates.baseCurrency);
+
+    // Sales are booked in the base currency, so a regional price alone is not
+    // enough to charge in a currency without an exchange rate
+    if (!rates.isSupported(currency)) {
+        throw new PricingError(`Prices are not available in ${currency}`);
+    }
+
+    const lines = items.map(item => {
+        const course = courses.find(entry => entry._id.equals(item.courseId));
+        if (!course) {
+            throw new PricingError('Course not found', 404);
+        }
+
+        const accessOption = course.getAccessOption(item.accessOptionId);
+        if (!accessOption) {
+            throw new PricingError(`Access option not found for ${course.title}`);
+        }
+
+        const price = course.getPriceIn(currency, rates, item.accessOptionId);
+        if (price === null) {
+            throw new PricingError(`Prices are not available in ${currency}`);
+        }
+
+        return {
+            course,
+            accessOption: { ...accessOption, price },
+            listPrice: toMinorUnits(price, currency),
+            price: toMinorUnits(price, currency),
+            discounts: []
+        };
+    });
+
+    const bundles = await applyBundles(lines, currency, rates);
+    await applyCampaigns(lines, currency, rates);
+    const coupon = couponCode ? await applyCoupon(lines, currency, rates, couponCode, userId) : null;
+
+    const subtotal = lines.reduce((sum, line) => sum + line.listPrice, 0);
+    const total = lines.reduce((sum, line) => sum + line.price, 0);
+
+    return {
+        currency,
+        baseCurrency: rates.baseCurrency,
+        // Units of the base currency per unit of the quote currency
+        exchangeRate: rates.getBaseRate(currency),
+        lines: lines.map(line => ({
+            course: {
+                _id: line.course._id,
+                title: line.course.title,
+                instructor: line.course.instructor
+            },
+            accessOption: line.accessOption,
+            listPrice: fromMinorUnits(line.listPrice, currency),
+            discounts: line.discounts.map(discount => ({ ...discount, amount: fromMinorUnits(discount.amount, currency) })),
+            discountTotal: fromMinorUnits(line.listPrice - line.price, currency),
+            finalPrice: fromMinorUnits(line.price, currency)
+        })),
+        bundles,
+        coupon: coupon && {
+            code: coupon.code,
+            applied: !coupon.reason,
+            message: coupon.reason || 'Coupon applied'
+        },
+        subtotal: fromMinorUnits(subtotal, currency),
+        discountTotal: fromMinorUnits(subtotal - total, currency),
+        total: fromMinorUnits(total, currency)
+    };
+};
+
+module.exports = {
+    PricingError,
+    quote
+};
@@ -0,0 +1,63 @@
+// Server-sent event streams of the users connected to this API process.
+// Events are only delivered to streams held by the process publishing them.
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_MS = 25 * 1000;
+
+const streams = new Map(); // user ID -> Set of responses
+
+const write = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Compression buffers the response unless it is flushed
+    if (res.flush) res.flush();
+};
+
+// Open an event stream on the response for the user. The stream is closed
+// when the user's access token expires, so the client reconnects with a
+// fresh one and revoked sessions stop receiving events.
+const subscribe = (req, res) => {
+    const { userId, tokenExpiresAt } = req.user;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    if (!streams.has(userId)) streams.set(userId, new Set());
+    streams.get(userId).add(res);
+
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+        if (res.flush) res.flush();
+    }, HEARTBEAT_MS);
+    const expiry = setTimeout(() => res.end(), Math.max(tokenExpiresAt - Date.now(), 0));
+
+    const unsubscribe = () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+
+        const userStreams = streams.get(userId);
+        if (!userStreams) return;
+        userStreams.delete(res);
+        if (userStreams.size === 0) streams.delete(userId);
+    };
+    req.on('close', unsubscribe);
+
+    return { send: (event, data) => write(res, event, data) };
+};
+
+// Send an event to every open stream of the user
+const publish = (userId, event, data) => {
+    const userStreams = streams.get(userId.toString());
+    if (!userStreams) return;
+
+    userStreams.forEach(res => write(res, event, data));
+};
+
+module.exports = {
+    subscribe,
+    publish
+};
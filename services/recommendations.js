@@ -0,0 +1,242 @@
+const Course = require('../models/Course');
+const CourseSimilarity = require('../models/CourseSimilarity');
+const Enrollment = require('../models/Enrollment');
+
+// Enrollments that show a student chose a course; refunded (cancelled) and
+// unpaid ones do not count
+const TAKEN_STATUSES = ['active', 'completed', 'expired'];
+
+// Related courses kept per course
+const MAX_RELATED = 20;
+// Courses of a single student counted, so a handful of accounts enrolled in
+// everything cannot make every course look related
+const MAX_COURSES_PER_STUDENT = 200;
+
+const getMinSharedStudents = () => {
+    const minimum = parseInt(process.env.RECOMMENDATION_MIN_SHARED_STUDENTS, 10);
+    return Number.isNaN(minimum) ? 2 : minimum;
+};
+
+// Count how many students every pair of courses shares and store the most
+// similar courses of each course. Similarity is the cosine of the two
+// courses' student sets: shared / sqrt(students of A * students of B).
+const computeCourseSimilarities = async () => {
+    const startedAt = new Date();
+    const studentCounts = new Map();
+    const pairCounts = new Map();
+
+    const cursor = Enrollment.aggregate([
+        { $match: { status: { $in: TAKEN_STATUSES } } },
+        { $group: { _id: '$student', courses: { $addToSet: '$course' } } }
+    ]).allowDiskUse(true).cursor();
+
+    for await (const { courses } of cursor) {
+        const ids = courses.slice(0, MAX_COURSES_PER_STUDENT).map(String).sort();
+        ids.forEach((id, index) => {
+            studentCounts.set(id, (studentCounts.get(id) || 0) + 1);
+            for (let other = index + 1; other < ids.length; other += 1) {
+                const key = `${id}:${ids[other]}`;
+                pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+            }
+        });
+    }
+
+    const minShared = getMinSharedStudents();
+    const related = new Map();
+    const addRelated = (courseId, entry) => {
+        if (!related.has(courseId)) related.set(courseId, []);
+        related.get(courseId).push(entry);
+    };
+
+    pairCounts.forEach((shared, key) => {
+        if (shared < minShared) return;
+
+        const [a, b] = key.split(':');
+        const score = shared / Math.sqrt(studentCounts.get(a) * studentCounts.get(b));
+        addRelated(a, { course: b, score, sharedStudents: shared });
+        addRelated(b, { course: a, score, sharedStudents: shared });
+    });
+
+    const operations = [...related].map(([courseId, entries]) => ({
+        updateOne: {
+            filter: { course: courseId },
+            update: {
+                $set: {
+                    related: entries
+                        .sort((x, y) => y.score - x.score || y.sharedStudents - x.sharedStudents)
+                        .slice(0, MAX_RELATED),
+                    computedAt: startedAt
+                }
+            },
+            upsert: true
+        }
+    }));
+    if (operations.length > 0) {
+        await CourseSimilarity.bulkWrite(operations, { ordered: false });
+    }
+
+    // Courses that no longer share enough students with any other
+    const { deletedCount } = await CourseSimilarity.deleteMany({ computedAt: { $lt: startedAt } });
+
+    return {
+        courses: operations.length,
+        pairs: [...pairCounts.values()].filter(shared => shared >= minShared).length,
+        removed: deletedCount
+    };
+};
+
+const COURSE_FIELDS = '-reviews -seo -searchTerms';
+
+const findPublishedCourses = ids => Course.find({ _id: { $in: ids }, status: 'published' })
+    .populate('instructor', 'fullName avatar')
+    .select(COURSE_FIELDS);
+
+// Popular published courses, preferring the given categories, for visitors
+// we know little about
+const getPopularCourses = async ({ categories = [], exclude = [], limit }) => {
+    const sort = { enrollmentCount: -1, 'rating.average': -1, 'analytics.views': -1 };
+    const filter = { status: 'published', _id: { $nin: exclude } };
+
+    const preferred = categories.length > 0
+        ? await Course.find({ ...filter, category: { $in: categories } })
+            .populate('instructor', 'fullName avatar')
+            .sort(sort)
+            .limit(limit)
+            .select(COURSE_FIELDS)
+        : [];
+    if (preferred.length >= limit) return preferred;
+
+    const others = await Course.find({ ...filter, _id: { $nin: [...exclude, ...preferred.map(course => course._id)] } })
+        .populate('instructor', 'fullName avatar')
+        .sort(sort)
+        .limit(limit - preferred.length)
+        .select(COURSE_FIELDS);
+    return [...preferred, ...others];
+};
+
+// How much a course the student took says about their taste: courses they
+// completed or rated highly count more, courses they rated poorly hardly count
+const getSeedWeight = (enrollment, rating) => {
+    let weight = enrollment.status === 'completed' ? 1.5 : 1;
+    if (rating >= 4) weight *= 1.5;
+    if (rating && rating <= 2) weight *= 0.2;
+    return weight;
+};
+
+// Recommendations for a user (null for visitors):
+//   becauseYouTook: courses related to a few of the user's courses
+//   alsoEnrolled: courses students of the user's courses (and of courses
+//     the user viewed) also enrolled in, favouring categories the user
+//     completed courses in or prefers
+//   popular: popular courses in the user's categories, filling in when
+//     there is not enough history for the other lists
+const getRecommendations = async (user, limit = 8) => {
+    if (!user) {
+        return {
+            becauseYouTook: [],
+            alsoEnrolled: [],
+            popular: await getPopularCourses({ limit })
+        };
+    }
+
+    const enrollments = await Enrollment.find({ student: user._id })
+        .select('course status enrollmentDate')
+        .sort({ enrollmentDate: -1 });
+    const ownedIds = enrollments.map(enrollment => enrollment.course.toString());
+    const taken = enrollments.filter(enrollment => TAKEN_STATUSES.includes(enrollment.status));
+
+    const viewedIds = (user.recentlyViewed || [])
+        .map(view => view.course.toString())
+        .filter(id => !ownedIds.includes(id));
+
+    const seedCourses = await Course.find(
+        { _id: { $in: [...taken.map(enrollment => enrollment.course), ...viewedIds] } },
+        { title: 1, category: 1, reviews: { $elemMatch: { user: user._id } } }
+    );
+    const seedCourse = id => seedCourses.find(course => course._id.toString() === id);
+
+    const seeds = [
+        ...taken.map(enrollment => {
+            const course = seedCourse(enrollment.course.toString());
+            const review = course && course.reviews[0];
+            return { id: enrollment.course.toString(), course, weight: getSeedWeight(enrollment, review && review.rating), taken: true };
+        }),
+        ...viewedIds.map(id => ({ id, course: seedCourse(id), weight: 0.5, taken: false }))
+    ].filter(seed => seed.course);
+
+    // Categories the user finished courses in or picked in their preferences
+    const completedCategories = taken
+        .filter(enrollment => enrollment.status === 'completed')
+        .map(enrollment => seedCourse(enrollment.course.toString()))
+        .filter(Boolean)
+        .map(course => course.category);
+    const preferredCategories = (user.preferences && user.preferences.categories) || [];
+    const categoryBoost = category => (completedCategories.includes(category) ? 0.3 : 0)
+        + (preferredCategories.includes(category) ? 0.2 : 0);
+
+    const similarities = await CourseSimilarity.find({ course: { $in: seeds.map(seed => seed.id) } });
+    const relatedOf = id => {
+        const similarity = similarities.find(entry => entry.course.toString() === id);
+        return similarity
+            ? similarity.related.filter(entry => !ownedIds.includes(entry.course.toString()))
+            : [];
+    };
+
+    const scores = new Map();
+    seeds.forEach(seed => relatedOf(seed.id).forEach(entry => {
+        const id = entry.course.toString();
+        scores.set(id, (scores.get(id) || 0) + seed.weight * entry.score);
+    }));
+
+    const candidates = await findPublishedCourses([...scores.keys()]);
+    const candidate = id => candidates.find(course => course._id.toString() === id);
+    const shown = new Set();
+
+    // Strongest of the user's recent courses first
+    const becauseYouTook = [];
+    seeds
+        .filter(seed => seed.taken && seed.weight >= 1)
+        .slice(0, 10)
+        .forEach(seed => {
+            if (becauseYouTook.length >= 3) return;
+
+            const courses = relatedOf(seed.id)
+                .map(entry => candidate(entry.course.toString()))
+                .filter(course => course && !shown.has(course._id.toString()))
+                .slice(0, 4);
+            if (courses.length === 0) return;
+
+            courses.forEach(course => shown.add(course._id.toString()));
+            becauseYouTook.push({ basedOn: { _id: seed.course._id, title: seed.course.title }, courses });
+        });
+
+    const alsoEnrolled = candidates
+        .filter(course => !shown.has(course._id.toString()))
+        .map(course => ({
+            course,
+            score: scores.get(course._id.toString()) * (1 + categoryBoost(course.category))
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ course }) => course);
+    alsoEnrolled.forEach(course => shown.add(course._id.toString()));
+
+    const popular = alsoEnrolled.length < limit
+        ? await getPopularCourses({
+            categories: [...new Set([
+                ...preferredCategories,
+                ...completedCategories,
+                ...seeds.map(seed => seed.course.category)
+            ])],
+            exclude: [...ownedIds, ...shown],
+            limit: limit - alsoEnrolled.length
+        })
+        : [];
+
+    return { becauseYouTook, alsoEnrolled, popular };
+};
+
+module.exports = {
+    computeCourseSimilarities,
+    getRecommendations
+};
@@ -0,0 +1,350 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { tokenize, tokenizeQuery, maxTypos, editDistance } = require('./searchText');
+
+// Weight of a query word found in each field, and of how it was found
+const FIELD_WEIGHTS = { title: 3, tags: 2, instructor: 2, body: 1 };
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.8, typo: 0.6 };
+
+// Words of a query matched against the index; longer queries are cut
+const MAX_QUERY_WORDS = 8;
+// Index words a query word can expand to through prefixes and typos
+const MAX_EXPANSIONS = 20;
+
+// Price ranges of the price facet, in the course currency
+const PRICE_RANGES = [
+    { id: 'free', label: 'Free', min: 0, max: 0 },
+    { id: 'under-20', label: 'Under 20', min: 0.01, max: 19.99 },
+    { id: '20-50', label: '20 to 50', min: 20, max: 49.99 },
+    { id: '50-100', label: '50 to 100', min: 50, max: 99.99 },
+    { id: '100-plus', label: '100 and more', min: 100, max: null }
+];
+const PRICE_RANGE_IDS = PRICE_RANGES.map(range => range.id);
+
+// Minimum ratings of the rating facet
+const RATING_THRESHOLDS = [4.5, 4, 3.5, 3];
+
+// Words of every published course, used to correct typos and complete
+// prefixes. Kept for a few minutes so new courses show up soon.
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+let vocabulary = null;
+let vocabularyLoadedAt = 0;
+
+const getVocabulary = async () => {
+    if (!vocabulary || Date.now() - vocabularyLoadedAt > VOCABULARY_TTL_MS) {
+        vocabulary = await Course.distinct('searchTerms.all', { status: 'published' });
+        vocabularyLoadedAt = Date.now();
+    }
+    return vocabulary;
+};
+
+// Index words a query word matches: itself, words it is the start of when
+// it is being typed, and words within a few typos. Closest matches first.
+const expandWord = (word, words, { prefix }) => {
+    const matches = new Map();
+    if (words.includes(word)) matches.set(word, 'exact');
+
+    if (prefix && word.length >= 2) {
+        words
+            .filter(term => term.length > word.length && term.startsWith(word))
+            .sort((a, b) => a.length - b.length)
+            .slice(0, MAX_EXPANSIONS)
+            .forEach(term => matches.set(term, 'prefix'));
+    }
+
+    const typos = maxTypos(word);
+    if (typos > 0) {
+        words
+            .filter(term => !matches.has(term))
+            .map(term => ({ term, distance: editDistance(word, term, typos) }))
+            .filter(({ distance }) => distance <= typos)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, MAX_EXPANSIONS)
+            .forEach(({ term }) => matches.set(term, 'typo'));
+    }
+
+    return matches;
+};
+
+// Parse a query into its words and the index words each of them matches.
+// The last word is completed as a prefix while the user is still typing it.
+const parseQuery = async query => {
+    const words = tokenizeQuery(query).slice(0, MAX_QUERY_WORDS);
+    if (words.length === 0) return [];
+
+    const index = await getVocabulary();
+    const stillTyping = !/\s$/.test(query);
+
+    return words.map((word, position) => ({
+        word,
+        matches: expandWord(word, index, { prefix: stillTyping && position === words.length - 1 })
+    }));
+};
+
+// Relevance of a course: for every query word, the best weight of the fields
+// and match kind it was found with
+const buildScore = parsedWords => ({
+    $add: [0, ...parsedWords.map(({ matches }) => {
+        const byKind = Object.keys(MATCH_WEIGHTS).map(kind => ({
+            kind,
+            terms: [...matches].filter(([, matchKind]) => matchKind === kind).map(([term]) => term)
+        })).filter(({ terms }) => terms.length > 0);
+
+        return {
+            $max: [0, ...Object.entries(FIELD_WEIGHTS).flatMap(([field, fieldWeight]) => byKind.map(({ kind, terms }) => ({
+                $cond: [
+                    { $gt: [{ $size: { $setIntersection: [{ $ifNull: [`$searchTerms.${field}`, []] }, terms] } }, 0] },
+                    fieldWeight * MATCH_WEIGHTS[kind],
+                    0
+                ]
+            })))]
+        };
+    })]
+});
+
+const priceRangeMatch = ids => ({
+    $or: PRICE_RANGES.filter(range => ids.includes(range.id)).map(range => ({
+        price: range.max === null ? { $gte: range.min } : { $gte: range.min, $lte: range.max }
+    }))
+});
+
+// Filters by facet, so each facet can be counted without its own filter
+const buildFilters = ({ categories, levels, languages, prices, rating }) => ({
+    category: categories.length > 0 ? { category: { $in: categories } } : null,
+    level: levels.length > 0 ? { level: { $in: levels } } : null,
+    language: languages.length > 0 ? { language: { $in: languages } } : null,
+    price: prices.length > 0 ? priceRangeMatch(prices) : null,
+    rating: rating ? { 'rating.average': { $gte: rating } } : null
+});
+
+const combineFilters = (filters, except) => {
+    const conditions = Object.entries(filters)
+        .filter(([facet, condition]) => facet !== except && condition)
+        .map(([, condition]) => condition);
+    return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+const countValues = field => [{ $sortByCount: `$${field}` }, { $project: { _id: 0, value: '$_id', count: 1 } }];
+
+const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Wrap the words of a text matching the query in <mark>, escaping the rest
+// as HTML. With maxWords, only the part around the first match is kept.
+const highlight = (text, matchedTerms, maxWords) => {
+    if (!text) return '';
+
+    const parts = String(text).split(/(\s+)/);
+    const isMatch = part => tokenize(part).some(term => matchedTerms.has(term));
+
+    let start = 0;
+    let end = parts.length;
+    if (maxWords && parts.length > maxWords * 2) {
+        const first = Math.max(parts.findIndex(isMatch), 0);
+        start = Math.max(first - Math.floor(maxWords / 2), 0);
+        start -= start % 2; // start on a word, not on whitespace
+        end = Math.min(start + maxWords * 2, parts.length);
+    }
+
+    const snippet = parts.slice(start, end)
+        .map(part => (isMatch(part) ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+    return `${start > 0 ? '… ' : ''}${snippet}${end < parts.length ? ' …' : ''}`;
+};
+
+// Search published courses, ranked by relevance (then rating and
+// popularity), with counts of each facet value. Without a query, courses are
+// browsed by rating and popularity. Facet filters take lists of values
+// (price range IDs for prices) and rating a minimum average rating.
+const searchCourses = async ({
+    query = '',
+    page = 1,
+    limit = 12,
+    categories = [],
+    levels = [],
+    languages = [],
+    prices = [],
+    rating
+}) => {
+    const parsedWords = await parseQuery(query);
+    const unmatched = parsedWords.filter(({ matches }) => matches.size === 0);
+
+    const match = { status: 'published' };
+    if (parsedWords.length > 0) {
+        match.$and = parsedWords.map(({ matches }) => ({ 'searchTerms.all': { $in: [...matches.keys()] } }));
+    }
+
+    const filters = buildFilters({ categories, levels, languages, prices, rating });
+
+    const emptyFacets = { category: [], level: [], language: [], price: [], rating: [] };
+    if (unmatched.length > 0) {
+        return { results: [], total: 0, facets: emptyFacets, unmatchedWords: unmatched.map(({ word }) => word) };
+    }
+
+    const [facetResult] = await Course.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                results: [
+                    { $match: combineFilters(filters) },
+                    { $addFields: { relevance: buildScore(parsedWords) } },
+                    { $sort: { relevance: -1, 'rating.average': -1, enrollmentCount: -1, _id: 1 } },
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    { $project: { reviews: 0, seo: 0, analytics: 0, searchTerms: 0 } }
+                ],
+                total: [
+                    { $match: combineFilters(filters) },
+                    { $count: 'count' }
+                ],
+                category: [{ $match: combineFilters(filters, 'category') }, ...countValues('category')],
+                level: [{ $match: combineFilters(filters, 'level') }, ...countValues('level')],
+                language: [{ $match: combineFilters(filters, 'language') }, ...countValues('language')],
+                price: [
+                    { $match: combineFilters(filters, 'price') },
+                    {
+                        $group: {
+                            _id: null,
+                            ...Object.fromEntries(PRICE_RANGES.map(range => [range.id, {
+                                $sum: {
+                                    $cond: [{
+                                        $and: [
+                                            { $gte: ['$price', range.min] },
+                                            range.max === null ? true : { $lte: ['$price', range.max] }
+                                        ]
+                                    }, 1, 0]
+                                }
+                            }]))
+                        }
+                    }
+                ],
+                rating: [
+                    { $match: combineFilters(filters, 'rating') },
+                    {
+                        $group: {
+                            _id: null,
+                            ...Object.fromEntries(RATING_THRESHOLDS.map((threshold, index) => [`r${index}`, {
+                                $sum: { $cond: [{ $gte: ['$rating.average', threshold] }, 1, 0] }
+                            }]))
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    const priceCounts = facetResult.price[0] || {};
+    const ratingCounts = facetResult.rating[0] || {};
+
+    const matchedTerms = new Set(parsedWords.flatMap(({ matches }) => [...matches.keys()]));
+    const courses = await Course.populate(
+        facetResult.results.map(result => Course.hydrate(result)),
+        { path: 'instructor', select: 'fullName avatar' }
+    );
+
+    return {
+        results: courses.map((course, index) => ({
+            course,
+            relevance: facetResult.results[index].relevance,
+            highlights: {
+                title: highlight(course.title, matchedTerms),
+                description: highlight(course.shortDescription || course.description, matchedTerms, 30),
+                instructor: course.instructor ? highlight(course.instructor.fullName, matchedTerms) : '',
+                tags: (course.tags || []).filter(tag => tokenize(tag).some(term => matchedTerms.has(term)))
+            }
+        })),
+        total: facetResult.total.length > 0 ? facetResult.total[0].count : 0,
+        facets: {
+            category: facetResult.category,
+            level: facetResult.level,
+            language: facetResult.language,
+            price: PRICE_RANGES.map(range => ({
+                value: range.id,
+                label: range.label,
+                count: priceCounts[range.id] || 0
+            })),
+            rating: RATING_THRESHOLDS.map((threshold, index) => ({
+                value: threshold,
+                count: ratingCounts[`r${index}`] || 0
+            }))
+        },
+        unmatchedWords: []
+    };
+};
+
+// Suggestions for a query being typed: course titles, tags and instructors
+// with a word starting with the last query word (allowing typos when
+// nothing starts with it) and containing the other query words
+const autocomplete = async (query, limit = 8) => {
+    const words = tokenize(query).slice(0, MAX_QUERY_WORDS);
+    if (words.length === 0) return [];
+
+    const index = await getVocabulary();
+    const prefix = words[words.length - 1];
+    let completions = index.filter(term => term.startsWith(prefix));
+    if (completions.length === 0) {
+        const typos = maxTypos(prefix);
+        completions = index.filter(term => typos > 0
+            && editDistance(prefix, term.slice(0, prefix.length), typos) <= typos);
+    }
+    completions = completions.sort((a, b) => a.length - b.length).slice(0, MAX_EXPANSIONS);
+    if (completions.length === 0) return [];
+
+    const otherWords = words.slice(0, -1).map(word => expandWord(word, index, { prefix: false }));
+    const match = {
+        status: 'published',
+        $and: otherWords.map(matches => ({ 'searchTerms.all': { $in: [...matches.keys()] } }))
+    };
+    if (match.$and.length === 0) delete match.$and;
+
+    const matchedTerms = new Set([...completions, ...otherWords.flatMap(matches => [...matches.keys()])]);
+
+    const [courses, tags, instructorIds] = await Promise.all([
+        Course.find({ ...match, 'searchTerms.title': { $in: completions } })
+            .sort({ enrollmentCount: -1 })
+            .limit(limit)
+            .select('title'),
+        Course.aggregate([
+            { $match: { ...match, 'searchTerms.tags': { $in: completions } } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 50 }
+        ]),
+        Course.distinct('instructor', { ...match, 'searchTerms.instructor': { $in: completions } })
+    ]);
+
+    const instructors = await User.find({ _id: { $in: instructorIds.slice(0, limit) } }).select('fullName avatar');
+    const completes = text => tokenize(text).some(term => completions.includes(term));
+
+    return [
+        ...courses.map(course => ({
+            type: 'course',
+            id: course._id,
+            text: course.title,
+            highlight: highlight(course.title, matchedTerms)
+        })),
+        ...tags.filter(tag => completes(tag._id)).slice(0, 3).map(tag => ({
+            type: 'tag',
+            text: tag._id,
+            highlight: highlight(tag._id, matchedTerms),
+            count: tag.count
+        })),
+        ...instructors.filter(instructor => completes(instructor.fullName)).slice(0, 3).map(instructor => ({
+            type: 'instructor',
+            id: instructor._id,
+            text: instructor.fullName,
+            highlight: highlight(instructor.fullName, matchedTerms),
+            avatar: instructor.avatar
+        }))
+    ].slice(0, limit);
+};
+
+module.exports = {
+    PRICE_RANGE_IDS,
+    searchCourses,
+    autocomplete
+};
@@ -0,0 +1,67 @@
+// Text normalization shared by the course search index and search queries.
+// Words are lowercased and stripped of accents, so "Café" matches "cafe".
+
+// Common words ignored in queries unless the query has nothing else
+const STOP_WORDS = new Set(['a', 'an', 'and', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+const normalizeWord = word => word
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+// Split text into normalized words. "Node.js" gives "node" and "js", and
+// C++ or C# keep their symbols.
+const tokenize = text => (normalizeWord(String(text || '')).match(/[a-z0-9]+(?:\+\+|#)?/g) || []);
+
+// Unique words of several texts
+const uniqueTerms = (...texts) => [...new Set(texts.flat().flatMap(tokenize))];
+
+// Words of a search query, without stop words unless they are all there is
+const tokenizeQuery = query => {
+    const words = [...new Set(tokenize(query))];
+    const meaningful = words.filter(word => !STOP_WORDS.has(word));
+    return meaningful.length > 0 ? meaningful : words;
+};
+
+// Typos tolerated in a word: none in short words, where one typo turns it
+// into a different word, one up to 6 letters and two in longer words
+const maxTypos = word => {
+    if (word.length <= 3) return 0;
+    return word.length <= 6 ? 1 : 2;
+};
+
+// Number of insertions, deletions, substitutions and swaps of adjacent
+// letters turning one word into the other, or max + 1 once it exceeds max
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i += 1) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j += 1) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+module.exports = {
+    normalizeWord,
+    tokenize,
+    uniqueTerms,
+    tokenizeQuery,
+    maxTypos,
+    editDistance
+};
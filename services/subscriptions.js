@@ -0,0 +1,48 @@
+// Platform-wide subscription plans. A subscription gives access to every
+// published course that is included in subscriptions.
+const PLANS = {
+    monthly: {
+        name: 'Monthly',
+        months: 1,
+        priceVariable: 'SUBSCRIPTION_MONTHLY_PRICE',
+        defaultPrice: 29
+    },
+    annual: {
+        name: 'Annual',
+        months: 12,
+        priceVariable: 'SUBSCRIPTION_ANNUAL_PRICE',
+        defaultPrice: 290
+    }
+};
+
+const PLAN_IDS = Object.keys(PLANS);
+
+const getPlan = planId => {
+    const plan = PLANS[planId];
+    if (!plan) return null;
+
+    const price = parseFloat(process.env[plan.priceVariable]);
+    return {
+        id: planId,
+        name: plan.name,
+        months: plan.months,
+        price: Number.isNaN(price) ? plan.defaultPrice : price,
+        currency: process.env.SUBSCRIPTION_CURRENCY || 'USD'
+    };
+};
+
+const getPlans = () => PLAN_IDS.map(getPlan);
+
+// End of a billing period of the plan starting at the given date
+const addPlanPeriod = (start, planId) => {
+    const end = new Date(start);
+    end.setUTCMonth(end.getUTCMonth() + PLANS[planId].months);
+    return end;
+};
+
+module.exports = {
+    PLAN_IDS,
+    getPlan,
+    getPlans,
+    addPlanPeriod
+};
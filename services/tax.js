@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const { getFractionDigits } = require('./currency');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'config', 'tax-rates.json');
+
+let rates = null;
+
+// VAT/GST rates by ISO country code, read once per process
+const loadRates = () => {
+    if (!rates) {
+        const file = process.env.TAX_RATES_FILE || DEFAULT_RATES_FILE;
+        try {
+            rates = JSON.parse(fs.readFileSync(file, 'utf8')).rates || {};
+        } catch (error) {
+            console.error('Tax rates file error:', error.message);
+            rates = {};
+        }
+    }
+    return rates;
+};
+
+// Tax charged to customers in a country, e.g. { name: 'VAT', rate: 20 }.
+// Countries without a configured rate are not taxed.
+const getTaxRate = country => {
+    const entry = country && loadRates()[country.toUpperCase()];
+    return entry ? { name: entry.name || 'VAT', rate: entry.rate } : { name: null, rate: 0 };
+};
+
+// Prices include tax, so split an amount paid into its net and tax parts
+const splitTax = (gross, rate, currency) => {
+    const factor = 10 ** getFractionDigits(currency);
+    const grossUnits = Math.round(gross * factor);
+    const netUnits = Math.round(grossUnits / (1 + rate / 100));
+
+    return {
+        net: netUnits / factor,
+        tax: (grossUnits - netUnits) / factor
+    };
+};
+
+module.exports = {
+    getTaxRate,
+    splitTax
+};